@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Stub Private Relay
+ * Local stand-in for a Flashbots-style relay, for testing the "relay" submission channel against a fork.
+ * Accepts eth_sendPrivateTransaction and eth_sendBundle, checks the X-Flashbots-Signature header and
+ * forwards each raw transaction once to the fork with eth_sendRawTransaction.
+ *
+ * Usage:
+ *   node scripts/startFork.js                     # Fork on port 8545
+ *   node scripts/stubRelay.js                     # Relay on port 8546, forwarding to the fork
+ *   RELAY_URL=http://127.0.0.1:8546 ...           # Swap with { submission: "relay" }
+ *   RELAY_FORWARD=false node scripts/stubRelay.js # Only log what would be relayed
+ */
+require("dotenv").config();
+const http = require("http");
+const { ethers } = require("ethers");
+
+const PORT = Number(process.env.RELAY_PORT || 8546);
+const FORK_RPC_URL = process.env.FORK_RPC_URL || `http://127.0.0.1:${process.env.FORK_PORT || "8545"}`;
+const FORWARD = process.env.RELAY_FORWARD !== "false";
+
+// Raw transactions already forwarded (bundles arrive once per target block)
+const forwarded = new Set();
+let forkProvider = null;
+
+/**
+ * Check the X-Flashbots-Signature header against the request body
+ * @param {string} header - "address:signature"
+ * @param {string} body - Raw request body
+ * @returns {string} Recovered searcher address
+ */
+function verifySignature(header, body) {
+  if (!header) {
+    throw new Error("Missing X-Flashbots-Signature header");
+  }
+  const [address, signature] = header.split(":");
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(ethers.id(body), signature);
+  } catch (error) {
+    throw new Error(`Invalid X-Flashbots-Signature: ${error.shortMessage || error.message}`);
+  }
+  if (recovered.toLowerCase() !== address.toLowerCase()) {
+    throw new Error("X-Flashbots-Signature does not match the request body");
+  }
+  return recovered;
+}
+
+/**
+ * Forward a raw transaction to the fork, once
+ * @param {string} rawTx - Signed transaction
+ * @returns {Promise<string>} Transaction hash
+ */
+async function forward(rawTx) {
+  const hash = ethers.Transaction.from(rawTx).hash;
+  if (!FORWARD || forwarded.has(hash)) {
+    return hash;
+  }
+
+  forkProvider = forkProvider || new ethers.JsonRpcProvider(FORK_RPC_URL);
+  await forkProvider.send("eth_sendRawTransaction", [rawTx]);
+  // Only a transaction the fork accepted counts as forwarded; a failed send is retried on the next target block
+  forwarded.add(hash);
+  console.log(`  → forwarded ${hash} to ${FORK_RPC_URL}`);
+  return hash;
+}
+
+/**
+ * Handle one relay JSON-RPC method
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {Promise<*>} JSON-RPC result
+ */
+async function handle(method, params) {
+  const [request] = params || [];
+
+  if (method === "eth_sendPrivateTransaction") {
+    if (!request || !ethers.isHexString(request.tx)) {
+      throw new Error("params[0].tx must be a signed transaction");
+    }
+    console.log(`  eth_sendPrivateTransaction (maxBlockNumber ${request.maxBlockNumber ?? "none"})`);
+    return await forward(request.tx);
+  }
+
+  if (method === "eth_sendBundle") {
+    if (!request || !Array.isArray(request.txs) || request.txs.length === 0) {
+      throw new Error("params[0].txs must be a non-empty array of signed transactions");
+    }
+    if (!ethers.isHexString(request.blockNumber)) {
+      throw new Error("params[0].blockNumber must be a hex block number");
+    }
+    console.log(`  eth_sendBundle (${request.txs.length} tx, block ${Number(request.blockNumber)})`);
+    const hashes = [];
+    for (const rawTx of request.txs) {
+      hashes.push(await forward(rawTx));
+    }
+    return { bundleHash: ethers.keccak256(ethers.concat(hashes)) };
+  }
+
+  if (method === "eth_cancelPrivateTransaction") {
+    console.log(`  eth_cancelPrivateTransaction ${request?.txHash}`);
+    return true;
+  }
+
+  const error = new Error(`Method ${method} not supported by the stub relay`);
+  error.code = -32601;
+  throw error;
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => (body += chunk));
+  req.on("end", async () => {
+    let id = null;
+    let reply;
+    try {
+      const payload = JSON.parse(body);
+      id = payload.id ?? null;
+      const searcher = verifySignature(req.headers["x-flashbots-signature"], body);
+      console.log(`${new Date().toISOString()} ${payload.method} from ${searcher}`);
+      reply = { jsonrpc: "2.0", id, result: await handle(payload.method, payload.params) };
+    } catch (error) {
+      console.log(`  ✗ ${error.message}`);
+      reply = { jsonrpc: "2.0", id, error: { code: error.code ?? -32000, message: error.message } };
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`\nStub relay listening on http://127.0.0.1:${PORT}`);
+  console.log(FORWARD ? `Forwarding to ${FORK_RPC_URL}\n` : `Forwarding disabled (RELAY_FORWARD=false)\n`);
+});
+
+// Handle Ctrl+C
+process.on("SIGINT", () => {
+  console.log("\n\nShutting down stub relay...");
+  server.close();
+  process.exit(0);
+});
@@ -23,9 +23,11 @@ const { getTokenInfo, formatTokenAmount } = require("../../utils/priceFeeds");
 
 // ABIs
 const BALANCER_VAULT_ABI = require("../../../abis/BalancerVault.json");
+const BALANCER_V3_VAULT_ABI = require("../../../abis/BalancerV3Vault.json");
 
 /**
  * Fetch pool tokens and balances from Balancer Vault
+ * V2 pools are looked up by poolId, V3 pools by pool address
  */
 async function getPoolData(chainKey, poolId, version = "v2") {
   const chain = CHAINS[chainKey];
@@ -37,6 +39,23 @@ async function getPoolData(chainKey, poolId, version = "v2") {
     return null;
   }
 
+  if (version === "v3") {
+    const vault = new ethers.Contract(vaultAddress, BALANCER_V3_VAULT_ABI, provider);
+
+    try {
+      const [tokens, , balancesRaw] = await vault.getPoolTokenInfo(poolId);
+
+      return {
+        tokens: tokens.map(t => t.toLowerCase()),
+        balances: balancesRaw.map(b => b.toString()),
+        lastChangeBlock: null,
+      };
+    } catch (error) {
+      console.error(`Error fetching pool data: ${error.message}`);
+      return null;
+    }
+  }
+
   const vault = new ethers.Contract(vaultAddress, BALANCER_VAULT_ABI, provider);
 
   try {
@@ -125,7 +144,8 @@ function calculateILRisk(weights) {
  * Monitor a single Balancer pool
  */
 async function monitorPool(chainKey, poolInfo) {
-  const { name, poolId, tokens: tokenNames, weights: targetWeights, version = "V2" } = poolInfo;
+  const { name, tokens: tokenNames, weights: targetWeights, version = "V2" } = poolInfo;
+  const poolId = version === "V3" ? poolInfo.address : poolInfo.poolId;
 
   console.log(`\n${name} [${version}]`);
   console.log("─".repeat(50));
@@ -158,7 +178,7 @@ async function monitorPool(chainKey, poolInfo) {
   const ilAnalysis = calculateILRisk(targetWeights);
 
   // Display pool info
-  console.log(`  Pool ID: ${poolId.slice(0, 10)}...${poolId.slice(-8)}`);
+  console.log(`  ${version === "V3" ? "Pool" : "Pool ID"}: ${poolId.slice(0, 10)}...${poolId.slice(-8)}`);
 
   // Display balances
   console.log(`  Balances:`);
@@ -215,7 +235,8 @@ Monitors all configured pools:
 
 Configuration:
   - Chain: Ethereum (hardcoded)
-  - Pools: src/config/chains.js (balancer.v2.pools)
+  - Pools: src/config/chains.js (balancer.v2.pools, balancer.v3.pools)
+  - V3 pools use "address" instead of "poolId" and version: "V3"
   - To add pools: Edit src/config/chains.js
   - Set ETHEREUM_RPC_URL in .env file
     `);
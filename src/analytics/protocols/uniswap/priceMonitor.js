@@ -71,21 +71,31 @@ async function getV2Price(chainKey, tokenIn, tokenOut, amountIn, decimalsIn, dec
 async function getV3Price(chainKey, tokenIn, tokenOut, fee, amountIn, decimalsIn, decimalsOut) {
   try {
     const amountInWei = ethers.parseUnits(amountIn, decimalsIn);
-    const quote = await v3Swap.getQuote(chainKey, tokenIn, tokenOut, fee, amountInWei.toString());
+    const quote = await v3Swap.getQuoteDetailed(chainKey, tokenIn, tokenOut, fee, amountInWei.toString());
 
-    // V3 getQuote returns just a string (the amountOut)
-    if (!quote) {
+    if (!quote || !quote.amountOut) {
       return null;
     }
 
-    const amountOut = formatTokenAmount(quote, decimalsOut);
+    const amountOut = formatTokenAmount(quote.amountOut, decimalsOut);
     const price = parseFloat(amountOut);
 
+    // QuoterV2 extras (null when only the legacy Quoter is available)
     return {
       version: `V3 (${(fee / 10000).toFixed(2)}%)`,
       fee,
       price,
       amountOut,
+      priceImpact: v3Swap.estimatePriceImpact(
+        chainKey,
+        tokenIn,
+        tokenOut,
+        amountInWei.toString(),
+        quote.amountOut,
+        quote.sqrtPriceX96After
+      ),
+      ticksCrossed: quote.initializedTicksCrossed,
+      gasEstimate: quote.gasEstimate,
       available: true,
     };
   } catch (error) {
@@ -94,37 +104,37 @@ async function getV3Price(chainKey, tokenIn, tokenOut, fee, amountIn, decimalsIn
 }
 
 /**
- * Get Uniswap V4 price
+ * Get Uniswap V4 price from the best initialized pool
  * @param {string} chainKey - Chain key
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
- * @param {number} fee - Fee tier
  * @param {string} amountIn - Amount in (formatted)
  * @param {number} decimalsIn - Input token decimals
  * @returns {Promise<Object>} Price info
  */
-async function getV4Price(chainKey, tokenIn, tokenOut, fee, amountIn, decimalsIn, decimalsOut) {
+async function getV4Price(chainKey, tokenIn, tokenOut, amountIn, decimalsIn, decimalsOut) {
   try {
     const chain = CHAINS[chainKey];
-    if (!chain?.uniswap?.v4?.poolManager) {
+    if (!chain?.uniswap?.v4?.quoter) {
       return null;
     }
 
     const amountInWei = ethers.parseUnits(amountIn, decimalsIn);
-    const estimate = await v4Swap.estimateSwapOutput(chainKey, tokenIn, tokenOut, fee, amountInWei.toString());
+    const bestPool = await v4Swap.findBestPool(chainKey, tokenIn, tokenOut, amountInWei.toString());
 
-    if (!estimate || !estimate.amountOut) {
+    if (!bestPool || !bestPool.amountOut) {
       return null;
     }
 
-    const amountOut = formatTokenAmount(estimate.amountOut, decimalsOut);
+    const amountOut = formatTokenAmount(bestPool.amountOut, decimalsOut);
     const price = parseFloat(amountOut);
 
     return {
       version: "V4",
-      fee,
+      fee: bestPool.fee,
       price,
       amountOut,
+      gasEstimate: bestPool.gasEstimate,
       available: true,
     };
   } catch (error) {
@@ -169,7 +179,6 @@ async function monitorUniswapPrices(chainKey, tokenInAddress, tokenOutAddress, a
 
   // Fetch all prices in parallel
   const V3_FEE_TIERS = [100, 500, 3000, 10000]; // 0.01%, 0.05%, 0.3%, 1%
-  const V4_FEE_TIER = 3000; // Default to 0.3% for V4
 
   const pricePromises = [
     // V2
@@ -180,8 +189,8 @@ async function monitorUniswapPrices(chainKey, tokenInAddress, tokenOutAddress, a
       getV3Price(chainKey, tokenInAddress, tokenOutAddress, fee, amountIn, tokenIn.decimals, tokenOut.decimals)
     ),
 
-    // V4
-    getV4Price(chainKey, tokenInAddress, tokenOutAddress, V4_FEE_TIER, amountIn, tokenIn.decimals, tokenOut.decimals),
+    // V4 - best pool across fee tiers
+    getV4Price(chainKey, tokenInAddress, tokenOutAddress, amountIn, tokenIn.decimals, tokenOut.decimals),
   ];
 
   const results = await Promise.all(pricePromises);
@@ -217,7 +226,7 @@ async function monitorUniswapPrices(chainKey, tokenInAddress, tokenOutAddress, a
   prices.sort((a, b) => b.price - a.price);
 
   // Create results table
-  const table = createTable(["Version", "Price", "Output Amount", "vs Best", "Status"]);
+  const table = createTable(["Version", "Price", "Output Amount", "vs Best", "Impact", "Ticks", "Gas", "Status"]);
 
   const bestPrice = prices[0].price;
 
@@ -231,6 +240,9 @@ async function monitorUniswapPrices(chainKey, tokenInAddress, tokenOutAddress, a
       formatPrice(price.price, 6),
       `${parseFloat(price.amountOut).toFixed(6)} ${tokenOut.symbol}`,
       diffFormatted,
+      typeof price.priceImpact === "number" ? `${price.priceImpact.toFixed(3)}%` : "-",
+      price.ticksCrossed ?? "-",
+      price.gasEstimate ?? "-",
       status,
     ]);
   });
@@ -271,8 +283,10 @@ async function monitorUniswapPrices(chainKey, tokenInAddress, tokenOutAddress, a
   const v3Prices = prices.filter(p => p.version.startsWith("V3"));
   if (v3Prices.length > 0) {
     const bestV3 = v3Prices[0];
+    const impact = bestV3.priceImpact !== null ? `, ${bestV3.priceImpact.toFixed(3)}% impact` : "";
+    const ticks = bestV3.ticksCrossed !== null ? `, ${bestV3.ticksCrossed} ticks crossed` : "";
     insights.push({
-      message: `Best V3 tier: ${bestV3.version} - use for most trades`,
+      message: `Best V3 tier: ${bestV3.version} - use for most trades${impact}${ticks}`,
       type: "rocket",
     });
   }
@@ -7,6 +7,8 @@ const CHAINS = {
     chainId: 1,
     rpcUrl: process.env.ETHEREUM_RPC_URL || process.env.ETH_RPC_URL,
     explorer: "https://etherscan.io",
+    // Wrapped native gas token (used to price gas in output-token units)
+    wrappedNative: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
     uniswap: {
       v2: {
         factory: "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f",
@@ -14,13 +16,17 @@ const CHAINS = {
       },
       v3: {
         factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+        // Legacy Quoter is the fallback; QuoterV2 also returns ticks crossed, post-swap price and gas
         quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+        quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
         router: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
         nftPositionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
       },
       v4: {
         // V4 launched January 31, 2025 - uses singleton PoolManager architecture
         poolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        quoter: "0x52F0E24D1c21C8A0cB1e5a5dD6198556BD9E1203",
+        universalRouter: "0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af",
       },
     },
     curve: {
@@ -122,7 +128,10 @@ const CHAINS = {
       },
       v3: {
         vault: "0xba1333333333a1BA1108E8412f11850A5C319bA9",
-        // V3 pools (if any configured)
+        router: "0x5C6fb490BDFD3246EB0bB062c168DeCAF4bD9FDd",
+        batchRouter: "0x136f1EFcC3f8f88516B9E94110D56FDBfB1778d1",
+        // V3 pools are addressed by pool contract address (no poolId), e.g.
+        // boostedPool: { name: "...", version: "V3", address: "0x...", tokens: ["...", "..."], weights: [50, 50] }
         pools: {},
       },
     },
@@ -148,12 +157,24 @@ const CHAINS = {
         poolDataProvider: "0x7B4EB56E7CD4b454BA8ff71E4518426369a138a3",
       },
     },
+    // Chainlink USD feeds keyed by token, used as an independent reference price (utils/slippage)
+    chainlink: {
+      feeds: {
+        "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2": "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419", // WETH: ETH/USD
+        "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48": "0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6", // USDC/USD
+        "0xdAC17F958D2ee523a2206206994597C13D831ec7": "0x3E7d1eAB13ad0104d2750B8863b489D65364e32D", // USDT/USD
+        "0x6B175474E89094C44Da98b954EedeAC495271d0F": "0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9", // DAI/USD
+        "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599": "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c", // WBTC: BTC/USD
+        "0x514910771AF9Ca656af840dff83E8264EcF986CA": "0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c", // LINK/USD
+      },
+    },
   },
   arbitrum: {
     name: "Arbitrum",
     chainId: 42161,
     rpcUrl: process.env.ARBITRUM_RPC_URL,
     explorer: "https://arbiscan.io",
+    wrappedNative: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
     uniswap: {
       v2: {
         factory: "0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9",
@@ -162,12 +183,15 @@ const CHAINS = {
       v3: {
         factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
         quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+        quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
         router: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
         nftPositionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
       },
       v4: {
-        // V4 - uses same singleton PoolManager address across chains
-        poolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        // V4 - singleton PoolManager is deployed per chain
+        poolManager: "0x360E68faCcca8cA495c1B759Fd9EEe466db9FB32",
+        quoter: "0x3972C00f7ed4885e145823eb7C655375d275A1C5",
+        universalRouter: "0xA51afAFe0263b40EdaEf0Df8781eA9aa03E381a3",
       },
     },
     curve: {
@@ -182,6 +206,8 @@ const CHAINS = {
       },
       v3: {
         vault: "0xba1333333333a1BA1108E8412f11850A5C319bA9",
+        router: "0xEAedc32a51c510d35ebC11088fD5fF2b47aACF2E",
+        batchRouter: "0xaD89051bEd8d96f045E8912aE1672c6C0bF8a85E",
         pools: {},
       },
     },
@@ -208,6 +234,7 @@ const CHAINS = {
     chainId: 10,
     rpcUrl: process.env.OPTIMISM_RPC_URL,
     explorer: "https://optimistic.etherscan.io",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
     uniswap: {
       v2: {
         factory: "0x6eccab422D763aC031210895C81787E87B43A652",
@@ -216,12 +243,15 @@ const CHAINS = {
       v3: {
         factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
         quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+        quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
         router: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
         nftPositionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
       },
       v4: {
-        // V4 - uses same singleton PoolManager address across chains
-        poolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        // V4 - singleton PoolManager is deployed per chain
+        poolManager: "0x9a13F98Cb987694C9F086b1F5eB990EeA8264Ec3",
+        quoter: "0x1f3131A13296FB91C90870043742C3CDBFF1A8d7",
+        universalRouter: "0x851116D9223fabED8E56C0E6b8Ad0c31d98B3507",
       },
     },
     curve: {
@@ -262,6 +292,7 @@ const CHAINS = {
     chainId: 8453,
     rpcUrl: process.env.BASE_RPC_URL,
     explorer: "https://basescan.org",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
     uniswap: {
       v2: {
         factory: "0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6",
@@ -269,13 +300,16 @@ const CHAINS = {
       },
       v3: {
         factory: "0x33128a8fC17869897dcE68Ed026d69B80cc6b6C0",
-        quoter: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a",
+        // Only QuoterV2 is deployed here
+        quoterV2: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a",
         router: "0x2626664c2603336E57B271c5C0b26F421741e481",
         nftPositionManager: "0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1",
       },
       v4: {
-        // V4 - uses same singleton PoolManager address across chains
-        poolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        // V4 - singleton PoolManager is deployed per chain
+        poolManager: "0x498581fF718922c3f8e6A244956aF099B2652b2b",
+        quoter: "0x0d5e0F971ED27FBfF6c2837bf31316121532048D",
+        universalRouter: "0x6fF5693b99212Da76ad316178A184AB56D299b43",
       },
     },
     curve: {
@@ -290,6 +324,8 @@ const CHAINS = {
       },
       v3: {
         vault: "0xba1333333333a1BA1108E8412f11850A5C319bA9",
+        router: "0x3f170631ed9821Ca51A59D996aB095162438DC10",
+        batchRouter: "0x85a80afee867aDf27B50BdB7b76DA70f1E853062",
         pools: {},
       },
     },
@@ -316,6 +352,7 @@ const CHAINS = {
     chainId: 137,
     rpcUrl: process.env.POLYGON_RPC_URL,
     explorer: "https://polygonscan.com",
+    wrappedNative: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
     uniswap: {
       v2: {
         factory: "0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32",
@@ -323,13 +360,16 @@ const CHAINS = {
       },
       v3: {
         factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
-        quoter: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
+        quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+        quoterV2: "0x61fFE014bA17989E743c5F6cB21bF9697530B21e",
         router: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
         nftPositionManager: "0xC36442b4a4522E871399CD717aBDD847Ab11FE88",
       },
       v4: {
-        // V4 - uses same singleton PoolManager address across chains
-        poolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        // V4 - singleton PoolManager is deployed per chain
+        poolManager: "0x67366782805870060151383F4BbFF9daB53e5cD6",
+        quoter: "0xb3d5c3Dfc3a7aEbFF71895A7191796BFFc2c81b9",
+        universalRouter: "0x1095692A6237d83C6a72F3F5eFEdb9A670C49223",
       },
     },
     curve: {
@@ -374,6 +414,7 @@ const CHAINS = {
     chainId: 56,
     rpcUrl: process.env.BSC_RPC_URL,
     explorer: "https://bscscan.com",
+    wrappedNative: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
     uniswap: {
       v2: {
         factory: "0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6",
@@ -381,13 +422,16 @@ const CHAINS = {
       },
       v3: {
         factory: "0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7",
-        quoter: "0x78D78E420Da98ad378D7799bE8f4AF69033EB077",
+        // Only QuoterV2 is deployed here
+        quoterV2: "0x78D78E420Da98ad378D7799bE8f4AF69033EB077",
         router: "0x83c346Ba3d4b36E6Bf6F401e9954B7e8C5e1F18c",
         nftPositionManager: "0x7b8A07B6356C1ad843c34d0C5baD61160aC36FE3",
       },
       v4: {
-        // V4 - uses same singleton PoolManager address across chains
-        poolManager: "0x000000000004444c5dc75cB358380D2e3dE08A90",
+        // V4 - singleton PoolManager is deployed per chain
+        poolManager: "0x28e2Ea090877bF75740558f6BFB36A5ffeE9e9dF",
+        quoter: "0x9F75dD27D6664c475B90e105573E550ff69437B0",
+        universalRouter: "0x1906c1d672b88cD1B9aC7593301cA990F94Eae07",
       },
     },
     curve: {
@@ -420,6 +464,13 @@ const CHAINS = {
 };
 
 // Common tokens for analysis
+// Sentinel for the chain's native gas token (ETH, POL, BNB) in swap entry points;
+// the zero address is accepted too. Same placeholder Curve uses for native ETH in pool coins
+const NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// Uniswap V4 PoolKey fee value marking a pool whose hooks contract sets the LP fee per swap
+const DYNAMIC_FEE_FLAG = 0x800000;
+
 const COMMON_TOKENS = {
   WETH: {
     ethereum: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
@@ -514,4 +565,6 @@ const COMMON_TOKENS = {
 module.exports = {
   CHAINS,
   COMMON_TOKENS,
+  NATIVE_TOKEN,
+  DYNAMIC_FEE_FLAG,
 };
@@ -4,7 +4,7 @@
  */
 require("dotenv").config();
 const { ethers } = require("ethers");
-const { swapTokens, getPoolInfo } = require("../swaps/balancerSwap");
+const { swapTokens, getPoolInfo, findBestPath } = require("../swaps/balancerSwap");
 const { COMMON_TOKENS } = require("../config/chains");
 
 async function main() {
@@ -32,7 +32,7 @@ async function main() {
 
   console.log("Note: Balancer swaps require a valid pool ID.");
   console.log("Find pool IDs at https://app.balancer.fi/");
-  console.log("\nBalancer auto-routes between V2 and V3 vaults (V2 is default)");
+  console.log("\nBalancer routes by pool reference: bytes32 poolId -> V2 Vault, pool address -> V3 Router");
   console.log(`Example pool ID: ${examplePoolId}\n`);
 
   try {
@@ -46,6 +46,15 @@ async function main() {
     console.log(`Could not fetch pool info: ${error.message}`);
   }
 
+  // Quote through every configured pool (direct and two-hop routes) via Vault.queryBatchSwap
+  try {
+    const best = await findBestPath(chainKey, WETH, USDC, amountIn);
+    console.log(`\nBest Balancer route: ${best.path.length} hop(s)`);
+    console.log(`Expected output: ${ethers.formatUnits(best.amountOut, 6)} USDC`);
+  } catch (error) {
+    console.log(`Could not quote: ${error.message}`);
+  }
+
   console.log("\nSwap execution is commented out.");
   console.log("Uncomment the code below to execute a real swap:\n");
 
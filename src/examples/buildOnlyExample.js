@@ -0,0 +1,47 @@
+/**
+ * Build-Only Swap Example
+ * Builds the unsigned approval and swap transactions for an address without a private key,
+ * ready to submit through a Safe, custody platform or any other signer
+ */
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { swapTokens } = require("../swaps/dexAggregator");
+const { COMMON_TOKENS } = require("../config/chains");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const fromAddress = process.env.FROM_ADDRESS;
+
+  if (!fromAddress) {
+    console.error("Error: FROM_ADDRESS not set in .env");
+    process.exit(1);
+  }
+
+  console.log(`\nBuild-Only Swap Example on ${chainKey}`);
+  console.log(`Sender: ${fromAddress}\n`);
+
+  const USDC = COMMON_TOKENS.USDC[chainKey];
+  const WETH = COMMON_TOKENS.WETH[chainKey];
+  const amountIn = ethers.parseUnits("1000", 6).toString();
+
+  console.log(`Building 1000 USDC -> WETH`);
+
+  try {
+    const result = await swapTokens(chainKey, fromAddress, USDC, WETH, amountIn, { buildOnly: true });
+
+    console.log(`\nVenue: ${result.protocol.toUpperCase()} ${result.version.toUpperCase()}`);
+    console.log(`Expected output: ${ethers.formatEther(result.amountOut)} WETH\n`);
+
+    result.transactions.forEach((tx, idx) => {
+      console.log(`${idx + 1}. ${tx.label}`);
+      console.log(`   to:    ${tx.to}`);
+      console.log(`   value: ${tx.value}`);
+      console.log(`   gas:   ${tx.gasEstimate ?? "not estimated"}${tx.note ? ` (${tx.note})` : ""}`);
+      console.log(`   call:  ${tx.call ? tx.call.text : tx.data}`);
+    });
+  } catch (error) {
+    console.log(`Build failed: ${error.message}`);
+  }
+}
+
+main().catch(console.error);
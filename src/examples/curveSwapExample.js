@@ -4,7 +4,7 @@
  */
 require("dotenv").config();
 const { ethers } = require("ethers");
-const { swapTokens, getQuote, getPoolInfo, findTokenIndices } = require("../swaps/curveSwap");
+const { swapTokens, getQuote, getPoolInfo, findTokenIndices, findPools, findBestPool } = require("../swaps/curveSwap");
 const { COMMON_TOKENS } = require("../config/chains");
 
 async function main() {
@@ -56,6 +56,29 @@ async function main() {
     console.log(`Error: ${error.message}`);
   }
 
+  // Discover every pool for the pair through the MetaRegistry (no hardcoded pool needed)
+  try {
+    const pools = await findPools(chainKey, USDC, USDT);
+    console.log(`\nMetaRegistry pools for USDC -> USDT: ${pools.length}`);
+    pools.forEach(pool => {
+      console.log(`  ${pool.poolAddress} (i=${pool.i}, j=${pool.j}${pool.underlying ? ", underlying" : ""})`);
+    });
+  } catch (error) {
+    console.log(`Pool discovery failed: ${error.message}`);
+  }
+
+  // Metapool route: FRAX -> USDT trades through FRAX/3CRV as underlying coins (exchange_underlying)
+  if (chainKey === "ethereum") {
+    const FRAX = "0x853d955aCEf822Db058eb8505911ED77F175b99e";
+    try {
+      const best = await findBestPool(chainKey, FRAX, USDT, ethers.parseEther("100").toString());
+      console.log(`\nBest FRAX -> USDT pool: ${best.poolAddress} (underlying: ${best.underlying})`);
+      console.log(`Expected output: ${ethers.formatUnits(best.amountOut, 6)} USDT`);
+    } catch (error) {
+      console.log(`FRAX -> USDT quote failed: ${error.message}`);
+    }
+  }
+
   console.log("\nSwap execution is commented out.");
   console.log("Uncomment the code below to execute a real swap:\n");
 
@@ -70,7 +93,8 @@ async function main() {
   //   indices.i,
   //   indices.j,
   //   amountIn,
-  //   50 // 0.5% slippage
+  //   50, // 0.5% slippage
+  //   indices.underlying
   // );
   // console.log(`\nSwap successful!`);
   // console.log(`Transaction: ${result.hash}`);
@@ -0,0 +1,67 @@
+/**
+ * DCA Scheduler Example
+ * Runs recurring aggregator buys from the schedules in DCA_STATE_PATH, or writes the cost-basis report:
+ *   npm run dca:run     # Start the scheduler (Ctrl+C to stop; the ledger keeps every run)
+ *   npm run dca:report  # Write cumulative cost basis to DCA_REPORT_PATH
+ */
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadDcaState, startDcaScheduler, writeCostBasisReport } = require("../strategies/dcaScheduler");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+
+  if (process.argv[2] === "report") {
+    const rows = await writeCostBasisReport();
+    console.log(`${rows.length} filled run(s) in the report`);
+    return;
+  }
+
+  const privateKey = process.env.PRIVATE_KEY;
+  if (!privateKey) {
+    console.error("Error: PRIVATE_KEY not set in .env");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`\nDCA Scheduler Example on ${chainKey}`);
+  console.log(`Wallet: ${wallet.address}\n`);
+
+  // Add a schedule (run once; it persists in DCA_STATE_PATH)
+  // const { addSchedule } = require("../strategies/dcaScheduler");
+  // const { COMMON_TOKENS } = require("../config/chains");
+  //
+  // Buy WETH with 100 USDC every Monday at 09:00 UTC; after downtime, only the latest missed run executes
+  // addSchedule({
+  //   chainKey,
+  //   tokenIn: COMMON_TOKENS.USDC[chainKey],
+  //   tokenOut: COMMON_TOKENS.WETH[chainKey],
+  //   amountIn: ethers.parseUnits("100", 6).toString(),
+  //   cadence: "0 9 * * 1",
+  //   catchUp: "latest",
+  //   name: "weekly-eth",
+  // });
+
+  const { schedules, runs } = loadDcaState();
+  schedules.forEach(schedule => {
+    const filled = runs.filter(run => run.scheduleId === schedule.id && run.status === "filled").length;
+    const state = schedule.active ? "active" : "paused";
+    console.log(`${schedule.name}: ${schedule.amountIn} every "${schedule.cadence}" (${state}, ${filled} filled)`);
+  });
+
+  if (schedules.length === 0) {
+    console.log("No schedules yet; add one with addSchedule (see the commented code)");
+    return;
+  }
+
+  process.on("SIGINT", () => {
+    console.log("\nStopping DCA scheduler");
+    process.exit(0);
+  });
+
+  await startDcaScheduler(wallet);
+}
+
+main().catch(console.error);
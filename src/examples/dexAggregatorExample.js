@@ -5,7 +5,7 @@
  */
 require("dotenv").config();
 const { ethers } = require("ethers");
-const { swapTokens, getBestQuote } = require("../swaps/dexAggregator");
+const { swapTokens, getBestQuote, getBestQuoteExactOutput } = require("../swaps/dexAggregator");
 const { COMMON_TOKENS } = require("../config/chains");
 
 async function main() {
@@ -37,11 +37,16 @@ async function main() {
     console.log(`\nBest price found:`);
     console.log(`Protocol: ${bestQuote.protocol.toUpperCase()} ${bestQuote.version.toUpperCase()}`);
     console.log(`Expected output: ${ethers.formatUnits(bestQuote.amountOut, 6)} USDC`);
+    if (bestQuote.gasCost !== null) {
+      console.log(`Gas cost: ${ethers.formatUnits(bestQuote.gasCost, 6)} USDC (${bestQuote.gasUnits} gas)`);
+      console.log(`Net output: ${ethers.formatUnits(bestQuote.netAmountOut, 6)} USDC`);
+    }
   } catch (error) {
     console.log(`Error getting quotes: ${error.message}`);
   }
 
-  // Example 2: Include Curve pool (if you have a WETH/USDC Curve pool)
+  // Example 2: Pin a specific Curve pool
+  // (by default every pool the Curve MetaRegistry lists for the pair is quoted automatically)
   // const curvePoolAddress = "0x..."; // Your Curve pool address
   // const curveIndices = { i: 0, j: 1 }; // Token indices in the pool
   //
@@ -50,13 +55,25 @@ async function main() {
   //   curveTokenIndices: curveIndices,
   // });
 
-  // Example 3: Include Balancer pool (if you have a WETH/USDC Balancer pool)
+  // Example 3: Pin a specific Balancer pool
+  // (by default every pool in CHAINS[chainKey].balancer.v2.pools is quoted automatically)
   // const balancerPoolId = "0x..."; // Your Balancer pool ID
   //
   // const bestQuoteWithBalancer = await getBestQuote(chainKey, WETH, USDC, amountIn, {
   //   balancerPoolId,
   // });
 
+  // Example 4: Exact output - buy exactly 100 USDC with the least WETH
+  try {
+    const amountOut = ethers.parseUnits("100", 6).toString();
+    const bestExactOut = await getBestQuoteExactOutput(chainKey, WETH, USDC, amountOut, { quiet: true });
+    console.log(`\nCheapest venue for exactly 100 USDC:`);
+    console.log(`Protocol: ${bestExactOut.protocol.toUpperCase()} ${bestExactOut.version.toUpperCase()}`);
+    console.log(`Required input: ${ethers.formatEther(bestExactOut.amountIn)} WETH`);
+  } catch (error) {
+    console.log(`Error getting exact output quotes: ${error.message}`);
+  }
+
   console.log("\nSwap execution is commented out.");
   console.log("Uncomment the code below to execute a real swap:\n");
 
@@ -75,6 +92,20 @@ async function main() {
   // console.log(`Protocol used: ${result.protocol} ${result.version}`);
   // console.log(`Transaction: ${result.hash}`);
 
+  // Exact output: receive exactly 100 USDC, spending at most 0.05 WETH
+  // const result = await swapTokens(
+  //   chainKey,
+  //   wallet,
+  //   WETH,
+  //   USDC,
+  //   ethers.parseUnits("100", 6).toString(),
+  //   {
+  //     exactOutput: true,
+  //     slippageBps: 50,
+  //     maxAmountIn: ethers.parseEther("0.05").toString(),
+  //   }
+  // );
+
   // Force specific protocol
   // const result = await swapTokens(
   //   chainKey,
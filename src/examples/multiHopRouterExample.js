@@ -0,0 +1,53 @@
+/**
+ * Multi-Hop Router Example
+ * Finds the best 1-3 hop route across all protocols through connector tokens (WETH, USDC, USDT, DAI, WBTC)
+ */
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { findBestRoute, displayRoute } = require("../swaps/multiHopRouter");
+const { COMMON_TOKENS } = require("../config/chains");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const privateKey = process.env.PRIVATE_KEY;
+
+  if (!privateKey) {
+    console.error("Error: PRIVATE_KEY not set in .env");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`\nMulti-Hop Router Example on ${chainKey}`);
+  console.log(`Wallet: ${wallet.address}\n`);
+
+  const LDO = COMMON_TOKENS.LDO[chainKey];
+  const WBTC = COMMON_TOKENS.WBTC[chainKey];
+  const amountIn = ethers.parseEther("1000").toString();
+
+  console.log(`Routing 1000 LDO -> WBTC`);
+
+  let route;
+  try {
+    route = await findBestRoute(chainKey, LDO, WBTC, amountIn);
+    displayRoute(route);
+    console.log(`Expected output: ${ethers.formatUnits(route.amountOut, 8)} WBTC`);
+  } catch (error) {
+    console.log(`Routing failed: ${error.message}`);
+    return;
+  }
+
+  console.log("\nSwap execution is commented out.");
+  console.log("Uncomment the code below to execute the route:\n");
+
+  // Hops are sent back to back; the transaction manager keeps their nonces and fees in order
+  // const { executeRoute } = require("../swaps/multiHopRouter");
+  // const { createTxManager } = require("../utils/txManager");
+  // const manager = createTxManager(chainKey, wallet, { feeStrategy: "urgent" });
+  // const result = await executeRoute(chainKey, manager, route, { slippageBps: 50 });
+  // result.hops.forEach((hop, i) => console.log(`Hop ${i + 1}: ${hop.hash}`));
+  // console.log(`Output: ${result.amountOut}`);
+}
+
+main().catch(console.error);
@@ -0,0 +1,65 @@
+/**
+ * Limit / Stop Order Watcher Example
+ * Shows the local order book (ORDER_BOOK_PATH) and watches it, executing orders through the DEX aggregator
+ * when their trigger price is reached. Stop with Ctrl+C; orders stay in the book
+ */
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { listOrders, displayOrders } = require("../strategies/orderBook");
+const { watchOrders } = require("../strategies/orderWatcher");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const privateKey = process.env.PRIVATE_KEY;
+
+  if (!privateKey) {
+    console.error("Error: PRIVATE_KEY not set in .env");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`\nOrder Watcher Example on ${chainKey}`);
+  console.log(`Wallet: ${wallet.address}`);
+
+  // Add orders to the book (run once; they persist in ORDER_BOOK_PATH)
+  // const { addOrder } = require("../strategies/orderBook");
+  // const { COMMON_TOKENS } = require("../config/chains");
+  // const WETH = COMMON_TOKENS.WETH[chainKey];
+  // const USDC = COMMON_TOKENS.USDC[chainKey];
+  //
+  // Sell 10 WETH once Uniswap V3 quotes at least 4000 USDC per WETH
+  // addOrder({
+  //   chainKey,
+  //   type: "limit",
+  //   tokenIn: WETH,
+  //   tokenOut: USDC,
+  //   amountIn: ethers.parseEther("10").toString(),
+  //   triggerPrice: 4000,
+  //   venue: { protocol: "uniswap", version: "v3" },
+  //   expiresInSeconds: 7 * 24 * 60 * 60,
+  // });
+  //
+  // Stop-loss: sell 10 WETH if the best quote drops to 2500 USDC per WETH or less
+  // addOrder({
+  //   chainKey,
+  //   type: "stop",
+  //   tokenIn: WETH,
+  //   tokenOut: USDC,
+  //   amountIn: ethers.parseEther("10").toString(),
+  //   triggerPrice: 2500,
+  //   slippageBps: 100,
+  // });
+
+  displayOrders(listOrders({ chainKey }));
+
+  process.on("SIGINT", () => {
+    console.log("\nStopping order watcher");
+    process.exit(0);
+  });
+
+  await watchOrders(chainKey, wallet);
+}
+
+main().catch(console.error);
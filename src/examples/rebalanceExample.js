@@ -0,0 +1,72 @@
+/**
+ * Portfolio Rebalancer Example
+ * Plans swaps that bring the wallet back to 40% WETH / 40% USDC / 20% WBTC and shows them as a dry run.
+ * On a fork (node scripts/startFork.js) the plan executes straight away; on a live chain it asks first
+ */
+require("dotenv").config();
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { planRebalance, displayRebalancePlan, executeRebalance } = require("../strategies/rebalancer");
+const { detectFork } = require("../utils/forkDetection");
+const { COMMON_TOKENS } = require("../config/chains");
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve =>
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(answer.trim().toLowerCase() === "y");
+    })
+  );
+}
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const privateKey = process.env.PRIVATE_KEY;
+
+  if (!privateKey) {
+    console.error("Error: PRIVATE_KEY not set in .env");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`\nPortfolio Rebalancer Example on ${chainKey}`);
+  console.log(`Wallet: ${wallet.address}`);
+
+  const targets = [
+    { token: COMMON_TOKENS.WETH[chainKey], weight: 40 },
+    { token: COMMON_TOKENS.USDC[chainKey], weight: 40 },
+    { token: COMMON_TOKENS.WBTC[chainKey], weight: 20 },
+  ];
+
+  try {
+    const plan = await planRebalance(chainKey, wallet.address, targets);
+    displayRebalancePlan(plan);
+
+    if (plan.trades.length === 0) {
+      return;
+    }
+
+    const { isFork } = await detectFork(chainKey);
+    const confirmed = isFork || (await confirm(`Send ${plan.trades.length} swap(s) on ${chainKey}?`));
+    if (!confirmed) {
+      console.log("Dry run only, nothing sent");
+      return;
+    }
+
+    const results = await executeRebalance(chainKey, wallet, plan, { confirm: confirmed, slippageBps: 50 });
+    results.forEach(trade => {
+      const detail = trade.status === "filled" ? trade.result.hash : trade.error || "";
+      console.log(`${trade.symbolIn} -> ${trade.symbolOut}: ${trade.status} ${detail}`);
+    });
+  } catch (error) {
+    console.log(`Rebalance failed: ${error.message}`);
+  }
+}
+
+main().catch(console.error);
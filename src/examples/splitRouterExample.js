@@ -0,0 +1,50 @@
+/**
+ * Split Router Example
+ * Splits a large trade across venues when that beats the single best venue
+ */
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { findBestSplit, displaySplit } = require("../swaps/splitRouter");
+const { COMMON_TOKENS } = require("../config/chains");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const privateKey = process.env.PRIVATE_KEY;
+
+  if (!privateKey) {
+    console.error("Error: PRIVATE_KEY not set in .env");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`\nSplit Router Example on ${chainKey}`);
+  console.log(`Wallet: ${wallet.address}\n`);
+
+  const WETH = COMMON_TOKENS.WETH[chainKey];
+  const USDC = COMMON_TOKENS.USDC[chainKey];
+  const amountIn = ethers.parseEther("500").toString();
+
+  console.log(`Splitting 500 WETH -> USDC`);
+
+  let plan;
+  try {
+    plan = await findBestSplit(chainKey, WETH, USDC, amountIn, { steps: 10 });
+    displaySplit(plan);
+    console.log(`Expected output: ${ethers.formatUnits(plan.amountOut, 6)} USDC`);
+  } catch (error) {
+    console.log(`Split search failed: ${error.message}`);
+    return;
+  }
+
+  console.log("\nSwap execution is commented out.");
+  console.log("Uncomment the code below to execute the split (atomic mode requires a fork):\n");
+
+  // const { executeSplit } = require("../swaps/splitRouter");
+  // const result = await executeSplit(chainKey, wallet, plan, { slippageBps: 50, atomic: true });
+  // result.legs.forEach((leg, i) => console.log(`Leg ${i + 1}: ${leg.hash}`));
+  // console.log(`Output: ${result.amountOut}`);
+}
+
+main().catch(console.error);
@@ -0,0 +1,46 @@
+/**
+ * Token Safety Scan Example
+ * Scans a token for honeypot, tax, proxy, privileged-function and holder concentration risks.
+ * The buy/sell round trip only runs against a fork (node scripts/startFork.js)
+ */
+require("dotenv").config();
+const { scanToken } = require("../utils/tokenSafety");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const tokenAddress = process.env.TOKEN_ADDRESS;
+
+  if (!tokenAddress) {
+    console.error("Error: TOKEN_ADDRESS not set in .env");
+    process.exit(1);
+  }
+
+  console.log(`\nToken Safety Scan on ${chainKey}`);
+  console.log(`Token: ${tokenAddress}\n`);
+
+  try {
+    const report = await scanToken(chainKey, tokenAddress);
+
+    console.log(`${report.symbol || "Unknown symbol"}: ${report.risk.toUpperCase()} risk\n`);
+
+    if (report.issues.length === 0) {
+      console.log("No issues found");
+    }
+    report.issues.forEach(issue => {
+      console.log(`[${issue.severity}] ${issue.check}: ${issue.message}`);
+    });
+
+    const { concentration } = report.checks;
+    if (!concentration.skipped) {
+      console.log("\nLargest holders seen:");
+      concentration.topHolders.forEach(holder => {
+        const kind = holder.isContract ? "contract" : "wallet";
+        console.log(`  ${holder.address} ${(holder.shareBps / 100).toFixed(2)}% (${kind})`);
+      });
+    }
+  } catch (error) {
+    console.log(`Scan failed: ${error.message}`);
+  }
+}
+
+main().catch(console.error);
@@ -0,0 +1,57 @@
+/**
+ * TWAP Executor Example
+ * Sells WETH for USDC in time-sliced child orders through the DEX aggregator.
+ * Progress is saved under TWAP_STATE_DIR; rerunning the same order after a restart resumes it
+ */
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { createTwapOrder } = require("../strategies/twapExecutor");
+const { COMMON_TOKENS } = require("../config/chains");
+
+async function main() {
+  const chainKey = process.env.CHAIN || "ethereum";
+  const privateKey = process.env.PRIVATE_KEY;
+
+  if (!privateKey) {
+    console.error("Error: PRIVATE_KEY not set in .env");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`\nTWAP Executor Example on ${chainKey}`);
+  console.log(`Wallet: ${wallet.address}\n`);
+
+  const WETH = COMMON_TOKENS.WETH[chainKey];
+  const USDC = COMMON_TOKENS.USDC[chainKey];
+  const amountIn = ethers.parseEther("1").toString();
+
+  // 1 WETH in 6 slices over 30 minutes, refusing any slice more than 1% below the arrival price
+  const orderOptions = { slices: 6, durationSeconds: 30 * 60, limitBps: 100, slippageBps: 50 };
+
+  try {
+    const order = await createTwapOrder(chainKey, wallet.address, WETH, USDC, amountIn, orderOptions);
+    console.log(`Arrival price: ${order.arrivalPrice} USDC per WETH`);
+    console.log(`Limit price: ${order.limitPrice} USDC per WETH`);
+    console.log(`Schedule:`);
+    order.children.forEach(child => {
+      const at = new Date(child.scheduledAt * 1000).toISOString();
+      console.log(`  ${child.index + 1}. ${ethers.formatEther(child.amountIn)} WETH at ${at}`);
+    });
+  } catch (error) {
+    console.log(`Error planning TWAP order: ${error.message}`);
+  }
+
+  console.log("\nExecution is commented out.");
+  console.log("Uncomment the code below to run the order:\n");
+
+  // const { executeTwap, displayTwapReport } = require("../strategies/twapExecutor");
+  // const report = await executeTwap(chainKey, wallet, WETH, USDC, amountIn, {
+  //   ...orderOptions,
+  //   swapOptions: { submission: "relay" }, // Optional: keep child orders out of the public mempool
+  // });
+  // displayTwapReport(report);
+}
+
+main().catch(console.error);
@@ -66,22 +66,30 @@ async function main() {
     console.log("Pool may not be initialized yet.");
   }
 
-  // Example 3: Estimate swap output
-  console.log("\n\nExample 3: Estimating swap output");
+  // Example 3: Quote swap output via V4Quoter
+  console.log("\n\nExample 3: Quoting swap output");
   const amountIn = ethers.parseEther("0.1");
 
   try {
-    const estimate = await v4.estimateSwapOutput(CHAIN, weth, usdc, v4.FEE_TIERS.MEDIUM, amountIn.toString());
-    console.log(`Estimated output: ${ethers.formatUnits(estimate, 6)} USDC`);
-    console.log("Note: This is a simplified estimate");
+    const quote = await v4.getQuote(CHAIN, weth, usdc, v4.FEE_TIERS.MEDIUM, amountIn.toString());
+    console.log(`Quoted output: ${ethers.formatUnits(quote.amountOut, 6)} USDC`);
+    console.log(`Gas estimate: ${quote.gasEstimate}`);
   } catch (error) {
-    console.error(`Error estimating: ${error.message}`);
+    console.error(`Error quoting: ${error.message}`);
   }
 
-  // Example 4: Execute swap (VERY CAUTIOUS - commented out)
-  console.log("\n\nExample 4: Execute V4 swap");
-  console.log("⚠️  WARNING: V4 direct PoolManager interaction is advanced.");
-  console.log("Production apps should use V4 Router contracts.");
+  // Native ETH pools use ADDRESS_ZERO as the currency
+  try {
+    const best = await v4.findBestPool(CHAIN, v4.ADDRESS_ZERO, usdc, amountIn.toString());
+    console.log(`Best native ETH pool: ${best.fee / 10000}% -> ${ethers.formatUnits(best.amountOut, 6)} USDC`);
+  } catch (error) {
+    console.error(`No native ETH pool found: ${error.message}`);
+  }
+
+  // Example 4: Execute swap (commented out)
+  console.log("\n\nExample 4: Execute V4 swap via Universal Router");
+  console.log("Swaps are encoded as V4_SWAP (SWAP_EXACT_IN_SINGLE -> SETTLE_ALL -> TAKE_ALL)");
+  console.log("ERC20 input is permitted with a Permit2 signature; native ETH input is sent as msg.value");
 
   /*
   try {
@@ -95,19 +103,14 @@ async function main() {
       50, // 0.5% slippage
     );
     console.log(`Transaction: ${result.hash}`);
-    console.log(`Delta: ${result.delta}`);
+    console.log(`Expected Output: ${result.amountOut} (min ${result.amountOutMin})`);
   } catch (error) {
     console.error(`Swap failed: ${error.message}`);
   }
   */
 
   console.log("\n⚠️  Swap execution is commented out.");
-  console.log("\n📚 V4 Production Recommendations:");
-  console.log("  1. Use official V4 Router contracts for swaps");
-  console.log("  2. Implement proper settle/take logic");
-  console.log("  3. Handle hooks if pools use them");
-  console.log("  4. Use flash accounting patterns");
-  console.log("\nDirect PoolManager interaction shown here is for educational purposes.");
+  console.log("Test against an Anvil fork: VERSION=v4 node src/simulation/simulateSwap.js");
 }
 
 main();
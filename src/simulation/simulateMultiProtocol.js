@@ -22,6 +22,7 @@ const { detectFork, getForkBlockNumber } = require("../utils/forkDetection");
 const { impersonateWhale, getTokenBalance } = require("../utils/impersonate");
 const { CHAINS, COMMON_TOKENS } = require("../config/chains");
 const { getPair } = require("../config/pairs");
+const { getGasPrice } = require("../utils/gas");
 
 // Import all swap modules
 const v2Swap = require("../swaps/v2Swap");
@@ -87,7 +88,12 @@ async function getUniswapV2Quote(chainKey, tokenIn, tokenOut, amountIn) {
 async function getUniswapV3Quote(chainKey, tokenIn, tokenOut, amountIn) {
   try {
     const bestFee = await v3Swap.findBestFee(chainKey, tokenIn, tokenOut, amountIn);
-    return { amountOut: bestFee.amountOut, fee: bestFee.fee };
+    return {
+      amountOut: bestFee.amountOut,
+      fee: bestFee.fee,
+      priceImpact: bestFee.priceImpact,
+      gasEstimate: bestFee.gasEstimate,
+    };
   } catch (error) {
     return null;
   }
@@ -138,6 +144,17 @@ async function getCurveQuote(chainKey, tokenInSymbol, tokenOutSymbol, amountIn)
   }
 }
 
+/**
+ * Get quote from Balancer V2 (best route through configured pools)
+ */
+async function getBalancerQuote(chainKey, tokenIn, tokenOut, amountIn) {
+  try {
+    return await balancerSwap.findBestPath(chainKey, tokenIn, tokenOut, amountIn);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Aggregate quotes from all protocols
  */
@@ -179,8 +196,14 @@ async function aggregateQuotes(chainKey, tokenInSymbol, tokenOutSymbol, amountIn
       amountOut: uniV3Quote.amountOut,
       data: { tokenIn, tokenOut, fee: uniV3Quote.fee },
     });
+    // Price impact and gas come straight from QuoterV2 (null with the legacy Quoter)
+    const extras =
+      uniV3Quote.priceImpact !== null
+        ? chalk.gray(` impact ${uniV3Quote.priceImpact.toFixed(3)}%, ${uniV3Quote.gasEstimate} gas`)
+        : "";
     console.log(
-      chalk.green("✓") + ` ${formatAmount(uniV3Quote.amountOut, 6)} ${tokenOutSymbol} (${uniV3Quote.fee / 10000}% fee)`
+      chalk.green("✓") +
+        ` ${formatAmount(uniV3Quote.amountOut, 6)} ${tokenOutSymbol} (${uniV3Quote.fee / 10000}% fee)${extras}`
     );
   } else {
     console.log(chalk.red("✗") + " Not available");
@@ -222,8 +245,22 @@ async function aggregateQuotes(chainKey, tokenInSymbol, tokenOutSymbol, amountIn
     console.log(chalk.red("✗") + " Not available");
   }
 
-  // Balancer (Note: Requires poolId, skipping for now unless configured)
-  // You can add Balancer support here if you have pool IDs configured
+  // Balancer V2
+  process.stdout.write(chalk.gray("  Balancer V2       "));
+  const balancerQuote = await getBalancerQuote(chainKey, tokenIn, tokenOut, amountIn);
+  if (balancerQuote) {
+    quotes.push({
+      protocol: "Balancer",
+      version: "V2",
+      amountOut: balancerQuote.amountOut,
+      data: { tokenIn, tokenOut, path: balancerQuote.path },
+    });
+    console.log(
+      chalk.green("✓") + ` ${formatAmount(balancerQuote.amountOut, 6)} ${tokenOutSymbol} (${balancerQuote.path.length} hop)`
+    );
+  } else {
+    console.log(chalk.red("✗") + " Not available");
+  }
 
   return quotes;
 }
@@ -297,6 +334,8 @@ async function executeSwap(chainKey, signer, bestQuote, tokenInSymbol, tokenOutS
       amountIn,
       slippageBps
     );
+  } else if (protocol === "Balancer") {
+    return await balancerSwap.swapV2MultiHop(chainKey, signer, data.path, amountIn, slippageBps);
   }
 
   throw new Error(`Execution not implemented for ${protocol} ${version}`);
@@ -453,7 +492,7 @@ async function simulateMultiProtocolSwap() {
 
     printSection("Gas Analysis");
     console.log(`  Gas Used: ${chalk.cyan(receipt.gasUsed.toString())}`);
-    const gasPrice = receipt.gasPrice || ethers.parseUnits("25", "gwei");
+    const gasPrice = receipt.gasPrice ?? (await getGasPrice(CHAIN));
     const gasCost = receipt.gasUsed * gasPrice;
     console.log(`  Gas Cost: ${chalk.yellow(formatAmount(gasCost, 18, "ETH"))}`);
 
@@ -5,6 +5,7 @@
  * Usage:
  *   SIMULATE_ONLY=true node src/simulation/simulateSwap.js   # Quote only
  *   node src/simulation/simulateSwap.js                       # Full execution on fork
+ *   VERSION=v4 node src/simulation/simulateSwap.js            # Uniswap V4 via Universal Router
  */
 require("dotenv").config();
 const { ethers } = require("ethers");
@@ -14,12 +15,15 @@ const { detectFork, getForkBlockNumber } = require("../utils/forkDetection");
 const { impersonateWhale, getTokenBalance } = require("../utils/impersonate");
 const { CHAINS, COMMON_TOKENS } = require("../config/chains");
 const { getPair } = require("../config/pairs");
+const { getGasPrice } = require("../utils/gas");
 const v3Swap = require("../swaps/v3Swap");
+const v4Swap = require("../swaps/v4Swap");
 
 // Configuration
 const CHAIN = process.env.CHAIN || "ethereum";
 const SIMULATE_ONLY = process.env.SIMULATE_ONLY === "true";
 const PAIR_NAME = process.env.PAIR || "WETH/USDC";
+const VERSION = (process.env.VERSION || "v3").toLowerCase();
 
 /**
  * Calculate price impact
@@ -58,7 +62,7 @@ function printSection(title) {
  * Main simulation function
  */
 async function simulateSwap() {
-  printHeader("UNISWAP V3 TRADE SIMULATION");
+  printHeader(`UNISWAP ${VERSION.toUpperCase()} TRADE SIMULATION`);
 
   // Check fork status
   const { isFork, forkType } = await detectFork(CHAIN);
@@ -73,6 +77,7 @@ async function simulateSwap() {
   }
   console.log(`  Mode: ${SIMULATE_ONLY ? chalk.yellow("QUOTE ONLY") : chalk.green("FULL EXECUTION")}`);
   console.log(`  Pair: ${chalk.cyan(PAIR_NAME)}`);
+  console.log(`  Protocol: ${chalk.cyan(`Uniswap ${VERSION.toUpperCase()}`)}`);
 
   // Trading parameters from pairs.js
   const pair = getPair(PAIR_NAME);
@@ -108,12 +113,30 @@ async function simulateSwap() {
 
   const quotes = [];
 
-  for (const tier of feeTiers) {
+  if (VERSION === "v4") {
+    // V4 pools are keyed by fee, tick spacing and hooks - let findBestPool scan the standard keys
     try {
-      const quote = await v3Swap.getQuote(CHAIN, tokenIn, tokenOut, tier.value, amountIn.toString());
+      const best = await v4Swap.findBestPool(CHAIN, tokenIn, tokenOut, amountIn.toString());
+      const quoteFormatted = ethers.formatUnits(best.amountOut, tokenOutDecimals);
+      quotes.push({ tier: `${best.fee / 10000}%`, value: best.fee, quote: best.amountOut, quoteFormatted, pool: best });
+      console.log(`  ${"V4".padEnd(6)} ${chalk.green("✓")} ${chalk.cyan(quoteFormatted)} ${pair.tokenOut}`);
+    } catch (error) {
+      console.log(`  ${"V4".padEnd(6)} ${chalk.red("✗")} ${error.message}`);
+    }
+  }
+
+  for (const tier of VERSION === "v4" ? [] : feeTiers) {
+    try {
+      const detailed = await v3Swap.getQuoteDetailed(CHAIN, tokenIn, tokenOut, tier.value, amountIn.toString());
+      const quote = detailed.amountOut;
       const quoteFormatted = ethers.formatUnits(quote, tokenOutDecimals);
-      quotes.push({ tier: tier.name, value: tier.value, quote, quoteFormatted });
-      console.log(`  ${tier.name.padEnd(6)} ${chalk.green("✓")} ${chalk.cyan(quoteFormatted)} ${pair.tokenOut}`);
+      const impact = v3Swap.estimatePriceImpact(CHAIN, tokenIn, tokenOut, amountIn.toString(), quote, detailed.sqrtPriceX96After);
+      quotes.push({ tier: tier.name, value: tier.value, quote, quoteFormatted, impact, gasEstimate: detailed.gasEstimate });
+      // QuoterV2 extras are null when only the legacy Quoter answered
+      const extras = detailed.gasEstimate
+        ? chalk.gray(` (impact ${impact.toFixed(3)}%, ${detailed.initializedTicksCrossed} ticks, ${detailed.gasEstimate} gas)`)
+        : "";
+      console.log(`  ${tier.name.padEnd(6)} ${chalk.green("✓")} ${chalk.cyan(quoteFormatted)} ${pair.tokenOut}${extras}`);
     } catch (error) {
       console.log(`  ${tier.name.padEnd(6)} ${chalk.red("✗")} Pool not available`);
     }
@@ -132,6 +155,10 @@ async function simulateSwap() {
   printSection("Best Quote");
   console.log(`  Fee Tier: ${chalk.cyan(bestQuote.tier)}`);
   console.log(`  Expected Output: ${chalk.green(bestQuote.quoteFormatted + " " + pair.tokenOut)}`);
+  if (bestQuote.gasEstimate) {
+    console.log(`  Quoted Price Impact: ${chalk.yellow(bestQuote.impact.toFixed(3) + "%")}`);
+    console.log(`  Quoter Gas Estimate: ${chalk.yellow(bestQuote.gasEstimate)}`);
+  }
   console.log(`  Exchange Rate: ${chalk.yellow(pair.amount + " " + pair.tokenIn)} = ${chalk.yellow(bestQuote.quoteFormatted + " " + pair.tokenOut)}`);
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -186,15 +213,28 @@ async function simulateSwap() {
 
     // Execute swap
     console.log(chalk.gray("\n  Submitting transaction..."));
-    const result = await v3Swap.swapExactInputSingle(
-      CHAIN,
-      signer,
-      tokenIn,
-      tokenOut,
-      bestQuote.value,
-      amountIn.toString(),
-      50 // 0.5% slippage
-    );
+    const result =
+      VERSION === "v4"
+        ? await v4Swap.swapV4(
+            CHAIN,
+            signer,
+            tokenIn,
+            tokenOut,
+            bestQuote.value,
+            amountIn.toString(),
+            50, // 0.5% slippage
+            null,
+            { tickSpacing: bestQuote.pool.tickSpacing, hooks: bestQuote.pool.hooks, hookData: bestQuote.pool.hookData }
+          )
+        : await v3Swap.swapExactInputSingle(
+            CHAIN,
+            signer,
+            tokenIn,
+            tokenOut,
+            bestQuote.value,
+            amountIn.toString(),
+            50 // 0.5% slippage
+          );
 
     console.log(chalk.green(`\n  ✓ Transaction confirmed!`));
     console.log(`  Hash: ${chalk.cyan(result.hash)}`);
@@ -217,7 +257,7 @@ async function simulateSwap() {
 
     printSection("Gas Analysis");
     console.log(`  Gas Used: ${chalk.cyan(receipt.gasUsed.toString())}`);
-    const gasPrice = receipt.gasPrice || ethers.parseUnits("25", "gwei");
+    const gasPrice = receipt.gasPrice ?? (await getGasPrice(CHAIN));
     const gasCost = receipt.gasUsed * gasPrice;
     console.log(`  Gas Cost: ${chalk.yellow(formatAmount(gasCost, 18, "ETH"))}`);
 
@@ -0,0 +1,343 @@
+/**
+ * Dollar-cost averaging scheduler
+ * Schedules buy a fixed amount of tokenOut with tokenIn on a cron cadence (utils/cron, UTC) through the aggregator.
+ * Schedules and a run ledger share one state file (DCA_STATE_PATH); every cron slot is written to the ledger
+ * before its swap is sent, so a slot never executes twice, even across restarts.
+ * Slots missed while the scheduler wasn't running follow the schedule's catch-up policy:
+ *   latest - run the most recent missed slot only, record the older ones as missed (default)
+ *   all    - run every missed slot, oldest first
+ *   none   - only run a slot within DCA_GRACE_SECONDS of its time, record the rest as missed
+ */
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const {
+  validateChainKey,
+  validateWallet,
+  validateAddress,
+  validateAmount,
+  validateSlippage,
+} = require("../utils/validation");
+const { parseCron, cronTimesBetween } = require("../utils/cron");
+const { getTokenDecimals } = require("../utils/tokenHelpers");
+const { readState, writeState } = require("../utils/stateFile");
+const { writeCSV } = require("../utils/csv");
+const dexAggregator = require("../swaps/dexAggregator");
+
+// DCA defaults (sample.env: DCA_STATE_PATH, DCA_REPORT_PATH, DCA_GRACE_SECONDS, DCA_POLL_SECONDS)
+const DEFAULT_STATE_PATH = process.env.DCA_STATE_PATH || "output/dca.json";
+const DEFAULT_REPORT_PATH = process.env.DCA_REPORT_PATH || "output/dca-cost-basis.csv";
+const GRACE_SECONDS = Number(process.env.DCA_GRACE_SECONDS || 600);
+const DEFAULT_POLL_SECONDS = Number(process.env.DCA_POLL_SECONDS || 60);
+
+const CATCH_UP_POLICIES = ["latest", "all", "none"];
+
+/**
+ * Load the scheduler state
+ * @param {string} statePath - State file (default: DCA_STATE_PATH)
+ * @returns {{schedules: object[], runs: object[]}}
+ */
+function loadDcaState(statePath = DEFAULT_STATE_PATH) {
+  return readState(statePath, { schedules: [], runs: [] });
+}
+
+/**
+ * Add a DCA schedule
+ * @param {object} params - Schedule parameters
+ * @param {string} params.chainKey - Chain identifier
+ * @param {string} params.tokenIn - Token spent (e.g. USDC)
+ * @param {string} params.tokenOut - Token accumulated (e.g. WETH)
+ * @param {string} params.amountIn - Amount spent per run (in wei)
+ * @param {string} params.cadence - Cron expression, e.g. "0 9 * * 1" (Mondays 09:00 UTC) or "@daily"
+ * @param {string} params.catchUp - Missed-run policy: latest, all or none (default: latest)
+ * @param {number} params.slippageBps - Slippage tolerance per run (default: 50 = 0.5%)
+ * @param {string} params.name - Label used in logs and the cost-basis report
+ * @param {string} statePath - State file (default: DCA_STATE_PATH)
+ * @returns {object} Stored schedule
+ */
+function addSchedule(params, statePath = DEFAULT_STATE_PATH) {
+  const { chainKey, tokenIn, tokenOut, amountIn, cadence, catchUp = "latest", slippageBps = 50, name = null } = params;
+
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+  validateSlippage(slippageBps);
+  parseCron(cadence);
+
+  if (!CATCH_UP_POLICIES.includes(catchUp)) {
+    throw new Error(`Invalid catch-up policy: ${catchUp}. Use one of: ${CATCH_UP_POLICIES.join(", ")}`);
+  }
+
+  const id = crypto.randomBytes(6).toString("hex");
+  const schedule = {
+    id,
+    name: name || `dca-${id}`,
+    chainKey,
+    tokenIn,
+    tokenOut,
+    amountIn: amountIn.toString(),
+    cadence,
+    catchUp,
+    slippageBps,
+    active: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  const state = loadDcaState(statePath);
+  state.schedules.push(schedule);
+  writeState(statePath, state);
+
+  return schedule;
+}
+
+/**
+ * Pause or resume a schedule; slots that pass while paused are never run
+ * @param {string} id - Schedule id
+ * @param {boolean} active - Whether the schedule runs
+ * @param {string} statePath - State file (default: DCA_STATE_PATH)
+ * @returns {object} Updated schedule
+ */
+function setScheduleActive(id, active, statePath = DEFAULT_STATE_PATH) {
+  const state = loadDcaState(statePath);
+  const schedule = state.schedules.find(entry => entry.id === id);
+  if (!schedule) {
+    throw new Error(`Schedule ${id} not found`);
+  }
+
+  schedule.active = active;
+  // Resuming starts from now rather than catching up on the pause
+  if (active) {
+    schedule.resumedAt = new Date().toISOString();
+  }
+  writeState(statePath, state);
+  return schedule;
+}
+
+/**
+ * Split a schedule's pending cron slots into those to run and those to record as missed
+ * @param {object} schedule - Schedule
+ * @param {object[]} runs - Ledger
+ * @param {Date} now - Current time
+ * @returns {{run: Date[], missed: Date[]}}
+ */
+function getDueSlots(schedule, runs, now) {
+  const resumed = schedule.resumedAt ? Date.parse(schedule.resumedAt) : 0;
+  // The ledger grows with every slot, so fold it rather than spreading it into Math.max
+  const after = runs
+    .filter(run => run.scheduleId === schedule.id)
+    .reduce((latest, run) => Math.max(latest, Date.parse(run.slot)), Math.max(Date.parse(schedule.createdAt), resumed));
+  const slots = cronTimesBetween(schedule.cadence, new Date(after), now);
+
+  if (slots.length === 0 || schedule.catchUp === "all") {
+    return { run: slots, missed: [] };
+  }
+
+  const latest = slots[slots.length - 1];
+  const missed = slots.slice(0, -1);
+  if (schedule.catchUp === "none" && now.getTime() - latest.getTime() > GRACE_SECONDS * 1000) {
+    return { run: [], missed: slots };
+  }
+  return { run: [latest], missed };
+}
+
+/**
+ * Execute one scheduled run
+ * The ledger entry is written as "executing" before the swap is sent
+ * @returns {Promise<object>} Ledger entry
+ */
+async function executeRun(wallet, schedule, slot, statePath, swapOptions) {
+  const { chainKey, tokenIn, tokenOut, amountIn, slippageBps } = schedule;
+
+  const state = loadDcaState(statePath);
+  const entry = { scheduleId: schedule.id, slot: slot.toISOString(), status: "executing", amountIn };
+  state.runs.push(entry);
+  writeState(statePath, state);
+
+  try {
+    const [decimalsIn, decimalsOut] = await Promise.all([
+      getTokenDecimals(chainKey, tokenIn),
+      getTokenDecimals(chainKey, tokenOut),
+    ]);
+    const result = await dexAggregator.swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, {
+      ...swapOptions,
+      slippageBps,
+    });
+
+    Object.assign(entry, {
+      status: "filled",
+      amountIn: (result.amountIn ?? amountIn).toString(),
+      amountOut: result.amountOut.toString(),
+      decimalsIn,
+      decimalsOut,
+      protocol: result.protocol,
+      version: result.version,
+      hash: result.hash,
+      executedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    Object.assign(entry, { status: "failed", error: error.message, executedAt: new Date().toISOString() });
+  }
+
+  const latest = loadDcaState(statePath);
+  const idx = latest.runs.findIndex(run => run.scheduleId === entry.scheduleId && run.slot === entry.slot);
+  latest.runs[idx] = entry;
+  writeState(statePath, latest);
+
+  return entry;
+}
+
+/**
+ * Run every due slot of every active schedule once
+ * @param {ethers.Wallet} wallet - Wallet paying for the buys
+ * @param {object} options - {statePath, now, swapOptions: passed to dexAggregator.swapTokens (submission, maxTokenRisk, ...)}
+ * @returns {Promise<object[]>} Ledger entries written (filled, failed and missed)
+ */
+async function runDueSchedules(wallet, options = {}) {
+  validateWallet(wallet);
+
+  const { statePath = DEFAULT_STATE_PATH, now = new Date(), swapOptions = {} } = options;
+  const state = loadDcaState(statePath);
+  const written = [];
+
+  for (const schedule of state.schedules.filter(entry => entry.active)) {
+    const { run, missed } = getDueSlots(schedule, loadDcaState(statePath).runs, now);
+
+    if (missed.length > 0) {
+      const latest = loadDcaState(statePath);
+      const entries = missed.map(slot => ({ scheduleId: schedule.id, slot: slot.toISOString(), status: "missed" }));
+      latest.runs.push(...entries);
+      writeState(statePath, latest);
+      written.push(...entries);
+      console.log(`${schedule.name}: ${missed.length} missed run(s) skipped (catch-up: ${schedule.catchUp})`);
+    }
+
+    for (const slot of run) {
+      console.log(`${schedule.name}: running ${slot.toISOString()} slot`);
+      const entry = await executeRun(wallet, schedule, slot, statePath, swapOptions);
+      console.log(`  ${entry.status}${entry.error ? `: ${entry.error}` : ` (${entry.hash})`}`);
+      written.push(entry);
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Run the scheduler until stopped
+ * Runs left "executing" by a previous process are marked "unknown" first: the swap may or may not have been mined
+ * @param {ethers.Wallet} wallet - Wallet paying for the buys
+ * @param {object} options - {statePath, pollSeconds (default: DCA_POLL_SECONDS), swapOptions}
+ * @returns {Promise<void>} Never resolves; stop the process to stop the scheduler
+ */
+async function startDcaScheduler(wallet, options = {}) {
+  validateWallet(wallet);
+
+  const { statePath = DEFAULT_STATE_PATH, pollSeconds = DEFAULT_POLL_SECONDS } = options;
+
+  const state = loadDcaState(statePath);
+  const interrupted = state.runs.filter(run => run.status === "executing");
+  if (interrupted.length > 0) {
+    interrupted.forEach(run => {
+      console.log(
+        `Run ${run.scheduleId} @ ${run.slot} was executing when the scheduler stopped; check ${wallet.address}`
+      );
+      run.status = "unknown";
+    });
+    writeState(statePath, state);
+  }
+
+  console.log(`DCA scheduler checking ${state.schedules.length} schedule(s) every ${pollSeconds}s...`);
+
+  for (;;) {
+    try {
+      await runDueSchedules(wallet, { ...options, now: new Date() });
+    } catch (error) {
+      console.log(`Scheduler error: ${error.message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, pollSeconds * 1000));
+  }
+}
+
+/**
+ * Cumulative cost basis per schedule from the ledger's filled runs
+ * @param {string} statePath - State file (default: DCA_STATE_PATH)
+ * @returns {object[]} Rows, oldest first per schedule; prices are tokenIn paid per tokenOut bought
+ */
+function buildCostBasis(statePath = DEFAULT_STATE_PATH) {
+  const state = loadDcaState(statePath);
+  const rows = [];
+
+  for (const schedule of state.schedules) {
+    const filled = state.runs
+      .filter(run => run.scheduleId === schedule.id && run.status === "filled")
+      .sort((a, b) => Date.parse(a.slot) - Date.parse(b.slot));
+
+    let spent = 0;
+    let received = 0;
+    for (const run of filled) {
+      const runSpent = Number(ethers.formatUnits(run.amountIn, run.decimalsIn));
+      const runReceived = Number(ethers.formatUnits(run.amountOut, run.decimalsOut));
+      spent += runSpent;
+      received += runReceived;
+
+      rows.push({
+        schedule: schedule.name,
+        chain: schedule.chainKey,
+        slot: run.slot,
+        venue: [run.protocol, run.version].filter(Boolean).join(" "),
+        hash: run.hash,
+        spent: runSpent,
+        received: runReceived,
+        // A run that received nothing has no price (left blank in the CSV)
+        price: runReceived > 0 ? runSpent / runReceived : null,
+        cumulativeSpent: spent,
+        cumulativeReceived: received,
+        averageCost: received > 0 ? spent / received : null,
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Write the cumulative cost-basis report as CSV
+ * @param {string} filePath - CSV path (default: DCA_REPORT_PATH)
+ * @param {string} statePath - State file (default: DCA_STATE_PATH)
+ * @returns {Promise<object[]>} Rows written
+ */
+async function writeCostBasisReport(filePath = DEFAULT_REPORT_PATH, statePath = DEFAULT_STATE_PATH) {
+  const rows = buildCostBasis(statePath);
+
+  await writeCSV(
+    filePath,
+    [
+      { id: "schedule", title: "Schedule" },
+      { id: "chain", title: "Chain" },
+      { id: "slot", title: "Scheduled (UTC)" },
+      { id: "venue", title: "Venue" },
+      { id: "hash", title: "Transaction" },
+      { id: "spent", title: "Spent" },
+      { id: "received", title: "Received" },
+      { id: "price", title: "Price" },
+      { id: "cumulativeSpent", title: "Cumulative Spent" },
+      { id: "cumulativeReceived", title: "Cumulative Received" },
+      { id: "averageCost", title: "Average Cost" },
+    ],
+    rows
+  );
+
+  return rows;
+}
+
+module.exports = {
+  CATCH_UP_POLICIES,
+  loadDcaState,
+  addSchedule,
+  setScheduleActive,
+  getDueSlots,
+  runDueSchedules,
+  startDcaScheduler,
+  buildCostBasis,
+  writeCostBasisReport,
+};
@@ -0,0 +1,189 @@
+/**
+ * Local order book for conditional (limit and stop) orders
+ * Orders live in a JSON file (ORDER_BOOK_PATH) and are evaluated by the order watcher (strategies/orderWatcher).
+ * Prices are human units of tokenOut per tokenIn, e.g. USDC per WETH when selling WETH for USDC:
+ *   limit - execute once the quoted price is at or above triggerPrice (take profit / sell high)
+ *   stop  - execute once the quoted price is at or below triggerPrice (stop-loss)
+ */
+const crypto = require("crypto");
+const { validateChainKey, validateAddress, validateAmount, validateSlippage } = require("../utils/validation");
+const { readState, writeState } = require("../utils/stateFile");
+
+// Book location (sample.env: ORDER_BOOK_PATH)
+const DEFAULT_BOOK_PATH = process.env.ORDER_BOOK_PATH || "output/orders.json";
+
+const ORDER_TYPES = ["limit", "stop"];
+
+// open -> executing -> filled | failed; open -> cancelled | expired
+// "unknown": the watcher stopped while the swap was being sent, check the wallet before reopening
+const ORDER_STATUSES = ["open", "executing", "filled", "failed", "cancelled", "expired", "unknown"];
+
+/**
+ * Load the book
+ * @param {string} bookPath - Book file (default: ORDER_BOOK_PATH)
+ * @returns {{orders: object[]}}
+ */
+function loadBook(bookPath = DEFAULT_BOOK_PATH) {
+  return readState(bookPath, { orders: [] });
+}
+
+/**
+ * Save the book
+ * @param {{orders: object[]}} book - Book to write
+ * @param {string} bookPath - Book file (default: ORDER_BOOK_PATH)
+ */
+function saveBook(book, bookPath = DEFAULT_BOOK_PATH) {
+  writeState(bookPath, book);
+}
+
+/**
+ * Add an order to the book
+ * @param {object} params - Order parameters
+ * @param {string} params.chainKey - Chain identifier
+ * @param {string} params.type - "limit" or "stop"
+ * @param {string} params.tokenIn - Token sold
+ * @param {string} params.tokenOut - Token bought
+ * @param {string} params.amountIn - Amount sold (in wei)
+ * @param {number} params.triggerPrice - tokenOut per tokenIn (human units) that triggers the order
+ * @param {number} params.slippageBps - Slippage tolerance once triggered (default: 50 = 0.5%)
+ * @param {object} params.venue - Only evaluate this venue's quote, e.g. {protocol: "uniswap", version: "v3"}
+ *   (default: best quote across all venues)
+ * @param {number} params.expiresInSeconds - Expire the order after this long (default: never)
+ * @param {string} bookPath - Book file (default: ORDER_BOOK_PATH)
+ * @returns {object} Stored order
+ */
+function addOrder(params, bookPath = DEFAULT_BOOK_PATH) {
+  const {
+    chainKey,
+    type,
+    tokenIn,
+    tokenOut,
+    amountIn,
+    triggerPrice,
+    slippageBps = 50,
+    venue = null,
+    expiresInSeconds = null,
+  } = params;
+
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+  validateSlippage(slippageBps);
+
+  if (!ORDER_TYPES.includes(type)) {
+    throw new Error(`Invalid order type: ${type}. Use one of: ${ORDER_TYPES.join(", ")}`);
+  }
+  if (!Number.isFinite(triggerPrice) || triggerPrice <= 0) {
+    throw new Error(`Invalid triggerPrice: ${triggerPrice}. Must be a positive number`);
+  }
+  if (venue && !venue.protocol) {
+    throw new Error("venue must have a protocol (and optionally a version)");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const order = {
+    id: crypto.randomBytes(6).toString("hex"),
+    chainKey,
+    type,
+    tokenIn,
+    tokenOut,
+    amountIn: amountIn.toString(),
+    triggerPrice,
+    slippageBps,
+    venue,
+    status: "open",
+    createdAt: now,
+    expiresAt: expiresInSeconds ? now + expiresInSeconds : null,
+  };
+
+  const book = loadBook(bookPath);
+  book.orders.push(order);
+  saveBook(book, bookPath);
+
+  return order;
+}
+
+/**
+ * Update an order in place and save the book
+ * @param {string} id - Order id
+ * @param {object} changes - Fields to set
+ * @param {string} bookPath - Book file (default: ORDER_BOOK_PATH)
+ * @returns {object} Updated order
+ */
+function updateOrder(id, changes, bookPath = DEFAULT_BOOK_PATH) {
+  const book = loadBook(bookPath);
+  const order = book.orders.find(entry => entry.id === id);
+  if (!order) {
+    throw new Error(`Order ${id} not found`);
+  }
+  if (changes.status && !ORDER_STATUSES.includes(changes.status)) {
+    throw new Error(`Invalid order status: ${changes.status}`);
+  }
+
+  Object.assign(order, changes, { updatedAt: Math.floor(Date.now() / 1000) });
+  saveBook(book, bookPath);
+  return order;
+}
+
+/**
+ * Cancel an open order
+ * @param {string} id - Order id
+ * @param {string} bookPath - Book file (default: ORDER_BOOK_PATH)
+ * @returns {object} Cancelled order
+ */
+function cancelOrder(id, bookPath = DEFAULT_BOOK_PATH) {
+  const order = loadBook(bookPath).orders.find(entry => entry.id === id);
+  if (order && order.status !== "open") {
+    throw new Error(`Order ${id} is ${order.status} and can't be cancelled`);
+  }
+  return updateOrder(id, { status: "cancelled" }, bookPath);
+}
+
+/**
+ * List orders
+ * @param {object} filter - {chainKey, status} (default: all)
+ * @param {string} bookPath - Book file (default: ORDER_BOOK_PATH)
+ * @returns {object[]} Matching orders
+ */
+function listOrders(filter = {}, bookPath = DEFAULT_BOOK_PATH) {
+  return loadBook(bookPath).orders.filter(
+    order =>
+      (!filter.chainKey || order.chainKey === filter.chainKey) && (!filter.status || order.status === filter.status)
+  );
+}
+
+/**
+ * Display orders as a table
+ */
+function displayOrders(orders) {
+  console.log("\n" + "=".repeat(80));
+  console.log("ORDER BOOK");
+  console.log("=".repeat(80));
+
+  if (orders.length === 0) {
+    console.log("No orders");
+  }
+  orders.forEach(order => {
+    const venue = order.venue ? ` on ${order.venue.protocol} ${order.venue.version || ""}`.trimEnd() : "";
+    const condition = order.type === "limit" ? ">=" : "<=";
+    console.log(
+      `${order.id} ${order.type.toUpperCase().padEnd(5)} ${order.status.padEnd(9)} ${order.amountIn} ` +
+        `${order.tokenIn} -> ${order.tokenOut} when price ${condition} ${order.triggerPrice}${venue}`
+    );
+  });
+
+  console.log("=".repeat(80) + "\n");
+}
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_STATUSES,
+  loadBook,
+  saveBook,
+  addOrder,
+  updateOrder,
+  cancelOrder,
+  listOrders,
+  displayOrders,
+};
@@ -0,0 +1,214 @@
+/**
+ * Conditional order watcher
+ * Polls for new blocks and, on each one, quotes every open order in the local book (strategies/orderBook).
+ * A triggered order executes through the aggregator with its slippage bound; orders pinned to a venue are routed
+ * only through the venue whose quote triggered them. Either way the fill has a hard floor: a limit order never
+ * fills below its trigger price, a stop order never below its slippage bound on the quote that triggered it.
+ * Expired orders are closed without executing.
+ */
+const { ethers } = require("ethers");
+const { getProvider } = require("../utils/web3");
+const { validateChainKey, validateWallet } = require("../utils/validation");
+const { getTokenDecimals } = require("../utils/tokenHelpers");
+const { getAmountOutMin } = require("../utils/slippage");
+const { loadBook, updateOrder, listOrders } = require("./orderBook");
+const dexAggregator = require("../swaps/dexAggregator");
+
+// How often the watcher looks for a new block (sample.env: ORDER_POLL_SECONDS)
+const DEFAULT_POLL_SECONDS = Number(process.env.ORDER_POLL_SECONDS || 12);
+
+/**
+ * Whether a quoted price meets an order's trigger
+ * @param {object} order - Order from the book
+ * @param {number} price - Quoted tokenOut per tokenIn (human units)
+ * @returns {boolean}
+ */
+function isTriggered(order, price) {
+  return order.type === "limit" ? price >= order.triggerPrice : price <= order.triggerPrice;
+}
+
+/**
+ * Quote an order: best venue, or the order's pinned venue
+ * @returns {Promise<{quote: object, price: number}|null>} Null when no venue (or not the pinned one) can fill it
+ */
+async function quoteOrder(order) {
+  const { chainKey, tokenIn, tokenOut, amountIn, venue } = order;
+
+  const ranked = await dexAggregator.getRankedQuotes(chainKey, tokenIn, tokenOut, amountIn, { quiet: true });
+  const quote = venue ? ranked.find(candidate => dexAggregator.matchesVenue(candidate, venue)) : ranked[0];
+  if (!quote) {
+    return null;
+  }
+
+  const [decimalsIn, decimalsOut] = await Promise.all([
+    getTokenDecimals(chainKey, tokenIn),
+    getTokenDecimals(chainKey, tokenOut),
+  ]);
+  const price =
+    Number(ethers.formatUnits(quote.amountOut, decimalsOut)) / Number(ethers.formatUnits(amountIn, decimalsIn));
+
+  return { quote, price, decimalsIn, decimalsOut };
+}
+
+/**
+ * Smallest output a triggered order may fill for (wei)
+ * Limit orders are held to their trigger price; stop orders exist to get out, so they are held to the slippage
+ * bound on the quote that triggered them
+ */
+function getOrderFloor(order, quoted) {
+  if (order.type === "stop") {
+    return getAmountOutMin(quoted.quote.amountOut, order.slippageBps);
+  }
+  const amountOut = order.triggerPrice * Number(ethers.formatUnits(order.amountIn, quoted.decimalsIn));
+  const floor = ethers.parseUnits(amountOut.toFixed(quoted.decimalsOut), quoted.decimalsOut);
+  // The triggering quote met the price in floating point; don't let rounding put the floor above it
+  const quotedOut = BigInt(quoted.quote.amountOut);
+  return floor > quotedOut ? quotedOut : floor;
+}
+
+/**
+ * Execute a triggered order
+ * The order is marked "executing" before anything is sent, so a crash never leaves it open to fire twice
+ * @returns {Promise<object>} Updated order
+ */
+async function executeOrder(order, wallet, quoted, options) {
+  const { bookPath, swapOptions = {} } = options;
+  const { chainKey, tokenIn, tokenOut, amountIn, slippageBps } = order;
+  const { quote } = quoted;
+  const minAmountOut = getOrderFloor(order, quoted);
+
+  updateOrder(order.id, { status: "executing" }, bookPath);
+
+  try {
+    // A pinned order is held to the venue that triggered it, with the same submission and safety options
+    const result = await dexAggregator.swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, {
+      ...swapOptions,
+      slippageBps,
+      minAmountOut: minAmountOut.toString(),
+      venue: order.venue ? { protocol: quote.protocol, version: quote.version } : null,
+    });
+
+    return updateOrder(
+      order.id,
+      {
+        status: "filled",
+        fill: {
+          protocol: result.protocol,
+          version: result.version ?? quote.version,
+          hash: result.hash,
+          amountIn: (result.amountIn ?? amountIn).toString(),
+          amountOut: result.amountOut.toString(),
+          filledAt: Math.floor(Date.now() / 1000),
+        },
+      },
+      bookPath
+    );
+  } catch (error) {
+    return updateOrder(order.id, { status: "failed", error: error.message }, bookPath);
+  }
+}
+
+/**
+ * Evaluate every open order on a chain once
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet executing triggered orders
+ * @param {object} options - {bookPath, swapOptions: passed to dexAggregator.swapTokens (submission, maxTokenRisk, ...)}
+ * @returns {Promise<object[]>} Orders that changed status (filled, failed or expired)
+ */
+async function checkOrders(chainKey, wallet, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const { bookPath } = options;
+  const now = Math.floor(Date.now() / 1000);
+  const changed = [];
+
+  for (const order of listOrders({ chainKey, status: "open" }, bookPath)) {
+    if (order.expiresAt && now >= order.expiresAt) {
+      console.log(`Order ${order.id} expired`);
+      changed.push(updateOrder(order.id, { status: "expired" }, bookPath));
+      continue;
+    }
+
+    let quoted;
+    try {
+      quoted = await quoteOrder(order);
+    } catch (error) {
+      console.log(`Order ${order.id}: quote failed (${error.message})`);
+      continue;
+    }
+    if (!quoted) {
+      console.log(`Order ${order.id}: no quote from ${order.venue ? order.venue.protocol : "any venue"}`);
+      continue;
+    }
+
+    const condition = order.type === "limit" ? ">=" : "<=";
+    if (!isTriggered(order, quoted.price)) {
+      console.log(`Order ${order.id}: price ${quoted.price} (waiting for ${condition} ${order.triggerPrice})`);
+      continue;
+    }
+
+    console.log(`Order ${order.id} triggered: price ${quoted.price} ${condition} ${order.triggerPrice}`);
+    const result = await executeOrder(order, wallet, quoted, options);
+    console.log(`Order ${order.id} ${result.status}${result.error ? `: ${result.error}` : ` (${result.fill.hash})`}`);
+    changed.push(result);
+  }
+
+  return changed;
+}
+
+/**
+ * Watch the book, evaluating open orders on every new block
+ * Orders left "executing" by a previous run are marked "unknown" first: the swap may or may not have been mined
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet executing triggered orders
+ * @param {object} options - Watcher options
+ * @param {string} options.bookPath - Book file (default: ORDER_BOOK_PATH)
+ * @param {number} options.pollSeconds - New block polling interval (default: ORDER_POLL_SECONDS)
+ * @param {boolean} options.exitWhenEmpty - Stop once no open orders remain (default: true)
+ * @param {object} options.swapOptions - Passed to dexAggregator.swapTokens (submission, maxTokenRisk, ...)
+ * @returns {Promise<void>} Resolves when the watcher stops
+ */
+async function watchOrders(chainKey, wallet, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const { bookPath, pollSeconds = DEFAULT_POLL_SECONDS, exitWhenEmpty = true } = options;
+  const provider = wallet.provider || getProvider(chainKey);
+
+  loadBook(bookPath)
+    .orders.filter(order => order.chainKey === chainKey && order.status === "executing")
+    .forEach(order => {
+      console.log(`Order ${order.id} was executing when the watcher stopped; check ${wallet.address}`);
+      updateOrder(order.id, { status: "unknown" }, bookPath);
+    });
+
+  console.log(`Watching orders on ${chainKey} every ${pollSeconds}s...`);
+
+  let lastBlock = null;
+  for (;;) {
+    if (exitWhenEmpty && listOrders({ chainKey, status: "open" }, bookPath).length === 0) {
+      console.log("No open orders left");
+      return;
+    }
+
+    try {
+      const blockNumber = await provider.getBlockNumber();
+      if (blockNumber !== lastBlock) {
+        lastBlock = blockNumber;
+        console.log(`\nBlock ${blockNumber}`);
+        await checkOrders(chainKey, wallet, options);
+      }
+    } catch (error) {
+      console.log(`Watcher error: ${error.message}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, pollSeconds * 1000));
+  }
+}
+
+module.exports = {
+  isTriggered,
+  checkOrders,
+  watchOrders,
+};
@@ -0,0 +1,277 @@
+/**
+ * Portfolio rebalancer
+ * Values a wallet's holdings in USD from on-chain prices, compares them with target weights and, once any token
+ * drifts past the threshold, plans the fewest aggregator swaps that bring every token back to target: the most
+ * overweight token is sold into the most underweight one until either is balanced, and so on (at most n-1 swaps).
+ * Plans are dry runs; executeRebalance only sends them with confirm: true or against a fork.
+ */
+const { ethers } = require("ethers");
+const { COMMON_TOKENS } = require("../config/chains");
+const { validateChainKey, validateWallet, validateAddress, validateSlippage } = require("../utils/validation");
+const { isNativeToken } = require("../utils/native");
+const { getTokenBalance, getNativeBalance, getTokenDecimals } = require("../utils/tokenHelpers");
+const { getReferenceRate } = require("../utils/slippage");
+const { detectFork } = require("../utils/forkDetection");
+const dexAggregator = require("../swaps/dexAggregator");
+
+// Rebalancer defaults (sample.env: REBALANCE_DRIFT_BPS, REBALANCE_MIN_TRADE_USD)
+const DEFAULT_DRIFT_BPS = Number(process.env.REBALANCE_DRIFT_BPS || 500);
+const DEFAULT_MIN_TRADE_USD = Number(process.env.REBALANCE_MIN_TRADE_USD || 10);
+
+// Target weights must add up to 100% within this tolerance
+const WEIGHT_TOLERANCE = 0.01;
+
+/**
+ * USD price of one whole token
+ * Uses the oracle reference (Chainlink, then Uniswap V3 TWAP) against USDC, falling back to the best aggregator
+ * quote for one token when neither has the pair
+ * @returns {Promise<number>} USD per token
+ */
+async function getUsdPrice(chainKey, token, decimals) {
+  const usdc = COMMON_TOKENS.USDC[chainKey];
+  if (!usdc) {
+    throw new Error(`USDC not configured on ${chainKey}`);
+  }
+  if (token.toLowerCase() === usdc.toLowerCase()) {
+    return 1;
+  }
+
+  const usdcDecimals = await getTokenDecimals(chainKey, usdc);
+  const reference = await getReferenceRate(chainKey, token, usdc, "auto");
+  if (reference) {
+    return reference.rate * Math.pow(10, decimals - usdcDecimals);
+  }
+
+  const oneToken = ethers.parseUnits("1", decimals).toString();
+  const quote = await dexAggregator.getBestQuote(chainKey, token, usdc, oneToken, { quiet: true, gasAware: false });
+  return Number(ethers.formatUnits(quote.amountOut, usdcDecimals));
+}
+
+/**
+ * Read a holding: balance, decimals and symbol
+ */
+async function getHolding(chainKey, token, account) {
+  if (isNativeToken(token)) {
+    const { balance, symbol } = await getNativeBalance(chainKey, account);
+    return { balance, decimals: 18, symbol };
+  }
+  const { balance, decimals, symbol } = await getTokenBalance(chainKey, token, account);
+  return { balance, decimals, symbol };
+}
+
+/**
+ * Pair overweight tokens with underweight ones, largest first
+ * @param {object[]} holdings - Holdings with deltaUsd (positive: overweight)
+ * @param {number} minTradeUsd - Smallest swap worth sending
+ * @returns {object[]} Trades: {tokenIn, tokenOut, symbolIn, symbolOut, usd, amountIn}
+ */
+function matchTrades(holdings, minTradeUsd) {
+  const sellers = holdings
+    .filter(holding => holding.deltaUsd > 0)
+    .map(holding => ({ holding, remaining: holding.deltaUsd }))
+    .sort((a, b) => b.remaining - a.remaining);
+  const buyers = holdings
+    .filter(holding => holding.deltaUsd < 0)
+    .map(holding => ({ holding, remaining: -holding.deltaUsd }))
+    .sort((a, b) => b.remaining - a.remaining);
+
+  const trades = [];
+  let s = 0;
+  let b = 0;
+  while (s < sellers.length && b < buyers.length) {
+    const seller = sellers[s];
+    const buyer = buyers[b];
+    const usd = Math.min(seller.remaining, buyer.remaining);
+
+    if (usd >= minTradeUsd) {
+      const { token, decimals, priceUsd, symbol } = seller.holding;
+      // Never sell more than the wallet holds, whatever float rounding says
+      const amountIn = ethers.parseUnits((usd / priceUsd).toFixed(decimals), decimals);
+      const capped = amountIn > BigInt(seller.holding.balance) ? BigInt(seller.holding.balance) : amountIn;
+
+      trades.push({
+        tokenIn: token,
+        tokenOut: buyer.holding.token,
+        symbolIn: symbol,
+        symbolOut: buyer.holding.symbol,
+        usd,
+        amountIn: capped.toString(),
+      });
+    }
+
+    seller.remaining -= usd;
+    buyer.remaining -= usd;
+    if (seller.remaining <= buyer.remaining) s++;
+    if (buyer.remaining <= seller.remaining) b++;
+  }
+
+  return trades;
+}
+
+/**
+ * Plan a rebalance (dry run: nothing is sent)
+ * @param {string} chainKey - Chain identifier
+ * @param {string} account - Wallet address
+ * @param {Array<{token: string, weight: number}>} targets - Target weights in percent, adding up to 100
+ * @param {object} options - Plan options
+ * @param {number} options.driftBps - Rebalance once any token is this far from target (default: REBALANCE_DRIFT_BPS)
+ * @param {number} options.minTradeUsd - Skip swaps smaller than this (default: REBALANCE_MIN_TRADE_USD)
+ * @returns {Promise<object>} Plan: {chainKey, account, totalUsd, maxDriftBps, needsRebalance, holdings, trades}
+ */
+async function planRebalance(chainKey, account, targets, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(account, "account");
+
+  const { driftBps = DEFAULT_DRIFT_BPS, minTradeUsd = DEFAULT_MIN_TRADE_USD } = options;
+
+  if (!Array.isArray(targets) || targets.length < 2) {
+    throw new Error("Rebalancing needs at least two target tokens");
+  }
+  targets.forEach(({ token, weight }) => {
+    validateAddress(token, "target token");
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid target weight for ${token}: ${weight}`);
+    }
+  });
+  const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+  if (Math.abs(totalWeight - 100) > WEIGHT_TOLERANCE) {
+    throw new Error(`Target weights add up to ${totalWeight}%, expected 100%`);
+  }
+
+  // Sequential reads keep RPC load predictable for larger portfolios
+  const holdings = [];
+  for (const { token, weight } of targets) {
+    try {
+      const holding = await getHolding(chainKey, token, account);
+      const priceUsd = await getUsdPrice(chainKey, token, holding.decimals);
+      const amount = Number(ethers.formatUnits(holding.balance, holding.decimals));
+      holdings.push({ token, ...holding, priceUsd, valueUsd: amount * priceUsd, targetWeight: weight });
+    } catch (error) {
+      throw new Error(`Rebalance plan failed for ${token}: ${error.message}`);
+    }
+  }
+
+  const totalUsd = holdings.reduce((sum, holding) => sum + holding.valueUsd, 0);
+  if (totalUsd === 0) {
+    throw new Error(`${account} holds none of the target tokens`);
+  }
+
+  holdings.forEach(holding => {
+    holding.weight = (holding.valueUsd / totalUsd) * 100;
+    holding.driftBps = Math.round((holding.weight - holding.targetWeight) * 100);
+    holding.deltaUsd = holding.valueUsd - (totalUsd * holding.targetWeight) / 100;
+  });
+
+  const maxDriftBps = Math.max(...holdings.map(holding => Math.abs(holding.driftBps)));
+  const needsRebalance = maxDriftBps > driftBps;
+
+  return {
+    chainKey,
+    account,
+    totalUsd,
+    driftBps,
+    maxDriftBps,
+    needsRebalance,
+    holdings,
+    trades: needsRebalance ? matchTrades(holdings, minTradeUsd) : [],
+  };
+}
+
+/**
+ * Display a rebalance plan
+ */
+function displayRebalancePlan(plan) {
+  console.log("\n" + "=".repeat(80));
+  console.log(`REBALANCE PLAN (${plan.account} on ${plan.chainKey})`);
+  console.log("=".repeat(80));
+
+  console.log(
+    `${"TOKEN".padEnd(10)} ${"PRICE".padStart(12)} ${"VALUE".padStart(14)} ${"WEIGHT".padStart(8)} ` +
+      `${"TARGET".padStart(8)} ${"DRIFT".padStart(10)}`
+  );
+  plan.holdings.forEach(holding => {
+    console.log(
+      `${holding.symbol.padEnd(10)} ${("$" + holding.priceUsd.toFixed(2)).padStart(12)} ` +
+        `${("$" + holding.valueUsd.toFixed(2)).padStart(14)} ${(holding.weight.toFixed(2) + "%").padStart(8)} ` +
+        `${(holding.targetWeight + "%").padStart(8)} ${(holding.driftBps + " bps").padStart(10)}`
+    );
+  });
+  console.log(
+    `Total: $${plan.totalUsd.toFixed(2)}, largest drift ${plan.maxDriftBps} bps (threshold ${plan.driftBps})`
+  );
+
+  if (!plan.needsRebalance) {
+    console.log("\nWithin threshold, nothing to do");
+  } else if (plan.trades.length === 0) {
+    console.log("\nDrift is above threshold but every swap is below the minimum trade size");
+  } else {
+    console.log("\nSwaps:");
+    plan.trades.forEach((trade, idx) => {
+      console.log(`  ${idx + 1}. Sell ~$${trade.usd.toFixed(2)} of ${trade.symbolIn} for ${trade.symbolOut}`);
+    });
+  }
+
+  console.log("=".repeat(80) + "\n");
+}
+
+/**
+ * Execute a rebalance plan through the aggregator
+ * Swaps run in plan order and stop at the first failure; re-plan afterwards, since balances have moved
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet holding the portfolio
+ * @param {object} plan - Plan from planRebalance
+ * @param {object} options - Execution options
+ * @param {boolean} options.confirm - Required unless the chain is a local fork
+ * @param {number} options.slippageBps - Slippage tolerance per swap (default: 50 = 0.5%)
+ * @param {object} options.swapOptions - Passed to dexAggregator.swapTokens (submission, maxTokenRisk, ...)
+ * @returns {Promise<object[]>} Trades with status (filled, failed or not run) and swap results
+ */
+async function executeRebalance(chainKey, wallet, plan, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const { confirm = false, slippageBps = 50, swapOptions = {} } = options;
+  validateSlippage(slippageBps);
+
+  if (plan.chainKey !== chainKey || plan.account.toLowerCase() !== wallet.address.toLowerCase()) {
+    throw new Error("Plan was made for a different chain or wallet");
+  }
+
+  if (!confirm) {
+    const { isFork } = await detectFork(chainKey);
+    if (!isFork) {
+      throw new Error("Rebalance not confirmed: pass confirm: true to send swaps on a live chain");
+    }
+    console.log("Fork detected, executing without confirmation");
+  }
+
+  const results = [];
+  let failed = false;
+  for (const trade of plan.trades) {
+    if (failed) {
+      results.push({ ...trade, status: "not run" });
+      continue;
+    }
+
+    console.log(`\nRebalance: selling ${trade.amountIn} ${trade.symbolIn} for ${trade.symbolOut}`);
+    try {
+      const result = await dexAggregator.swapTokens(chainKey, wallet, trade.tokenIn, trade.tokenOut, trade.amountIn, {
+        ...swapOptions,
+        slippageBps,
+      });
+      results.push({ ...trade, status: "filled", result });
+    } catch (error) {
+      console.log(`Rebalance swap failed: ${error.message}`);
+      results.push({ ...trade, status: "failed", error: error.message });
+      failed = true;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  planRebalance,
+  displayRebalancePlan,
+  executeRebalance,
+};
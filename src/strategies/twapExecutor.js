@@ -0,0 +1,353 @@
+/**
+ * Time-sliced (TWAP) order executor
+ * Splits a parent order into equal child orders spread over a time window and executes each through the
+ * aggregator. Every child is re-quoted first and skipped if its price is below the limit, and executes with the
+ * limit as a hard floor on its output. Progress is written to a state file after every step, so a restarted
+ * process with the same order id resumes where it stopped.
+ */
+const crypto = require("crypto");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  validateChainKey,
+  validateWallet,
+  validateAddress,
+  validateAmount,
+  validateSlippage,
+} = require("../utils/validation");
+const { getTokenDecimals } = require("../utils/tokenHelpers");
+const { readState, writeState } = require("../utils/stateFile");
+const dexAggregator = require("../swaps/dexAggregator");
+
+// TWAP defaults (sample.env: TWAP_STATE_DIR, TWAP_LIMIT_BPS)
+const TWAP_STATE_DIR = process.env.TWAP_STATE_DIR || "output/twap";
+const DEFAULT_LIMIT_BPS = Number(process.env.TWAP_LIMIT_BPS || 100);
+
+/**
+ * Price of a fill in human units (tokenOut per tokenIn)
+ */
+function toPrice(amountIn, amountOut, decimalsIn, decimalsOut) {
+  return Number(ethers.formatUnits(amountOut, decimalsOut)) / Number(ethers.formatUnits(amountIn, decimalsIn));
+}
+
+/**
+ * Output amount (wei) a fill of amountIn needs to reach a price (tokenOut per tokenIn, human units)
+ */
+function toAmountOut(price, amountIn, decimalsIn, decimalsOut) {
+  const amountOut = price * Number(ethers.formatUnits(amountIn, decimalsIn));
+  return ethers.parseUnits(amountOut.toFixed(decimalsOut), decimalsOut);
+}
+
+/**
+ * State file for an order id
+ * @param {string} id - Order id
+ * @returns {string} Path under TWAP_STATE_DIR
+ */
+function getTwapStatePath(id) {
+  return path.join(TWAP_STATE_DIR, `${id}.json`);
+}
+
+/**
+ * Default order id: the same wallet, pair, size and schedule always map to the same state file, so an
+ * interrupted order resumes; once that order completes, placing it again starts a new one (see executeTwap)
+ */
+function defaultOrderId(chainKey, account, tokenIn, tokenOut, amountIn, slices, durationSeconds) {
+  const key = [chainKey, account, tokenIn, tokenOut, amountIn, slices, durationSeconds].join(":").toLowerCase();
+  return `twap-${crypto.createHash("sha256").update(key).digest("hex").slice(0, 12)}`;
+}
+
+/**
+ * Create a TWAP order: child schedule, arrival price and per-child price limit
+ * The arrival price is quoted at child size, so it excludes the price impact of the whole parent order
+ * @param {string} chainKey - Chain identifier
+ * @param {string} account - Wallet address executing the order
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Parent order size (in wei)
+ * @param {object} options - Order options
+ * @param {number} options.slices - Number of child orders (default: 10)
+ * @param {number} options.durationSeconds - Window the children are spread over (default: 3600)
+ * @param {number} options.limitPrice - Minimum tokenOut per tokenIn (human units) a child may execute at
+ * @param {number} options.limitBps - Without limitPrice, allow this far below the arrival price (default: TWAP_LIMIT_BPS)
+ * @param {number} options.slippageBps - Slippage tolerance for each child swap (default: 50 = 0.5%)
+ * @param {string} options.id - Order id (default: derived from account, pair, size and schedule)
+ * @returns {Promise<object>} Order state
+ */
+async function createTwapOrder(chainKey, account, tokenIn, tokenOut, amountIn, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(account, "account");
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+
+  const {
+    slices = 10,
+    durationSeconds = 3600,
+    limitPrice = null,
+    limitBps = DEFAULT_LIMIT_BPS,
+    slippageBps = 50,
+    id = defaultOrderId(chainKey, account, tokenIn, tokenOut, amountIn, slices, durationSeconds),
+  } = options;
+
+  validateSlippage(slippageBps);
+  if (!Number.isInteger(slices) || slices < 1) {
+    throw new Error(`Invalid slices: ${slices}. Must be a positive integer`);
+  }
+  if (!Number.isFinite(durationSeconds) || durationSeconds < 0) {
+    throw new Error(`Invalid durationSeconds: ${durationSeconds}`);
+  }
+
+  const total = BigInt(amountIn);
+  const childSize = total / BigInt(slices);
+  if (childSize === 0n) {
+    throw new Error(`amountIn ${amountIn} is too small for ${slices} slices`);
+  }
+
+  const [decimalsIn, decimalsOut] = await Promise.all([
+    getTokenDecimals(chainKey, tokenIn),
+    getTokenDecimals(chainKey, tokenOut),
+  ]);
+
+  let arrival;
+  try {
+    arrival = await dexAggregator.getBestQuote(chainKey, tokenIn, tokenOut, childSize.toString(), { quiet: true });
+  } catch (error) {
+    throw new Error(`TWAP arrival quote failed: ${error.message}`);
+  }
+  const arrivalPrice = toPrice(childSize, arrival.amountOut, decimalsIn, decimalsOut);
+
+  const intervalSeconds = slices > 1 ? Math.floor(durationSeconds / (slices - 1)) : 0;
+  const startTime = Math.floor(Date.now() / 1000);
+
+  // Equal children; the last one also takes the remainder of the division
+  const children = Array.from({ length: slices }, (_, index) => ({
+    index,
+    scheduledAt: startTime + index * intervalSeconds,
+    amountIn: (index === slices - 1 ? total - childSize * BigInt(slices - 1) : childSize).toString(),
+    status: "pending",
+  }));
+
+  return {
+    id,
+    chainKey,
+    account,
+    tokenIn,
+    tokenOut,
+    amountIn: total.toString(),
+    decimalsIn,
+    decimalsOut,
+    slices,
+    durationSeconds,
+    intervalSeconds,
+    slippageBps,
+    arrivalPrice,
+    limitPrice: limitPrice ?? arrivalPrice * (1 - limitBps / 10000),
+    createdAt: new Date().toISOString(),
+    status: "running",
+    children,
+    report: null,
+  };
+}
+
+/**
+ * Build the fill report: volume-weighted average execution price against the arrival price
+ * @param {object} order - Order state
+ * @returns {object} Report; slippageBps is positive when fills averaged worse than arrival
+ */
+function buildTwapReport(order) {
+  const count = status => order.children.filter(child => child.status === status).length;
+  const filled = order.children.filter(child => child.status === "filled");
+
+  const amountIn = filled.reduce((sum, child) => sum + BigInt(child.amountIn), 0n);
+  const amountOut = filled.reduce((sum, child) => sum + BigInt(child.amountOut), 0n);
+  const averagePrice = amountIn > 0n ? toPrice(amountIn, amountOut, order.decimalsIn, order.decimalsOut) : null;
+
+  return {
+    id: order.id,
+    filledSlices: filled.length,
+    skippedSlices: count("skipped"),
+    failedSlices: count("failed"),
+    unknownSlices: count("unknown"),
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    unfilledAmountIn: (BigInt(order.amountIn) - amountIn).toString(),
+    arrivalPrice: order.arrivalPrice,
+    limitPrice: order.limitPrice,
+    averagePrice,
+    slippageBps:
+      averagePrice === null ? null : Math.round(((order.arrivalPrice - averagePrice) / order.arrivalPrice) * 10000),
+  };
+}
+
+/**
+ * Re-quote and execute one child order
+ * @returns {Promise<void>} Child is updated in place
+ */
+async function executeChild(order, wallet, child, swapOptions) {
+  const { chainKey, tokenIn, tokenOut, decimalsIn, decimalsOut } = order;
+
+  let quote;
+  try {
+    quote = await dexAggregator.getBestQuote(chainKey, tokenIn, tokenOut, child.amountIn, { quiet: true });
+  } catch (error) {
+    Object.assign(child, { status: "skipped", reason: `Quote failed: ${error.message}` });
+    return;
+  }
+
+  const price = toPrice(child.amountIn, quote.amountOut, decimalsIn, decimalsOut);
+  child.quotedPrice = price;
+
+  if (price < order.limitPrice) {
+    Object.assign(child, { status: "skipped", reason: `Price ${price} below limit ${order.limitPrice}` });
+    return;
+  }
+
+  // Recorded before sending: a crash mid-swap must not lead to the child being sent twice
+  child.status = "executing";
+  writeState(getTwapStatePath(order.id), order);
+
+  // The pre-quote can go stale and the venue re-quotes, so the limit goes down as a hard floor on the swap itself
+  try {
+    const result = await dexAggregator.swapTokens(chainKey, wallet, tokenIn, tokenOut, child.amountIn, {
+      ...swapOptions,
+      slippageBps: order.slippageBps,
+      minAmountOut: toAmountOut(order.limitPrice, child.amountIn, decimalsIn, decimalsOut).toString(),
+    });
+    const amountIn = result.amountIn ?? child.amountIn;
+    Object.assign(child, {
+      status: "filled",
+      amountIn: amountIn.toString(),
+      amountOut: result.amountOut.toString(),
+      price: toPrice(amountIn, result.amountOut, decimalsIn, decimalsOut),
+      protocol: result.protocol,
+      version: result.version,
+      hash: result.hash,
+      executedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    Object.assign(child, { status: "failed", reason: error.message });
+  }
+}
+
+/**
+ * Execute a TWAP order, resuming from its state file if one exists
+ * Children run at their scheduled times. If the process was down long enough that a child is more than one
+ * interval late, the remaining schedule is shifted to start now rather than firing the missed children back to
+ * back. A child found "executing" on resume may or may not have been mined; it is marked "unknown" and not resent.
+ * A state file whose order already completed is archived under a timestamped id and a new order is created.
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Parent order size (in wei)
+ * @param {object} options - Order options (see createTwapOrder) plus swapOptions passed to every
+ *   dexAggregator.swapTokens call (submission, maxTokenRisk, ...)
+ * @returns {Promise<object>} Fill report (see buildTwapReport)
+ */
+async function executeTwap(chainKey, wallet, tokenIn, tokenOut, amountIn, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const { swapOptions = {} } = options;
+  if (swapOptions.buildOnly) {
+    throw new Error("TWAP orders execute over time and can't be built only");
+  }
+
+  const slices = options.slices ?? 10;
+  const durationSeconds = options.durationSeconds ?? 3600;
+  const id =
+    options.id ?? defaultOrderId(chainKey, wallet.address, tokenIn, tokenOut, amountIn, slices, durationSeconds);
+  const statePath = getTwapStatePath(id);
+
+  let order = readState(statePath);
+  if (order?.status === "complete") {
+    const archivePath = getTwapStatePath(`${id}-${Date.parse(order.createdAt)}`);
+    writeState(archivePath, order);
+    console.log(`TWAP order ${id} already completed; archived it to ${archivePath} and placing a new one`);
+    order = null;
+  }
+
+  if (order) {
+    console.log(`Resuming TWAP order ${id} from ${statePath}`);
+    order.children
+      .filter(child => child.status === "executing")
+      .forEach(child => {
+        console.log(`  Slice ${child.index + 1} was sending when the process stopped; check ${wallet.address}`);
+        Object.assign(child, { status: "unknown", reason: "Interrupted while sending" });
+      });
+  } else {
+    order = await createTwapOrder(chainKey, wallet.address, tokenIn, tokenOut, amountIn, {
+      ...options,
+      slices,
+      durationSeconds,
+      id,
+    });
+    console.log(`Created TWAP order ${id} (${statePath})`);
+  }
+  writeState(statePath, order);
+
+  console.log(`Arrival price: ${order.arrivalPrice}, limit: ${order.limitPrice}`);
+  console.log(`${order.slices} slices every ${order.intervalSeconds}s\n`);
+
+  for (const child of order.children) {
+    if (child.status !== "pending") {
+      continue;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const lateBy = now - child.scheduledAt;
+    if (order.intervalSeconds > 0 && lateBy > order.intervalSeconds) {
+      console.log(`Schedule is ${lateBy}s behind; shifting the remaining slices to start now`);
+      order.children
+        .filter(pending => pending.status === "pending")
+        .forEach(pending => (pending.scheduledAt += lateBy));
+      writeState(statePath, order);
+    } else if (lateBy < 0) {
+      console.log(`Waiting ${-lateBy}s for slice ${child.index + 1}/${order.slices}...`);
+      await new Promise(resolve => setTimeout(resolve, -lateBy * 1000));
+    }
+
+    console.log(`Slice ${child.index + 1}/${order.slices}: ${child.amountIn}`);
+    await executeChild(order, wallet, child, swapOptions);
+    console.log(`  ${child.status}${child.reason ? `: ${child.reason}` : ` at ${child.price}`}`);
+
+    writeState(statePath, order);
+  }
+
+  order.status = "complete";
+  order.report = buildTwapReport(order);
+  writeState(statePath, order);
+
+  return order.report;
+}
+
+/**
+ * Display a TWAP fill report
+ */
+function displayTwapReport(report) {
+  console.log("\n" + "=".repeat(80));
+  console.log(`TWAP FILL REPORT (${report.id})`);
+  console.log("=".repeat(80));
+  console.log(`Slices filled: ${report.filledSlices}`);
+  console.log(`Slices skipped: ${report.skippedSlices}`);
+  console.log(`Slices failed: ${report.failedSlices}`);
+  if (report.unknownSlices > 0) {
+    console.log(`Slices interrupted (check wallet history): ${report.unknownSlices}`);
+  }
+  console.log(`Filled: ${report.amountIn} in, ${report.amountOut} out (${report.unfilledAmountIn} unfilled)`);
+  console.log(`Arrival price: ${report.arrivalPrice}`);
+  console.log(`Limit price: ${report.limitPrice}`);
+  if (report.averagePrice !== null) {
+    console.log(`Average price: ${report.averagePrice}`);
+    console.log(`Slippage vs arrival: ${report.slippageBps} bps`);
+  }
+  console.log("=".repeat(80) + "\n");
+}
+
+module.exports = {
+  getTwapStatePath,
+  createTwapOrder,
+  buildTwapReport,
+  executeTwap,
+  displayTwapReport,
+};
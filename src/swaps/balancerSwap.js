@@ -1,10 +1,13 @@
 /**
  * Balancer token swap implementation
- * Supports swaps through Balancer V2 Vault across all configured chains
+ * V2: swaps through the Vault, quotes from Vault.queryBatchSwap (single and multi-hop batch swaps)
+ * V3: swaps and quotes through the Router/BatchRouter, pools addressed by pool address,
+ *     boosted pools reached through the Vault's ERC4626 buffers
+ * Native ETH (NATIVE_TOKEN) is passed to the V2 Vault as the zero address asset and to V3 routers with wethIsEth
  */
 const { ethers } = require("ethers");
 const { CHAINS } = require("../config/chains");
-const { getProvider } = require("../utils/web3");
+const { getProvider, getSigner } = require("../utils/web3");
 const {
   validateChainKey,
   validateWallet,
@@ -12,8 +15,334 @@ const {
   validateAmount,
   validateSlippage,
 } = require("../utils/validation");
+const { isNativeToken, toWrappedToken } = require("../utils/native");
+const { SPENDER_SUPPORT, ensureApproval, prepareApproval } = require("../utils/approvals");
+const { simulateAndSend } = require("../utils/txSimulation");
+const { decodeSwapReceipt } = require("../utils/receiptDecoder");
+const { getSwapLimits } = require("../utils/slippage");
 const VAULT_ABI = require("../abis/BalancerVault.json");
-const ERC20_ABI = require("../abis/IERC20.json");
+const VAULT_V3_ABI = require("../abis/BalancerV3Vault.json");
+const ROUTER_V3_ABI = require("../abis/BalancerV3Router.json");
+const BATCH_ROUTER_V3_ABI = require("../abis/BalancerV3BatchRouter.json");
+
+const ERC4626_ABI = ["function asset() view returns (address)"];
+
+// IVault.SwapKind
+const SWAP_KIND = {
+  GIVEN_IN: 0,
+  GIVEN_OUT: 1,
+};
+
+// Pool tokens never change for a poolId, so resolve them once per process
+const poolTokensCache = new Map();
+const erc4626AssetCache = new Map();
+
+/**
+ * Build assets/steps arrays for a Vault batch swap
+ * Each hop's input must be the previous hop's output; amount 0 on later steps chains the previous step's amount.
+ * GIVEN_OUT batches run backwards from the output, so steps are ordered last hop first.
+ * Native ETH becomes the zero address asset, which the Vault wraps/unwraps as WETH
+ * @param {object[]} path - Hops: {poolId, tokenIn, tokenOut}
+ * @param {string} amount - First hop's input amount (GIVEN_IN) or last hop's output amount (GIVEN_OUT)
+ * @param {number} kind - SWAP_KIND.GIVEN_IN (default) or SWAP_KIND.GIVEN_OUT
+ * @returns {{assets: string[], swaps: object[], assetInIndex: number, assetOutIndex: number}}
+ */
+function buildBatchSwap(path, amount, kind = SWAP_KIND.GIVEN_IN) {
+  if (!Array.isArray(path) || path.length === 0) {
+    throw new Error("Balancer path must contain at least one hop");
+  }
+
+  const assets = [];
+  const indexOf = token => {
+    const asset = isNativeToken(token) ? ethers.ZeroAddress : token;
+    const idx = assets.findIndex(a => a.toLowerCase() === asset.toLowerCase());
+    if (idx !== -1) return idx;
+    assets.push(asset);
+    return assets.length - 1;
+  };
+
+  const swaps = path.map((hop, idx) => {
+    validateAddress(hop.tokenIn, `path[${idx}].tokenIn`);
+    validateAddress(hop.tokenOut, `path[${idx}].tokenOut`);
+
+    if (idx > 0 && hop.tokenIn.toLowerCase() !== path[idx - 1].tokenOut.toLowerCase()) {
+      throw new Error(`Invalid Balancer path: hop ${idx} input does not match hop ${idx - 1} output`);
+    }
+
+    return {
+      poolId: hop.poolId,
+      assetInIndex: indexOf(hop.tokenIn),
+      assetOutIndex: indexOf(hop.tokenOut),
+      amount: 0,
+      userData: "0x",
+    };
+  });
+
+  const assetInIndex = swaps[0].assetInIndex;
+  const assetOutIndex = swaps[swaps.length - 1].assetOutIndex;
+
+  if (kind === SWAP_KIND.GIVEN_OUT) {
+    swaps.reverse();
+  }
+  swaps[0].amount = amount;
+
+  return { assets, swaps, assetInIndex, assetOutIndex };
+}
+
+/**
+ * Get quote for a multi-hop Balancer V2 swap
+ * @param {string} chainKey - Chain identifier
+ * @param {object[]} path - Hops: {poolId, tokenIn, tokenOut}
+ * @param {string} amountIn - Amount of input token (in wei)
+ * @returns {Promise<{amountOut: string, path: object[]}>}
+ */
+async function getQuoteMultiHop(chainKey, path, amountIn) {
+  validateChainKey(chainKey);
+  validateAmount(amountIn, "amountIn");
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v2?.vault) {
+    throw new Error(`Balancer V2 not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const vault = new ethers.Contract(chain.balancer.v2.vault, VAULT_ABI, provider);
+
+  const { assets, swaps, assetOutIndex } = buildBatchSwap(path, amountIn);
+
+  // queryBatchSwap ignores funds for the simulation, but the struct must still be passed
+  const funds = {
+    sender: ethers.ZeroAddress,
+    fromInternalBalance: false,
+    recipient: ethers.ZeroAddress,
+    toInternalBalance: false,
+  };
+
+  try {
+    const deltas = await vault.queryBatchSwap.staticCall(SWAP_KIND.GIVEN_IN, swaps, assets, funds);
+
+    // Vault deltas are from the caller's perspective: output is negative
+    const amountOut = -BigInt(deltas[assetOutIndex]);
+    if (amountOut <= 0n) {
+      throw new Error("Query returned no output");
+    }
+
+    return { amountOut: amountOut.toString(), path };
+  } catch (error) {
+    throw new Error(`Balancer quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get input required for an exact output multi-hop Balancer V2 swap
+ * @param {string} chainKey - Chain identifier
+ * @param {object[]} path - Hops: {poolId, tokenIn, tokenOut}
+ * @param {string} amountOut - Desired amount of output token (in wei)
+ * @returns {Promise<{amountIn: string, path: object[]}>}
+ */
+async function getQuoteMultiHopExactOut(chainKey, path, amountOut) {
+  validateChainKey(chainKey);
+  validateAmount(amountOut, "amountOut");
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v2?.vault) {
+    throw new Error(`Balancer V2 not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const vault = new ethers.Contract(chain.balancer.v2.vault, VAULT_ABI, provider);
+
+  const { assets, swaps, assetInIndex } = buildBatchSwap(path, amountOut, SWAP_KIND.GIVEN_OUT);
+
+  const funds = {
+    sender: ethers.ZeroAddress,
+    fromInternalBalance: false,
+    recipient: ethers.ZeroAddress,
+    toInternalBalance: false,
+  };
+
+  try {
+    const deltas = await vault.queryBatchSwap.staticCall(SWAP_KIND.GIVEN_OUT, swaps, assets, funds);
+
+    // Input is what the caller pays the Vault: positive
+    const amountIn = BigInt(deltas[assetInIndex]);
+    if (amountIn <= 0n) {
+      throw new Error("Query returned no input");
+    }
+
+    return { amountIn: amountIn.toString(), path };
+  } catch (error) {
+    throw new Error(`Balancer exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get quote for a single-pool Balancer V2 swap
+ * @param {string} chainKey - Chain identifier
+ * @param {string} poolId - Balancer pool ID (bytes32)
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount of input token (in wei)
+ * @returns {Promise<string>} Expected output amount
+ */
+async function getQuote(chainKey, poolId, tokenIn, tokenOut, amountIn) {
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+
+  const quote = await getQuoteMultiHop(chainKey, [{ poolId, tokenIn, tokenOut }], amountIn);
+  return quote.amountOut;
+}
+
+/**
+ * Get token addresses of a pool (cached)
+ */
+async function getPoolTokenAddresses(chainKey, poolId) {
+  const cacheKey = `${chainKey}:${poolId.toLowerCase()}`;
+  if (!poolTokensCache.has(cacheKey)) {
+    const { tokens } = await getPoolInfo(chainKey, poolId);
+    poolTokensCache.set(
+      cacheKey,
+      tokens.map(t => t.toLowerCase())
+    );
+  }
+  return poolTokensCache.get(cacheKey);
+}
+
+/**
+ * List candidate routes through the configured Balancer V2 pools
+ * Every direct pool and every two-hop route that shares an intermediate token;
+ * native ETH is matched against pools holding WETH
+ * @returns {Promise<object[][]>} Paths of hops: {poolId, tokenIn, tokenOut}
+ */
+async function getCandidatePaths(chainKey, tokenIn, tokenOut) {
+  const configured = Object.values(CHAINS[chainKey]?.balancer?.v2?.pools || {});
+  if (configured.length === 0) {
+    throw new Error(`No Balancer V2 pools configured on ${chainKey}`);
+  }
+
+  const pools = [];
+  for (const pool of configured) {
+    try {
+      pools.push({ poolId: pool.poolId, tokens: await getPoolTokenAddresses(chainKey, pool.poolId) });
+    } catch (error) {
+      console.log(`Balancer pool ${pool.name}: ${error.message}`);
+    }
+  }
+
+  const inLower = toWrappedToken(chainKey, tokenIn).toLowerCase();
+  const outLower = toWrappedToken(chainKey, tokenOut).toLowerCase();
+  const candidates = [];
+
+  for (const pool of pools) {
+    if (pool.tokens.includes(inLower) && pool.tokens.includes(outLower)) {
+      candidates.push([{ poolId: pool.poolId, tokenIn, tokenOut }]);
+    }
+  }
+
+  for (const first of pools) {
+    if (!first.tokens.includes(inLower)) continue;
+    for (const second of pools) {
+      if (second === first || !second.tokens.includes(outLower)) continue;
+      for (const mid of first.tokens) {
+        if (mid === inLower || mid === outLower || !second.tokens.includes(mid)) continue;
+        const midToken = ethers.getAddress(mid);
+        candidates.push([
+          { poolId: first.poolId, tokenIn, tokenOut: midToken },
+          { poolId: second.poolId, tokenIn: midToken, tokenOut },
+        ]);
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Find the best route through the configured Balancer V2 pools
+ * Tries every direct pool and every two-hop route that shares an intermediate token
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount of input token (in wei)
+ * @returns {Promise<{amountOut: string, path: object[], poolId: string|null}>}
+ */
+async function findBestPath(chainKey, tokenIn, tokenOut, amountIn) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+
+  const candidates = await getCandidatePaths(chainKey, tokenIn, tokenOut);
+
+  let best = null;
+  for (const path of candidates) {
+    try {
+      const quote = await getQuoteMultiHop(chainKey, path, amountIn);
+      if (!best || BigInt(quote.amountOut) > BigInt(best.amountOut)) {
+        best = quote;
+      }
+    } catch (error) {
+      // Pool can't fill this route (e.g. paused or insufficient liquidity)
+    }
+  }
+
+  if (!best) {
+    throw new Error("No Balancer V2 route found for this pair");
+  }
+
+  return {
+    amountOut: best.amountOut,
+    path: best.path,
+    poolId: best.path.length === 1 ? best.path[0].poolId : null,
+  };
+}
+
+/**
+ * Find the Balancer V2 route needing the least input for an exact output amount
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Desired amount of output token (in wei)
+ * @returns {Promise<{amountIn: string, path: object[], poolId: string|null}>}
+ */
+async function findBestPathExactOut(chainKey, tokenIn, tokenOut, amountOut) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const candidates = await getCandidatePaths(chainKey, tokenIn, tokenOut);
+
+  let best = null;
+  for (const path of candidates) {
+    try {
+      const quote = await getQuoteMultiHopExactOut(chainKey, path, amountOut);
+      if (!best || BigInt(quote.amountIn) < BigInt(best.amountIn)) {
+        best = quote;
+      }
+    } catch (error) {
+      // Pool can't fill this route (e.g. paused or not enough balance of tokenOut)
+    }
+  }
+
+  if (!best) {
+    throw new Error("No Balancer V2 route found for this pair");
+  }
+
+  return {
+    amountIn: best.amountIn,
+    path: best.path,
+    poolId: best.path.length === 1 ? best.path[0].poolId : null,
+  };
+}
+
+/**
+ * Approve the Vault to pull the input token if needed (native ETH is sent as value instead)
+ * The V2 Vault has no permit support, so this is a plain approve in the configured approval mode
+ */
+async function ensureVaultAllowance(signer, vaultAddress, tokenIn, amountIn) {
+  await ensureApproval(signer, tokenIn, vaultAddress, amountIn);
+}
 
 /**
  * Execute Balancer swap through V2 Vault
@@ -25,9 +354,20 @@ const ERC20_ABI = require("../abis/IERC20.json");
  * @param {string} amountIn - Amount to swap (in wei)
  * @param {number} slippageBps - Slippage tolerance in basis points (default: 50 = 0.5%)
  * @param {string} recipient - Recipient address (default: wallet address)
- * @returns {Promise<{hash: string, amountOut: string}>}
+ * @param {string} minAmountOut - Hard floor on the output, never undercut by slippage (default: none)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
  */
-async function swapV2(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, slippageBps = 50, recipient = null) {
+async function swapV2(
+  chainKey,
+  wallet,
+  poolId,
+  tokenIn,
+  tokenOut,
+  amountIn,
+  slippageBps = 50,
+  recipient = null,
+  minAmountOut = null
+) {
   validateChainKey(chainKey);
   validateWallet(wallet);
   validateAddress(tokenIn, "tokenIn");
@@ -40,29 +380,28 @@ async function swapV2(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, sli
     throw new Error(`Balancer V2 not available on ${chainKey}`);
   }
 
-  const provider = wallet.provider || getProvider(chainKey);
-  const walletWithProvider = wallet.connect(provider);
-
-  const vault = new ethers.Contract(chain.balancer.v2.vault, VAULT_ABI, walletWithProvider);
+  const signer = getSigner(chainKey, wallet);
+  const vault = new ethers.Contract(chain.balancer.v2.vault, VAULT_ABI, signer);
 
-  const tokenInContract = new ethers.Contract(tokenIn, ERC20_ABI, walletWithProvider);
+  // Get quote to calculate minimum output with slippage
+  const quote = await getQuote(chainKey, poolId, tokenIn, tokenOut, amountIn);
+  const { amountOutMin } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut: quote },
+    slippageBps,
+    { minAmountOut }
+  );
 
-  const allowance = await tokenInContract.allowance(wallet.address, chain.balancer.v2.vault);
-  if (BigInt(allowance) < BigInt(amountIn)) {
-    console.log("Approving Balancer Vault...");
-    const approveTx = await tokenInContract.approve(chain.balancer.v2.vault, amountIn);
-    await approveTx.wait();
-  }
+  await ensureVaultAllowance(signer, chain.balancer.v2.vault, tokenIn, amountIn);
 
-  const minAmountOut = (BigInt(amountIn) * BigInt(10000 - slippageBps)) / BigInt(10000);
   const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
   const to = recipient || wallet.address;
 
   const singleSwap = {
     poolId: poolId,
-    kind: 0, // GIVEN_IN
-    assetIn: tokenIn,
-    assetOut: tokenOut,
+    kind: SWAP_KIND.GIVEN_IN,
+    assetIn: isNativeToken(tokenIn) ? ethers.ZeroAddress : tokenIn,
+    assetOut: isNativeToken(tokenOut) ? ethers.ZeroAddress : tokenOut,
     amount: amountIn,
     userData: "0x",
   };
@@ -74,14 +413,657 @@ async function swapV2(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, sli
     toInternalBalance: false,
   };
 
-  const tx = await vault.swap(singleSwap, funds, minAmountOut, deadline);
+  const tx = await simulateAndSend(
+    vault,
+    "swap",
+    [singleSwap, funds, amountOutMin, deadline],
+    { value: isNativeToken(tokenIn) ? amountIn : 0 },
+    "Balancer V2 swap"
+  );
 
   const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn,
+    amountOut: quote,
+  });
 
   return {
     version: "v2",
-    hash: receipt.hash,
+    ...execution,
     poolId: poolId,
+    amountOutMin: amountOutMin.toString(),
+  };
+}
+
+/**
+ * Execute multi-hop Balancer swap through V2 Vault batchSwap
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {object[]} path - Hops: {poolId, tokenIn, tokenOut}
+ * @param {string} amountIn - Amount to swap (in wei)
+ * @param {number} slippageBps - Slippage tolerance in basis points (default: 50 = 0.5%)
+ * @param {string} recipient - Recipient address (default: wallet address)
+ * @param {string} minAmountOut - Hard floor on the output, never undercut by slippage (default: none)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
+ */
+async function swapV2MultiHop(
+  chainKey,
+  wallet,
+  path,
+  amountIn,
+  slippageBps = 50,
+  recipient = null,
+  minAmountOut = null
+) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAmount(amountIn, "amountIn");
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v2?.vault) {
+    throw new Error(`Balancer V2 not available on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+  const vault = new ethers.Contract(chain.balancer.v2.vault, VAULT_ABI, signer);
+
+  const quote = await getQuoteMultiHop(chainKey, path, amountIn);
+  const { amountOutMin } = await getSwapLimits(
+    chainKey,
+    { tokenIn: path[0].tokenIn, tokenOut: path[path.length - 1].tokenOut, amountIn, amountOut: quote.amountOut },
+    slippageBps,
+    { minAmountOut }
+  );
+
+  const { assets, swaps, assetInIndex, assetOutIndex } = buildBatchSwap(path, amountIn);
+
+  await ensureVaultAllowance(signer, chain.balancer.v2.vault, assets[assetInIndex], amountIn);
+
+  // Limits are max amounts the Vault may take (positive) or min amounts it must send (negative)
+  const limits = assets.map(() => 0n);
+  limits[assetInIndex] = BigInt(amountIn);
+  limits[assetOutIndex] = -amountOutMin;
+
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const to = recipient || wallet.address;
+
+  const funds = {
+    sender: wallet.address,
+    fromInternalBalance: false,
+    recipient: to,
+    toInternalBalance: false,
+  };
+
+  const tx = await simulateAndSend(
+    vault,
+    "batchSwap",
+    [SWAP_KIND.GIVEN_IN, swaps, assets, funds, limits, deadline],
+    { value: isNativeToken(assets[assetInIndex]) ? amountIn : 0 },
+    "Balancer V2 swap"
+  );
+
+  const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn: path[0].tokenIn,
+    tokenOut: path[path.length - 1].tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn,
+    amountOut: quote.amountOut,
+  });
+
+  return {
+    version: "v2",
+    ...execution,
+    path,
+    amountOutMin: amountOutMin.toString(),
+  };
+}
+
+/**
+ * Execute exact output Balancer swap through V2 Vault batchSwap (single or multi-hop)
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {object[]} path - Hops: {poolId, tokenIn, tokenOut}
+ * @param {string} amountOut - Exact amount of output token to receive (in wei)
+ * @param {number} slippageBps - Slippage tolerance in basis points, applied to the input (default: 50 = 0.5%)
+ * @param {string} recipient - Recipient address (default: wallet address)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountInMax
+ */
+async function swapV2ExactOut(chainKey, wallet, path, amountOut, slippageBps = 50, recipient = null) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAmount(amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v2?.vault) {
+    throw new Error(`Balancer V2 not available on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+  const vault = new ethers.Contract(chain.balancer.v2.vault, VAULT_ABI, signer);
+
+  const quote = await getQuoteMultiHopExactOut(chainKey, path, amountOut);
+  const { amountInMax } = await getSwapLimits(
+    chainKey,
+    {
+      tokenIn: path[0].tokenIn,
+      tokenOut: path[path.length - 1].tokenOut,
+      amountIn: quote.amountIn,
+      amountOut,
+      exactOutput: true,
+    },
+    slippageBps
+  );
+
+  const { assets, swaps, assetInIndex, assetOutIndex } = buildBatchSwap(path, amountOut, SWAP_KIND.GIVEN_OUT);
+
+  await ensureVaultAllowance(signer, chain.balancer.v2.vault, assets[assetInIndex], amountInMax);
+
+  const limits = assets.map(() => 0n);
+  limits[assetInIndex] = amountInMax;
+  limits[assetOutIndex] = -BigInt(amountOut);
+
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const to = recipient || wallet.address;
+
+  const funds = {
+    sender: wallet.address,
+    fromInternalBalance: false,
+    recipient: to,
+    toInternalBalance: false,
+  };
+
+  // The Vault refunds any ETH beyond what the swap needs
+  const tx = await simulateAndSend(
+    vault,
+    "batchSwap",
+    [SWAP_KIND.GIVEN_OUT, swaps, assets, funds, limits, deadline],
+    { value: isNativeToken(assets[assetInIndex]) ? amountInMax : 0 },
+    "Balancer V2 swap"
+  );
+
+  const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn: path[0].tokenIn,
+    tokenOut: path[path.length - 1].tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn: quote.amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return {
+    version: "v2",
+    ...execution,
+    path,
+    amountInMax: amountInMax.toString(),
+  };
+}
+
+/**
+ * Get token addresses registered for a Balancer V3 pool (cached)
+ */
+async function getV3PoolTokenAddresses(chainKey, pool) {
+  const cacheKey = `${chainKey}:v3:${pool.toLowerCase()}`;
+  if (!poolTokensCache.has(cacheKey)) {
+    const vault = new ethers.Contract(CHAINS[chainKey].balancer.v3.vault, VAULT_V3_ABI, getProvider(chainKey));
+    const tokens = await vault.getPoolTokens(pool);
+    poolTokensCache.set(
+      cacheKey,
+      tokens.map(t => ethers.getAddress(t))
+    );
+  }
+  return poolTokensCache.get(cacheKey);
+}
+
+/**
+ * Get the underlying asset of an ERC4626 token, or null if the token is not a vault (cached)
+ */
+async function getERC4626Asset(chainKey, token) {
+  const cacheKey = `${chainKey}:asset:${token.toLowerCase()}`;
+  if (!erc4626AssetCache.has(cacheKey)) {
+    const vault = new ethers.Contract(token, ERC4626_ABI, getProvider(chainKey));
+    let asset = null;
+    try {
+      asset = ethers.getAddress(await vault.asset());
+    } catch (error) {
+      // Not an ERC4626 vault
+    }
+    erc4626AssetCache.set(cacheKey, asset);
+  }
+  return erc4626AssetCache.get(cacheKey);
+}
+
+/**
+ * Build BatchRouter steps for a swap through a Balancer V3 pool
+ * Boosted pools hold ERC4626 wrapped tokens; when tokenIn/tokenOut is the underlying asset,
+ * the Vault's ERC4626 buffer wraps/unwraps it around the pool swap
+ * @param {string} chainKey - Chain identifier
+ * @param {string} pool - Pool address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @returns {Promise<Array<{pool: string, tokenOut: string, isBuffer: boolean}>>}
+ */
+async function getV3SwapSteps(chainKey, pool, tokenIn, tokenOut) {
+  const poolTokens = await getV3PoolTokenAddresses(chainKey, pool);
+
+  // Resolve a token to the pool token it trades as: itself, or the ERC4626 wrapper holding it
+  const resolve = async token => {
+    const direct = poolTokens.find(t => t.toLowerCase() === token.toLowerCase());
+    if (direct) return { poolToken: direct, wrapped: false };
+
+    for (const poolToken of poolTokens) {
+      const asset = await getERC4626Asset(chainKey, poolToken);
+      if (asset && asset.toLowerCase() === token.toLowerCase()) {
+        return { poolToken, wrapped: true };
+      }
+    }
+    return null;
+  };
+
+  const resolvedIn = await resolve(tokenIn);
+  const resolvedOut = await resolve(tokenOut);
+  if (!resolvedIn || !resolvedOut) {
+    throw new Error(`Pool ${pool} does not trade ${tokenIn} -> ${tokenOut}`);
+  }
+
+  const steps = [];
+  if (resolvedIn.wrapped) {
+    // Buffer step: the "pool" is the wrapped token, tokenOut is the wrapped token (wrap)
+    steps.push({ pool: resolvedIn.poolToken, tokenOut: resolvedIn.poolToken, isBuffer: true });
+  }
+  steps.push({ pool, tokenOut: resolvedOut.poolToken, isBuffer: false });
+  if (resolvedOut.wrapped) {
+    // Buffer step: unwrap to the underlying asset
+    steps.push({ pool: resolvedOut.poolToken, tokenOut, isBuffer: true });
+  }
+
+  return steps;
+}
+
+/**
+ * Get quote for a Balancer V3 swap
+ * Plain pool swaps are quoted on the Router; buffered (boosted) paths on the BatchRouter
+ * Router queries only succeed from a static call with no sender, so no `from` is set
+ * @param {string} chainKey - Chain identifier
+ * @param {string} pool - Pool address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount of input token (in wei)
+ * @returns {Promise<{amountOut: string, steps: object[]}>}
+ */
+async function getQuoteV3(chainKey, pool, tokenIn, tokenOut, amountIn) {
+  validateChainKey(chainKey);
+  validateAddress(pool, "pool");
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+
+  // V3 pools hold WETH; routers wrap/unwrap native ETH with wethIsEth
+  tokenIn = toWrappedToken(chainKey, tokenIn);
+  tokenOut = toWrappedToken(chainKey, tokenOut);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v3?.router) {
+    throw new Error(`Balancer V3 router not configured on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+
+  try {
+    const steps = await getV3SwapSteps(chainKey, pool, tokenIn, tokenOut);
+
+    let amountOut;
+    if (steps.length === 1) {
+      const router = new ethers.Contract(chain.balancer.v3.router, ROUTER_V3_ABI, provider);
+      amountOut = await router.querySwapSingleTokenExactIn.staticCall(
+        pool,
+        tokenIn,
+        tokenOut,
+        amountIn,
+        ethers.ZeroAddress,
+        "0x"
+      );
+    } else {
+      const batchRouter = new ethers.Contract(chain.balancer.v3.batchRouter, BATCH_ROUTER_V3_ABI, provider);
+      const [pathAmountsOut] = await batchRouter.querySwapExactIn.staticCall(
+        [{ tokenIn, steps, exactAmountIn: amountIn, minAmountOut: 0 }],
+        ethers.ZeroAddress,
+        "0x"
+      );
+      amountOut = pathAmountsOut[0];
+    }
+
+    return { amountOut: amountOut.toString(), steps };
+  } catch (error) {
+    throw new Error(`Balancer V3 quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get input required for an exact output Balancer V3 swap
+ * Plain pool swaps are quoted on the Router; buffered (boosted) paths on the BatchRouter
+ * @param {string} chainKey - Chain identifier
+ * @param {string} pool - Pool address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Desired amount of output token (in wei)
+ * @returns {Promise<{amountIn: string, steps: object[]}>}
+ */
+async function getQuoteV3ExactOut(chainKey, pool, tokenIn, tokenOut, amountOut) {
+  validateChainKey(chainKey);
+  validateAddress(pool, "pool");
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  // V3 pools hold WETH; routers wrap/unwrap native ETH with wethIsEth
+  tokenIn = toWrappedToken(chainKey, tokenIn);
+  tokenOut = toWrappedToken(chainKey, tokenOut);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v3?.router) {
+    throw new Error(`Balancer V3 router not configured on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+
+  try {
+    const steps = await getV3SwapSteps(chainKey, pool, tokenIn, tokenOut);
+
+    let amountIn;
+    if (steps.length === 1) {
+      const router = new ethers.Contract(chain.balancer.v3.router, ROUTER_V3_ABI, provider);
+      amountIn = await router.querySwapSingleTokenExactOut.staticCall(
+        pool,
+        tokenIn,
+        tokenOut,
+        amountOut,
+        ethers.ZeroAddress,
+        "0x"
+      );
+    } else {
+      const batchRouter = new ethers.Contract(chain.balancer.v3.batchRouter, BATCH_ROUTER_V3_ABI, provider);
+      const [pathAmountsIn] = await batchRouter.querySwapExactOut.staticCall(
+        [{ tokenIn, steps, maxAmountIn: ethers.MaxUint256, exactAmountOut: amountOut }],
+        ethers.ZeroAddress,
+        "0x"
+      );
+      amountIn = pathAmountsIn[0];
+    }
+
+    return { amountIn: amountIn.toString(), steps };
+  } catch (error) {
+    throw new Error(`Balancer V3 exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Find the best configured Balancer V3 pool for a pair
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount of input token (in wei)
+ * @returns {Promise<{pool: string, amountOut: string, steps: object[]}>}
+ */
+async function findBestPoolV3(chainKey, tokenIn, tokenOut, amountIn) {
+  validateChainKey(chainKey);
+
+  const configured = Object.values(CHAINS[chainKey]?.balancer?.v3?.pools || {});
+  if (configured.length === 0) {
+    throw new Error(`No Balancer V3 pools configured on ${chainKey}`);
+  }
+
+  let best = null;
+  for (const pool of configured) {
+    try {
+      const quote = await getQuoteV3(chainKey, pool.address, tokenIn, tokenOut, amountIn);
+      if (!best || BigInt(quote.amountOut) > BigInt(best.amountOut)) {
+        best = { pool: pool.address, ...quote };
+      }
+    } catch (error) {
+      // Pool doesn't trade this pair
+    }
+  }
+
+  if (!best) {
+    throw new Error("No Balancer V3 pool found for this pair");
+  }
+
+  return best;
+}
+
+/**
+ * Find the configured Balancer V3 pool needing the least input for an exact output amount
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Desired amount of output token (in wei)
+ * @returns {Promise<{pool: string, amountIn: string, steps: object[]}>}
+ */
+async function findBestPoolV3ExactOut(chainKey, tokenIn, tokenOut, amountOut) {
+  validateChainKey(chainKey);
+
+  const configured = Object.values(CHAINS[chainKey]?.balancer?.v3?.pools || {});
+  if (configured.length === 0) {
+    throw new Error(`No Balancer V3 pools configured on ${chainKey}`);
+  }
+
+  let best = null;
+  for (const pool of configured) {
+    try {
+      const quote = await getQuoteV3ExactOut(chainKey, pool.address, tokenIn, tokenOut, amountOut);
+      if (!best || BigInt(quote.amountIn) < BigInt(best.amountIn)) {
+        best = { pool: pool.address, ...quote };
+      }
+    } catch (error) {
+      // Pool doesn't trade this pair
+    }
+  }
+
+  if (!best) {
+    throw new Error("No Balancer V3 pool found for this pair");
+  }
+
+  return best;
+}
+
+/**
+ * Give a Balancer V3 router access to the input token through Permit2
+ * The routers' swap functions take no PermitSingle, so the allowance is granted with approve transactions
+ * in the configured approval mode
+ */
+async function approveV3Router(signer, tokenIn, router, amount) {
+  await prepareApproval(signer, tokenIn, router, amount, { support: SPENDER_SUPPORT.PERMIT2, usePermits: false });
+}
+
+/**
+ * Execute Balancer V3 swap through the Router (or BatchRouter for boosted pool buffer paths)
+ * V3 routers pull the input token via Permit2 and always pay out to the sender
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {string} pool - Pool address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount to swap (in wei)
+ * @param {number} slippageBps - Slippage tolerance in basis points (default: 50 = 0.5%)
+ * @param {string} minAmountOut - Hard floor on the output, never undercut by slippage (default: none)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
+ */
+async function swapV3(chainKey, wallet, pool, tokenIn, tokenOut, amountIn, slippageBps = 50, minAmountOut = null) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v3?.router) {
+    throw new Error(`Balancer V3 router not configured on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+
+  // Get quote to calculate minimum output with slippage
+  const quote = await getQuoteV3(chainKey, pool, tokenIn, tokenOut, amountIn);
+  const { amountOutMin } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut: quote.amountOut },
+    slippageBps,
+    { minAmountOut }
+  );
+
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+
+  // Native ETH is sent as value (or paid out) by the router as WETH's stand-in
+  const nativeIn = isNativeToken(tokenIn);
+  const wethIsEth = nativeIn || isNativeToken(tokenOut);
+  const value = nativeIn ? amountIn : 0;
+  const wrappedIn = toWrappedToken(chainKey, tokenIn);
+  const wrappedOut = toWrappedToken(chainKey, tokenOut);
+
+  let tx;
+  if (quote.steps.length === 1) {
+    if (!nativeIn) {
+      await approveV3Router(signer, tokenIn, chain.balancer.v3.router, amountIn);
+    }
+    const router = new ethers.Contract(chain.balancer.v3.router, ROUTER_V3_ABI, signer);
+    tx = await simulateAndSend(
+      router,
+      "swapSingleTokenExactIn",
+      [pool, wrappedIn, wrappedOut, amountIn, amountOutMin, deadline, wethIsEth, "0x"],
+      { value },
+      "Balancer V3 swap"
+    );
+  } else {
+    if (!nativeIn) {
+      await approveV3Router(signer, tokenIn, chain.balancer.v3.batchRouter, amountIn);
+    }
+    const batchRouter = new ethers.Contract(chain.balancer.v3.batchRouter, BATCH_ROUTER_V3_ABI, signer);
+    tx = await simulateAndSend(
+      batchRouter,
+      "swapExactIn",
+      [
+        [{ tokenIn: wrappedIn, steps: quote.steps, exactAmountIn: amountIn, minAmountOut: amountOutMin }],
+        deadline,
+        wethIsEth,
+        "0x",
+      ],
+      { value },
+      "Balancer V3 swap"
+    );
+  }
+
+  const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    amountIn,
+    amountOut: quote.amountOut,
+  });
+
+  return {
+    version: "v3",
+    ...execution,
+    pool,
+    amountOutMin: amountOutMin.toString(),
+  };
+}
+
+/**
+ * Execute exact output Balancer V3 swap through the Router (or BatchRouter for boosted pool buffer paths)
+ * Permit2 is approved for amountInMax; the router pulls only what the swap needs
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {string} pool - Pool address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Exact amount of output token to receive (in wei)
+ * @param {number} slippageBps - Slippage tolerance in basis points, applied to the input (default: 50 = 0.5%)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountInMax
+ */
+async function swapV3ExactOut(chainKey, wallet, pool, tokenIn, tokenOut, amountOut, slippageBps = 50) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v3?.router) {
+    throw new Error(`Balancer V3 router not configured on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+
+  const quote = await getQuoteV3ExactOut(chainKey, pool, tokenIn, tokenOut, amountOut);
+  const { amountInMax } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn: quote.amountIn, amountOut, exactOutput: true },
+    slippageBps
+  );
+
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+
+  // Native ETH input is sent as amountInMax; the router returns what the swap didn't use
+  const nativeIn = isNativeToken(tokenIn);
+  const wethIsEth = nativeIn || isNativeToken(tokenOut);
+  const value = nativeIn ? amountInMax : 0n;
+  const wrappedIn = toWrappedToken(chainKey, tokenIn);
+  const wrappedOut = toWrappedToken(chainKey, tokenOut);
+
+  let tx;
+  if (quote.steps.length === 1) {
+    if (!nativeIn) {
+      await approveV3Router(signer, tokenIn, chain.balancer.v3.router, amountInMax);
+    }
+    const router = new ethers.Contract(chain.balancer.v3.router, ROUTER_V3_ABI, signer);
+    tx = await simulateAndSend(
+      router,
+      "swapSingleTokenExactOut",
+      [pool, wrappedIn, wrappedOut, amountOut, amountInMax, deadline, wethIsEth, "0x"],
+      { value },
+      "Balancer V3 swap"
+    );
+  } else {
+    if (!nativeIn) {
+      await approveV3Router(signer, tokenIn, chain.balancer.v3.batchRouter, amountInMax);
+    }
+    const batchRouter = new ethers.Contract(chain.balancer.v3.batchRouter, BATCH_ROUTER_V3_ABI, signer);
+    tx = await simulateAndSend(
+      batchRouter,
+      "swapExactOut",
+      [
+        [{ tokenIn: wrappedIn, steps: quote.steps, maxAmountIn: amountInMax, exactAmountOut: amountOut }],
+        deadline,
+        wethIsEth,
+        "0x",
+      ],
+      { value },
+      "Balancer V3 swap"
+    );
+  }
+
+  const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    amountIn: quote.amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return {
+    version: "v3",
+    ...execution,
+    pool,
+    amountInMax: amountInMax.toString(),
   };
 }
 
@@ -112,8 +1094,36 @@ async function getPoolInfo(chainKey, poolId) {
 }
 
 /**
- * Auto-route between Balancer V2 and V3 vaults (if both available)
- * Note: Currently only V2 is implemented with swap functionality
+ * Get V3 pool tokens, raw balances and token types (0 = STANDARD, 1 = WITH_RATE)
+ */
+async function getPoolInfoV3(chainKey, pool) {
+  validateChainKey(chainKey);
+  validateAddress(pool, "pool");
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.balancer?.v3?.vault) {
+    throw new Error(`Balancer V3 not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const vault = new ethers.Contract(chain.balancer.v3.vault, VAULT_V3_ABI, provider);
+
+  try {
+    const [tokens, tokenInfo, balancesRaw] = await vault.getPoolTokenInfo(pool);
+    return {
+      tokens,
+      balances: balancesRaw.map(b => b.toString()),
+      tokenTypes: tokenInfo.map(info => Number(info.tokenType)),
+      rateProviders: tokenInfo.map(info => info.rateProvider),
+    };
+  } catch (error) {
+    throw new Error(`Failed to get V3 pool info: ${error.message}`);
+  }
+}
+
+/**
+ * Auto-route between Balancer V2 and V3 vaults
+ * poolId is a bytes32 pool ID for V2 or a pool address for V3
  */
 async function swapTokens(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, options = {}) {
   validateChainKey(chainKey);
@@ -122,31 +1132,91 @@ async function swapTokens(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn,
   validateAddress(tokenOut, "tokenOut");
   validateAmount(amountIn, "amountIn");
 
-  const { slippageBps = 50, recipient = null, version = null } = options;
+  const { slippageBps = 50, recipient = null, version = null, path = null, minAmountOut = null } = options;
 
   validateSlippage(slippageBps);
 
   const chain = CHAINS[chainKey];
 
-  // Force specific version if requested
-  if (version === "v2" || !chain?.balancer?.v3?.vault) {
-    console.log(`Using Balancer V2 on ${chain.name}...`);
-    return await swapV2(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, slippageBps, recipient);
+  // Multi-hop routes (e.g. from findBestPath) go through batchSwap
+  if (path && path.length > 1) {
+    console.log(`Using Balancer V2 batch swap (${path.length} hops) on ${chain.name}...`);
+    return await swapV2MultiHop(chainKey, wallet, path, amountIn, slippageBps, recipient, minAmountOut);
   }
 
-  if (version === "v3") {
+  // V3 pools are addressed by pool address (20 bytes), V2 pools by poolId (32 bytes)
+  const isV3Pool = version === "v3" || (version !== "v2" && ethers.isAddress(poolId));
+
+  if (isV3Pool) {
+    if (!chain?.balancer?.v3?.router) {
+      throw new Error(`Balancer V3 router not configured on ${chainKey}`);
+    }
+    if (recipient && recipient.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error("Balancer V3 routers pay out to the sender; a custom recipient is not supported");
+    }
     console.log(`Using Balancer V3 on ${chain.name}...`);
-    // V3 implementation would go here when available
-    throw new Error("Balancer V3 swaps not yet implemented");
+    return await swapV3(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, slippageBps, minAmountOut);
+  }
+
+  console.log(`Using Balancer V2 on ${chain.name}...`);
+  return await swapV2(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, slippageBps, recipient, minAmountOut);
+}
+
+/**
+ * Exact output counterpart of swapTokens: routes between Balancer V2 and V3 vaults
+ * poolId is a bytes32 pool ID for V2 or a pool address for V3; a V2 `path` option overrides it
+ */
+async function swapTokensExactOut(chainKey, wallet, poolId, tokenIn, tokenOut, amountOut, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const { slippageBps = 50, recipient = null, version = null, path = null } = options;
+
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+
+  const isV3Pool = !path && (version === "v3" || (version !== "v2" && ethers.isAddress(poolId)));
+
+  if (isV3Pool) {
+    if (!chain?.balancer?.v3?.router) {
+      throw new Error(`Balancer V3 router not configured on ${chainKey}`);
+    }
+    if (recipient && recipient.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error("Balancer V3 routers pay out to the sender; a custom recipient is not supported");
+    }
+    console.log(`Using Balancer V3 exact output on ${chain.name}...`);
+    return await swapV3ExactOut(chainKey, wallet, poolId, tokenIn, tokenOut, amountOut, slippageBps);
   }
 
-  // Default to V2 for now (V3 swap implementation can be added later)
-  console.log(`Auto-routing: Using Balancer V2 on ${chain.name}...`);
-  return await swapV2(chainKey, wallet, poolId, tokenIn, tokenOut, amountIn, slippageBps, recipient);
+  const swapPath = path || [{ poolId, tokenIn, tokenOut }];
+  console.log(
+    `Using Balancer V2 exact output (${swapPath.length} hop${swapPath.length > 1 ? "s" : ""}) on ${chain.name}...`
+  );
+  return await swapV2ExactOut(chainKey, wallet, swapPath, amountOut, slippageBps, recipient);
 }
 
 module.exports = {
+  SWAP_KIND,
   swapTokens,
+  swapTokensExactOut,
   swapV2,
+  swapV2MultiHop,
+  swapV2ExactOut,
+  getQuote,
+  getQuoteMultiHop,
+  getQuoteMultiHopExactOut,
+  findBestPath,
+  findBestPathExactOut,
+  swapV3,
+  swapV3ExactOut,
+  getQuoteV3,
+  getQuoteV3ExactOut,
+  findBestPoolV3,
+  findBestPoolV3ExactOut,
   getPoolInfo,
+  getPoolInfoV3,
 };
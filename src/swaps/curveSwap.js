@@ -1,10 +1,13 @@
 /**
  * Curve Finance token swap implementation
  * Supports swaps through Curve pools across all configured chains
+ * Pools can be discovered automatically through the AddressProvider -> MetaRegistry
+ * Handles metapool/lending pool underlying swaps, crypto-pool uint256 indices and native ETH pools;
+ * native ETH is wrapped/unwrapped automatically when routed through a pool that holds WETH
  */
 const { ethers } = require("ethers");
-const { CHAINS } = require("../config/chains");
-const { getProvider } = require("../utils/web3");
+const { CHAINS, NATIVE_TOKEN } = require("../config/chains");
+const { getProvider, getSigner } = require("../utils/web3");
 const {
   validateChainKey,
   validateWallet,
@@ -12,42 +15,129 @@ const {
   validateAmount,
   validateSlippage,
 } = require("../utils/validation");
+const { isNativeToken, getWrappedNative, wrapNative, unwrapNative } = require("../utils/native");
+const { ensureApproval } = require("../utils/approvals");
+const { simulateAndSend } = require("../utils/txSimulation");
+const { isTxBuilder } = require("../utils/txBuilder");
+const { decodeSwapReceipt } = require("../utils/receiptDecoder");
+const { getSwapLimits } = require("../utils/slippage");
+const { getTransferAdjustments, getDeliveredAmount, clampToRebasingBalance } = require("../utils/tokenBehavior");
 const POOL_ABI = require("../abis/CurvePool.json");
+const ADDRESS_PROVIDER_ABI = require("../abis/CurveAddressProvider.json");
+const META_REGISTRY_ABI = require("../abis/CurveMetaRegistry.json");
+const CRYPTO_POOL_ABI = require("../abis/CurveCryptoPool.json");
 const ERC20_ABI = require("../abis/IERC20.json");
 
+// Curve pools hold at most 8 coins
+const MAX_COINS = 8;
+
+// AddressProvider id of the MetaRegistry
+const METAREGISTRY_ID = 7;
+
+// MetaRegistry address per chain, resolved once per process
+const metaRegistryCache = new Map();
+
+// Coin index type ("int128" | "uint256") per pool, learned from the first successful quote
+const poolIndexTypes = new Map();
+
+/**
+ * Map a token address to the address Curve pools/registries use for it
+ * Native ETH pool coins use the same placeholder as NATIVE_TOKEN, so only the zero address needs mapping
+ */
+function toCurveCoin(token) {
+  return isNativeToken(token) ? NATIVE_TOKEN : token;
+}
+
+/**
+ * Build a pool contract for the given index type
+ * StableSwap pools use int128 coin indices, crypto (V2/NG crypto) pools use uint256
+ */
+function getPoolContract(poolAddress, indexType, runner) {
+  return new ethers.Contract(poolAddress, indexType === "uint256" ? CRYPTO_POOL_ABI : POOL_ABI, runner);
+}
+
 /**
  * Get quote from Curve pool
+ * Tries the int128 index signature first, then uint256; the one that works is remembered per pool
  * @param {string} chainKey - Chain identifier
  * @param {string} poolAddress - Curve pool address
  * @param {number} i - Index of input token in pool
  * @param {number} j - Index of output token in pool
  * @param {string} amountIn - Amount to swap (in wei)
+ * @param {boolean} underlying - Quote underlying coins (metapool/lending pool) via get_dy_underlying
  * @returns {Promise<string>} Expected output amount
  */
-async function getQuote(chainKey, poolAddress, i, j, amountIn) {
+async function getQuote(chainKey, poolAddress, i, j, amountIn, underlying = false) {
   validateChainKey(chainKey);
   validateAddress(poolAddress, "poolAddress");
   validateAmount(amountIn, "amountIn");
 
   const provider = getProvider(chainKey);
-  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const method = underlying ? "get_dy_underlying" : "get_dy";
+  const cacheKey = `${chainKey}:${poolAddress.toLowerCase()}`;
+  const known = poolIndexTypes.get(cacheKey);
+
+  let lastError;
+  for (const indexType of known ? [known] : ["int128", "uint256"]) {
+    try {
+      const pool = getPoolContract(poolAddress, indexType, provider);
+      const amountOut = await pool[method](i, j, amountIn);
+      poolIndexTypes.set(cacheKey, indexType);
+      return amountOut.toString();
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`Curve quote failed: ${lastError.message}`);
+}
+
+/**
+ * Get number of coins in a pool
+ * Uses the MetaRegistry when available, otherwise probes coins(i) until it reverts
+ * @param {string} chainKey - Chain identifier
+ * @param {string} poolAddress - Curve pool address
+ * @returns {Promise<number>} Number of coins
+ */
+async function getCoinCount(chainKey, poolAddress) {
+  const provider = getProvider(chainKey);
 
   try {
-    const amountOut = await pool.get_dy(i, j, amountIn);
-    return amountOut.toString();
+    const registry = new ethers.Contract(await getMetaRegistry(chainKey), META_REGISTRY_ABI, provider);
+    const nCoins = Number(await registry.get_n_coins(poolAddress));
+    if (nCoins > 0) {
+      return nCoins;
+    }
   } catch (error) {
-    throw new Error(`Curve quote failed: ${error.message}`);
+    // Pool not in the registry (or no registry on this chain) - fall back to probing
+  }
+
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  let count = 0;
+  while (count < MAX_COINS) {
+    try {
+      await pool.coins(count);
+      count++;
+    } catch (error) {
+      break;
+    }
+  }
+
+  if (count === 0) {
+    throw new Error(`Could not determine coins for pool ${poolAddress}`);
   }
+
+  return count;
 }
 
 /**
  * Get pool information
  * @param {string} chainKey - Chain identifier
  * @param {string} poolAddress - Curve pool address
- * @param {number} numCoins - Number of coins in the pool
+ * @param {number} numCoins - Number of coins in the pool (detected automatically if omitted)
  * @returns {Promise<object>} Pool info including coins, balances, fee, A parameter
  */
-async function getPoolInfo(chainKey, poolAddress, numCoins = 2) {
+async function getPoolInfo(chainKey, poolAddress, numCoins = null) {
   validateChainKey(chainKey);
   validateAddress(poolAddress, "poolAddress");
 
@@ -55,10 +145,11 @@ async function getPoolInfo(chainKey, poolAddress, numCoins = 2) {
   const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
 
   try {
+    const coinCount = numCoins ?? (await getCoinCount(chainKey, poolAddress));
     const coins = [];
     const balances = [];
 
-    for (let i = 0; i < numCoins; i++) {
+    for (let i = 0; i < coinCount; i++) {
       const coin = await pool.coins(i);
       const balance = await pool.balances(i);
       coins.push(coin);
@@ -98,9 +189,30 @@ async function getPoolInfo(chainKey, poolAddress, numCoins = 2) {
  * @param {number} j - Index of output token in pool
  * @param {string} amountIn - Amount to swap (in wei)
  * @param {number} slippageBps - Slippage tolerance in basis points (default: 50 = 0.5%)
- * @returns {Promise<{hash: string, amountOut: string}>}
+ * @param {boolean} underlying - Swap underlying coins via exchange_underlying (metapools, lending pools)
+ * @param {string} recipient - Must be the wallet address or null: Curve pools pay out to the sender
+ * @param {string} minAmountOut - Hard floor on the output, never undercut by slippage (default: none)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin and poolAddress
  */
-async function swapTokens(chainKey, wallet, poolAddress, tokenIn, tokenOut, i, j, amountIn, slippageBps = 50) {
+async function swapTokens(
+  chainKey,
+  wallet,
+  poolAddress,
+  tokenIn,
+  tokenOut,
+  i,
+  j,
+  amountIn,
+  slippageBps = 50,
+  underlying = false,
+  recipient = null,
+  minAmountOut = null
+) {
+  validateWallet(wallet);
+  if (recipient && recipient.toLowerCase() !== wallet.address.toLowerCase()) {
+    throw new Error("Curve pools pay out to the sender; a custom recipient is not supported");
+  }
+
   // If multiple pools provided, compare and pick best
   if (Array.isArray(poolAddress)) {
     console.log(`Comparing ${poolAddress.length} Curve pools...`);
@@ -110,7 +222,7 @@ async function swapTokens(chainKey, wallet, poolAddress, tokenIn, tokenOut, i, j
 
     for (const pool of poolAddress) {
       try {
-        const quote = await getQuote(chainKey, pool, i, j, amountIn);
+        const quote = await getQuote(chainKey, pool, i, j, amountIn, underlying);
         if (BigInt(quote) > bestQuote) {
           bestQuote = BigInt(quote);
           bestPool = pool;
@@ -128,13 +240,60 @@ async function swapTokens(chainKey, wallet, poolAddress, tokenIn, tokenOut, i, j
     poolAddress = bestPool;
   }
 
-  return await executeSwap(chainKey, wallet, poolAddress, tokenIn, tokenOut, i, j, amountIn, slippageBps);
+  return await executeSwap(
+    chainKey,
+    wallet,
+    poolAddress,
+    tokenIn,
+    tokenOut,
+    i,
+    j,
+    amountIn,
+    slippageBps,
+    underlying,
+    minAmountOut
+  );
+}
+
+/**
+ * Resolve whether native ETH on either side of a swap has to be wrapped/unwrapped around the pool
+ * ETH pools (coin = NATIVE_TOKEN) take and pay native ETH directly; pools holding WETH need the conversion
+ * @returns {Promise<{wrapIn: boolean, unwrapOut: boolean}>}
+ */
+async function getNativeConversion(chainKey, poolAddress, tokenIn, tokenOut, i, j, underlying) {
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+  if (underlying || (!nativeIn && !nativeOut)) {
+    return { wrapIn: false, unwrapOut: false };
+  }
+
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, getProvider(chainKey));
+  const ethLower = NATIVE_TOKEN.toLowerCase();
+
+  return {
+    wrapIn: nativeIn && (await pool.coins(i)).toLowerCase() !== ethLower,
+    unwrapOut: nativeOut && (await pool.coins(j)).toLowerCase() !== ethLower,
+  };
 }
 
 /**
  * Internal swap execution function
+ * Native ETH input (NATIVE_TOKEN or ADDRESS_ZERO) is sent as msg.value instead of approved;
+ * for pools that hold WETH instead, it is wrapped before the swap and the WETH output unwrapped after
  */
-async function executeSwap(chainKey, wallet, poolAddress, tokenIn, tokenOut, i, j, amountIn, slippageBps) {
+async function executeSwap(
+  chainKey,
+  wallet,
+  poolAddress,
+  tokenIn,
+  tokenOut,
+  i,
+  j,
+  amountIn,
+  slippageBps,
+  underlying = false,
+  minAmountOut = null
+) {
   validateChainKey(chainKey);
   validateWallet(wallet);
   validateAddress(poolAddress, "poolAddress");
@@ -143,67 +302,239 @@ async function executeSwap(chainKey, wallet, poolAddress, tokenIn, tokenOut, i,
   validateAmount(amountIn, "amountIn");
   validateSlippage(slippageBps);
 
-  const provider = wallet.provider || getProvider(chainKey);
-  const walletWithProvider = wallet.connect(provider);
+  const signer = getSigner(chainKey, wallet);
+  const { wrapIn, unwrapOut } = await getNativeConversion(chainKey, poolAddress, tokenIn, tokenOut, i, j, underlying);
+  const nativeIn = isNativeToken(tokenIn) && !wrapIn;
 
-  const pool = new ethers.Contract(poolAddress, POOL_ABI, walletWithProvider);
-  const tokenInContract = new ethers.Contract(tokenIn, ERC20_ABI, walletWithProvider);
-
-  const allowance = await tokenInContract.allowance(wallet.address, poolAddress);
-  if (BigInt(allowance) < BigInt(amountIn)) {
-    console.log("Approving Curve pool...");
-    const approveTx = await tokenInContract.approve(poolAddress, amountIn);
-    await approveTx.wait();
+  if (wrapIn) {
+    await wrapNative(chainKey, signer, amountIn);
+    tokenIn = getWrappedNative(chainKey);
   }
 
-  const quote = await getQuote(chainKey, poolAddress, i, j, amountIn);
-  const minAmountOut = (BigInt(quote) * BigInt(10000 - slippageBps)) / BigInt(10000);
+  // Rebasing inputs (stETH) can be a wei or two short of an amount carried over from an earlier transfer
+  const transfer = await getTransferAdjustments(chainKey, tokenIn, tokenOut);
+  amountIn = await clampToRebasingBalance(chainKey, tokenIn, wallet.address, amountIn, transfer.tokenIn);
+
+  // Curve pools only take ERC20 allowances; native ETH is skipped and sent as value
+  await ensureApproval(signer, tokenIn, poolAddress, amountIn);
+
+  // Quoting also resolves the pool's index type (int128 vs uint256)
+  const quote = await getQuote(chainKey, poolAddress, i, j, amountIn, underlying);
+  const { amountOutMin } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut: quote },
+    slippageBps,
+    { minAmountOut }
+  );
+
+  const indexType = poolIndexTypes.get(`${chainKey}:${poolAddress.toLowerCase()}`);
+  const pool = getPoolContract(poolAddress, indexType, signer);
+  const method = underlying ? "exchange_underlying" : "exchange";
 
   console.log(`Executing Curve swap on ${CHAINS[chainKey].name}...`);
+  console.log(`Method: ${method} (${indexType} indices)`);
   console.log(`Expected output: ${quote}`);
-  console.log(`Minimum output: ${minAmountOut.toString()}`);
+  console.log(`Minimum output: ${amountOutMin.toString()}`);
+
+  const weth = unwrapOut ? new ethers.Contract(getWrappedNative(chainKey), ERC20_ABI, signer) : null;
+  const wethBefore = weth ? BigInt(await weth.balanceOf(wallet.address)) : 0n;
 
-  const tx = await pool.exchange(i, j, amountIn, minAmountOut);
+  const tx = await simulateAndSend(
+    pool,
+    method,
+    [i, j, amountIn, amountOutMin],
+    { value: nativeIn ? amountIn : 0 },
+    "Curve swap"
+  );
   const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    amountIn,
+    // The pool checks min_dy before transferring; rebasing outputs arrive a wei or two short of it
+    amountOut: getDeliveredAmount(quote, transfer).toString(),
+  });
+
+  if (weth) {
+    // Build-only swaps never execute, so unwrap the guaranteed minimum
+    const received = isTxBuilder(signer) ? amountOutMin : BigInt(await weth.balanceOf(wallet.address)) - wethBefore;
+    await unwrapNative(chainKey, signer, received);
+  }
 
   return {
-    hash: receipt.hash,
-    amountOut: quote,
+    ...execution,
+    amountOutMin: amountOutMin.toString(),
     poolAddress: poolAddress,
   };
 }
 
+/**
+ * Resolve the Curve MetaRegistry address from the chain's AddressProvider (cached)
+ * @param {string} chainKey - Chain identifier
+ * @returns {Promise<string>} MetaRegistry address
+ */
+async function getMetaRegistry(chainKey) {
+  validateChainKey(chainKey);
+
+  if (metaRegistryCache.has(chainKey)) {
+    return metaRegistryCache.get(chainKey);
+  }
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.curve?.addressProvider) {
+    throw new Error(`Curve AddressProvider not configured on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const addressProvider = new ethers.Contract(chain.curve.addressProvider, ADDRESS_PROVIDER_ABI, provider);
+
+  try {
+    const metaRegistry = await addressProvider.get_address(METAREGISTRY_ID);
+    if (metaRegistry === ethers.ZeroAddress) {
+      throw new Error("MetaRegistry not registered");
+    }
+    metaRegistryCache.set(chainKey, metaRegistry);
+    return metaRegistry;
+  } catch (error) {
+    throw new Error(`Failed to resolve Curve MetaRegistry: ${error.message}`);
+  }
+}
+
+/**
+ * Find every Curve pool that trades tokenIn -> tokenOut via the MetaRegistry
+ * Native ETH also matches pools holding the wrapped native token
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @returns {Promise<Array<{poolAddress: string, i: number, j: number, underlying: boolean}>>}
+ */
+async function findPools(chainKey, tokenIn, tokenOut) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+
+  const provider = getProvider(chainKey);
+  const registry = new ethers.Contract(await getMetaRegistry(chainKey), META_REGISTRY_ABI, provider);
+
+  const coinsIn = isNativeToken(tokenIn) ? [NATIVE_TOKEN, getWrappedNative(chainKey)] : [tokenIn];
+  const coinsOut = isNativeToken(tokenOut) ? [NATIVE_TOKEN, getWrappedNative(chainKey)] : [tokenOut];
+
+  const pools = [];
+  const seen = new Set();
+  for (const coinIn of coinsIn) {
+    for (const coinOut of coinsOut) {
+      let poolAddresses;
+      try {
+        poolAddresses = await registry.find_pools_for_coins(coinIn, coinOut);
+      } catch (error) {
+        throw new Error(`Curve pool discovery failed: ${error.message}`);
+      }
+
+      for (const poolAddress of poolAddresses) {
+        if (seen.has(poolAddress.toLowerCase())) continue;
+        seen.add(poolAddress.toLowerCase());
+
+        try {
+          // underlying = true when the coins are only tradable through the pool's base/lending coins
+          const [i, j, underlying] = await registry.get_coin_indices(poolAddress, coinIn, coinOut);
+          pools.push({ poolAddress, i: Number(i), j: Number(j), underlying });
+        } catch (error) {
+          console.log(`Curve pool ${poolAddress}: Failed to get coin indices`);
+        }
+      }
+    }
+  }
+
+  return pools;
+}
+
+/**
+ * Quote every discovered Curve pool for a pair and return the best
+ * Metapool/lending pool routes are quoted on their underlying coins
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount to swap (in wei)
+ * @returns {Promise<{poolAddress: string, i: number, j: number, underlying: boolean, amountOut: string}>}
+ */
+async function findBestPool(chainKey, tokenIn, tokenOut, amountIn) {
+  validateAmount(amountIn, "amountIn");
+
+  const pools = await findPools(chainKey, tokenIn, tokenOut);
+
+  let best = null;
+  for (const pool of pools) {
+    try {
+      const amountOut = await getQuote(chainKey, pool.poolAddress, pool.i, pool.j, amountIn, pool.underlying);
+      if (!best || BigInt(amountOut) > BigInt(best.amountOut)) {
+        best = { ...pool, amountOut };
+      }
+    } catch (error) {
+      console.log(`Curve pool ${pool.poolAddress}: Failed to get quote`);
+    }
+  }
+
+  if (!best) {
+    throw new Error("No Curve pool found for this pair");
+  }
+
+  return best;
+}
+
 // Keep swapTokens exported with the new name
 module.exports = {
   swapTokens,
   executeSwap,
   getQuote,
   getPoolInfo,
+  getCoinCount,
   findTokenIndices,
+  getMetaRegistry,
+  findPools,
+  findBestPool,
 };
 
 /**
  * Find token indices in pool
  * Helper function to find which indices correspond to tokenIn and tokenOut
+ * Checks the pool's own coins first, then the MetaRegistry for underlying (metapool/lending) coins.
+ * Native ETH matches either the Curve ETH sentinel or the wrapped native token
+ * @returns {Promise<{i: number, j: number, underlying: boolean}>}
  */
-async function findTokenIndices(chainKey, poolAddress, tokenIn, tokenOut, numCoins = 2) {
+async function findTokenIndices(chainKey, poolAddress, tokenIn, tokenOut, numCoins = null) {
   const poolInfo = await getPoolInfo(chainKey, poolAddress, numCoins);
+  const coinIn = toCurveCoin(tokenIn).toLowerCase();
+  const coinOut = toCurveCoin(tokenOut).toLowerCase();
+  const wrappedNative = CHAINS[chainKey].wrappedNative?.toLowerCase();
 
   let indexIn = -1;
   let indexOut = -1;
 
   for (let i = 0; i < poolInfo.coins.length; i++) {
-    if (poolInfo.coins[i].toLowerCase() === tokenIn.toLowerCase()) {
+    const coin = poolInfo.coins[i].toLowerCase();
+    if (coin === coinIn || (isNativeToken(tokenIn) && coin === wrappedNative && indexIn === -1)) {
       indexIn = i;
     }
-    if (poolInfo.coins[i].toLowerCase() === tokenOut.toLowerCase()) {
+    if (coin === coinOut || (isNativeToken(tokenOut) && coin === wrappedNative && indexOut === -1)) {
       indexOut = i;
     }
   }
 
-  if (indexIn === -1 || indexOut === -1) {
-    throw new Error("Tokens not found in pool");
+  if (indexIn !== -1 && indexOut !== -1) {
+    return { i: indexIn, j: indexOut, underlying: false };
   }
 
-  return { i: indexIn, j: indexOut };
+  try {
+    const provider = getProvider(chainKey);
+    const registry = new ethers.Contract(await getMetaRegistry(chainKey), META_REGISTRY_ABI, provider);
+    const [i, j, underlying] = await registry.get_coin_indices(
+      poolAddress,
+      toCurveCoin(tokenIn),
+      toCurveCoin(tokenOut)
+    );
+    return { i: Number(i), j: Number(j), underlying };
+  } catch (error) {
+    throw new Error("Tokens not found in pool");
+  }
 }
@@ -1,7 +1,11 @@
 /**
  * DEX Aggregator - Auto-route across all supported protocols
- * Compares quotes from Uniswap, SushiSwap, Curve, and Balancer
- * Automatically executes on the protocol with the best price
+ * Compares quotes from Uniswap, SushiSwap, Curve, and Balancer (all configured V2 and V3 pools)
+ * Automatically executes on the protocol with the best price; venues whose swap simulation reverts are skipped
+ * tokenIn/tokenOut may be NATIVE_TOKEN for native ETH; each protocol wraps/unwraps as it needs
+ * buildOnly returns the unsigned transactions (approvals, wraps, swap) instead of sending them
+ * submission: "relay" sends them through a private relay instead of the public mempool
+ * maxTokenRisk refuses tokens the safety scanner (utils/tokenSafety) rates riskier
  */
 const { ethers } = require("ethers");
 const { CHAINS } = require("../config/chains");
@@ -16,25 +20,31 @@ const uniswapSwap = require("./swap");
 const sushiswapSwap = require("./sushiswapSwap");
 const curveSwap = require("./curveSwap");
 const balancerSwap = require("./balancerSwap");
+const { applyGasCosts, sortByNetOutput } = require("../utils/gas");
+const { isSimulationError, trackSentTransactions } = require("../utils/txSimulation");
+const { buildTransactions } = require("../utils/txBuilder");
+const { withSubmissionChannel } = require("../utils/submission");
+const { DEFAULT_MAX_TOKEN_RISK, assertTokensSafe } = require("../utils/tokenSafety");
 
 /**
- * Get best quote across all DEX protocols
+ * Get quotes from every DEX protocol that can fill the trade
  * @param {string} chainKey - Chain identifier
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {string} amountIn - Amount to swap (in wei)
- * @param {object} options - Optional protocol-specific parameters
- * @returns {Promise<{protocol: string, version: string, amountOut: string, details: object}>}
+ * @param {object} options - Optional protocol-specific parameters (quiet: suppress progress logs)
+ * @returns {Promise<Array<{protocol: string, version: string, amountOut: string, details: object}>>}
  */
-async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {}) {
+async function getAllQuotes(chainKey, tokenIn, tokenOut, amountIn, options = {}) {
   validateChainKey(chainKey);
   validateAddress(tokenIn, "tokenIn");
   validateAddress(tokenOut, "tokenOut");
   validateAmount(amountIn, "amountIn");
 
-  const { curvePoolAddress = null, curveTokenIndices = null, balancerPoolId = null } = options;
+  const { curvePoolAddress = null, curveTokenIndices = null, balancerPoolId = null, quiet = false } = options;
+  const log = quiet ? () => {} : console.log;
 
-  console.log(`\nComparing quotes across all DEX protocols on ${CHAINS[chainKey].name}...`);
+  log(`\nComparing quotes across all DEX protocols on ${CHAINS[chainKey].name}...`);
 
   const quotes = [];
 
@@ -48,7 +58,7 @@ async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {})
       details: { path: uniV2.path },
     });
   } catch (e) {
-    console.log(`Uniswap V2: Not available`);
+    log(`Uniswap V2: Not available`);
   }
 
   try {
@@ -57,22 +67,24 @@ async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {})
       protocol: "uniswap",
       version: "v3",
       amountOut: uniV3.amountOut,
+      gasEstimate: uniV3.gasEstimate,
       details: { fee: uniV3.fee },
     });
   } catch (e) {
-    console.log(`Uniswap V3: Not available`);
+    log(`Uniswap V3: Not available`);
   }
 
   try {
-    const uniV4 = await uniswapSwap.getV4Quote(chainKey, tokenIn, tokenOut, amountIn, 3000);
+    const uniV4 = await uniswapSwap.getV4Quote(chainKey, tokenIn, tokenOut, amountIn);
     quotes.push({
       protocol: "uniswap",
       version: "v4",
       amountOut: uniV4.amountOut,
-      details: { fee: uniV4.fee },
+      gasEstimate: uniV4.gasEstimate,
+      details: { fee: uniV4.fee, poolKey: uniV4.poolKey },
     });
   } catch (e) {
-    console.log(`Uniswap V4: Not available`);
+    log(`Uniswap V4: Not available`);
   }
 
   // Try SushiSwap (V2, V3)
@@ -85,7 +97,7 @@ async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {})
       details: { path: sushiV2.path },
     });
   } catch (e) {
-    console.log(`SushiSwap V2: Not available`);
+    log(`SushiSwap V2: Not available`);
   }
 
   try {
@@ -97,44 +109,222 @@ async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {})
       details: { fee: sushiV3.fee },
     });
   } catch (e) {
-    console.log(`SushiSwap V3: Not available`);
+    log(`SushiSwap V3: Not available`);
   }
 
-  // Try Curve (if pool address provided)
-  if (curvePoolAddress && curveTokenIndices) {
-    try {
-      const curveQuote = await curveSwap.getQuote(
-        chainKey,
-        curvePoolAddress,
-        curveTokenIndices.i,
-        curveTokenIndices.j,
-        amountIn
-      );
-      quotes.push({
-        protocol: "curve",
-        version: "pool",
-        amountOut: curveQuote,
-        details: {
-          poolAddress: curvePoolAddress,
-          indices: curveTokenIndices,
-        },
-      });
-    } catch (e) {
-      console.log(`Curve: ${e.message}`);
-    }
+  // Try Curve (given pool, otherwise every pool the MetaRegistry knows for the pair)
+  try {
+    const curveQuote =
+      curvePoolAddress && curveTokenIndices
+        ? {
+            poolAddress: curvePoolAddress,
+            i: curveTokenIndices.i,
+            j: curveTokenIndices.j,
+            underlying: curveTokenIndices.underlying || false,
+            amountOut: await curveSwap.getQuote(
+              chainKey,
+              curvePoolAddress,
+              curveTokenIndices.i,
+              curveTokenIndices.j,
+              amountIn,
+              curveTokenIndices.underlying || false
+            ),
+          }
+        : await curveSwap.findBestPool(chainKey, tokenIn, tokenOut, amountIn);
+    quotes.push({
+      protocol: "curve",
+      version: "pool",
+      amountOut: curveQuote.amountOut,
+      details: {
+        poolAddress: curveQuote.poolAddress,
+        indices: { i: curveQuote.i, j: curveQuote.j, underlying: curveQuote.underlying },
+      },
+    });
+  } catch (e) {
+    log(`Curve: ${e.message}`);
   }
 
-  // Note: Balancer requires pool ID and doesn't have a quote function in the current implementation
-  // Would need to add querySwap to the Balancer Vault ABI for proper quotes
+  // Balancer pool can be pinned: bytes32 poolId (V2) or pool address (V3)
+  const balancerV2PoolId = balancerPoolId && ethers.isHexString(balancerPoolId, 32) ? balancerPoolId : null;
+  const balancerV3Pool = balancerPoolId && ethers.isAddress(balancerPoolId) ? balancerPoolId : null;
+
+  // Try Balancer V2 (given pool, otherwise every configured pool incl. two-hop routes)
+  try {
+    const balancerQuote = balancerV2PoolId
+      ? {
+          amountOut: await balancerSwap.getQuote(chainKey, balancerV2PoolId, tokenIn, tokenOut, amountIn),
+          path: [{ poolId: balancerV2PoolId, tokenIn, tokenOut }],
+          poolId: balancerV2PoolId,
+        }
+      : await balancerSwap.findBestPath(chainKey, tokenIn, tokenOut, amountIn);
+    quotes.push({
+      protocol: "balancer",
+      version: "v2",
+      amountOut: balancerQuote.amountOut,
+      details: { poolId: balancerQuote.poolId, path: balancerQuote.path },
+    });
+  } catch (e) {
+    log(`Balancer V2: Not available`);
+  }
+
+  // Try Balancer V3 (given pool, otherwise every configured pool; boosted pools via ERC4626 buffers)
+  try {
+    const balancerV3 = balancerV3Pool
+      ? {
+          pool: balancerV3Pool,
+          ...(await balancerSwap.getQuoteV3(chainKey, balancerV3Pool, tokenIn, tokenOut, amountIn)),
+        }
+      : await balancerSwap.findBestPoolV3(chainKey, tokenIn, tokenOut, amountIn);
+    quotes.push({
+      protocol: "balancer",
+      version: "v3",
+      amountOut: balancerV3.amountOut,
+      details: { poolId: balancerV3.pool, steps: balancerV3.steps },
+    });
+  } catch (e) {
+    log(`Balancer V3: Not available`);
+  }
+
+  return quotes;
+}
+
+/**
+ * Get exact output quotes (input required) from every DEX protocol that can fill the trade
+ * Curve is not included: its pools only quote exact input
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Desired amount of output token (in wei)
+ * @param {object} options - Optional protocol-specific parameters (quiet: suppress progress logs)
+ * @returns {Promise<Array<{protocol: string, version: string, amountIn: string, details: object}>>}
+ */
+async function getAllQuotesExactOutput(chainKey, tokenIn, tokenOut, amountOut, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const { balancerPoolId = null, quiet = false } = options;
+  const log = quiet ? () => {} : console.log;
+
+  log(`\nComparing exact output quotes across all DEX protocols on ${CHAINS[chainKey].name}...`);
+
+  const quotes = [];
+
+  // Try Uniswap (V2, V3, V4)
+  try {
+    const uniV2 = await uniswapSwap.getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+    quotes.push({ protocol: "uniswap", version: "v2", amountIn: uniV2.amountIn, details: {} });
+  } catch (e) {
+    log(`Uniswap V2: Not available`);
+  }
+
+  try {
+    const uniV3 = await uniswapSwap.getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+    quotes.push({
+      protocol: "uniswap",
+      version: "v3",
+      amountIn: uniV3.amountIn,
+      gasEstimate: uniV3.gasEstimate,
+      details: { fee: uniV3.fee },
+    });
+  } catch (e) {
+    log(`Uniswap V3: Not available`);
+  }
+
+  try {
+    const uniV4 = await uniswapSwap.getV4QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+    quotes.push({
+      protocol: "uniswap",
+      version: "v4",
+      amountIn: uniV4.amountIn,
+      gasEstimate: uniV4.gasEstimate,
+      details: { fee: uniV4.fee, poolKey: uniV4.poolKey },
+    });
+  } catch (e) {
+    log(`Uniswap V4: Not available`);
+  }
+
+  // Try SushiSwap (V2, V3)
+  try {
+    const sushiV2 = await sushiswapSwap.getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+    quotes.push({ protocol: "sushiswap", version: "v2", amountIn: sushiV2.amountIn, details: { path: sushiV2.path } });
+  } catch (e) {
+    log(`SushiSwap V2: Not available`);
+  }
+
+  try {
+    const sushiV3 = await sushiswapSwap.getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, 3000);
+    quotes.push({ protocol: "sushiswap", version: "v3", amountIn: sushiV3.amountIn, details: { fee: sushiV3.fee } });
+  } catch (e) {
+    log(`SushiSwap V3: Not available`);
+  }
+
+  const balancerV2PoolId = balancerPoolId && ethers.isHexString(balancerPoolId, 32) ? balancerPoolId : null;
+  const balancerV3Pool = balancerPoolId && ethers.isAddress(balancerPoolId) ? balancerPoolId : null;
+
+  // Try Balancer V2 (given pool, otherwise every configured pool incl. two-hop routes)
+  try {
+    const balancerQuote = balancerV2PoolId
+      ? {
+          ...(await balancerSwap.getQuoteMultiHopExactOut(
+            chainKey,
+            [{ poolId: balancerV2PoolId, tokenIn, tokenOut }],
+            amountOut
+          )),
+          poolId: balancerV2PoolId,
+        }
+      : await balancerSwap.findBestPathExactOut(chainKey, tokenIn, tokenOut, amountOut);
+    quotes.push({
+      protocol: "balancer",
+      version: "v2",
+      amountIn: balancerQuote.amountIn,
+      details: { poolId: balancerQuote.poolId, path: balancerQuote.path },
+    });
+  } catch (e) {
+    log(`Balancer V2: Not available`);
+  }
+
+  // Try Balancer V3 (given pool, otherwise every configured pool)
+  try {
+    const balancerV3 = balancerV3Pool
+      ? {
+          pool: balancerV3Pool,
+          ...(await balancerSwap.getQuoteV3ExactOut(chainKey, balancerV3Pool, tokenIn, tokenOut, amountOut)),
+        }
+      : await balancerSwap.findBestPoolV3ExactOut(chainKey, tokenIn, tokenOut, amountOut);
+    quotes.push({
+      protocol: "balancer",
+      version: "v3",
+      amountIn: balancerV3.amountIn,
+      details: { poolId: balancerV3.pool, steps: balancerV3.steps },
+    });
+  } catch (e) {
+    log(`Balancer V3: Not available`);
+  }
+
+  return quotes;
+}
+
+/**
+ * Get the exact output quote needing the least input across all DEX protocols
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Desired amount of output token (in wei)
+ * @param {object} options - Optional protocol-specific parameters
+ * @returns {Promise<{protocol: string, version: string, amountIn: string, details: object}>}
+ */
+async function getBestQuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, options = {}) {
+  const quotes = await getAllQuotesExactOutput(chainKey, tokenIn, tokenOut, amountOut, options);
 
   if (quotes.length === 0) {
-    throw new Error("No valid swap routes found across any protocol");
+    throw new Error("No valid exact output routes found across any protocol");
   }
 
-  // Find best quote
-  let bestQuote = quotes[0];
+  let bestQuote = null;
   for (const quote of quotes) {
-    if (BigInt(quote.amountOut) > BigInt(bestQuote.amountOut)) {
+    if (!bestQuote || BigInt(quote.amountIn) < BigInt(bestQuote.amountIn)) {
       bestQuote = quote;
     }
   }
@@ -142,6 +332,46 @@ async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {})
   return bestQuote;
 }
 
+/**
+ * Get every quote across all DEX protocols, best first
+ * Ranks by net output (amountOut minus gas cost in tokenOut units) unless gasAware is false
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount to swap (in wei)
+ * @param {object} options - Optional protocol-specific parameters (gasAware: rank net of gas, default: true)
+ * @returns {Promise<object[]>} Quotes ordered best first
+ */
+async function getRankedQuotes(chainKey, tokenIn, tokenOut, amountIn, options = {}) {
+  const { gasAware = true } = options;
+  const quotes = await getAllQuotes(chainKey, tokenIn, tokenOut, amountIn, options);
+
+  if (quotes.length === 0) {
+    throw new Error("No valid swap routes found across any protocol");
+  }
+
+  if (gasAware) {
+    await applyGasCosts(chainKey, tokenOut, quotes);
+  }
+
+  return sortByNetOutput(quotes);
+}
+
+/**
+ * Get best quote across all DEX protocols
+ * Ranks by net output (amountOut minus gas cost in tokenOut units) unless gasAware is false
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount to swap (in wei)
+ * @param {object} options - Optional protocol-specific parameters (gasAware: rank net of gas, default: true)
+ * @returns {Promise<{protocol: string, version: string, amountOut: string, gasUnits: string, gasCost: string|null, netAmountOut: string, details: object}>}
+ */
+async function getBestQuote(chainKey, tokenIn, tokenOut, amountIn, options = {}) {
+  const [bestQuote] = await getRankedQuotes(chainKey, tokenIn, tokenOut, amountIn, options);
+  return bestQuote;
+}
+
 /**
  * Display all quotes for comparison
  */
@@ -150,28 +380,82 @@ function displayQuotes(quotes, bestQuote) {
   console.log("QUOTE COMPARISON");
   console.log("=".repeat(80));
 
+  console.log(`${"VENUE".padEnd(25)} ${"GROSS".padStart(18)} ${"GAS".padStart(14)} ${"NET".padStart(18)}`);
+
   quotes.forEach(quote => {
     const isBest = quote.protocol === bestQuote.protocol && quote.version === bestQuote.version;
     const marker = isBest ? " ← BEST" : "";
     const protocolName = `${quote.protocol.toUpperCase()} ${quote.version.toUpperCase()}`;
-    console.log(`${protocolName.padEnd(25)} ${quote.amountOut}${marker}`);
+    const gas = quote.gasCost ?? "n/a";
+    const net = quote.netAmountOut ?? quote.amountOut;
+    console.log(
+      `${protocolName.padEnd(25)} ${quote.amountOut.padStart(18)} ${gas.padStart(14)} ${net.padStart(18)}${marker}`
+    );
   });
 
   console.log("=".repeat(80) + "\n");
 }
 
+/**
+ * Whether a venue can send its output to an address other than the wallet
+ * Curve pools and Balancer V3 routers always pay out to the sender
+ * @param {object} quote - {protocol, version}
+ * @returns {boolean}
+ */
+function paysRecipient(quote) {
+  return quote.protocol !== "curve" && !(quote.protocol === "balancer" && quote.version === "v3");
+}
+
+/**
+ * Why a venue was skipped after its swap simulation reverted
+ * The swap itself was never sent, but an approval (or wrap) sent before it may already be mined, leaving an
+ * allowance for a venue that didn't trade; those transactions are listed with the reason
+ * @param {Error} error - SimulationError from trackSentTransactions
+ * @returns {string} Revert reason, plus any transactions already sent
+ */
+function describeSkip(error) {
+  const sent = error.sentTransactions || [];
+  if (sent.length === 0) {
+    return error.simulation.reason;
+  }
+  return `${error.simulation.reason} (already sent: ${sent.map(tx => `${tx.label} ${tx.hash}`).join(", ")})`;
+}
+
 /**
  * Auto-route swap across all DEX protocols
- * Finds best price and executes swap on optimal protocol
+ * Finds best price and executes swap on optimal protocol. Every swap is simulated before it is sent;
+ * if the best venue's simulation reverts, the next best venue is tried. Approvals are sent before the swap is
+ * simulated, so a skipped venue may keep an allowance; its skip reason lists what was sent
  * @param {string} chainKey - Chain identifier
  * @param {ethers.Wallet} wallet - Wallet for signing
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {string} amountIn - Amount to swap (in wei)
- * @param {object} options - Optional parameters
- * @returns {Promise<{protocol: string, version: string, hash: string, amountOut: string}>}
+ * @param {object} options - Optional parameters (exactOutput: treat amountIn as the exact output, see swapTokensExactOutput;
+ *   buildOnly: return the unsigned approval and swap transactions instead of sending, wallet may be an address;
+ *   submission: "rpc", "relay" (private relay, see utils/submission) or a channel object;
+ *   maxTokenRisk: refuse tokens whose safety scan is riskier - low, medium or high, default TOKEN_SAFETY_MAX_RISK;
+ *   minAmountOut: hard floor on output - venues quoting below it are skipped, and each venue holds its
+ *   slippage-bounded minimum to it against the fresh quote it swaps on;
+ *   venue: {protocol, version?} - only route through quotes from this venue, see matchesVenue)
+ * @returns {Promise<{protocol: string, version: string, hash: string, amountOut: string, transactions?: object[]}>}
  */
 async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options = {}) {
+  if (options.buildOnly) {
+    return await buildTransactions(chainKey, wallet, builder =>
+      swapTokens(chainKey, builder, tokenIn, tokenOut, amountIn, { ...options, buildOnly: false })
+    );
+  }
+
+  if (options.submission) {
+    const routed = withSubmissionChannel(chainKey, wallet, options.submission);
+    return await swapTokens(chainKey, routed, tokenIn, tokenOut, amountIn, { ...options, submission: null });
+  }
+
+  if (options.exactOutput) {
+    return await swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountIn, options);
+  }
+
   validateChainKey(chainKey);
   validateWallet(wallet);
   validateAddress(tokenIn, "tokenIn");
@@ -185,14 +469,28 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
     curveTokenIndices = null,
     balancerPoolId = null,
     forceProtocol = null,
+    maxTokenRisk = DEFAULT_MAX_TOKEN_RISK,
+    minAmountOut = null,
+    venue: pinnedVenue = null,
   } = options;
 
   validateSlippage(slippageBps);
+  if (minAmountOut !== null) {
+    validateAmount(minAmountOut, "minAmountOut");
+  }
+  if (pinnedVenue && !pinnedVenue.protocol) {
+    throw new Error("venue must have a protocol (and optionally a version)");
+  }
+
+  // Scan arbitrary tokens before routing into them (configured COMMON_TOKENS are trusted)
+  if (maxTokenRisk) {
+    await assertTokensSafe(chainKey, [tokenIn, tokenOut], maxTokenRisk);
+  }
 
   // If protocol is forced, skip quote comparison
   if (forceProtocol) {
     console.log(`Forcing ${forceProtocol} protocol...`);
-    return await executeSwapOnProtocol(
+    const result = await executeSwapOnProtocol(
       forceProtocol,
       chainKey,
       wallet,
@@ -201,42 +499,213 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
       amountIn,
       slippageBps,
       recipient,
-      { curvePoolAddress, curveTokenIndices, balancerPoolId }
+      { curvePoolAddress, curveTokenIndices, balancerPoolId, minAmountOut }
     );
+    return { protocol: forceProtocol.toLowerCase(), ...result };
   }
 
-  // Get all quotes and find best
-  const bestQuote = await getBestQuote(chainKey, tokenIn, tokenOut, amountIn, {
+  // Get all quotes, best first
+  const allQuotes = await getRankedQuotes(chainKey, tokenIn, tokenOut, amountIn, {
     curvePoolAddress,
     curveTokenIndices,
     balancerPoolId,
   });
+  const ranked = pinnedVenue ? allQuotes.filter(quote => matchesVenue(quote, pinnedVenue)) : allQuotes;
+  if (!ranked.length) {
+    const { protocol, version } = pinnedVenue;
+    throw new Error(`No quote from ${protocol}${version ? ` ${version}` : ""}`);
+  }
+
+  const customRecipient = recipient && recipient.toLowerCase() !== wallet.address.toLowerCase();
+
+  const skipped = [];
+  for (const quote of ranked) {
+    const venue = `${quote.protocol.toUpperCase()} ${quote.version.toUpperCase()}`;
+    if (customRecipient && !paysRecipient(quote)) {
+      skipped.push(`${venue}: can't pay a custom recipient`);
+      continue;
+    }
+
+    console.log(`\n${skipped.length ? "Next best" : "Best"} route found: ${venue}`);
+    console.log(`Expected output: ${quote.amountOut}`);
+    if (quote.gasCost !== null && quote.gasCost !== undefined) {
+      console.log(`Estimated gas: ${quote.gasUnits} units (${quote.gasCost} in output token)`);
+      console.log(`Net output: ${quote.netAmountOut}`);
+    }
+    console.log();
+
+    if (minAmountOut !== null && BigInt(quote.amountOut) < BigInt(minAmountOut)) {
+      console.log(`Skipping ${venue}: quote below minAmountOut ${minAmountOut}`);
+      skipped.push(`${venue}: quote ${quote.amountOut} below minAmountOut ${minAmountOut}`);
+      continue;
+    }
+
+    try {
+      const result = await trackSentTransactions(() =>
+        executeSwapOnProtocol(quote.protocol, chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient, {
+          ...getExecutionDetails(quote),
+          minAmountOut,
+        })
+      );
+
+      return { protocol: quote.protocol, ...result };
+    } catch (error) {
+      if (!isSimulationError(error)) throw error;
+      const reason = describeSkip(error);
+      console.log(`Skipping ${venue}: ${reason}`);
+      skipped.push(`${venue}: ${reason}`);
+    }
+  }
+
+  if (minAmountOut !== null) {
+    throw new Error(`No venue can fill at or above minAmountOut ${minAmountOut} (${skipped.join("; ")})`);
+  }
+  throw new Error(`Every venue would revert (${skipped.join("; ")})`);
+}
+
+/**
+ * Auto-route exact output swap across all DEX protocols
+ * Executes on the protocol needing the least input, bounded by slippage and an optional hard cap
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Exact amount of output token to receive (in wei)
+ * @param {object} options - Optional parameters
+ * @param {number} options.slippageBps - Slippage tolerance applied to the input (default: 50 = 0.5%)
+ * @param {string} options.maxAmountIn - Hard cap on input; slippage is tightened so amountInMax never exceeds it
+ * @param {string} options.maxTokenRisk - Refuse tokens scanned riskier than low/medium/high (default: TOKEN_SAFETY_MAX_RISK)
+ * @param {boolean} options.buildOnly - Return unsigned transactions instead of sending (wallet may be an address)
+ * @param {string|object} options.submission - Submission channel: "rpc", "relay" (private relay) or a channel object
+ * @returns {Promise<{protocol: string, version: string, hash: string, amountIn: string, amountInMax: string, amountOut: string, transactions?: object[]}>}
+ */
+async function swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, options = {}) {
+  if (options.buildOnly) {
+    return await buildTransactions(chainKey, wallet, builder =>
+      swapTokensExactOutput(chainKey, builder, tokenIn, tokenOut, amountOut, { ...options, buildOnly: false })
+    );
+  }
+
+  if (options.submission) {
+    const routed = withSubmissionChannel(chainKey, wallet, options.submission);
+    return await swapTokensExactOutput(chainKey, routed, tokenIn, tokenOut, amountOut, {
+      ...options,
+      submission: null,
+    });
+  }
+
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const {
+    slippageBps = 50,
+    recipient = null,
+    balancerPoolId = null,
+    maxAmountIn = null,
+    maxTokenRisk = DEFAULT_MAX_TOKEN_RISK,
+  } = options;
+
+  validateSlippage(slippageBps);
+  if (maxAmountIn !== null) {
+    validateAmount(maxAmountIn, "maxAmountIn");
+  }
+
+  if (maxTokenRisk) {
+    await assertTokensSafe(chainKey, [tokenIn, tokenOut], maxTokenRisk);
+  }
+
+  const quotes = await getAllQuotesExactOutput(chainKey, tokenIn, tokenOut, amountOut, { balancerPoolId });
+  if (quotes.length === 0) {
+    throw new Error("No valid exact output routes found across any protocol");
+  }
+
+  // Least input first
+  const ranked = [...quotes].sort((a, b) =>
+    BigInt(a.amountIn) > BigInt(b.amountIn) ? 1 : BigInt(a.amountIn) < BigInt(b.amountIn) ? -1 : 0
+  );
+
+  if (maxAmountIn !== null && BigInt(ranked[0].amountIn) > BigInt(maxAmountIn)) {
+    throw new Error(`Best quote needs ${ranked[0].amountIn} input, above maxAmountIn ${maxAmountIn}`);
+  }
+
+  const skipped = [];
+  for (const quote of ranked) {
+    const quoted = BigInt(quote.amountIn);
+    if (maxAmountIn !== null && quoted > BigInt(maxAmountIn)) break;
+
+    const venue = `${quote.protocol.toUpperCase()} ${quote.version.toUpperCase()}`;
+    console.log(`\n${skipped.length ? "Next best" : "Best"} route found: ${venue}`);
+    console.log(`Expected input: ${quote.amountIn}`);
+    console.log();
 
-  console.log(`\nBest route found: ${bestQuote.protocol.toUpperCase()} ${bestQuote.version.toUpperCase()}`);
-  console.log(`Expected output: ${bestQuote.amountOut}\n`);
-
-  // Execute swap on best protocol
-  return await executeSwapOnProtocol(
-    bestQuote.protocol,
-    chainKey,
-    wallet,
-    tokenIn,
-    tokenOut,
-    amountIn,
-    slippageBps,
-    recipient,
-    {
-      version: bestQuote.version,
-      curvePoolAddress: bestQuote.details?.poolAddress,
-      curveTokenIndices: bestQuote.details?.indices,
-      balancerPoolId,
-      fee: bestQuote.details?.fee,
+    let effectiveSlippageBps = slippageBps;
+    if (maxAmountIn !== null) {
+      const headroomBps = Number(((BigInt(maxAmountIn) - quoted) * 10000n) / quoted);
+      effectiveSlippageBps = Math.min(slippageBps, headroomBps);
     }
+
+    try {
+      const result = await trackSentTransactions(() =>
+        executeExactOutputOnProtocol(
+          quote.protocol,
+          chainKey,
+          wallet,
+          tokenIn,
+          tokenOut,
+          amountOut,
+          effectiveSlippageBps,
+          recipient,
+          getExecutionDetails(quote)
+        )
+      );
+
+      return { protocol: quote.protocol, ...result };
+    } catch (error) {
+      if (!isSimulationError(error)) throw error;
+      const reason = describeSkip(error);
+      console.log(`Skipping ${venue}: ${reason}`);
+      skipped.push(`${venue}: ${reason}`);
+    }
+  }
+
+  const scope = maxAmountIn !== null ? " within maxAmountIn" : "";
+  throw new Error(`Every venue${scope} would revert (${skipped.join("; ")})`);
+}
+
+/**
+ * Whether a quote comes from a venue
+ * @param {object} quote - {protocol, version}
+ * @param {object} venue - {protocol, version?}; without a version any version of the protocol matches
+ * @returns {boolean}
+ */
+function matchesVenue(quote, venue) {
+  return (
+    quote.protocol === venue.protocol.toLowerCase() && (!venue.version || quote.version === venue.version.toLowerCase())
   );
 }
 
+/**
+ * Map a quote from getAllQuotes/getBestQuote to the details executeSwapOnProtocol expects
+ * @param {object} quote - {protocol, version, amountOut, details}
+ * @returns {object} Execution details
+ */
+function getExecutionDetails(quote) {
+  return {
+    version: quote.version,
+    curvePoolAddress: quote.details?.poolAddress,
+    curveTokenIndices: quote.details?.indices,
+    balancerPoolId: quote.protocol === "balancer" ? quote.details?.poolId : null,
+    balancerPath: quote.protocol === "balancer" ? quote.details?.path : null,
+    fee: quote.details?.fee,
+  };
+}
+
 /**
  * Execute swap on specific protocol
+ * details.minAmountOut is a hard floor the venue holds its slippage-bounded minimum to
  */
 async function executeSwapOnProtocol(
   protocol,
@@ -256,6 +725,7 @@ async function executeSwapOnProtocol(
         recipient,
         version: details.version,
         v3Fee: details.fee,
+        minAmountOut: details.minAmountOut ?? null,
       });
 
     case "sushiswap":
@@ -264,6 +734,7 @@ async function executeSwapOnProtocol(
         recipient,
         version: details.version,
         fee: details.fee,
+        minAmountOut: details.minAmountOut ?? null,
       });
 
     case "curve":
@@ -279,16 +750,22 @@ async function executeSwapOnProtocol(
         details.curveTokenIndices.i,
         details.curveTokenIndices.j,
         amountIn,
-        slippageBps
+        slippageBps,
+        details.curveTokenIndices.underlying || false,
+        recipient,
+        details.minAmountOut ?? null
       );
 
     case "balancer":
-      if (!details.balancerPoolId) {
-        throw new Error("Balancer swaps require poolId");
+      if (!details.balancerPoolId && !details.balancerPath) {
+        throw new Error("Balancer swaps require poolId or path");
       }
       return await balancerSwap.swapTokens(chainKey, wallet, details.balancerPoolId, tokenIn, tokenOut, amountIn, {
         slippageBps,
         recipient,
+        version: details.version,
+        path: details.balancerPath,
+        minAmountOut: details.minAmountOut ?? null,
       });
 
     default:
@@ -296,9 +773,67 @@ async function executeSwapOnProtocol(
   }
 }
 
+/**
+ * Execute exact output swap on specific protocol (Curve is exact input only)
+ */
+async function executeExactOutputOnProtocol(
+  protocol,
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  amountOut,
+  slippageBps,
+  recipient,
+  details = {}
+) {
+  switch (protocol.toLowerCase()) {
+    case "uniswap":
+      return await uniswapSwap.swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, {
+        slippageBps,
+        recipient,
+        version: details.version,
+        v3Fee: details.fee,
+      });
+
+    case "sushiswap":
+      return await sushiswapSwap.swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, {
+        slippageBps,
+        recipient,
+        version: details.version,
+        fee: details.fee,
+      });
+
+    case "balancer":
+      if (!details.balancerPoolId && !details.balancerPath) {
+        throw new Error("Balancer swaps require poolId or path");
+      }
+      return await balancerSwap.swapTokensExactOut(
+        chainKey,
+        wallet,
+        details.balancerPoolId,
+        tokenIn,
+        tokenOut,
+        amountOut,
+        { slippageBps, recipient, version: details.version, path: details.balancerPath }
+      );
+
+    default:
+      throw new Error(`Exact output swaps are not supported on ${protocol}`);
+  }
+}
+
 module.exports = {
   swapTokens,
+  swapTokensExactOutput,
+  getAllQuotes,
+  getAllQuotesExactOutput,
+  getRankedQuotes,
   getBestQuote,
+  getBestQuoteExactOutput,
   displayQuotes,
+  matchesVenue,
+  getExecutionDetails,
   executeSwapOnProtocol,
+  executeExactOutputOnProtocol,
 };
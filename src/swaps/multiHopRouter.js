@@ -0,0 +1,263 @@
+/**
+ * Multi-hop router - graph search across all DEX protocols
+ * Treats tokens as nodes and every venue that can fill a pair (Uniswap V2/V3/V4, SushiSwap,
+ * Curve, Balancer) as an edge, then searches 1-3 hop paths through connector tokens.
+ * Each hop is executed through the existing per-protocol swap functions.
+ */
+const { CHAINS, COMMON_TOKENS } = require("../config/chains");
+const {
+  validateChainKey,
+  validateWallet,
+  validateAddress,
+  validateAmount,
+  validateSlippage,
+} = require("../utils/validation");
+const { getTokenBalance } = require("../utils/tokenHelpers");
+const { isTxBuilder, buildTransactions } = require("../utils/txBuilder");
+const { withSubmissionChannel } = require("../utils/submission");
+const { getAmountOutMin } = require("../utils/slippage");
+const dexAggregator = require("./dexAggregator");
+
+// Intermediate tokens routes may pass through
+const CONNECTOR_SYMBOLS = ["WETH", "USDC", "USDT", "DAI", "WBTC"];
+
+const MAX_HOPS = 3;
+
+/**
+ * Get connector token addresses available on a chain
+ * @param {string} chainKey - Chain identifier
+ * @returns {string[]} Connector token addresses
+ */
+function getConnectors(chainKey) {
+  return CONNECTOR_SYMBOLS.map(symbol => COMMON_TOKENS[symbol]?.[chainKey]).filter(Boolean);
+}
+
+/**
+ * Quote a single edge (best venue for tokenIn -> tokenOut), memoized per search
+ * @returns {Promise<object|null>} Best quote or null if no venue fills the pair
+ */
+async function quoteEdge(chainKey, tokenIn, tokenOut, amountIn, cache) {
+  const cacheKey = `${tokenIn.toLowerCase()}:${tokenOut.toLowerCase()}:${amountIn}`;
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  let quote = null;
+  try {
+    quote = await dexAggregator.getBestQuote(chainKey, tokenIn, tokenOut, amountIn, { quiet: true });
+  } catch (error) {
+    // No venue fills this pair
+  }
+
+  cache.set(cacheKey, quote);
+  return quote;
+}
+
+/**
+ * Find the best 1-3 hop route between two tokens
+ * Searches layer by layer, keeping the best amount reached at each intermediate token
+ * (a larger input never yields a smaller output, so the best partial route dominates)
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Amount to swap (in wei)
+ * @param {object} options - Optional parameters
+ * @param {number} options.maxHops - Maximum hops (1-3, default: 3)
+ * @param {string[]} options.connectors - Override connector token addresses
+ * @returns {Promise<{amountOut: string, path: string[], hops: object[]}>}
+ */
+async function findBestRoute(chainKey, tokenIn, tokenOut, amountIn, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+
+  const { maxHops = MAX_HOPS, connectors = getConnectors(chainKey) } = options;
+
+  if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > MAX_HOPS) {
+    throw new Error(`maxHops must be between 1 and ${MAX_HOPS}`);
+  }
+
+  const outLower = tokenOut.toLowerCase();
+  const intermediates = connectors.filter(
+    c => c.toLowerCase() !== tokenIn.toLowerCase() && c.toLowerCase() !== outLower
+  );
+
+  console.log(
+    `\nSearching routes on ${CHAINS[chainKey].name} (max ${maxHops} hops, ${intermediates.length} connectors)...`
+  );
+
+  const cache = new Map();
+  let frontier = [{ amountOut: BigInt(amountIn), path: [tokenIn], hops: [] }];
+  let best = null;
+
+  for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+    const reached = new Map();
+    const targets = hop === maxHops ? [tokenOut] : [...intermediates, tokenOut];
+
+    for (const state of frontier) {
+      const from = state.path[state.path.length - 1];
+
+      for (const to of targets) {
+        // No cycles
+        if (state.path.some(t => t.toLowerCase() === to.toLowerCase())) continue;
+
+        const quote = await quoteEdge(chainKey, from, to, state.amountOut.toString(), cache);
+        if (!quote || BigInt(quote.amountOut) === 0n) continue;
+
+        const candidate = {
+          amountOut: BigInt(quote.amountOut),
+          path: [...state.path, to],
+          hops: [
+            ...state.hops,
+            {
+              tokenIn: from,
+              tokenOut: to,
+              amountIn: state.amountOut.toString(),
+              amountOut: quote.amountOut,
+              protocol: quote.protocol,
+              version: quote.version,
+              details: quote.details,
+            },
+          ],
+        };
+
+        if (to.toLowerCase() === outLower) {
+          if (!best || candidate.amountOut > best.amountOut) {
+            best = candidate;
+          }
+          continue;
+        }
+
+        const existing = reached.get(to.toLowerCase());
+        if (!existing || candidate.amountOut > existing.amountOut) {
+          reached.set(to.toLowerCase(), candidate);
+        }
+      }
+    }
+
+    frontier = [...reached.values()];
+  }
+
+  if (!best) {
+    throw new Error("No route found between these tokens");
+  }
+
+  return {
+    amountOut: best.amountOut.toString(),
+    path: best.path,
+    hops: best.hops,
+  };
+}
+
+/**
+ * Print a route with per-hop venues
+ */
+function displayRoute(route) {
+  console.log("\n" + "=".repeat(80));
+  console.log(`ROUTE (${route.hops.length} hop${route.hops.length > 1 ? "s" : ""})`);
+  console.log("=".repeat(80));
+
+  route.hops.forEach((hop, idx) => {
+    const venue = `${hop.protocol.toUpperCase()} ${hop.version.toUpperCase()}`;
+    console.log(`${idx + 1}. ${venue.padEnd(20)} ${hop.tokenIn} -> ${hop.tokenOut}`);
+    console.log(`   ${hop.amountIn} -> ${hop.amountOut}`);
+  });
+
+  console.log(`Expected output: ${route.amountOut}`);
+  console.log("=".repeat(80) + "\n");
+}
+
+/**
+ * Execute a route hop by hop through the per-protocol swap functions
+ * Each hop swaps the amount actually received from the previous hop and applies slippage to its own quote; the
+ * final hop is also held to a floor on the route's overall output, so per-hop slippage can't compound past it
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {object} route - Route from findBestRoute
+ * @param {object} options - Optional parameters
+ * @param {number} options.slippageBps - Slippage tolerance per hop in basis points (default: 50)
+ * @param {string} options.recipient - Recipient of the final output (default: wallet address)
+ * @param {string} options.minAmountOut - Hard floor on the route's output (default: route.amountOut less slippageBps)
+ * @param {boolean} options.buildOnly - Return unsigned transactions instead of sending (wallet may be an address)
+ * @param {string|object} options.submission - Submission channel: "rpc", "relay" (private relay) or a channel object
+ * @returns {Promise<{hops: object[], amountOut: string, transactions?: object[]}>}
+ */
+async function executeRoute(chainKey, wallet, route, options = {}) {
+  if (options.buildOnly) {
+    return await buildTransactions(chainKey, wallet, builder =>
+      executeRoute(chainKey, builder, route, { ...options, buildOnly: false })
+    );
+  }
+
+  if (options.submission) {
+    const routed = withSubmissionChannel(chainKey, wallet, options.submission);
+    return await executeRoute(chainKey, routed, route, { ...options, submission: null });
+  }
+
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const { slippageBps = 50, recipient = null } = options;
+  validateSlippage(slippageBps);
+
+  if (!route?.hops?.length) {
+    throw new Error("Route has no hops");
+  }
+
+  const minAmountOut = options.minAmountOut ?? getAmountOutMin(route.amountOut, slippageBps).toString();
+  validateAmount(minAmountOut, "minAmountOut");
+
+  const results = [];
+  let amountIn = route.hops[0].amountIn;
+
+  for (let idx = 0; idx < route.hops.length; idx++) {
+    const hop = route.hops[idx];
+    const isLast = idx === route.hops.length - 1;
+
+    console.log(`\nHop ${idx + 1}/${route.hops.length}: ${hop.protocol.toUpperCase()} ${hop.version.toUpperCase()}`);
+
+    // Intermediate output stays in the wallet; measure what actually arrived for the next hop
+    const balanceBefore = isLast
+      ? null
+      : BigInt((await getTokenBalance(chainKey, hop.tokenOut, wallet.address)).balance);
+
+    try {
+      const result = await dexAggregator.executeSwapOnProtocol(
+        hop.protocol,
+        chainKey,
+        wallet,
+        hop.tokenIn,
+        hop.tokenOut,
+        amountIn,
+        slippageBps,
+        isLast ? recipient : null,
+        { ...dexAggregator.getExecutionDetails(hop), minAmountOut: isLast ? minAmountOut : null }
+      );
+      results.push({ ...hop, amountIn, amountOut: result.amountOut ?? hop.amountOut, hash: result.hash });
+    } catch (error) {
+      throw new Error(`Route failed at hop ${idx + 1} (${hop.protocol} ${hop.version}): ${error.message}`);
+    }
+
+    if (!isLast && isTxBuilder(wallet)) {
+      // Build-only hops never execute; chain the next hop off this hop's minimum output
+      amountIn = getAmountOutMin(hop.amountOut, slippageBps).toString();
+    } else if (!isLast) {
+      const balanceAfter = BigInt((await getTokenBalance(chainKey, hop.tokenOut, wallet.address)).balance);
+      amountIn = (balanceAfter - balanceBefore).toString();
+    }
+  }
+
+  return {
+    hops: results,
+    amountOut: results[results.length - 1].amountOut,
+  };
+}
+
+module.exports = {
+  CONNECTOR_SYMBOLS,
+  getConnectors,
+  findBestRoute,
+  displayRoute,
+  executeRoute,
+};
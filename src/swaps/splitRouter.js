@@ -0,0 +1,294 @@
+/**
+ * Split-order router
+ * Large trades often get more output split across venues (e.g. 60% Uniswap V3 + 40% Curve)
+ * than on the single best venue. Quotes every venue at fractions of amountIn, then picks the
+ * allocation that maximizes total output and returns a multi-leg execution plan.
+ */
+const { CHAINS } = require("../config/chains");
+const {
+  validateChainKey,
+  validateWallet,
+  validateAddress,
+  validateAmount,
+  validateSlippage,
+} = require("../utils/validation");
+const { detectFork, snapshotFork, revertFork } = require("../utils/forkDetection");
+const { buildTransactions } = require("../utils/txBuilder");
+const { withSubmissionChannel } = require("../utils/submission");
+const dexAggregator = require("./dexAggregator");
+
+// Default granularity: allocate in 10% steps
+const DEFAULT_STEPS = 10;
+
+/**
+ * Quote every venue at each fraction k/steps of amountIn
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Total amount to swap (in wei)
+ * @param {number} steps - Number of fractions
+ * @returns {Promise<object[]>} Curves: {protocol, version, points[k] = {amountOut: bigint, details} | null}
+ */
+async function getQuoteCurves(chainKey, tokenIn, tokenOut, amountIn, steps = DEFAULT_STEPS) {
+  const curves = new Map();
+
+  for (let k = 1; k <= steps; k++) {
+    const amount = (BigInt(amountIn) * BigInt(k)) / BigInt(steps);
+    if (amount === 0n) continue;
+
+    const quotes = await dexAggregator.getAllQuotes(chainKey, tokenIn, tokenOut, amount.toString(), { quiet: true });
+
+    for (const quote of quotes) {
+      const key = `${quote.protocol}:${quote.version}`;
+      if (!curves.has(key)) {
+        const points = new Array(steps + 1).fill(null);
+        points[0] = { amountOut: 0n, details: null };
+        curves.set(key, { protocol: quote.protocol, version: quote.version, points });
+      }
+      curves.get(key).points[k] = { amountOut: BigInt(quote.amountOut), details: quote.details };
+    }
+  }
+
+  return [...curves.values()];
+}
+
+/**
+ * Find the allocation of `steps` units across venues that maximizes total output
+ * Knapsack-style DP: best[k] = max output using the venues seen so far with k units
+ * @param {object[]} curves - Curves from getQuoteCurves
+ * @param {number} steps - Number of units to allocate
+ * @returns {{amountOut: bigint, allocation: number[]}|null} Units per curve, or null if no full allocation exists
+ */
+function optimizeSplit(curves, steps) {
+  let best = new Array(steps + 1).fill(null);
+  best[0] = 0n;
+  const choices = [];
+
+  for (const curve of curves) {
+    const next = new Array(steps + 1).fill(null);
+    const choice = new Array(steps + 1).fill(0);
+
+    for (let k = 0; k <= steps; k++) {
+      for (let units = 0; units <= k; units++) {
+        const point = curve.points[units];
+        if (!point || best[k - units] === null) continue;
+
+        const total = best[k - units] + point.amountOut;
+        if (next[k] === null || total > next[k]) {
+          next[k] = total;
+          choice[k] = units;
+        }
+      }
+    }
+
+    choices.push(choice);
+    best = next;
+  }
+
+  if (best[steps] === null) {
+    return null;
+  }
+
+  // Walk back through the choices to recover units per curve
+  const allocation = new Array(curves.length).fill(0);
+  let remaining = steps;
+  for (let v = curves.length - 1; v >= 0; v--) {
+    allocation[v] = choices[v][remaining];
+    remaining -= allocation[v];
+  }
+
+  return { amountOut: best[steps], allocation };
+}
+
+/**
+ * Find the best split of amountIn across all venues
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Total amount to swap (in wei)
+ * @param {object} options - Optional parameters
+ * @param {number} options.steps - Allocation granularity (default: 10 = 10% steps)
+ * @returns {Promise<{tokenIn: string, tokenOut: string, amountIn: string, amountOut: string, legs: object[], bestSingle: object, improvementBps: number}>}
+ */
+async function findBestSplit(chainKey, tokenIn, tokenOut, amountIn, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountIn, "amountIn");
+
+  const { steps = DEFAULT_STEPS } = options;
+  if (!Number.isInteger(steps) || steps < 1 || steps > 100) {
+    throw new Error("steps must be an integer between 1 and 100");
+  }
+
+  console.log(`\nBuilding quote curves on ${CHAINS[chainKey].name} (${steps} fractions)...`);
+
+  const curves = await getQuoteCurves(chainKey, tokenIn, tokenOut, amountIn, steps);
+  const result = optimizeSplit(curves, steps);
+
+  if (!result) {
+    throw new Error("No venue can fill this trade");
+  }
+
+  // Build legs; the largest leg absorbs rounding dust so legs sum exactly to amountIn
+  const total = BigInt(amountIn);
+  const legs = [];
+  curves.forEach((curve, idx) => {
+    const units = result.allocation[idx];
+    if (units === 0) return;
+
+    const point = curve.points[units];
+    legs.push({
+      protocol: curve.protocol,
+      version: curve.version,
+      details: point.details,
+      fraction: units / steps,
+      amountIn: (total * BigInt(units)) / BigInt(steps),
+      amountOut: point.amountOut.toString(),
+    });
+  });
+
+  const allocated = legs.reduce((sum, leg) => sum + leg.amountIn, 0n);
+  legs.sort((a, b) => (b.amountIn > a.amountIn ? 1 : b.amountIn < a.amountIn ? -1 : 0));
+  legs[0].amountIn += total - allocated;
+  legs.forEach(leg => {
+    leg.amountIn = leg.amountIn.toString();
+  });
+
+  // Best single venue = best full-amount point
+  let bestSingle = null;
+  for (const curve of curves) {
+    const full = curve.points[steps];
+    if (full && (!bestSingle || full.amountOut > BigInt(bestSingle.amountOut))) {
+      bestSingle = { protocol: curve.protocol, version: curve.version, amountOut: full.amountOut.toString() };
+    }
+  }
+
+  const improvementBps = bestSingle
+    ? Number(((result.amountOut - BigInt(bestSingle.amountOut)) * 10000n) / BigInt(bestSingle.amountOut))
+    : 0;
+
+  return {
+    tokenIn,
+    tokenOut,
+    amountIn: total.toString(),
+    amountOut: result.amountOut.toString(),
+    legs,
+    bestSingle,
+    improvementBps,
+  };
+}
+
+/**
+ * Print a split plan
+ */
+function displaySplit(plan) {
+  console.log("\n" + "=".repeat(80));
+  console.log(`SPLIT PLAN (${plan.legs.length} leg${plan.legs.length > 1 ? "s" : ""})`);
+  console.log("=".repeat(80));
+
+  plan.legs.forEach(leg => {
+    const venue = `${leg.protocol.toUpperCase()} ${leg.version.toUpperCase()}`;
+    const pct = `${(leg.fraction * 100).toFixed(0)}%`;
+    console.log(`${venue.padEnd(25)} ${pct.padStart(5)}  ${leg.amountIn} -> ${leg.amountOut}`);
+  });
+
+  console.log(`Total output: ${plan.amountOut}`);
+  if (plan.bestSingle) {
+    const venue = `${plan.bestSingle.protocol.toUpperCase()} ${plan.bestSingle.version.toUpperCase()}`;
+    console.log(`Best single venue: ${venue} ${plan.bestSingle.amountOut} (split: +${plan.improvementBps / 100}%)`);
+  }
+  console.log("=".repeat(80) + "\n");
+}
+
+/**
+ * Execute a split plan leg by leg through the per-protocol swap functions
+ * With atomic: true (forks only) the legs behave like a multicall: a fork snapshot is taken first
+ * and restored if any leg fails, so either every leg lands or none do
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {object} plan - Plan from findBestSplit
+ * @param {object} options - Optional parameters
+ * @param {number} options.slippageBps - Slippage tolerance per leg in basis points (default: 50)
+ * @param {string} options.recipient - Recipient address (default: wallet address)
+ * @param {boolean} options.atomic - Revert all legs on failure via fork snapshot (default: false)
+ * @param {boolean} options.buildOnly - Return unsigned transactions instead of sending (wallet may be an address)
+ * @param {string|object} options.submission - Submission channel: "rpc", "relay" (private relay) or a channel object
+ * @returns {Promise<{legs: object[], amountOut: string, transactions?: object[]}>}
+ */
+async function executeSplit(chainKey, wallet, plan, options = {}) {
+  if (options.buildOnly) {
+    return await buildTransactions(chainKey, wallet, builder =>
+      executeSplit(chainKey, builder, plan, { ...options, buildOnly: false })
+    );
+  }
+
+  if (options.submission) {
+    const routed = withSubmissionChannel(chainKey, wallet, options.submission);
+    return await executeSplit(chainKey, routed, plan, { ...options, submission: null });
+  }
+
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const { slippageBps = 50, recipient = null, atomic = false } = options;
+  validateSlippage(slippageBps);
+
+  if (!plan?.legs?.length) {
+    throw new Error("Split plan has no legs");
+  }
+
+  let snapshotId = null;
+  if (atomic) {
+    const { isFork } = await detectFork(chainKey);
+    if (!isFork) {
+      throw new Error("Atomic split execution is only available on a fork");
+    }
+    snapshotId = await snapshotFork(chainKey);
+    console.log(`Fork snapshot taken: ${snapshotId}`);
+  }
+
+  const results = [];
+
+  for (let idx = 0; idx < plan.legs.length; idx++) {
+    const leg = plan.legs[idx];
+    console.log(`\nLeg ${idx + 1}/${plan.legs.length}: ${leg.protocol.toUpperCase()} ${leg.version.toUpperCase()}`);
+
+    try {
+      const result = await dexAggregator.executeSwapOnProtocol(
+        leg.protocol,
+        chainKey,
+        wallet,
+        plan.tokenIn,
+        plan.tokenOut,
+        leg.amountIn,
+        slippageBps,
+        recipient,
+        dexAggregator.getExecutionDetails(leg)
+      );
+      results.push({ ...leg, amountOut: result.amountOut ?? leg.amountOut, hash: result.hash });
+    } catch (error) {
+      if (snapshotId !== null) {
+        await revertFork(chainKey, snapshotId);
+        throw new Error(`Split leg ${idx + 1} failed, fork reverted to snapshot: ${error.message}`);
+      }
+      throw new Error(`Split leg ${idx + 1} failed after ${results.length} completed leg(s): ${error.message}`);
+    }
+  }
+
+  const amountOut = results.reduce((sum, leg) => sum + BigInt(leg.amountOut), 0n);
+
+  return {
+    legs: results,
+    amountOut: amountOut.toString(),
+  };
+}
+
+module.exports = {
+  DEFAULT_STEPS,
+  getQuoteCurves,
+  optimizeSplit,
+  findBestSplit,
+  displaySplit,
+  executeSplit,
+};
@@ -1,10 +1,21 @@
 /**
  * SushiSwap token swap implementation
- * Supports V2 and V3 swaps across all configured chains
+ * Supports V2 and V3 swaps across all configured chains, with native ETH in/out (NATIVE_TOKEN)
  */
 const { ethers } = require("ethers");
 const { CHAINS } = require("../config/chains");
 const { getProvider, getContract } = require("../utils/web3");
+const { isNativeToken, toWrappedToken, sendV3RouterSwap } = require("../utils/native");
+const { ensureApproval, prepareApproval, SPENDER_SUPPORT } = require("../utils/approvals");
+const { simulateAndSend } = require("../utils/txSimulation");
+const { decodeSwapReceipt } = require("../utils/receiptDecoder");
+const { getSwapLimits } = require("../utils/slippage");
+const {
+  getTransferAdjustments,
+  applyTransferTax,
+  getDeliveredAmount,
+  clampToRebasingBalance,
+} = require("../utils/tokenBehavior");
 const {
   validateChainKey,
   validateWallet,
@@ -14,8 +25,7 @@ const {
 } = require("../utils/validation");
 const V2_ROUTER_ABI = require("../abis/IUniswapV2Router02.json");
 const V3_ROUTER_ABI = require("../abis/ISwapRouter.json");
-const QUOTER_ABI = require("../abis/IQuoter.json");
-const ERC20_ABI = require("../abis/IERC20.json");
+const QUOTER_ABI = require("../abis/IQuoterV2.json");
 
 /**
  * Get quote for SushiSwap V2 swap
@@ -35,7 +45,8 @@ async function getV2Quote(chainKey, tokenIn, tokenOut, amountIn) {
   const router = new ethers.Contract(chain.sushiswap.v2.router, V2_ROUTER_ABI, provider);
 
   try {
-    const path = [tokenIn, tokenOut];
+    // Native ETH trades through the WETH pair
+    const path = [toWrappedToken(chainKey, tokenIn), toWrappedToken(chainKey, tokenOut)];
     const amounts = await router.getAmountsOut(amountIn, path);
     return {
       amountOut: amounts[amounts.length - 1].toString(),
@@ -65,16 +76,16 @@ async function getV3Quote(chainKey, tokenIn, tokenOut, amountIn, fee = 3000) {
 
   try {
     const params = {
-      tokenIn,
-      tokenOut,
+      tokenIn: toWrappedToken(chainKey, tokenIn),
+      tokenOut: toWrappedToken(chainKey, tokenOut),
       fee,
       amountIn,
       sqrtPriceLimitX96: 0,
     };
 
-    const result = await quoter.quoteExactInputSingle.staticCall(params);
+    const [amountOut] = await quoter.quoteExactInputSingle.staticCall(params);
     return {
-      amountOut: result.toString(),
+      amountOut: amountOut.toString(),
       fee,
     };
   } catch (error) {
@@ -82,10 +93,85 @@ async function getV3Quote(chainKey, tokenIn, tokenOut, amountIn, fee = 3000) {
   }
 }
 
+/**
+ * Get input required for an exact output SushiSwap V2 swap
+ */
+async function getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.sushiswap?.v2?.router) {
+    throw new Error(`SushiSwap V2 not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const router = new ethers.Contract(chain.sushiswap.v2.router, V2_ROUTER_ABI, provider);
+
+  try {
+    const path = [toWrappedToken(chainKey, tokenIn), toWrappedToken(chainKey, tokenOut)];
+    const amounts = await router.getAmountsIn(amountOut, path);
+    return {
+      amountIn: amounts[0].toString(),
+      path,
+    };
+  } catch (error) {
+    throw new Error(`SushiSwap V2 exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get input required for an exact output SushiSwap V3 swap
+ */
+async function getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, fee = 3000) {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.sushiswap?.v3?.quoter) {
+    throw new Error(`SushiSwap V3 not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const quoter = new ethers.Contract(chain.sushiswap.v3.quoter, QUOTER_ABI, provider);
+
+  try {
+    const params = {
+      tokenIn: toWrappedToken(chainKey, tokenIn),
+      tokenOut: toWrappedToken(chainKey, tokenOut),
+      amount: amountOut,
+      fee,
+      sqrtPriceLimitX96: 0,
+    };
+
+    const [amountIn] = await quoter.quoteExactOutputSingle.staticCall(params);
+    return {
+      amountIn: amountIn.toString(),
+      fee,
+    };
+  } catch (error) {
+    throw new Error(`SushiSwap V3 exact output quote failed: ${error.message}`);
+  }
+}
+
 /**
  * Execute SushiSwap V2 swap
+ * minAmountOut is a hard floor on the output, never undercut by slippage (default: none)
  */
-async function swapV2(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps = 50, recipient = null) {
+async function swapV2(
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  amountIn,
+  slippageBps = 50,
+  recipient = null,
+  minAmountOut = null
+) {
   validateChainKey(chainKey);
   validateWallet(wallet);
   validateAddress(tokenIn, "tokenIn");
@@ -103,35 +189,83 @@ async function swapV2(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps
 
   const router = new ethers.Contract(chain.sushiswap.v2.router, V2_ROUTER_ABI, walletWithProvider);
 
-  const tokenInContract = new ethers.Contract(tokenIn, ERC20_ABI, walletWithProvider);
-
-  const allowance = await tokenInContract.allowance(wallet.address, chain.sushiswap.v2.router);
-  if (BigInt(allowance) < BigInt(amountIn)) {
-    console.log("Approving SushiSwap V2 Router...");
-    const approveTx = await tokenInContract.approve(chain.sushiswap.v2.router, amountIn);
-    await approveTx.wait();
-  }
-
-  const quote = await getV2Quote(chainKey, tokenIn, tokenOut, amountIn);
-  const minAmountOut = (BigInt(quote.amountOut) * BigInt(10000 - slippageBps)) / BigInt(10000);
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+
+  // Native ETH is sent as value; ERC20 input is approved in the configured approval mode
+  await ensureApproval(walletWithProvider, tokenIn, chain.sushiswap.v2.router, amountIn);
+
+  // Quote what the pair receives and set the minimum on what the recipient keeps (see utils/tokenBehavior)
+  const transfer = await getTransferAdjustments(chainKey, tokenIn, tokenOut);
+  amountIn = await clampToRebasingBalance(chainKey, tokenIn, wallet.address, amountIn, transfer.tokenIn);
+  const quote = await getV2Quote(chainKey, tokenIn, tokenOut, applyTransferTax(amountIn, transfer.inTaxBps).toString());
+  const expectedOut = getDeliveredAmount(quote.amountOut, transfer);
+  const { amountOutMin } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut: expectedOut },
+    slippageBps,
+    { minAmountOut }
+  );
+  const method = name => (transfer.feeOnTransfer ? `${name}SupportingFeeOnTransferTokens` : name);
 
   const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
   const to = recipient || wallet.address;
 
-  const tx = await router.swapExactTokensForTokens(amountIn, minAmountOut, quote.path, to, deadline);
+  let tx;
+  if (nativeIn) {
+    tx = await simulateAndSend(
+      router,
+      method("swapExactETHForTokens"),
+      [amountOutMin, quote.path, to, deadline],
+      { value: amountIn },
+      "SushiSwap V2 swap"
+    );
+  } else if (nativeOut) {
+    tx = await simulateAndSend(
+      router,
+      method("swapExactTokensForETH"),
+      [amountIn, amountOutMin, quote.path, to, deadline],
+      {},
+      "SushiSwap V2 swap"
+    );
+  } else {
+    tx = await simulateAndSend(
+      router,
+      method("swapExactTokensForTokens"),
+      [amountIn, amountOutMin, quote.path, to, deadline],
+      {},
+      "SushiSwap V2 swap"
+    );
+  }
 
   const receipt = await tx.wait();
-  return {
-    version: "v2",
-    hash: receipt.hash,
-    amountOut: quote.amountOut,
-  };
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn,
+    amountOut: expectedOut.toString(),
+  });
+
+  return { version: "v2", ...execution, amountOutMin: amountOutMin.toString() };
 }
 
 /**
  * Execute SushiSwap V3 swap
+ * minAmountOut is a hard floor on the output, never undercut by slippage (default: none)
  */
-async function swapV3(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps = 50, fee = 3000, recipient = null) {
+async function swapV3(
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  amountIn,
+  slippageBps = 50,
+  fee = 3000,
+  recipient = null,
+  minAmountOut = null
+) {
   validateChainKey(chainKey);
   validateWallet(wallet);
   validateAddress(tokenIn, "tokenIn");
@@ -149,40 +283,277 @@ async function swapV3(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps
 
   const router = new ethers.Contract(chain.sushiswap.v3.router, V3_ROUTER_ABI, walletWithProvider);
 
-  const tokenInContract = new ethers.Contract(tokenIn, ERC20_ABI, walletWithProvider);
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
 
-  const allowance = await tokenInContract.allowance(wallet.address, chain.sushiswap.v3.router);
-  if (BigInt(allowance) < BigInt(amountIn)) {
-    console.log("Approving SushiSwap V3 Router...");
-    const approveTx = await tokenInContract.approve(chain.sushiswap.v3.router, amountIn);
-    await approveTx.wait();
-  }
+  // EIP-2612 tokens are permitted inside the swap multicall, others fall back to an approve
+  const { permit } = await prepareApproval(walletWithProvider, tokenIn, chain.sushiswap.v3.router, amountIn, {
+    support: SPENDER_SUPPORT.SELF_PERMIT,
+  });
 
   const quote = await getV3Quote(chainKey, tokenIn, tokenOut, amountIn, fee);
-  const minAmountOut = (BigInt(quote.amountOut) * BigInt(10000 - slippageBps)) / BigInt(10000);
+  const { amountOutMin } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut: quote.amountOut },
+    slippageBps,
+    { minAmountOut }
+  );
 
   const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
   const to = recipient || wallet.address;
 
   const params = {
-    tokenIn,
-    tokenOut,
+    tokenIn: toWrappedToken(chainKey, tokenIn),
+    tokenOut: toWrappedToken(chainKey, tokenOut),
     fee,
     recipient: to,
     deadline,
     amountIn,
-    amountOutMinimum: minAmountOut,
+    amountOutMinimum: amountOutMin,
     sqrtPriceLimitX96: 0,
   };
 
-  const tx = await router.exactInputSingle(params);
+  const tx = await sendV3RouterSwap(router, "exactInputSingle", params, {
+    nativeIn,
+    nativeOut,
+    value: amountIn,
+    amountOutMin,
+    recipient: to,
+    permit,
+  });
   const receipt = await tx.wait();
-
-  return {
-    version: "v3",
-    hash: receipt.hash,
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn,
     amountOut: quote.amountOut,
+  });
+
+  return { version: "v3", ...execution, amountOutMin: amountOutMin.toString() };
+}
+
+/**
+ * Execute exact output SushiSwap V2 swap, spending at most the quoted input plus slippage
+ */
+async function swapV2ExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, slippageBps = 50, recipient = null) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.sushiswap?.v2?.router) {
+    throw new Error(`SushiSwap V2 not available on ${chainKey}`);
+  }
+
+  const provider = wallet.provider || getProvider(chainKey);
+  const walletWithProvider = wallet.connect(provider);
+
+  const router = new ethers.Contract(chain.sushiswap.v2.router, V2_ROUTER_ABI, walletWithProvider);
+
+  // No exact output router method handles fee-on-transfer tokens; rebasing outputs are topped up by their rounding
+  const transfer = await getTransferAdjustments(chainKey, tokenIn, tokenOut);
+  if (transfer.feeOnTransfer) {
+    throw new Error("Exact output swaps don't support fee-on-transfer tokens, use an exact input swap");
+  }
+  const amountOutRequested = (BigInt(amountOut) + transfer.outRoundingWei).toString();
+
+  const quote = await getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOutRequested);
+  const { amountInMax } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn: quote.amountIn, amountOut: amountOutRequested, exactOutput: true },
+    slippageBps
+  );
+
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+
+  // Native ETH is sent as value; ERC20 input is approved in the configured approval mode
+  await ensureApproval(walletWithProvider, tokenIn, chain.sushiswap.v2.router, amountInMax);
+
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const to = recipient || wallet.address;
+
+  // Unspent ETH is refunded by swapETHForExactTokens
+  let tx;
+  if (nativeIn) {
+    tx = await simulateAndSend(
+      router,
+      "swapETHForExactTokens",
+      [amountOutRequested, quote.path, to, deadline],
+      { value: amountInMax },
+      "SushiSwap V2 swap"
+    );
+  } else if (nativeOut) {
+    tx = await simulateAndSend(
+      router,
+      "swapTokensForExactETH",
+      [amountOutRequested, amountInMax, quote.path, to, deadline],
+      {},
+      "SushiSwap V2 swap"
+    );
+  } else {
+    tx = await simulateAndSend(
+      router,
+      "swapTokensForExactTokens",
+      [amountOutRequested, amountInMax, quote.path, to, deadline],
+      {},
+      "SushiSwap V2 swap"
+    );
+  }
+
+  const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn: quote.amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return { version: "v2", ...execution, amountInMax: amountInMax.toString() };
+}
+
+/**
+ * Execute exact output SushiSwap V3 swap, spending at most the quoted input plus slippage
+ */
+async function swapV3ExactOutput(
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  amountOut,
+  slippageBps = 50,
+  fee = 3000,
+  recipient = null
+) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.sushiswap?.v3?.router) {
+    throw new Error(`SushiSwap V3 not available on ${chainKey}`);
+  }
+
+  const provider = wallet.provider || getProvider(chainKey);
+  const walletWithProvider = wallet.connect(provider);
+
+  const router = new ethers.Contract(chain.sushiswap.v3.router, V3_ROUTER_ABI, walletWithProvider);
+
+  const quote = await getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, fee);
+  const { amountInMax } = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn: quote.amountIn, amountOut, exactOutput: true },
+    slippageBps
+  );
+
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+
+  // EIP-2612 tokens are permitted inside the swap multicall, others fall back to an approve
+  const { permit } = await prepareApproval(walletWithProvider, tokenIn, chain.sushiswap.v3.router, amountInMax, {
+    support: SPENDER_SUPPORT.SELF_PERMIT,
+  });
+
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const to = recipient || wallet.address;
+
+  const params = {
+    tokenIn: toWrappedToken(chainKey, tokenIn),
+    tokenOut: toWrappedToken(chainKey, tokenOut),
+    fee,
+    recipient: to,
+    deadline,
+    amountOut,
+    amountInMaximum: amountInMax,
+    sqrtPriceLimitX96: 0,
   };
+
+  const tx = await sendV3RouterSwap(router, "exactOutputSingle", params, {
+    nativeIn,
+    nativeOut,
+    value: amountInMax,
+    amountOutMin: amountOut,
+    recipient: to,
+    permit,
+  });
+  const receipt = await tx.wait();
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: to,
+    amountIn: quote.amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return { version: "v3", ...execution, amountInMax: amountInMax.toString() };
+}
+
+/**
+ * Auto-select the SushiSwap version needing the least input and execute an exact output swap
+ */
+async function swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const { slippageBps = 50, recipient = null, version = null, fee = 3000 } = options;
+
+  validateSlippage(slippageBps);
+
+  if (version === "v2") {
+    return await swapV2ExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, slippageBps, recipient);
+  }
+
+  if (version === "v3") {
+    return await swapV3ExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, slippageBps, fee, recipient);
+  }
+
+  const quotes = await Promise.allSettled([
+    getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut),
+    getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, fee),
+  ]);
+
+  let bestVersion = null;
+  let bestAmountIn = null;
+
+  quotes.forEach((result, idx) => {
+    if (result.status === "fulfilled") {
+      const versions = ["v2", "v3"];
+      const amountIn = BigInt(result.value.amountIn);
+      if (bestAmountIn === null || amountIn < bestAmountIn) {
+        bestAmountIn = amountIn;
+        bestVersion = versions[idx];
+      }
+    }
+  });
+
+  if (!bestVersion) {
+    throw new Error("No valid swap routes found");
+  }
+
+  console.log(`Best route: SushiSwap ${bestVersion.toUpperCase()}`);
+  console.log(`Expected input: ${bestAmountIn.toString()}`);
+
+  if (bestVersion === "v2") {
+    return await swapV2ExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, slippageBps, recipient);
+  } else {
+    return await swapV3ExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, slippageBps, fee, recipient);
+  }
 }
 
 /**
@@ -195,16 +566,16 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
   validateAddress(tokenOut, "tokenOut");
   validateAmount(amountIn, "amountIn");
 
-  const { slippageBps = 50, recipient = null, version = null, fee = 3000 } = options;
+  const { slippageBps = 50, recipient = null, version = null, fee = 3000, minAmountOut = null } = options;
 
   validateSlippage(slippageBps);
 
   if (version === "v2") {
-    return await swapV2(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient);
+    return await swapV2(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient, minAmountOut);
   }
 
   if (version === "v3") {
-    return await swapV3(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, fee, recipient);
+    return await swapV3(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, fee, recipient, minAmountOut);
   }
 
   const quotes = await Promise.allSettled([
@@ -234,16 +605,21 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
   console.log(`Expected output: ${bestAmountOut.toString()}`);
 
   if (bestVersion === "v2") {
-    return await swapV2(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient);
+    return await swapV2(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient, minAmountOut);
   } else {
-    return await swapV3(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, fee, recipient);
+    return await swapV3(chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, fee, recipient, minAmountOut);
   }
 }
 
 module.exports = {
   swapTokens,
+  swapTokensExactOutput,
   swapV2,
   swapV3,
+  swapV2ExactOutput,
+  swapV3ExactOutput,
   getV2Quote,
   getV3Quote,
+  getV2QuoteExactOutput,
+  getV3QuoteExactOutput,
 };
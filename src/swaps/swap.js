@@ -1,5 +1,8 @@
 // Unified Uniswap swap interface across V2, V3, and V4
 // Provides a simple API for token swaps regardless of protocol version
+// Native ETH is passed as NATIVE_TOKEN (from config/chains) on either side of any swap
+// buildOnly returns unsigned transactions for multisig/custody submission instead of sending
+// submission: "relay" keeps swaps out of the public mempool (see utils/submission)
 const { ethers } = require("ethers");
 const { CHAINS, COMMON_TOKENS } = require("../config/chains");
 const {
@@ -12,6 +15,9 @@ const {
 const v2Swap = require("./v2Swap");
 const v3Swap = require("./v3Swap");
 const v4Swap = require("./v4Swap");
+const { applyGasCosts, selectBestNetQuote } = require("../utils/gas");
+const { buildTransactions } = require("../utils/txBuilder");
+const { withSubmissionChannel } = require("../utils/submission");
 
 /**
  * Auto-detect and execute the best swap across all Uniswap versions
@@ -25,9 +31,30 @@ const v4Swap = require("./v4Swap");
  * @param {string} options.recipient - Recipient address (default: wallet address)
  * @param {string} options.version - Force specific version: 'v2', 'v3', 'v4'
  * @param {number} options.v3Fee - V3/V4 fee tier (default: auto-detect best)
- * @returns {Promise<{version: string, hash: string, amountOut: string}>}
+ * @param {boolean} options.exactOutput - Treat amountIn as the exact output amount (see swapTokensExactOutput)
+ * @param {string} options.maxAmountIn - Hard cap on input for exact output swaps
+ * @param {string} options.minAmountOut - Hard floor on output for exact input swaps, never undercut by slippage
+ * @param {boolean} options.buildOnly - Return the unsigned approval and swap transactions instead of sending;
+ *   wallet may then be a plain address (e.g. a Safe)
+ * @param {string|object} options.submission - Submission channel: "rpc", "relay" (private relay) or a channel object
+ * @returns {Promise<{version: string, hash: string, amountOut: string, transactions?: object[]}>}
  */
 async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options = {}) {
+  if (options.buildOnly) {
+    return await buildTransactions(chainKey, wallet, builder =>
+      swapTokens(chainKey, builder, tokenIn, tokenOut, amountIn, { ...options, buildOnly: false })
+    );
+  }
+
+  if (options.submission) {
+    const routed = withSubmissionChannel(chainKey, wallet, options.submission);
+    return await swapTokens(chainKey, routed, tokenIn, tokenOut, amountIn, { ...options, submission: null });
+  }
+
+  if (options.exactOutput) {
+    return await swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountIn, options);
+  }
+
   // Validate inputs
   validateChainKey(chainKey);
   validateWallet(wallet);
@@ -35,7 +62,7 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
   validateAddress(tokenOut, "tokenOut");
   validateAmount(amountIn, "amountIn");
 
-  const { slippageBps = 50, recipient = null, version = null, v3Fee = null } = options;
+  const { slippageBps = 50, recipient = null, version = null, v3Fee = null, minAmountOut = null } = options;
 
   // Validate slippage if provided
   validateSlippage(slippageBps);
@@ -47,7 +74,18 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
 
   // If version is specified, use that version
   if (version) {
-    return await swapWithVersion(version, chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient, v3Fee);
+    return await swapWithVersion(
+      version,
+      chainKey,
+      wallet,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      slippageBps,
+      recipient,
+      v3Fee,
+      minAmountOut
+    );
   }
 
   // Auto-detect best version by comparing quotes
@@ -56,33 +94,31 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
   const quotes = await Promise.allSettled([
     getV2Quote(chainKey, tokenIn, tokenOut, amountIn),
     getV3Quote(chainKey, tokenIn, tokenOut, amountIn, v3Fee),
-    getV4Quote(chainKey, tokenIn, tokenOut, amountIn, v3Fee || 3000),
+    getV4Quote(chainKey, tokenIn, tokenOut, amountIn, v3Fee),
   ]);
 
-  // Find best quote
-  let bestVersion = null;
-  let bestQuote = { version: null, amountOut: "0", fee: null };
+  const versions = ["v2", "v3", "v4"];
+  const available = [];
 
   quotes.forEach((result, idx) => {
-    if (result.status === "fulfilled") {
-      const versions = ["v2", "v3", "v4"];
-      const quote = result.value;
-      if (BigInt(quote.amountOut) > BigInt(bestQuote.amountOut)) {
-        bestQuote = {
-          version: versions[idx],
-          amountOut: quote.amountOut,
-          fee: quote.fee,
-        };
-      }
+    if (result.status === "fulfilled" && BigInt(result.value.amountOut) > 0n) {
+      available.push({ protocol: "uniswap", version: versions[idx], ...result.value });
     }
   });
 
-  if (!bestQuote.version) {
+  if (available.length === 0) {
     throw new Error("No valid swap routes found");
   }
 
+  // Find best quote net of gas
+  await applyGasCosts(chainKey, tokenOut, available);
+  const bestQuote = selectBestNetQuote(available);
+
   console.log(`Best route: ${bestQuote.version.toUpperCase()}`);
   console.log(`Expected output: ${bestQuote.amountOut}`);
+  if (bestQuote.gasCost !== null) {
+    console.log(`Gas cost: ${bestQuote.gasCost} (net: ${bestQuote.netAmountOut})`);
+  }
 
   return await swapWithVersion(
     bestQuote.version,
@@ -93,6 +129,110 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
     amountIn,
     slippageBps,
     recipient,
+    bestQuote.fee,
+    minAmountOut
+  );
+}
+
+/**
+ * Auto-detect and execute the exact output swap needing the least input across all Uniswap versions
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Exact amount of output token to receive (in wei/smallest unit)
+ * @param {object} options - Optional parameters
+ * @param {number} options.slippageBps - Slippage tolerance applied to the input (default: 50 = 0.5%)
+ * @param {string} options.recipient - Recipient address (default: wallet address)
+ * @param {string} options.version - Force specific version: 'v2', 'v3', 'v4'
+ * @param {number} options.v3Fee - V3/V4 fee tier (default: auto-detect best)
+ * @param {string} options.maxAmountIn - Hard cap on input; slippage is tightened so amountInMax never exceeds it
+ * @param {boolean} options.buildOnly - Return unsigned transactions instead of sending (wallet may be an address)
+ * @param {string|object} options.submission - Submission channel: "rpc", "relay" (private relay) or a channel object
+ * @returns {Promise<{version: string, hash: string, amountIn: string, amountInMax: string, amountOut: string, transactions?: object[]}>}
+ */
+async function swapTokensExactOutput(chainKey, wallet, tokenIn, tokenOut, amountOut, options = {}) {
+  if (options.buildOnly) {
+    return await buildTransactions(chainKey, wallet, builder =>
+      swapTokensExactOutput(chainKey, builder, tokenIn, tokenOut, amountOut, { ...options, buildOnly: false })
+    );
+  }
+
+  if (options.submission) {
+    const routed = withSubmissionChannel(chainKey, wallet, options.submission);
+    return await swapTokensExactOutput(chainKey, routed, tokenIn, tokenOut, amountOut, {
+      ...options,
+      submission: null,
+    });
+  }
+
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  const { slippageBps = 50, recipient = null, version = null, v3Fee = null, maxAmountIn = null } = options;
+
+  validateSlippage(slippageBps);
+  if (maxAmountIn !== null) {
+    validateAmount(maxAmountIn, "maxAmountIn");
+  }
+
+  const chain = CHAINS[chainKey];
+
+  console.log(`\nFinding exact output swap route on ${chain.name}...`);
+
+  const quoteFns = {
+    v2: () => getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut),
+    v3: () => getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, v3Fee),
+    v4: () => getV4QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, v3Fee),
+  };
+
+  if (version && !quoteFns[version.toLowerCase()]) {
+    throw new Error(`Unknown version: ${version}`);
+  }
+
+  const versions = version ? [version.toLowerCase()] : Object.keys(quoteFns);
+  const quotes = await Promise.allSettled(versions.map(v => quoteFns[v]()));
+
+  // Pick the version needing the least input
+  let bestQuote = null;
+  quotes.forEach((result, idx) => {
+    if (result.status === "fulfilled" && BigInt(result.value.amountIn) > 0n) {
+      if (!bestQuote || BigInt(result.value.amountIn) < BigInt(bestQuote.amountIn)) {
+        bestQuote = { version: versions[idx], ...result.value };
+      }
+    }
+  });
+
+  if (!bestQuote) {
+    throw new Error("No valid exact output swap routes found");
+  }
+
+  console.log(`Best route: ${bestQuote.version.toUpperCase()}`);
+  console.log(`Expected input: ${bestQuote.amountIn}`);
+
+  let effectiveSlippageBps = slippageBps;
+  if (maxAmountIn !== null) {
+    const quoted = BigInt(bestQuote.amountIn);
+    if (quoted > BigInt(maxAmountIn)) {
+      throw new Error(`Best quote needs ${bestQuote.amountIn} input, above maxAmountIn ${maxAmountIn}`);
+    }
+    const headroomBps = Number(((BigInt(maxAmountIn) - quoted) * 10000n) / quoted);
+    effectiveSlippageBps = Math.min(slippageBps, headroomBps);
+  }
+
+  return await swapExactOutputWithVersion(
+    bestQuote.version,
+    chainKey,
+    wallet,
+    tokenIn,
+    tokenOut,
+    amountOut,
+    effectiveSlippageBps,
+    recipient,
     bestQuote.fee
   );
 }
@@ -100,7 +240,18 @@ async function swapTokens(chainKey, wallet, tokenIn, tokenOut, amountIn, options
 /**
  * Execute swap with specific version
  */
-async function swapWithVersion(version, chainKey, wallet, tokenIn, tokenOut, amountIn, slippageBps, recipient, fee) {
+async function swapWithVersion(
+  version,
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  amountIn,
+  slippageBps,
+  recipient,
+  fee,
+  minAmountOut = null
+) {
   switch (version.toLowerCase()) {
     case "v2":
       const v2Result = await v2Swap.swapExactTokensForTokens(
@@ -110,7 +261,9 @@ async function swapWithVersion(version, chainKey, wallet, tokenIn, tokenOut, amo
         tokenOut,
         amountIn,
         slippageBps,
-        recipient
+        recipient,
+        null,
+        minAmountOut
       );
       return { version: "v2", ...v2Result };
 
@@ -124,7 +277,8 @@ async function swapWithVersion(version, chainKey, wallet, tokenIn, tokenOut, amo
         v3Fee,
         amountIn,
         slippageBps,
-        recipient
+        recipient,
+        minAmountOut
       );
       return { version: "v3", ...v3Result };
 
@@ -138,9 +292,71 @@ async function swapWithVersion(version, chainKey, wallet, tokenIn, tokenOut, amo
         v4Fee,
         amountIn,
         slippageBps,
+        recipient,
+        { minAmountOut }
+      );
+      return { version: "v4", ...v4Result };
+
+    default:
+      throw new Error(`Unknown version: ${version}`);
+  }
+}
+
+/**
+ * Execute exact output swap with specific version
+ */
+async function swapExactOutputWithVersion(
+  version,
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  amountOut,
+  slippageBps,
+  recipient,
+  fee
+) {
+  switch (version) {
+    case "v2": {
+      const v2Result = await v2Swap.swapTokensForExactTokens(
+        chainKey,
+        wallet,
+        tokenIn,
+        tokenOut,
+        amountOut,
+        slippageBps,
+        recipient
+      );
+      return { version: "v2", ...v2Result };
+    }
+
+    case "v3": {
+      const v3Result = await v3Swap.swapExactOutputSingle(
+        chainKey,
+        wallet,
+        tokenIn,
+        tokenOut,
+        fee || 3000,
+        amountOut,
+        slippageBps,
+        recipient
+      );
+      return { version: "v3", ...v3Result };
+    }
+
+    case "v4": {
+      const v4Result = await v4Swap.swapV4ExactOutput(
+        chainKey,
+        wallet,
+        tokenIn,
+        tokenOut,
+        fee || 3000,
+        amountOut,
+        slippageBps,
         recipient
       );
       return { version: "v4", ...v4Result };
+    }
 
     default:
       throw new Error(`Unknown version: ${version}`);
@@ -161,15 +377,16 @@ async function getV2Quote(chainKey, tokenIn, tokenOut, amountIn) {
 
 /**
  * Get V3 quote (finds best fee if not specified)
+ * gasEstimate is null when only the legacy Quoter is available
  */
 async function getV3Quote(chainKey, tokenIn, tokenOut, amountIn, fee = null) {
   try {
     if (fee) {
-      const amountOut = await v3Swap.getQuote(chainKey, tokenIn, tokenOut, fee, amountIn);
-      return { amountOut, fee };
+      const quote = await v3Swap.getQuoteDetailed(chainKey, tokenIn, tokenOut, fee, amountIn);
+      return { amountOut: quote.amountOut, fee, gasEstimate: quote.gasEstimate };
     } else {
       const bestFee = await v3Swap.findBestFee(chainKey, tokenIn, tokenOut, amountIn);
-      return { amountOut: bestFee.amountOut, fee: bestFee.fee };
+      return { amountOut: bestFee.amountOut, fee: bestFee.fee, gasEstimate: bestFee.gasEstimate };
     }
   } catch (error) {
     throw new Error(`V3 quote failed: ${error.message}`);
@@ -177,17 +394,78 @@ async function getV3Quote(chainKey, tokenIn, tokenOut, amountIn, fee = null) {
 }
 
 /**
- * Get V4 quote (estimate)
+ * Get V4 quote from the V4Quoter (finds best pool if fee not specified)
  */
-async function getV4Quote(chainKey, tokenIn, tokenOut, amountIn, fee) {
+async function getV4Quote(chainKey, tokenIn, tokenOut, amountIn, fee = null) {
   try {
-    const amountOut = await v4Swap.estimateSwapOutput(chainKey, tokenIn, tokenOut, fee, amountIn);
-    return { amountOut, fee };
+    if (fee) {
+      const quote = await v4Swap.getQuote(chainKey, tokenIn, tokenOut, fee, amountIn);
+      return { amountOut: quote.amountOut, fee, poolKey: quote.poolKey, gasEstimate: quote.gasEstimate };
+    } else {
+      const bestPool = await v4Swap.findBestPool(chainKey, tokenIn, tokenOut, amountIn);
+      return {
+        amountOut: bestPool.amountOut,
+        fee: bestPool.fee,
+        poolKey: bestPool.poolKey,
+        gasEstimate: bestPool.gasEstimate,
+      };
+    }
   } catch (error) {
     throw new Error(`V4 quote failed: ${error.message}`);
   }
 }
 
+/**
+ * Get V2 exact output quote (input required)
+ */
+async function getV2QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut) {
+  try {
+    const quote = await v2Swap.getQuoteForExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+    return { amountIn: quote.amountIn, fee: null };
+  } catch (error) {
+    throw new Error(`V2 exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get V3 exact output quote (finds the fee tier needing the least input if not specified)
+ */
+async function getV3QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, fee = null) {
+  try {
+    if (fee) {
+      const quote = await v3Swap.getQuoteExactOutputDetailed(chainKey, tokenIn, tokenOut, fee, amountOut);
+      return { amountIn: quote.amountIn, fee, gasEstimate: quote.gasEstimate };
+    } else {
+      const bestFee = await v3Swap.findBestFeeExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+      return { amountIn: bestFee.amountIn, fee: bestFee.fee, gasEstimate: bestFee.gasEstimate };
+    }
+  } catch (error) {
+    throw new Error(`V3 exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get V4 exact output quote (finds the pool needing the least input if fee not specified)
+ */
+async function getV4QuoteExactOutput(chainKey, tokenIn, tokenOut, amountOut, fee = null) {
+  try {
+    if (fee) {
+      const quote = await v4Swap.getQuoteExactOutput(chainKey, tokenIn, tokenOut, fee, amountOut);
+      return { amountIn: quote.amountIn, fee, poolKey: quote.poolKey, gasEstimate: quote.gasEstimate };
+    } else {
+      const bestPool = await v4Swap.findBestPoolExactOutput(chainKey, tokenIn, tokenOut, amountOut);
+      return {
+        amountIn: bestPool.amountIn,
+        fee: bestPool.fee,
+        poolKey: bestPool.poolKey,
+        gasEstimate: bestPool.gasEstimate,
+      };
+    }
+  } catch (error) {
+    throw new Error(`V4 exact output quote failed: ${error.message}`);
+  }
+}
+
 /**
  * Get quotes from all available versions
  * @param {string} chainKey - Chain identifier
@@ -241,7 +519,7 @@ async function compareQuotes(chainKey, tokenIn, tokenOut, amountIn) {
 
   // V4 quote
   try {
-    const v4Quote = await getV4Quote(chainKey, tokenIn, tokenOut, amountIn, 3000);
+    const v4Quote = await getV4Quote(chainKey, tokenIn, tokenOut, amountIn);
     results.push({
       version: "v4",
       amountOut: v4Quote.amountOut,
@@ -274,8 +552,15 @@ function getCommonToken(symbol, chainKey) {
 
 module.exports = {
   swapTokens,
+  swapTokensExactOutput,
   compareQuotes,
   getCommonToken,
+  getV2Quote,
+  getV3Quote,
+  getV4Quote,
+  getV2QuoteExactOutput,
+  getV3QuoteExactOutput,
+  getV4QuoteExactOutput,
   // Re-export version-specific functions for advanced usage
   v2: v2Swap,
   v3: v3Swap,
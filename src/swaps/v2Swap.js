@@ -3,6 +3,17 @@
 const { ethers } = require("ethers");
 const { CHAINS } = require("../config/chains");
 const { getProvider } = require("../utils/web3");
+const { isNativeToken, toWrappedToken } = require("../utils/native");
+const { ensureApproval } = require("../utils/approvals");
+const { simulateAndSend } = require("../utils/txSimulation");
+const { decodeSwapReceipt } = require("../utils/receiptDecoder");
+const { getSwapLimits } = require("../utils/slippage");
+const {
+  getTransferAdjustments,
+  applyTransferTax,
+  getDeliveredAmount,
+  clampToRebasingBalance,
+} = require("../utils/tokenBehavior");
 const {
   validateChainKey,
   validateWallet,
@@ -11,7 +22,6 @@ const {
   validateSlippage,
 } = require("../utils/validation");
 const V2_ROUTER_ABI = require("../abis/IUniswapV2Router02.json");
-const ERC20_ABI = require("../abis/IERC20.json");
 
 /**
  * Get quote for exact input swap on Uniswap V2
@@ -37,8 +47,8 @@ async function getQuote(chainKey, tokenIn, tokenOut, amountIn, path = null) {
   const provider = getProvider(chainKey);
   const router = new ethers.Contract(chain.uniswap.v2.router, V2_ROUTER_ABI, provider);
 
-  // Use provided path or default to direct swap
-  const swapPath = path || [tokenIn, tokenOut];
+  // Use provided path or default to direct swap; native ETH trades through the WETH pair
+  const swapPath = (path || [tokenIn, tokenOut]).map(token => toWrappedToken(chainKey, token));
 
   try {
     const amounts = await router.getAmountsOut(amountIn, swapPath);
@@ -69,7 +79,7 @@ async function getQuoteForExactOutput(chainKey, tokenIn, tokenOut, amountOut, pa
   const provider = getProvider(chainKey);
   const router = new ethers.Contract(chain.uniswap.v2.router, V2_ROUTER_ABI, provider);
 
-  const swapPath = path || [tokenIn, tokenOut];
+  const swapPath = (path || [tokenIn, tokenOut]).map(token => toWrappedToken(chainKey, token));
 
   try {
     const amounts = await router.getAmountsIn(amountOut, swapPath);
@@ -84,6 +94,7 @@ async function getQuoteForExactOutput(chainKey, tokenIn, tokenOut, amountOut, pa
 
 /**
  * Execute exact input swap on Uniswap V2
+ * Native ETH in/out (NATIVE_TOKEN) goes through swapExactETHForTokens / swapExactTokensForETH
  * @param {string} chainKey - Chain identifier
  * @param {ethers.Wallet} wallet - Wallet with private key for signing
  * @param {string} tokenIn - Input token address
@@ -92,7 +103,8 @@ async function getQuoteForExactOutput(chainKey, tokenIn, tokenOut, amountOut, pa
  * @param {number} slippageBps - Slippage tolerance in basis points (e.g., 50 = 0.5%)
  * @param {string} recipient - Recipient address (defaults to wallet address)
  * @param {string[]} path - Optional custom path for multi-hop swaps
- * @returns {Promise<{hash: string, amountOut: string}>}
+ * @param {string} minAmountOut - Hard floor on the output, never undercut by slippage (default: none)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
  */
 async function swapExactTokensForTokens(
   chainKey,
@@ -102,7 +114,8 @@ async function swapExactTokensForTokens(
   amountIn,
   slippageBps = 50,
   recipient = null,
-  path = null
+  path = null,
+  minAmountOut = null
 ) {
   // Validate inputs
   validateChainKey(chainKey);
@@ -121,20 +134,31 @@ async function swapExactTokensForTokens(
   const signer = wallet.connect(provider);
   const recipientAddr = recipient || wallet.address;
 
-  // Get quote to calculate minimum output with slippage
-  const quote = await getQuote(chainKey, tokenIn, tokenOut, amountIn, path);
-  const amountOutMin = ((BigInt(quote.amountOut) * BigInt(10000 - slippageBps)) / BigInt(10000)).toString();
-
-  // Check and approve token if needed
-  const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, signer);
-  const allowance = await tokenContract.allowance(wallet.address, chain.uniswap.v2.router);
-
-  if (BigInt(allowance.toString()) < BigInt(amountIn)) {
-    console.log(`Approving ${tokenIn} for V2 Router...`);
-    const approveTx = await tokenContract.approve(chain.uniswap.v2.router, ethers.MaxUint256);
-    await approveTx.wait();
-    console.log(`Approval confirmed: ${approveTx.hash}`);
-  }
+  // Quote what the pair actually receives, and set the minimum on what the recipient keeps after
+  // fee-on-transfer taxes and rebasing rounding
+  const transfer = await getTransferAdjustments(chainKey, tokenIn, tokenOut);
+  amountIn = await clampToRebasingBalance(chainKey, tokenIn, wallet.address, amountIn, transfer.tokenIn);
+  const quote = await getQuote(
+    chainKey,
+    tokenIn,
+    tokenOut,
+    applyTransferTax(amountIn, transfer.inTaxBps).toString(),
+    path
+  );
+  const expectedOut = getDeliveredAmount(quote.amountOut, transfer);
+  const limits = await getSwapLimits(chainKey, { tokenIn, tokenOut, amountIn, amountOut: expectedOut }, slippageBps, {
+    minAmountOut,
+  });
+  const amountOutMin = limits.amountOutMin.toString();
+
+  // Fee-on-transfer tokens revert in the plain methods, which check amounts before tax
+  const method = name => (transfer.feeOnTransfer ? `${name}SupportingFeeOnTransferTokens` : name);
+
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+
+  // Approve token if needed in the configured approval mode (native ETH is sent as value)
+  await ensureApproval(signer, tokenIn, chain.uniswap.v2.router, amountIn);
 
   // Execute swap
   const router = new ethers.Contract(chain.uniswap.v2.router, V2_ROUTER_ABI, signer);
@@ -146,21 +170,56 @@ async function swapExactTokensForTokens(
   console.log(`  Input: ${amountIn} ${tokenIn}`);
   console.log(`  Min Output: ${amountOutMin} ${tokenOut}`);
   console.log(`  Path: ${quote.path.join(" -> ")}`);
+  if (transfer.feeOnTransfer) {
+    console.log(`  Transfer tax: ${transfer.inTaxBps} bps in, ${transfer.outTaxBps} bps out`);
+  }
 
-  const tx = await router.swapExactTokensForTokens(amountIn, amountOutMin, quote.path, recipientAddr, deadline);
+  let tx;
+  if (nativeIn) {
+    tx = await simulateAndSend(
+      router,
+      method("swapExactETHForTokens"),
+      [amountOutMin, quote.path, recipientAddr, deadline],
+      { value: amountIn },
+      "Uniswap V2 swap"
+    );
+  } else if (nativeOut) {
+    tx = await simulateAndSend(
+      router,
+      method("swapExactTokensForETH"),
+      [amountIn, amountOutMin, quote.path, recipientAddr, deadline],
+      {},
+      "Uniswap V2 swap"
+    );
+  } else {
+    tx = await simulateAndSend(
+      router,
+      method("swapExactTokensForTokens"),
+      [amountIn, amountOutMin, quote.path, recipientAddr, deadline],
+      {},
+      "Uniswap V2 swap"
+    );
+  }
 
   console.log(`Transaction submitted: ${tx.hash}`);
   const receipt = await tx.wait();
   console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
 
-  return {
-    hash: tx.hash,
-    amountOut: amountOutMin,
-  };
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: recipientAddr,
+    amountIn,
+    amountOut: expectedOut.toString(),
+  });
+
+  return { ...execution, amountOutMin };
 }
 
 /**
  * Execute exact output swap on Uniswap V2
+ * Native ETH in/out (NATIVE_TOKEN) goes through swapETHForExactTokens (unspent ETH is refunded) / swapTokensForExactETH
  * @param {string} chainKey - Chain identifier
  * @param {ethers.Wallet} wallet - Wallet with private key for signing
  * @param {string} tokenIn - Input token address
@@ -169,7 +228,7 @@ async function swapExactTokensForTokens(
  * @param {number} slippageBps - Slippage tolerance in basis points (e.g., 50 = 0.5%)
  * @param {string} recipient - Recipient address (defaults to wallet address)
  * @param {string[]} path - Optional custom path for multi-hop swaps
- * @returns {Promise<{hash: string, amountIn: string}>}
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountInMax
  */
 async function swapTokensForExactTokens(
   chainKey,
@@ -198,20 +257,28 @@ async function swapTokensForExactTokens(
   const signer = wallet.connect(provider);
   const recipientAddr = recipient || wallet.address;
 
-  // Get quote to calculate maximum input with slippage
-  const quote = await getQuoteForExactOutput(chainKey, tokenIn, tokenOut, amountOut, path);
-  const amountInMax = ((BigInt(quote.amountIn) * BigInt(10000 + slippageBps)) / BigInt(10000)).toString();
-
-  // Check and approve token if needed
-  const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, signer);
-  const allowance = await tokenContract.allowance(wallet.address, chain.uniswap.v2.router);
-
-  if (BigInt(allowance.toString()) < BigInt(amountInMax)) {
-    console.log(`Approving ${tokenIn} for V2 Router...`);
-    const approveTx = await tokenContract.approve(chain.uniswap.v2.router, ethers.MaxUint256);
-    await approveTx.wait();
-    console.log(`Approval confirmed: ${approveTx.hash}`);
+  // The router has no exact output method for fee-on-transfer tokens; rebasing outputs lose a wei or two
+  // in transfer, so that much more is requested for the recipient to get amountOut
+  const transfer = await getTransferAdjustments(chainKey, tokenIn, tokenOut);
+  if (transfer.feeOnTransfer) {
+    throw new Error("Exact output swaps don't support fee-on-transfer tokens, use an exact input swap");
   }
+  const amountOutRequested = (BigInt(amountOut) + transfer.outRoundingWei).toString();
+
+  // Get quote to calculate maximum input with slippage
+  const quote = await getQuoteForExactOutput(chainKey, tokenIn, tokenOut, amountOutRequested, path);
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn: quote.amountIn, amountOut: amountOutRequested, exactOutput: true },
+    slippageBps
+  );
+  const amountInMax = limits.amountInMax.toString();
+
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+
+  // Approve token if needed in the configured approval mode (native ETH is sent as value)
+  await ensureApproval(signer, tokenIn, chain.uniswap.v2.router, amountInMax);
 
   // Execute swap
   const router = new ethers.Contract(chain.uniswap.v2.router, V2_ROUTER_ABI, signer);
@@ -224,16 +291,48 @@ async function swapTokensForExactTokens(
   console.log(`  Output: ${amountOut} ${tokenOut}`);
   console.log(`  Path: ${quote.path.join(" -> ")}`);
 
-  const tx = await router.swapTokensForExactTokens(amountOut, amountInMax, quote.path, recipientAddr, deadline);
+  let tx;
+  if (nativeIn) {
+    tx = await simulateAndSend(
+      router,
+      "swapETHForExactTokens",
+      [amountOutRequested, quote.path, recipientAddr, deadline],
+      { value: amountInMax },
+      "Uniswap V2 swap"
+    );
+  } else if (nativeOut) {
+    tx = await simulateAndSend(
+      router,
+      "swapTokensForExactETH",
+      [amountOutRequested, amountInMax, quote.path, recipientAddr, deadline],
+      {},
+      "Uniswap V2 swap"
+    );
+  } else {
+    tx = await simulateAndSend(
+      router,
+      "swapTokensForExactTokens",
+      [amountOutRequested, amountInMax, quote.path, recipientAddr, deadline],
+      {},
+      "Uniswap V2 swap"
+    );
+  }
 
   console.log(`Transaction submitted: ${tx.hash}`);
   const receipt = await tx.wait();
   console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
 
-  return {
-    hash: tx.hash,
-    amountIn: amountInMax,
-  };
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: recipientAddr,
+    amountIn: quote.amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return { ...execution, amountInMax };
 }
 
 module.exports = {
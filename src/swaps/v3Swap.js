@@ -2,7 +2,11 @@
 // Supports single and multi-hop swaps with fee tier selection
 const { ethers } = require("ethers");
 const { CHAINS } = require("../config/chains");
-const { getProvider } = require("../utils/web3");
+const { getProvider, getSigner } = require("../utils/web3");
+const { isNativeToken, toWrappedToken, sendV3RouterSwap } = require("../utils/native");
+const { decodeSwapReceipt } = require("../utils/receiptDecoder");
+const { getSwapLimits } = require("../utils/slippage");
+const { prepareApproval, SPENDER_SUPPORT } = require("../utils/approvals");
 const {
   validateChainKey,
   validateWallet,
@@ -14,7 +18,7 @@ const {
 } = require("../utils/validation");
 const SWAP_ROUTER_ABI = require("../abis/ISwapRouter.json");
 const QUOTER_ABI = require("../abis/IQuoter.json");
-const ERC20_ABI = require("../abis/IERC20.json");
+const QUOTER_V2_ABI = require("../abis/IQuoterV2.json");
 
 // Common V3 fee tiers (in hundredths of basis points)
 const FEE_TIERS = {
@@ -49,15 +53,35 @@ function encodePath(tokens, fees) {
 }
 
 /**
- * Get quote for exact input single swap on Uniswap V3
+ * Get the quoter contracts configured for a chain
+ * QuoterV2 is preferred; the legacy Quoter is a fallback where QuoterV2 isn't configured or reverts
+ * @param {string} chainKey - Chain identifier
+ * @returns {{quoterV2: ethers.Contract|null, quoter: ethers.Contract|null}}
+ */
+function getQuoters(chainKey) {
+  const v3 = CHAINS[chainKey]?.uniswap?.v3;
+  if (!v3?.quoterV2 && !v3?.quoter) {
+    throw new Error(`Uniswap V3 not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  return {
+    quoterV2: v3.quoterV2 ? new ethers.Contract(v3.quoterV2, QUOTER_V2_ABI, provider) : null,
+    quoter: v3.quoter ? new ethers.Contract(v3.quoter, QUOTER_ABI, provider) : null,
+  };
+}
+
+/**
+ * Get detailed quote for exact input single swap on Uniswap V3
+ * The extra fields are null when only the legacy Quoter could answer
  * @param {string} chainKey - Chain identifier
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {number} fee - Fee tier (100, 500, 3000, or 10000)
  * @param {string} amountIn - Amount of input token (in wei/smallest unit)
- * @returns {Promise<string>} Expected output amount
+ * @returns {Promise<{amountOut: string, sqrtPriceX96After: string|null, initializedTicksCrossed: number|null, gasEstimate: string|null}>}
  */
-async function getQuote(chainKey, tokenIn, tokenOut, fee, amountIn) {
+async function getQuoteDetailed(chainKey, tokenIn, tokenOut, fee, amountIn) {
   // Validate inputs
   validateChainKey(chainKey);
   validateAddress(tokenIn, "tokenIn");
@@ -65,62 +89,152 @@ async function getQuote(chainKey, tokenIn, tokenOut, fee, amountIn) {
   validateFeeTier(fee);
   validateAmount(amountIn, "amountIn");
 
-  const chain = CHAINS[chainKey];
-  if (!chain?.uniswap?.v3?.quoter) {
-    throw new Error(`Uniswap V3 not available on ${chainKey}`);
-  }
+  // Native ETH trades through the WETH pool
+  tokenIn = toWrappedToken(chainKey, tokenIn);
+  tokenOut = toWrappedToken(chainKey, tokenOut);
 
-  const provider = getProvider(chainKey);
-  const quoter = new ethers.Contract(chain.uniswap.v3.quoter, QUOTER_ABI, provider);
+  const { quoterV2, quoter } = getQuoters(chainKey);
 
   try {
-    // sqrtPriceLimitX96 = 0 means no price limit
+    if (quoterV2) {
+      try {
+        // sqrtPriceLimitX96 = 0 means no price limit
+        const [amountOut, sqrtPriceX96After, initializedTicksCrossed, gasEstimate] =
+          await quoterV2.quoteExactInputSingle.staticCall({ tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96: 0 });
+        return {
+          amountOut: amountOut.toString(),
+          sqrtPriceX96After: sqrtPriceX96After.toString(),
+          initializedTicksCrossed: Number(initializedTicksCrossed),
+          gasEstimate: gasEstimate.toString(),
+        };
+      } catch (error) {
+        if (!quoter) throw error;
+      }
+    }
+
     const amountOut = await quoter.quoteExactInputSingle.staticCall(tokenIn, tokenOut, fee, amountIn, 0);
-    return amountOut.toString();
+    return {
+      amountOut: amountOut.toString(),
+      sqrtPriceX96After: null,
+      initializedTicksCrossed: null,
+      gasEstimate: null,
+    };
   } catch (error) {
     throw new Error(`V3 quote failed: ${error.message}`);
   }
 }
 
 /**
- * Get quote for multi-hop exact input swap on Uniswap V3
+ * Get quote for exact input single swap on Uniswap V3
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {number} fee - Fee tier (100, 500, 3000, or 10000)
+ * @param {string} amountIn - Amount of input token (in wei/smallest unit)
+ * @returns {Promise<string>} Expected output amount
+ */
+async function getQuote(chainKey, tokenIn, tokenOut, fee, amountIn) {
+  const quote = await getQuoteDetailed(chainKey, tokenIn, tokenOut, fee, amountIn);
+  return quote.amountOut;
+}
+
+/**
+ * Get detailed quote for multi-hop exact input swap on Uniswap V3
+ * The extra fields are null when only the legacy Quoter could answer
  * @param {string} chainKey - Chain identifier
  * @param {string[]} tokens - Array of token addresses (path)
  * @param {number[]} fees - Array of fee tiers
  * @param {string} amountIn - Amount of input token (in wei/smallest unit)
- * @returns {Promise<string>} Expected output amount
+ * @returns {Promise<{amountOut: string, sqrtPriceX96AfterList: string[]|null, initializedTicksCrossedList: number[]|null, gasEstimate: string|null}>}
  */
-async function getQuoteMultiHop(chainKey, tokens, fees, amountIn) {
+async function getQuoteMultiHopDetailed(chainKey, tokens, fees, amountIn) {
   // Validate inputs
   validateChainKey(chainKey);
   validateMultiHopPath(tokens, fees);
   validateAmount(amountIn, "amountIn");
 
-  const chain = CHAINS[chainKey];
-  if (!chain?.uniswap?.v3?.quoter) {
-    throw new Error(`Uniswap V3 not available on ${chainKey}`);
-  }
-
-  const provider = getProvider(chainKey);
-  const quoter = new ethers.Contract(chain.uniswap.v3.quoter, QUOTER_ABI, provider);
-
-  const path = encodePath(tokens, fees);
+  const { quoterV2, quoter } = getQuoters(chainKey);
+  const path = encodePath(
+    tokens.map(token => toWrappedToken(chainKey, token)),
+    fees
+  );
 
   try {
+    if (quoterV2) {
+      try {
+        const [amountOut, sqrtPriceX96AfterList, initializedTicksCrossedList, gasEstimate] =
+          await quoterV2.quoteExactInput.staticCall(path, amountIn);
+        return {
+          amountOut: amountOut.toString(),
+          sqrtPriceX96AfterList: sqrtPriceX96AfterList.map(p => p.toString()),
+          initializedTicksCrossedList: initializedTicksCrossedList.map(Number),
+          gasEstimate: gasEstimate.toString(),
+        };
+      } catch (error) {
+        if (!quoter) throw error;
+      }
+    }
+
     const amountOut = await quoter.quoteExactInput.staticCall(path, amountIn);
-    return amountOut.toString();
+    return {
+      amountOut: amountOut.toString(),
+      sqrtPriceX96AfterList: null,
+      initializedTicksCrossedList: null,
+      gasEstimate: null,
+    };
   } catch (error) {
     throw new Error(`V3 multi-hop quote failed: ${error.message}`);
   }
 }
 
+/**
+ * Get quote for multi-hop exact input swap on Uniswap V3
+ * @param {string} chainKey - Chain identifier
+ * @param {string[]} tokens - Array of token addresses (path)
+ * @param {number[]} fees - Array of fee tiers
+ * @param {string} amountIn - Amount of input token (in wei/smallest unit)
+ * @returns {Promise<string>} Expected output amount
+ */
+async function getQuoteMultiHop(chainKey, tokens, fees, amountIn) {
+  const quote = await getQuoteMultiHopDetailed(chainKey, tokens, fees, amountIn);
+  return quote.amountOut;
+}
+
+/**
+ * Estimate price impact of a single-hop quote from the QuoterV2 post-swap price
+ * Within an initialized range a V3 pool behaves like x*y=k on virtual reserves, where the execution price
+ * is the geometric mean of the pre- and post-swap prices, so impact = 1 - postPrice / executionPrice.
+ * Includes the pool fee; approximate when the swap crosses initialized ticks.
+ * @param {string} chainKey - Chain identifier (native tokens are ordered as the wrapped token the pool holds)
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Input amount (smallest unit)
+ * @param {string} amountOut - Quoted output amount (smallest unit)
+ * @param {string} sqrtPriceX96After - Post-swap sqrt price from QuoterV2
+ * @returns {number|null} Price impact in percent, or null without a post-swap price
+ */
+function estimatePriceImpact(chainKey, tokenIn, tokenOut, amountIn, amountOut, sqrtPriceX96After) {
+  if (!sqrtPriceX96After || BigInt(amountOut) === 0n) {
+    return null;
+  }
+
+  // Pool price is token1 per token0 in raw units
+  const sqrtPrice = Number(sqrtPriceX96After) / 2 ** 96;
+  const price1Per0 = sqrtPrice * sqrtPrice;
+  const zeroForOne = toWrappedToken(chainKey, tokenIn).toLowerCase() < toWrappedToken(chainKey, tokenOut).toLowerCase();
+  const postPrice = zeroForOne ? price1Per0 : 1 / price1Per0;
+
+  const executionPrice = Number(amountOut) / Number(amountIn);
+  return Math.max(0, (1 - postPrice / executionPrice) * 100);
+}
+
 /**
  * Find best fee tier for a token pair by checking all common tiers
  * @param {string} chainKey - Chain identifier
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {string} amountIn - Amount to test with
- * @returns {Promise<{fee: number, amountOut: string}>}
+ * @returns {Promise<{fee: number, amountOut: string, sqrtPriceX96After: string|null, initializedTicksCrossed: number|null, gasEstimate: string|null, priceImpact: number|null}>}
  */
 async function findBestFee(chainKey, tokenIn, tokenOut, amountIn) {
   const tiers = [FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM, FEE_TIERS.HIGH];
@@ -128,9 +242,9 @@ async function findBestFee(chainKey, tokenIn, tokenOut, amountIn) {
 
   for (const fee of tiers) {
     try {
-      const amountOut = await getQuote(chainKey, tokenIn, tokenOut, fee, amountIn);
-      if (BigInt(amountOut) > BigInt(bestQuote.amountOut)) {
-        bestQuote = { fee, amountOut };
+      const quote = await getQuoteDetailed(chainKey, tokenIn, tokenOut, fee, amountIn);
+      if (BigInt(quote.amountOut) > BigInt(bestQuote.amountOut)) {
+        bestQuote = { fee, ...quote };
       }
     } catch (error) {
       // Pool doesn't exist for this fee tier, skip
@@ -142,11 +256,154 @@ async function findBestFee(chainKey, tokenIn, tokenOut, amountIn) {
     throw new Error("No liquidity found for any fee tier");
   }
 
+  return {
+    ...bestQuote,
+    priceImpact: estimatePriceImpact(
+      chainKey,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      bestQuote.amountOut,
+      bestQuote.sqrtPriceX96After
+    ),
+  };
+}
+
+/**
+ * Get detailed quote for exact output single swap on Uniswap V3
+ * The extra fields are null when only the legacy Quoter could answer
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {number} fee - Fee tier (100, 500, 3000, or 10000)
+ * @param {string} amountOut - Desired amount of output token (in wei/smallest unit)
+ * @returns {Promise<{amountIn: string, sqrtPriceX96After: string|null, initializedTicksCrossed: number|null, gasEstimate: string|null}>}
+ */
+async function getQuoteExactOutputDetailed(chainKey, tokenIn, tokenOut, fee, amountOut) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateFeeTier(fee);
+  validateAmount(amountOut, "amountOut");
+
+  tokenIn = toWrappedToken(chainKey, tokenIn);
+  tokenOut = toWrappedToken(chainKey, tokenOut);
+
+  const { quoterV2, quoter } = getQuoters(chainKey);
+
+  try {
+    if (quoterV2) {
+      try {
+        const [amountIn, sqrtPriceX96After, initializedTicksCrossed, gasEstimate] =
+          await quoterV2.quoteExactOutputSingle.staticCall({
+            tokenIn,
+            tokenOut,
+            amount: amountOut,
+            fee,
+            sqrtPriceLimitX96: 0,
+          });
+        return {
+          amountIn: amountIn.toString(),
+          sqrtPriceX96After: sqrtPriceX96After.toString(),
+          initializedTicksCrossed: Number(initializedTicksCrossed),
+          gasEstimate: gasEstimate.toString(),
+        };
+      } catch (error) {
+        if (!quoter) throw error;
+      }
+    }
+
+    const amountIn = await quoter.quoteExactOutputSingle.staticCall(tokenIn, tokenOut, fee, amountOut, 0);
+    return { amountIn: amountIn.toString(), sqrtPriceX96After: null, initializedTicksCrossed: null, gasEstimate: null };
+  } catch (error) {
+    throw new Error(`V3 exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get quote for exact output single swap on Uniswap V3
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {number} fee - Fee tier (100, 500, 3000, or 10000)
+ * @param {string} amountOut - Desired amount of output token (in wei/smallest unit)
+ * @returns {Promise<string>} Required input amount
+ */
+async function getQuoteExactOutput(chainKey, tokenIn, tokenOut, fee, amountOut) {
+  const quote = await getQuoteExactOutputDetailed(chainKey, tokenIn, tokenOut, fee, amountOut);
+  return quote.amountIn;
+}
+
+/**
+ * Get quote for multi-hop exact output swap on Uniswap V3
+ * Exact output paths are encoded in reverse (tokenOut first)
+ * @param {string} chainKey - Chain identifier
+ * @param {string[]} tokens - Array of token addresses (path, tokenIn first)
+ * @param {number[]} fees - Array of fee tiers
+ * @param {string} amountOut - Desired amount of output token (in wei/smallest unit)
+ * @returns {Promise<{amountIn: string, gasEstimate: string|null}>}
+ */
+async function getQuoteExactOutputMultiHop(chainKey, tokens, fees, amountOut) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateMultiHopPath(tokens, fees);
+  validateAmount(amountOut, "amountOut");
+
+  const { quoterV2, quoter } = getQuoters(chainKey);
+  const path = encodePath(tokens.map(token => toWrappedToken(chainKey, token)).reverse(), [...fees].reverse());
+
+  try {
+    if (quoterV2) {
+      try {
+        const [amountIn, , , gasEstimate] = await quoterV2.quoteExactOutput.staticCall(path, amountOut);
+        return { amountIn: amountIn.toString(), gasEstimate: gasEstimate.toString() };
+      } catch (error) {
+        if (!quoter) throw error;
+      }
+    }
+
+    const amountIn = await quoter.quoteExactOutput.staticCall(path, amountOut);
+    return { amountIn: amountIn.toString(), gasEstimate: null };
+  } catch (error) {
+    throw new Error(`V3 multi-hop exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Find the fee tier that needs the least input for an exact output amount
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountOut - Desired amount of output token
+ * @returns {Promise<{fee: number, amountIn: string, sqrtPriceX96After: string|null, initializedTicksCrossed: number|null, gasEstimate: string|null}>}
+ */
+async function findBestFeeExactOutput(chainKey, tokenIn, tokenOut, amountOut) {
+  const tiers = [FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM, FEE_TIERS.HIGH];
+  let bestQuote = null;
+
+  for (const fee of tiers) {
+    try {
+      const quote = await getQuoteExactOutputDetailed(chainKey, tokenIn, tokenOut, fee, amountOut);
+      if (!bestQuote || BigInt(quote.amountIn) < BigInt(bestQuote.amountIn)) {
+        bestQuote = { fee, ...quote };
+      }
+    } catch (error) {
+      // Pool doesn't exist for this fee tier or can't deliver the amount, skip
+      continue;
+    }
+  }
+
+  if (!bestQuote) {
+    throw new Error("No liquidity found for any fee tier");
+  }
+
   return bestQuote;
 }
 
 /**
  * Execute exact input single swap on Uniswap V3
+ * Native ETH input is sent as value; native ETH output is unwrapped by the router
  * @param {string} chainKey - Chain identifier
  * @param {ethers.Wallet} wallet - Wallet with private key for signing
  * @param {string} tokenIn - Input token address
@@ -155,7 +412,8 @@ async function findBestFee(chainKey, tokenIn, tokenOut, amountIn) {
  * @param {string} amountIn - Amount of input token (in wei/smallest unit)
  * @param {number} slippageBps - Slippage tolerance in basis points (e.g., 50 = 0.5%)
  * @param {string} recipient - Recipient address (defaults to wallet address)
- * @returns {Promise<{hash: string, amountOut: string}>}
+ * @param {string} minAmountOut - Hard floor on the output, never undercut by slippage (default: none)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
  */
 async function swapExactInputSingle(
   chainKey,
@@ -165,7 +423,8 @@ async function swapExactInputSingle(
   fee,
   amountIn,
   slippageBps = 50,
-  recipient = null
+  recipient = null,
+  minAmountOut = null
 ) {
   // Validate inputs
   validateChainKey(chainKey);
@@ -181,24 +440,21 @@ async function swapExactInputSingle(
     throw new Error(`Uniswap V3 not available on ${chainKey}`);
   }
 
-  const provider = getProvider(chainKey);
-  const signer = wallet.connect(provider);
+  const signer = getSigner(chainKey, wallet);
   const recipientAddr = recipient || wallet.address;
 
   // Get quote to calculate minimum output with slippage
   const quote = await getQuote(chainKey, tokenIn, tokenOut, fee, amountIn);
-  const amountOutMin = ((BigInt(quote) * BigInt(10000 - slippageBps)) / BigInt(10000)).toString();
+  const limits = await getSwapLimits(chainKey, { tokenIn, tokenOut, amountIn, amountOut: quote }, slippageBps, {
+    minAmountOut,
+  });
+  const amountOutMin = limits.amountOutMin.toString();
 
-  // Check and approve token if needed
-  const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, signer);
-  const allowance = await tokenContract.allowance(wallet.address, chain.uniswap.v3.router);
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
 
-  if (BigInt(allowance.toString()) < BigInt(amountIn)) {
-    console.log(`Approving ${tokenIn} for V3 Router...`);
-    const approveTx = await tokenContract.approve(chain.uniswap.v3.router, ethers.MaxUint256);
-    await approveTx.wait();
-    console.log(`Approval confirmed: ${approveTx.hash}`);
-  }
+  // Permit or approve the input token (native ETH is sent as value)
+  const permit = await ensureRouterAllowance(signer, chain.uniswap.v3.router, tokenIn, amountIn);
 
   // Execute swap
   const router = new ethers.Contract(chain.uniswap.v3.router, SWAP_ROUTER_ABI, signer);
@@ -207,8 +463,8 @@ async function swapExactInputSingle(
   const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
 
   const params = {
-    tokenIn,
-    tokenOut,
+    tokenIn: toWrappedToken(chainKey, tokenIn),
+    tokenOut: toWrappedToken(chainKey, tokenOut),
     fee,
     recipient: recipientAddr,
     deadline,
@@ -222,16 +478,29 @@ async function swapExactInputSingle(
   console.log(`  Min Output: ${amountOutMin} ${tokenOut}`);
   console.log(`  Fee Tier: ${fee / 10000}%`);
 
-  const tx = await router.exactInputSingle(params);
+  const tx = await sendV3RouterSwap(router, "exactInputSingle", params, {
+    nativeIn,
+    nativeOut,
+    value: amountIn,
+    amountOutMin,
+    recipient: recipientAddr,
+    permit,
+  });
 
   console.log(`Transaction submitted: ${tx.hash}`);
   const receipt = await tx.wait();
   console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
 
-  return {
-    hash: tx.hash,
-    amountOut: amountOutMin,
-  };
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: recipientAddr,
+    amountIn,
+    amountOut: quote,
+  });
+
+  return { ...execution, amountOutMin };
 }
 
 /**
@@ -243,7 +512,7 @@ async function swapExactInputSingle(
  * @param {string} amountIn - Amount of input token (in wei/smallest unit)
  * @param {number} slippageBps - Slippage tolerance in basis points
  * @param {string} recipient - Recipient address (defaults to wallet address)
- * @returns {Promise<{hash: string, amountOut: string}>}
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
  */
 async function swapExactInputMultiHop(chainKey, wallet, tokens, fees, amountIn, slippageBps = 50, recipient = null) {
   // Validate inputs
@@ -258,30 +527,32 @@ async function swapExactInputMultiHop(chainKey, wallet, tokens, fees, amountIn,
     throw new Error(`Uniswap V3 not available on ${chainKey}`);
   }
 
-  const provider = getProvider(chainKey);
-  const signer = wallet.connect(provider);
+  const signer = getSigner(chainKey, wallet);
   const recipientAddr = recipient || wallet.address;
 
   // Get quote
   const quote = await getQuoteMultiHop(chainKey, tokens, fees, amountIn);
-  const amountOutMin = ((BigInt(quote) * BigInt(10000 - slippageBps)) / BigInt(10000)).toString();
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn: tokens[0], tokenOut: tokens[tokens.length - 1], amountIn, amountOut: quote },
+    slippageBps
+  );
+  const amountOutMin = limits.amountOutMin.toString();
 
-  // Approve input token
-  const tokenContract = new ethers.Contract(tokens[0], ERC20_ABI, signer);
-  const allowance = await tokenContract.allowance(wallet.address, chain.uniswap.v3.router);
+  const nativeIn = isNativeToken(tokens[0]);
+  const nativeOut = isNativeToken(tokens[tokens.length - 1]);
 
-  if (BigInt(allowance.toString()) < BigInt(amountIn)) {
-    console.log(`Approving ${tokens[0]} for V3 Router...`);
-    const approveTx = await tokenContract.approve(chain.uniswap.v3.router, ethers.MaxUint256);
-    await approveTx.wait();
-    console.log(`Approval confirmed: ${approveTx.hash}`);
-  }
+  // Permit or approve the input token (native ETH is sent as value)
+  const permit = await ensureRouterAllowance(signer, chain.uniswap.v3.router, tokens[0], amountIn);
 
   // Execute swap
   const router = new ethers.Contract(chain.uniswap.v3.router, SWAP_ROUTER_ABI, signer);
 
   const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
-  const path = encodePath(tokens, fees);
+  const path = encodePath(
+    tokens.map(token => toWrappedToken(chainKey, token)),
+    fees
+  );
 
   const params = {
     path,
@@ -297,24 +568,243 @@ async function swapExactInputMultiHop(chainKey, wallet, tokens, fees, amountIn,
   console.log(`  Path: ${tokens.join(" -> ")}`);
   console.log(`  Fees: ${fees.map(f => f / 10000 + "%").join(", ")}`);
 
-  const tx = await router.exactInput(params);
+  const tx = await sendV3RouterSwap(router, "exactInput", params, {
+    nativeIn,
+    nativeOut,
+    value: amountIn,
+    amountOutMin,
+    recipient: recipientAddr,
+    permit,
+  });
 
   console.log(`Transaction submitted: ${tx.hash}`);
   const receipt = await tx.wait();
   console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
 
-  return {
-    hash: tx.hash,
-    amountOut: amountOutMin,
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn: tokens[0],
+    tokenOut: tokens[tokens.length - 1],
+    account: wallet.address,
+    recipient: recipientAddr,
+    amountIn,
+    amountOut: quote,
+  });
+
+  return { ...execution, amountOutMin };
+}
+
+/**
+ * Give the V3 router an allowance for the input token
+ * Signs an EIP-2612 permit (bundled into the swap via selfPermit) when the token supports it,
+ * otherwise falls back to an approve transaction in the configured approval mode
+ * @returns {Promise<object|null>} Permit for sendV3RouterSwap, or null if none is needed
+ */
+async function ensureRouterAllowance(signer, routerAddress, tokenIn, amount) {
+  const approval = await prepareApproval(signer, tokenIn, routerAddress, amount, {
+    support: SPENDER_SUPPORT.SELF_PERMIT,
+  });
+  return approval.permit ?? null;
+}
+
+/**
+ * Execute exact output single swap on Uniswap V3
+ * Spends at most amountInMax (quoted input plus slippage); unspent input stays in the wallet
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet with private key for signing
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {number} fee - Fee tier (100, 500, 3000, or 10000)
+ * @param {string} amountOut - Exact amount of output token to receive (in wei/smallest unit)
+ * @param {number} slippageBps - Slippage tolerance in basis points, applied to the input
+ * @param {string} recipient - Recipient address (defaults to wallet address)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountInMax
+ */
+async function swapExactOutputSingle(
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  fee,
+  amountOut,
+  slippageBps = 50,
+  recipient = null
+) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateFeeTier(fee);
+  validateAmount(amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v3?.router) {
+    throw new Error(`Uniswap V3 not available on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+  const recipientAddr = recipient || wallet.address;
+
+  // Get quote to calculate maximum input with slippage
+  const amountIn = await getQuoteExactOutput(chainKey, tokenIn, tokenOut, fee, amountOut);
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut, exactOutput: true },
+    slippageBps
+  );
+  const amountInMax = limits.amountInMax.toString();
+
+  const nativeIn = isNativeToken(tokenIn);
+  const nativeOut = isNativeToken(tokenOut);
+
+  // Permit or approve the input token (native ETH is sent as value)
+  const permit = await ensureRouterAllowance(signer, chain.uniswap.v3.router, tokenIn, amountInMax);
+
+  const router = new ethers.Contract(chain.uniswap.v3.router, SWAP_ROUTER_ABI, signer);
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+
+  const params = {
+    tokenIn: toWrappedToken(chainKey, tokenIn),
+    tokenOut: toWrappedToken(chainKey, tokenOut),
+    fee,
+    recipient: recipientAddr,
+    deadline,
+    amountOut,
+    amountInMaximum: amountInMax,
+    sqrtPriceLimitX96: 0,
+  };
+
+  console.log(`\nExecuting V3 exact output swap on ${chain.name}:`);
+  console.log(`  Max Input: ${amountInMax} ${tokenIn}`);
+  console.log(`  Output: ${amountOut} ${tokenOut}`);
+  console.log(`  Fee Tier: ${fee / 10000}%`);
+
+  const tx = await sendV3RouterSwap(router, "exactOutputSingle", params, {
+    nativeIn,
+    nativeOut,
+    value: amountInMax,
+    amountOutMin: amountOut,
+    recipient: recipientAddr,
+    permit,
+  });
+
+  console.log(`Transaction submitted: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn,
+    tokenOut,
+    account: wallet.address,
+    recipient: recipientAddr,
+    amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return { ...execution, amountInMax };
+}
+
+/**
+ * Execute multi-hop exact output swap on Uniswap V3
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet with private key for signing
+ * @param {string[]} tokens - Array of token addresses (path, tokenIn first)
+ * @param {number[]} fees - Array of fee tiers
+ * @param {string} amountOut - Exact amount of output token to receive (in wei/smallest unit)
+ * @param {number} slippageBps - Slippage tolerance in basis points, applied to the input
+ * @param {string} recipient - Recipient address (defaults to wallet address)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountInMax
+ */
+async function swapExactOutputMultiHop(chainKey, wallet, tokens, fees, amountOut, slippageBps = 50, recipient = null) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateMultiHopPath(tokens, fees);
+  validateAmount(amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v3?.router) {
+    throw new Error(`Uniswap V3 not available on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+  const recipientAddr = recipient || wallet.address;
+
+  const quote = await getQuoteExactOutputMultiHop(chainKey, tokens, fees, amountOut);
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn: tokens[0], tokenOut: tokens[tokens.length - 1], amountIn: quote.amountIn, amountOut, exactOutput: true },
+    slippageBps
+  );
+  const amountInMax = limits.amountInMax.toString();
+
+  const nativeIn = isNativeToken(tokens[0]);
+  const nativeOut = isNativeToken(tokens[tokens.length - 1]);
+
+  // Permit or approve the input token (native ETH is sent as value)
+  const permit = await ensureRouterAllowance(signer, chain.uniswap.v3.router, tokens[0], amountInMax);
+
+  const router = new ethers.Contract(chain.uniswap.v3.router, SWAP_ROUTER_ABI, signer);
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+
+  // Exact output paths are encoded in reverse (tokenOut first)
+  const params = {
+    path: encodePath(tokens.map(token => toWrappedToken(chainKey, token)).reverse(), [...fees].reverse()),
+    recipient: recipientAddr,
+    deadline,
+    amountOut,
+    amountInMaximum: amountInMax,
   };
+
+  console.log(`\nExecuting V3 multi-hop exact output swap on ${chain.name}:`);
+  console.log(`  Max Input: ${amountInMax} ${tokens[0]}`);
+  console.log(`  Output: ${amountOut} ${tokens[tokens.length - 1]}`);
+  console.log(`  Path: ${tokens.join(" -> ")}`);
+
+  const tx = await sendV3RouterSwap(router, "exactOutput", params, {
+    nativeIn,
+    nativeOut,
+    value: amountInMax,
+    amountOutMin: amountOut,
+    recipient: recipientAddr,
+    permit,
+  });
+
+  console.log(`Transaction submitted: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+
+  const execution = await decodeSwapReceipt(chainKey, receipt, {
+    tokenIn: tokens[0],
+    tokenOut: tokens[tokens.length - 1],
+    account: wallet.address,
+    recipient: recipientAddr,
+    amountIn: quote.amountIn,
+    amountOut,
+    exactOutput: true,
+  });
+
+  return { ...execution, amountInMax };
 }
 
 module.exports = {
   FEE_TIERS,
   encodePath,
   getQuote,
+  getQuoteDetailed,
   getQuoteMultiHop,
+  getQuoteMultiHopDetailed,
+  estimatePriceImpact,
   findBestFee,
+  getQuoteExactOutput,
+  getQuoteExactOutputDetailed,
+  getQuoteExactOutputMultiHop,
+  findBestFeeExactOutput,
   swapExactInputSingle,
   swapExactInputMultiHop,
+  swapExactOutputSingle,
+  swapExactOutputMultiHop,
 };
@@ -1,20 +1,26 @@
 // Uniswap V4 token swap implementation
 // V4 uses singleton PoolManager architecture with hooks
-// NOTE: V4 requires interaction through router contracts or direct PoolManager calls
-// This implementation provides base functionality; production use should implement proper router logic
+// Quotes come from the V4Quoter; swaps go through the Universal Router, which runs the
+// PoolManager unlock/settle/take flow on our behalf
 const { ethers } = require("ethers");
-const { CHAINS } = require("../config/chains");
-const { getProvider } = require("../utils/web3");
+const { CHAINS, DYNAMIC_FEE_FLAG } = require("../config/chains");
+const { getProvider, getSigner } = require("../utils/web3");
+const { prepareApproval, SPENDER_SUPPORT } = require("../utils/approvals");
+const { simulateAndSend, isSimulationError } = require("../utils/txSimulation");
+const { decodeSwapReceipt } = require("../utils/receiptDecoder");
+const { getSwapLimits } = require("../utils/slippage");
+const { isNativeToken } = require("../utils/native");
 const {
   validateChainKey,
   validateWallet,
   validateAddress,
   validateAmount,
   validateSlippage,
-  validateFeeTier,
+  validatePoolKey,
 } = require("../utils/validation");
 const POOL_MANAGER_ABI = require("../abis/IPoolManager.json");
-const ERC20_ABI = require("../abis/IERC20.json");
+const V4_QUOTER_ABI = require("../abis/IV4Quoter.json");
+const UNIVERSAL_ROUTER_ABI = require("../abis/IUniversalRouter.json");
 
 // V4 uses same fee tiers as V3
 const FEE_TIERS = {
@@ -35,6 +41,41 @@ const TICK_SPACING = {
 // Zero address used for native ETH in V4
 const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
 
+// Universal Router command bytes
+const UR_COMMANDS = {
+  SWEEP: 0x04,
+  PERMIT2_PERMIT: 0x0a,
+  V4_SWAP: 0x10,
+};
+
+// V4Router action bytes (v4-periphery Actions.sol)
+const V4_ACTIONS = {
+  SWAP_EXACT_IN_SINGLE: 0x06,
+  SWAP_EXACT_IN: 0x07,
+  SWAP_EXACT_OUT_SINGLE: 0x08,
+  SETTLE_ALL: 0x0c,
+  TAKE: 0x0e,
+  TAKE_ALL: 0x0f,
+};
+
+// ABI types for V4Router action params
+const POOL_KEY_TUPLE = "tuple(address currency0,address currency1,uint24 fee,int24 tickSpacing,address hooks)";
+const PATH_KEY_TUPLE = "tuple(address intermediateCurrency,uint24 fee,int24 tickSpacing,address hooks,bytes hookData)";
+const EXACT_INPUT_SINGLE_PARAMS = `tuple(${POOL_KEY_TUPLE} poolKey,bool zeroForOne,uint128 amountIn,uint128 amountOutMinimum,bytes hookData)`;
+const EXACT_OUTPUT_SINGLE_PARAMS = `tuple(${POOL_KEY_TUPLE} poolKey,bool zeroForOne,uint128 amountOut,uint128 amountInMaximum,bytes hookData)`;
+const EXACT_INPUT_PARAMS = `tuple(address currencyIn,${PATH_KEY_TUPLE}[] path,uint128 amountIn,uint128 amountOutMinimum)`;
+const PERMIT_SINGLE_TUPLE =
+  "tuple(tuple(address token,uint160 amount,uint48 expiration,uint48 nonce) details,address spender,uint256 sigDeadline)";
+
+/**
+ * Map native token sentinels (NATIVE_TOKEN) to V4's native currency (ADDRESS_ZERO)
+ * @param {string} token - Token address
+ * @returns {string} V4 currency
+ */
+function toCurrency(token) {
+  return isNativeToken(token) ? ADDRESS_ZERO : token;
+}
+
 /**
  * Create a PoolKey struct for V4
  * @param {string} token0 - First token address (lower address)
@@ -66,9 +107,7 @@ function createPoolKey(token0, token1, fee, tickSpacing, hooks = ADDRESS_ZERO) {
 async function getPoolState(chainKey, poolKey) {
   // Validate inputs
   validateChainKey(chainKey);
-  validateAddress(poolKey.currency0, "poolKey.currency0");
-  validateAddress(poolKey.currency1, "poolKey.currency1");
-  validateFeeTier(poolKey.fee);
+  validatePoolKey(poolKey);
 
   const chain = CHAINS[chainKey];
   if (!chain?.uniswap?.v4?.poolManager) {
@@ -92,132 +131,698 @@ async function getPoolState(chainKey, poolKey) {
 }
 
 /**
- * Calculate expected output for V4 swap
- * Note: This is a simplified approximation. Production should use proper math libraries
- * or query actual swap through static call
+ * Get quote for exact input single swap on Uniswap V4 via the V4Quoter
+ * Works with hooks-enabled pools and native ETH (ADDRESS_ZERO) as either currency
  * @param {string} chainKey - Chain identifier
- * @param {string} tokenIn - Input token address
- * @param {string} tokenOut - Output token address
- * @param {number} fee - Fee tier
- * @param {string} amountIn - Amount of input token
- * @returns {Promise<string>} Estimated output amount
+ * @param {string} tokenIn - Input token address (ADDRESS_ZERO for native ETH)
+ * @param {string} tokenOut - Output token address (ADDRESS_ZERO for native ETH)
+ * @param {number} fee - Pool fee (standard tier, custom fee, or DYNAMIC_FEE_FLAG)
+ * @param {string} amountIn - Amount of input token (in wei/smallest unit)
+ * @param {object} options - Optional pool parameters
+ * @param {number} options.tickSpacing - Tick spacing (default: standard spacing for the fee tier)
+ * @param {string} options.hooks - Hooks contract address (default: ADDRESS_ZERO)
+ * @param {string} options.hookData - Data forwarded to the hooks contract (default: "0x")
+ * @returns {Promise<{amountOut: string, gasEstimate: string, poolKey: object, zeroForOne: boolean}>}
  */
-async function estimateSwapOutput(chainKey, tokenIn, tokenOut, fee, amountIn) {
+async function getQuote(chainKey, tokenIn, tokenOut, fee, amountIn, options = {}) {
   // Validate inputs
   validateChainKey(chainKey);
   validateAddress(tokenIn, "tokenIn");
   validateAddress(tokenOut, "tokenOut");
-  validateFeeTier(fee);
   validateAmount(amountIn, "amountIn");
 
-  const tickSpacing = TICK_SPACING[fee] || 60;
-  const poolKey = createPoolKey(tokenIn, tokenOut, fee, tickSpacing);
+  tokenIn = toCurrency(tokenIn);
+  tokenOut = toCurrency(tokenOut);
+
+  const { tickSpacing = TICK_SPACING[fee] || 60, hooks = ADDRESS_ZERO, hookData = "0x" } = options;
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v4?.quoter) {
+    throw new Error(`Uniswap V4 quoter not available on ${chainKey}`);
+  }
+
+  const poolKey = createPoolKey(tokenIn, tokenOut, fee, tickSpacing, hooks);
+  validatePoolKey(poolKey);
+  const zeroForOne = tokenIn.toLowerCase() === poolKey.currency0.toLowerCase();
+
+  const provider = getProvider(chainKey);
+  const quoter = new ethers.Contract(chain.uniswap.v4.quoter, V4_QUOTER_ABI, provider);
+
+  try {
+    // Quoter simulates the swap against PoolManager and reverts with the result, so use staticCall
+    const [amountOut, gasEstimate] = await quoter.quoteExactInputSingle.staticCall({
+      poolKey,
+      zeroForOne,
+      exactAmount: amountIn,
+      hookData,
+    });
+
+    return {
+      amountOut: amountOut.toString(),
+      gasEstimate: gasEstimate.toString(),
+      poolKey,
+      zeroForOne,
+    };
+  } catch (error) {
+    throw new Error(`V4 quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get quote for exact output single swap on Uniswap V4 via the V4Quoter
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address (ADDRESS_ZERO for native ETH)
+ * @param {string} tokenOut - Output token address (ADDRESS_ZERO for native ETH)
+ * @param {number} fee - Pool fee (standard tier, custom fee, or DYNAMIC_FEE_FLAG)
+ * @param {string} amountOut - Desired amount of output token (in wei/smallest unit)
+ * @param {object} options - Optional pool parameters (tickSpacing, hooks, hookData)
+ * @returns {Promise<{amountIn: string, gasEstimate: string, poolKey: object, zeroForOne: boolean}>}
+ */
+async function getQuoteExactOutput(chainKey, tokenIn, tokenOut, fee, amountOut, options = {}) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+
+  tokenIn = toCurrency(tokenIn);
+  tokenOut = toCurrency(tokenOut);
+
+  const { tickSpacing = TICK_SPACING[fee] || 60, hooks = ADDRESS_ZERO, hookData = "0x" } = options;
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v4?.quoter) {
+    throw new Error(`Uniswap V4 quoter not available on ${chainKey}`);
+  }
+
+  const poolKey = createPoolKey(tokenIn, tokenOut, fee, tickSpacing, hooks);
+  validatePoolKey(poolKey);
+  const zeroForOne = tokenIn.toLowerCase() === poolKey.currency0.toLowerCase();
+
+  const provider = getProvider(chainKey);
+  const quoter = new ethers.Contract(chain.uniswap.v4.quoter, V4_QUOTER_ABI, provider);
 
   try {
-    const poolState = await getPoolState(chainKey, poolKey);
+    const [amountIn, gasEstimate] = await quoter.quoteExactOutputSingle.staticCall({
+      poolKey,
+      zeroForOne,
+      exactAmount: amountOut,
+      hookData,
+    });
+
+    return {
+      amountIn: amountIn.toString(),
+      gasEstimate: gasEstimate.toString(),
+      poolKey,
+      zeroForOne,
+    };
+  } catch (error) {
+    throw new Error(`V4 exact output quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get quote for multi-hop exact input swap on Uniswap V4
+ * @param {string} chainKey - Chain identifier
+ * @param {string} currencyIn - Input currency (ADDRESS_ZERO for native ETH)
+ * @param {object[]} path - PathKey array: {intermediateCurrency, fee, tickSpacing, hooks, hookData}
+ * @param {string} amountIn - Amount of input token (in wei/smallest unit)
+ * @returns {Promise<{amountOut: string, gasEstimate: string}>}
+ */
+async function getQuoteMultiHop(chainKey, currencyIn, path, amountIn) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateAddress(currencyIn, "currencyIn");
+  validateAmount(amountIn, "amountIn");
+
+  currencyIn = toCurrency(currencyIn);
+
+  if (!Array.isArray(path) || path.length === 0) {
+    throw new Error("V4 path must contain at least one PathKey");
+  }
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v4?.quoter) {
+    throw new Error(`Uniswap V4 quoter not available on ${chainKey}`);
+  }
+
+  const provider = getProvider(chainKey);
+  const quoter = new ethers.Contract(chain.uniswap.v4.quoter, V4_QUOTER_ABI, provider);
 
-    // Simple approximation: deduct fee from input
-    // In production, use proper sqrt price math or static call
-    const feeAmount = (BigInt(amountIn) * BigInt(fee)) / BigInt(1000000);
-    const amountInAfterFee = BigInt(amountIn) - feeAmount;
+  try {
+    const [amountOut, gasEstimate] = await quoter.quoteExactInput.staticCall({
+      exactCurrency: currencyIn,
+      path: path.map(toPathKey),
+      exactAmount: amountIn,
+    });
 
-    // This is a rough estimate; actual amount depends on current pool price
-    // For production, implement proper V4 quote logic or use router
-    return amountInAfterFee.toString();
+    return {
+      amountOut: amountOut.toString(),
+      gasEstimate: gasEstimate.toString(),
+    };
   } catch (error) {
-    throw new Error(`Failed to estimate swap: ${error.message}`);
+    throw new Error(`V4 multi-hop quote failed: ${error.message}`);
+  }
+}
+
+/**
+ * Find best V4 pool for a token pair by checking the standard fee tiers
+ * plus any extra (e.g. hooks-enabled) pools supplied by the caller
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address (ADDRESS_ZERO for native ETH)
+ * @param {string} tokenOut - Output token address (ADDRESS_ZERO for native ETH)
+ * @param {string} amountIn - Amount to test with
+ * @param {object[]} extraPools - Additional pools: {fee, tickSpacing, hooks, hookData}
+ * @returns {Promise<{fee: number, tickSpacing: number, hooks: string, hookData: string, amountOut: string, gasEstimate: string, poolKey: object}>}
+ */
+async function findBestPool(chainKey, tokenIn, tokenOut, amountIn, extraPools = []) {
+  const candidates = [
+    ...Object.values(FEE_TIERS).map(fee => ({ fee, tickSpacing: TICK_SPACING[fee], hooks: ADDRESS_ZERO })),
+    ...extraPools,
+  ];
+  let bestQuote = null;
+
+  for (const pool of candidates) {
+    try {
+      const quote = await getQuote(chainKey, tokenIn, tokenOut, pool.fee, amountIn, pool);
+      if (!bestQuote || BigInt(quote.amountOut) > BigInt(bestQuote.amountOut)) {
+        bestQuote = {
+          fee: pool.fee,
+          tickSpacing: quote.poolKey.tickSpacing,
+          hooks: quote.poolKey.hooks,
+          hookData: pool.hookData || "0x",
+          amountOut: quote.amountOut,
+          gasEstimate: quote.gasEstimate,
+          poolKey: quote.poolKey,
+        };
+      }
+    } catch (error) {
+      // Pool not initialized for this key, skip
+      continue;
+    }
+  }
+
+  if (!bestQuote || bestQuote.amountOut === "0") {
+    throw new Error("No V4 liquidity found for any pool key");
+  }
+
+  return bestQuote;
+}
+
+/**
+ * Find the V4 pool that needs the least input for an exact output amount
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address (ADDRESS_ZERO for native ETH)
+ * @param {string} tokenOut - Output token address (ADDRESS_ZERO for native ETH)
+ * @param {string} amountOut - Desired amount of output token
+ * @param {object[]} extraPools - Additional pools: {fee, tickSpacing, hooks, hookData}
+ * @returns {Promise<{fee: number, tickSpacing: number, hooks: string, hookData: string, amountIn: string, gasEstimate: string, poolKey: object}>}
+ */
+async function findBestPoolExactOutput(chainKey, tokenIn, tokenOut, amountOut, extraPools = []) {
+  const candidates = [
+    ...Object.values(FEE_TIERS).map(fee => ({ fee, tickSpacing: TICK_SPACING[fee], hooks: ADDRESS_ZERO })),
+    ...extraPools,
+  ];
+  let bestQuote = null;
+
+  for (const pool of candidates) {
+    try {
+      const quote = await getQuoteExactOutput(chainKey, tokenIn, tokenOut, pool.fee, amountOut, pool);
+      if (!bestQuote || BigInt(quote.amountIn) < BigInt(bestQuote.amountIn)) {
+        bestQuote = {
+          fee: pool.fee,
+          tickSpacing: quote.poolKey.tickSpacing,
+          hooks: quote.poolKey.hooks,
+          hookData: pool.hookData || "0x",
+          amountIn: quote.amountIn,
+          gasEstimate: quote.gasEstimate,
+          poolKey: quote.poolKey,
+        };
+      }
+    } catch (error) {
+      // Pool not initialized for this key or can't deliver the amount, skip
+      continue;
+    }
+  }
+
+  if (!bestQuote) {
+    throw new Error("No V4 liquidity found for any pool key");
   }
+
+  return bestQuote;
 }
 
 /**
- * Execute swap on Uniswap V4 PoolManager
- * WARNING: This is a low-level function. For production, use V4 router contracts
- * that handle proper encoding, multi-step actions, and hook interactions
+ * Calculate expected output for V4 swap
+ * Thin wrapper around getQuote kept for callers that only need the amount
  * @param {string} chainKey - Chain identifier
- * @param {ethers.Wallet} wallet - Wallet with private key
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {number} fee - Fee tier
- * @param {string} amountIn - Amount of input token (negative for exact output)
+ * @param {string} amountIn - Amount of input token
+ * @param {object} options - Optional pool parameters (tickSpacing, hooks, hookData)
+ * @returns {Promise<string>} Expected output amount
+ */
+async function estimateSwapOutput(chainKey, tokenIn, tokenOut, fee, amountIn, options = {}) {
+  const quote = await getQuote(chainKey, tokenIn, tokenOut, fee, amountIn, options);
+  return quote.amountOut;
+}
+
+/**
+ * Normalize a PathKey, filling defaults for hooks and hookData
+ */
+function toPathKey(pathKey) {
+  validateAddress(pathKey.intermediateCurrency, "pathKey.intermediateCurrency");
+
+  return {
+    intermediateCurrency: toCurrency(pathKey.intermediateCurrency),
+    fee: pathKey.fee,
+    tickSpacing: pathKey.tickSpacing ?? (TICK_SPACING[pathKey.fee] || 60),
+    hooks: pathKey.hooks || ADDRESS_ZERO,
+    hookData: pathKey.hookData || "0x",
+  };
+}
+
+/**
+ * Encode a sequence of V4Router actions as the input of a Universal Router V4_SWAP command
+ * @param {object[]} steps - Actions: {action, types, values}
+ * @returns {string} ABI-encoded (bytes actions, bytes[] params)
+ */
+function encodeV4Actions(steps) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const actions = ethers.concat(steps.map(step => ethers.toBeHex(step.action, 1)));
+  const params = steps.map(step => coder.encode(step.types, step.values));
+  return coder.encode(["bytes", "bytes[]"], [actions, params]);
+}
+
+/**
+ * Build the action that pays out the output currency
+ * TAKE_ALL sends to the caller with a minimum; TAKE sends the full open delta to another recipient
+ */
+function buildTakeAction(currencyOut, amountOutMin, recipient, account) {
+  if (recipient.toLowerCase() === account.toLowerCase()) {
+    return { action: V4_ACTIONS.TAKE_ALL, types: ["address", "uint256"], values: [currencyOut, amountOutMin] };
+  }
+  // amount 0 = ActionConstants.OPEN_DELTA (take everything owed); min output is enforced by the swap action
+  return {
+    action: V4_ACTIONS.TAKE,
+    types: ["address", "address", "uint256"],
+    values: [currencyOut, recipient, 0],
+  };
+}
+
+/**
+ * Build Universal Router commands for an exact input single-pool V4 swap
+ * Actions: SWAP_EXACT_IN_SINGLE -> SETTLE_ALL (input) -> TAKE_ALL/TAKE (output)
+ * @param {object} params - {poolKey, zeroForOne, amountIn, amountOutMin, hookData, recipient, account}
+ * @returns {{commands: string, inputs: string[]}}
+ */
+function buildExactInputSingleCommands({ poolKey, zeroForOne, amountIn, amountOutMin, hookData, recipient, account }) {
+  const currencyIn = zeroForOne ? poolKey.currency0 : poolKey.currency1;
+  const currencyOut = zeroForOne ? poolKey.currency1 : poolKey.currency0;
+
+  const input = encodeV4Actions([
+    {
+      action: V4_ACTIONS.SWAP_EXACT_IN_SINGLE,
+      types: [EXACT_INPUT_SINGLE_PARAMS],
+      values: [[poolKey, zeroForOne, amountIn, amountOutMin, hookData]],
+    },
+    { action: V4_ACTIONS.SETTLE_ALL, types: ["address", "uint256"], values: [currencyIn, amountIn] },
+    buildTakeAction(currencyOut, amountOutMin, recipient, account),
+  ]);
+
+  return { commands: ethers.toBeHex(UR_COMMANDS.V4_SWAP, 1), inputs: [input] };
+}
+
+/**
+ * Build Universal Router commands for an exact input multi-hop V4 swap
+ * Actions: SWAP_EXACT_IN -> SETTLE_ALL (input) -> TAKE_ALL/TAKE (output)
+ * @param {object} params - {currencyIn, path, amountIn, amountOutMin, recipient, account}
+ * @returns {{commands: string, inputs: string[]}}
+ */
+function buildExactInputCommands({ currencyIn, path, amountIn, amountOutMin, recipient, account }) {
+  const pathKeys = path.map(toPathKey);
+  const currencyOut = pathKeys[pathKeys.length - 1].intermediateCurrency;
+
+  const input = encodeV4Actions([
+    {
+      action: V4_ACTIONS.SWAP_EXACT_IN,
+      types: [EXACT_INPUT_PARAMS],
+      values: [
+        [
+          currencyIn,
+          pathKeys.map(k => [k.intermediateCurrency, k.fee, k.tickSpacing, k.hooks, k.hookData]),
+          amountIn,
+          amountOutMin,
+        ],
+      ],
+    },
+    { action: V4_ACTIONS.SETTLE_ALL, types: ["address", "uint256"], values: [currencyIn, amountIn] },
+    buildTakeAction(currencyOut, amountOutMin, recipient, account),
+  ]);
+
+  return { commands: ethers.toBeHex(UR_COMMANDS.V4_SWAP, 1), inputs: [input] };
+}
+
+/**
+ * Build Universal Router commands for an exact output single-pool V4 swap
+ * Actions: SWAP_EXACT_OUT_SINGLE -> SETTLE_ALL (input, capped at amountInMax) -> TAKE_ALL/TAKE (output)
+ * Native ETH input is sent as amountInMax, so a SWEEP command returns the unspent ETH to the account
+ * @param {object} params - {poolKey, zeroForOne, amountOut, amountInMax, hookData, recipient, account}
+ * @returns {{commands: string, inputs: string[]}}
+ */
+function buildExactOutputSingleCommands({ poolKey, zeroForOne, amountOut, amountInMax, hookData, recipient, account }) {
+  const currencyIn = zeroForOne ? poolKey.currency0 : poolKey.currency1;
+  const currencyOut = zeroForOne ? poolKey.currency1 : poolKey.currency0;
+
+  const input = encodeV4Actions([
+    {
+      action: V4_ACTIONS.SWAP_EXACT_OUT_SINGLE,
+      types: [EXACT_OUTPUT_SINGLE_PARAMS],
+      values: [[poolKey, zeroForOne, amountOut, amountInMax, hookData]],
+    },
+    { action: V4_ACTIONS.SETTLE_ALL, types: ["address", "uint256"], values: [currencyIn, amountInMax] },
+    buildTakeAction(currencyOut, amountOut, recipient, account),
+  ]);
+
+  if (currencyIn.toLowerCase() !== ADDRESS_ZERO) {
+    return { commands: ethers.toBeHex(UR_COMMANDS.V4_SWAP, 1), inputs: [input] };
+  }
+
+  const sweep = ethers.AbiCoder.defaultAbiCoder().encode(["address", "address", "uint256"], [ADDRESS_ZERO, account, 0]);
+  return {
+    commands: ethers.concat([ethers.toBeHex(UR_COMMANDS.V4_SWAP, 1), ethers.toBeHex(UR_COMMANDS.SWEEP, 1)]),
+    inputs: [input, sweep],
+  };
+}
+
+/**
+ * Give the Universal Router access to the input currency, or attach ETH value for native input
+ * ERC20 input is granted through a signed Permit2 PermitSingle that rides along with the swap,
+ * so only the one-time token approval for Permit2 ever costs a separate transaction
+ * @returns {Promise<{value: bigint, permit2: object|null}>} msg.value and Permit2 signature for the swap
+ */
+async function prepareInput(chain, signer, currencyIn, amountIn) {
+  if (currencyIn.toLowerCase() === ADDRESS_ZERO) {
+    return { value: BigInt(amountIn), permit2: null };
+  }
+
+  const approval = await prepareApproval(signer, currencyIn, chain.uniswap.v4.universalRouter, amountIn, {
+    support: SPENDER_SUPPORT.PERMIT2,
+  });
+  return { value: 0n, permit2: approval.permit2 ?? null };
+}
+
+/**
+ * Prepend a PERMIT2_PERMIT command so the router registers the signed allowance before swapping
+ * @param {{commands: string, inputs: string[]}} built - Commands from a build*Commands helper
+ * @param {object} permit2 - {permitSingle, signature} from signPermitSingle
+ * @returns {{commands: string, inputs: string[]}}
+ */
+function withPermit2Permit({ commands, inputs }, permit2) {
+  const permitInput = ethers.AbiCoder.defaultAbiCoder().encode(
+    [PERMIT_SINGLE_TUPLE, "bytes"],
+    [permit2.permitSingle, permit2.signature]
+  );
+
+  return {
+    commands: ethers.concat([ethers.toBeHex(UR_COMMANDS.PERMIT2_PERMIT, 1), commands]),
+    inputs: [permitInput, ...inputs],
+  };
+}
+
+/**
+ * Submit encoded commands to the Universal Router
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined swap
+ */
+async function executeUniversalRouter(chain, signer, commands, inputs, value, permit2 = null) {
+  const router = new ethers.Contract(chain.uniswap.v4.universalRouter, UNIVERSAL_ROUTER_ABI, signer);
+
+  if (permit2) {
+    ({ commands, inputs } = withPermit2Permit({ commands, inputs }, permit2));
+  }
+
+  // Deadline: 20 minutes from now
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+
+  const tx = await simulateAndSend(router, "execute", [commands, inputs, deadline], { value }, "Uniswap V4 swap");
+
+  console.log(`Transaction submitted: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+
+  return receipt;
+}
+
+/**
+ * Execute exact input single-pool swap on Uniswap V4 through the Universal Router
+ * Handles the Permit2 signature for ERC20 input and msg.value for native ETH input (ADDRESS_ZERO)
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet or connected signer
+ * @param {string} tokenIn - Input token address (ADDRESS_ZERO for native ETH)
+ * @param {string} tokenOut - Output token address (ADDRESS_ZERO for native ETH)
+ * @param {number} fee - Pool fee
+ * @param {string} amountIn - Amount of input token (in wei/smallest unit)
  * @param {number} slippageBps - Slippage tolerance in basis points
- * @param {string} recipient - Recipient address
- * @returns {Promise<{hash: string, delta: string}>}
+ * @param {string} recipient - Recipient address (defaults to wallet address)
+ * @param {object} options - Optional pool parameters (tickSpacing, hooks, hookData) and minAmountOut, a hard
+ *   floor on the output never undercut by slippage
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
  */
-async function swapV4(chainKey, wallet, tokenIn, tokenOut, fee, amountIn, slippageBps = 50, recipient = null) {
+async function swapV4(
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  fee,
+  amountIn,
+  slippageBps = 50,
+  recipient = null,
+  options = {}
+) {
   // Validate inputs
   validateChainKey(chainKey);
   validateWallet(wallet);
   validateAddress(tokenIn, "tokenIn");
   validateAddress(tokenOut, "tokenOut");
-  validateFeeTier(fee);
   validateAmount(amountIn, "amountIn");
   validateSlippage(slippageBps);
 
+  tokenIn = toCurrency(tokenIn);
+  tokenOut = toCurrency(tokenOut);
+
   const chain = CHAINS[chainKey];
-  if (!chain?.uniswap?.v4?.poolManager) {
-    throw new Error(`Uniswap V4 not available on ${chainKey}`);
+  if (!chain?.uniswap?.v4?.universalRouter) {
+    throw new Error(`Uniswap V4 Universal Router not available on ${chainKey}`);
   }
 
-  const provider = getProvider(chainKey);
-  const signer = wallet.connect(provider);
+  const signer = getSigner(chainKey, wallet);
   const recipientAddr = recipient || wallet.address;
 
-  // Determine swap direction
-  const zeroForOne = tokenIn.toLowerCase() < tokenOut.toLowerCase();
-  const tickSpacing = TICK_SPACING[fee] || 60;
+  // Get quote to calculate minimum output with slippage
+  const quote = await getQuote(chainKey, tokenIn, tokenOut, fee, amountIn, options);
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn, amountOut: quote.amountOut },
+    slippageBps,
+    { minAmountOut: options.minAmountOut ?? null }
+  );
+  const amountOutMin = limits.amountOutMin.toString();
 
-  // Create pool key
-  const poolKey = createPoolKey(tokenIn, tokenOut, fee, tickSpacing);
+  const { value, permit2 } = await prepareInput(chain, signer, tokenIn, amountIn);
 
-  // Check and approve token if needed
-  const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, signer);
-  const allowance = await tokenContract.allowance(wallet.address, chain.uniswap.v4.poolManager);
+  const { commands, inputs } = buildExactInputSingleCommands({
+    poolKey: quote.poolKey,
+    zeroForOne: quote.zeroForOne,
+    amountIn,
+    amountOutMin,
+    hookData: options.hookData || "0x",
+    recipient: recipientAddr,
+    account: wallet.address,
+  });
 
-  if (BigInt(allowance.toString()) < BigInt(amountIn)) {
-    console.log(`Approving ${tokenIn} for V4 PoolManager...`);
-    const approveTx = await tokenContract.approve(chain.uniswap.v4.poolManager, ethers.MaxUint256);
-    await approveTx.wait();
-    console.log(`Approval confirmed: ${approveTx.hash}`);
+  console.log(`\nExecuting V4 swap on ${chain.name}:`);
+  console.log(`  Input: ${amountIn} ${tokenIn}`);
+  console.log(`  Min Output: ${amountOutMin} ${tokenOut}`);
+  console.log(`  Fee: ${fee / 10000}%`);
+  console.log(`  Hooks: ${quote.poolKey.hooks}`);
+
+  try {
+    const receipt = await executeUniversalRouter(chain, signer, commands, inputs, value, permit2);
+    const execution = await decodeSwapReceipt(chainKey, receipt, {
+      tokenIn,
+      tokenOut,
+      account: wallet.address,
+      recipient: recipientAddr,
+      amountIn,
+      amountOut: quote.amountOut,
+    });
+
+    return { ...execution, amountOutMin };
+  } catch (error) {
+    if (isSimulationError(error)) throw error;
+    throw new Error(`V4 swap failed: ${error.message}`);
+  }
+}
+
+/**
+ * Execute exact output single-pool swap on Uniswap V4 through the Universal Router
+ * Spends at most amountInMax (quoted input plus slippage)
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet or connected signer
+ * @param {string} tokenIn - Input token address (ADDRESS_ZERO for native ETH)
+ * @param {string} tokenOut - Output token address (ADDRESS_ZERO for native ETH)
+ * @param {number} fee - Pool fee
+ * @param {string} amountOut - Exact amount of output token to receive (in wei/smallest unit)
+ * @param {number} slippageBps - Slippage tolerance in basis points, applied to the input
+ * @param {string} recipient - Recipient address (defaults to wallet address)
+ * @param {object} options - Optional pool parameters (tickSpacing, hooks, hookData)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountInMax
+ */
+async function swapV4ExactOutput(
+  chainKey,
+  wallet,
+  tokenIn,
+  tokenOut,
+  fee,
+  amountOut,
+  slippageBps = 50,
+  recipient = null,
+  options = {}
+) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  validateAmount(amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  tokenIn = toCurrency(tokenIn);
+  tokenOut = toCurrency(tokenOut);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v4?.universalRouter) {
+    throw new Error(`Uniswap V4 Universal Router not available on ${chainKey}`);
   }
 
-  // Estimate output for slippage protection
-  const estimatedOut = await estimateSwapOutput(chainKey, tokenIn, tokenOut, fee, amountIn);
+  const signer = getSigner(chainKey, wallet);
+  const recipientAddr = recipient || wallet.address;
 
-  // Prepare swap params
-  const swapParams = {
-    zeroForOne,
-    amountSpecified: amountIn, // Positive for exact input
-    sqrtPriceLimitX96: 0, // No price limit (in production, calculate based on slippage)
-  };
+  // Get quote to calculate maximum input with slippage
+  const quote = await getQuoteExactOutput(chainKey, tokenIn, tokenOut, fee, amountOut, options);
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn, tokenOut, amountIn: quote.amountIn, amountOut, exactOutput: true },
+    slippageBps
+  );
+  const amountInMax = limits.amountInMax.toString();
 
-  const poolManager = new ethers.Contract(chain.uniswap.v4.poolManager, POOL_MANAGER_ABI, signer);
+  const { value, permit2 } = await prepareInput(chain, signer, tokenIn, amountInMax);
 
-  console.log(`\nExecuting V4 swap on ${chain.name}:`);
-  console.log(`  Input: ${amountIn} ${tokenIn}`);
-  console.log(`  Estimated Output: ${estimatedOut} ${tokenOut}`);
-  console.log(`  Fee Tier: ${fee / 10000}%`);
-  console.log(`  Direction: ${zeroForOne ? "0->1" : "1->0"}`);
-  console.log(`\n⚠️  NOTE: V4 requires router contract for production use. This is direct PoolManager interaction.`);
+  const { commands, inputs } = buildExactOutputSingleCommands({
+    poolKey: quote.poolKey,
+    zeroForOne: quote.zeroForOne,
+    amountOut,
+    amountInMax,
+    hookData: options.hookData || "0x",
+    recipient: recipientAddr,
+    account: wallet.address,
+  });
+
+  console.log(`\nExecuting V4 exact output swap on ${chain.name}:`);
+  console.log(`  Max Input: ${amountInMax} ${tokenIn}`);
+  console.log(`  Output: ${amountOut} ${tokenOut}`);
+  console.log(`  Fee: ${fee / 10000}%`);
+  console.log(`  Hooks: ${quote.poolKey.hooks}`);
 
   try {
-    // V4 swaps require additional steps (settle/take) that are typically handled by routers
-    // This is a simplified example showing the swap call structure
-    const tx = await poolManager.swap(
-      poolKey,
-      swapParams,
-      "0x" // Hook data (empty for no hooks)
-    );
+    const receipt = await executeUniversalRouter(chain, signer, commands, inputs, value, permit2);
+    const execution = await decodeSwapReceipt(chainKey, receipt, {
+      tokenIn,
+      tokenOut,
+      account: wallet.address,
+      recipient: recipientAddr,
+      amountIn: quote.amountIn,
+      amountOut,
+      exactOutput: true,
+    });
 
-    console.log(`Transaction submitted: ${tx.hash}`);
-    const receipt = await tx.wait();
-    console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+    return { ...execution, amountInMax };
+  } catch (error) {
+    if (isSimulationError(error)) throw error;
+    throw new Error(`V4 exact output swap failed: ${error.message}`);
+  }
+}
 
-    return {
-      hash: tx.hash,
-      delta: estimatedOut,
-    };
+/**
+ * Execute exact input multi-hop swap on Uniswap V4 through the Universal Router
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet or connected signer
+ * @param {string} currencyIn - Input currency (ADDRESS_ZERO for native ETH)
+ * @param {object[]} path - PathKey array: {intermediateCurrency, fee, tickSpacing, hooks, hookData}
+ * @param {string} amountIn - Amount of input token (in wei/smallest unit)
+ * @param {number} slippageBps - Slippage tolerance in basis points
+ * @param {string} recipient - Recipient address (defaults to wallet address)
+ * @returns {Promise<object>} Realized swap from decodeSwapReceipt plus amountOutMin
+ */
+async function swapV4MultiHop(chainKey, wallet, currencyIn, path, amountIn, slippageBps = 50, recipient = null) {
+  // Validate inputs
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+  validateAddress(currencyIn, "currencyIn");
+  validateAmount(amountIn, "amountIn");
+
+  currencyIn = toCurrency(currencyIn);
+  validateSlippage(slippageBps);
+
+  const chain = CHAINS[chainKey];
+  if (!chain?.uniswap?.v4?.universalRouter) {
+    throw new Error(`Uniswap V4 Universal Router not available on ${chainKey}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+  const recipientAddr = recipient || wallet.address;
+
+  const quote = await getQuoteMultiHop(chainKey, currencyIn, path, amountIn);
+  const limits = await getSwapLimits(
+    chainKey,
+    { tokenIn: currencyIn, tokenOut: path[path.length - 1].intermediateCurrency, amountIn, amountOut: quote.amountOut },
+    slippageBps
+  );
+  const amountOutMin = limits.amountOutMin.toString();
+
+  const { value, permit2 } = await prepareInput(chain, signer, currencyIn, amountIn);
+
+  const { commands, inputs } = buildExactInputCommands({
+    currencyIn,
+    path,
+    amountIn,
+    amountOutMin,
+    recipient: recipientAddr,
+    account: wallet.address,
+  });
+
+  console.log(`\nExecuting V4 multi-hop swap on ${chain.name}:`);
+  console.log(`  Input: ${amountIn} ${currencyIn}`);
+  console.log(`  Min Output: ${amountOutMin}`);
+  console.log(`  Path: ${[currencyIn, ...path.map(k => k.intermediateCurrency)].join(" -> ")}`);
+
+  try {
+    const receipt = await executeUniversalRouter(chain, signer, commands, inputs, value, permit2);
+    const execution = await decodeSwapReceipt(chainKey, receipt, {
+      tokenIn: currencyIn,
+      tokenOut: path[path.length - 1].intermediateCurrency,
+      account: wallet.address,
+      recipient: recipientAddr,
+      amountIn,
+      amountOut: quote.amountOut,
+    });
+
+    return { ...execution, amountOutMin };
   } catch (error) {
-    throw new Error(`V4 swap failed: ${error.message}`);
+    if (isSimulationError(error)) throw error;
+    throw new Error(`V4 multi-hop swap failed: ${error.message}`);
   }
 }
 
@@ -230,8 +835,9 @@ function getV4Info() {
     architecture: "Singleton PoolManager with Hooks",
     launched: "January 31, 2025",
     requirements: [
-      "Direct PoolManager interaction requires manual settle/take calls",
-      "Production apps should use V4 Router contracts",
+      "Swaps execute through the Universal Router (V4_SWAP command)",
+      "Each swap is encoded as V4Router actions: SWAP -> SETTLE_ALL -> TAKE_ALL",
+      "ERC20 input is pulled via Permit2; native ETH is sent as msg.value",
       "Hooks can customize swap behavior",
       "Uses flash accounting for gas efficiency",
     ],
@@ -242,7 +848,7 @@ function getV4Info() {
       "Native ETH support without WETH wrapping",
     ],
     notes:
-      "This implementation provides low-level PoolManager access. For production swaps, use official V4 router contracts that handle multi-step operations and proper token accounting.",
+      "Quotes come from the V4Quoter and swaps are routed through the Universal Router, which handles the PoolManager unlock/settle/take flow.",
   };
 }
 
@@ -250,9 +856,23 @@ module.exports = {
   FEE_TIERS,
   TICK_SPACING,
   ADDRESS_ZERO,
+  DYNAMIC_FEE_FLAG,
   createPoolKey,
   getPoolState,
+  getQuote,
+  getQuoteMultiHop,
+  getQuoteExactOutput,
+  findBestPool,
+  findBestPoolExactOutput,
   estimateSwapOutput,
+  UR_COMMANDS,
+  V4_ACTIONS,
+  buildExactInputSingleCommands,
+  buildExactInputCommands,
+  buildExactOutputSingleCommands,
+  withPermit2Permit,
   swapV4,
+  swapV4ExactOutput,
+  swapV4MultiHop,
   getV4Info,
 };
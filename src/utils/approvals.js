@@ -0,0 +1,337 @@
+// Token approval subsystem
+// Picks the cheapest way to let a router spend a token: an existing allowance, an EIP-2612 permit
+// bundled into the swap transaction, a Permit2 signature, or a plain approve (exact or unlimited)
+const { ethers } = require("ethers");
+const ERC20_ABI = require("../abis/IERC20.json");
+const ERC20_PERMIT_ABI = require("../abis/IERC20Permit.json");
+const {
+  PERMIT2_ADDRESS,
+  MAX_UINT160,
+  getPermit2Allowance,
+  ensurePermit2TokenApproval,
+  ensurePermit2Allowance,
+  signPermitSingle,
+} = require("./permit2");
+const { isNativeToken } = require("./native");
+const { simulateAndSend } = require("./txSimulation");
+const { isTxBuilder } = require("./txBuilder");
+
+// How a spender can receive its allowance
+//   erc20:      only a standard ERC20 allowance (V2 routers, Curve pools, Balancer V2 Vault)
+//   selfPermit: ERC20 allowance or an EIP-2612 permit bundled via multicall (V3 SwapRouter)
+//   permit2:    pulls through Permit2 and accepts a signed PermitSingle (Universal Router); Balancer V3 routers
+//               pull through Permit2 but take no signature, so they pass usePermits: false
+const SPENDER_SUPPORT = {
+  ERC20: "erc20",
+  SELF_PERMIT: "selfPermit",
+  PERMIT2: "permit2",
+};
+
+// Mechanisms resolveApprovalMechanism can report
+const APPROVAL_MECHANISMS = {
+  NONE: "none",
+  EIP2612: "eip2612",
+  PERMIT2: "permit2",
+  APPROVE: "approve",
+};
+
+// Fallback approve amount: "exact" approves only what the swap needs, "unlimited" approves MaxUint256
+const APPROVAL_MODES = ["exact", "unlimited"];
+let defaultApprovalMode = APPROVAL_MODES.includes(process.env.APPROVAL_MODE) ? process.env.APPROVAL_MODE : "exact";
+
+// EIP-2612 permit signatures stay valid for 30 minutes
+const PERMIT_DEADLINE_SECONDS = 60 * 30;
+
+const EIP2612_PERMIT_TYPEHASH = ethers.id(
+  "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+);
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// EIP-712 domain per chainId:token (null when the token has no standard permit)
+const permitDomainCache = new Map();
+
+/**
+ * Set the default fallback approval mode
+ * @param {string} mode - "exact" or "unlimited"
+ */
+function setApprovalMode(mode) {
+  if (!APPROVAL_MODES.includes(mode)) {
+    throw new Error(`Invalid approval mode: "${mode}". Valid modes: ${APPROVAL_MODES.join(", ")}`);
+  }
+  defaultApprovalMode = mode;
+}
+
+/**
+ * Get the default fallback approval mode
+ * @returns {string} "exact" or "unlimited"
+ */
+function getApprovalMode() {
+  return defaultApprovalMode;
+}
+
+/**
+ * Resolve a token's EIP-2612 domain, verified against its on-chain DOMAIN_SEPARATOR
+ * Tokens with a different permit signature (e.g. DAI's allowed/expiry permit) are rejected via PERMIT_TYPEHASH
+ * @param {ethers.Provider|ethers.Signer} runner - Provider or connected signer
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<object|null>} EIP-712 domain, or null if the token doesn't support EIP-2612
+ */
+async function getPermitDomain(runner, tokenAddress) {
+  const provider = runner.provider ?? runner;
+  const { chainId } = await provider.getNetwork();
+  const cacheKey = `${chainId}:${tokenAddress.toLowerCase()}`;
+  if (permitDomainCache.has(cacheKey)) {
+    return permitDomainCache.get(cacheKey);
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+  let domain = null;
+
+  try {
+    const [name, separator] = await Promise.all([token.name(), token.DOMAIN_SEPARATOR()]);
+    await token.nonces(ethers.ZeroAddress);
+
+    const typehash = await token.PERMIT_TYPEHASH().catch(() => null);
+    if (typehash === null || typehash === EIP2612_PERMIT_TYPEHASH) {
+      // Most tokens use version "1"; OpenZeppelin ERC20Permit exposes it via version()
+      const version = await token.version().catch(() => "1");
+      const candidate = { name, version, chainId, verifyingContract: tokenAddress };
+      if (ethers.TypedDataEncoder.hashDomain(candidate) === separator) {
+        domain = candidate;
+      }
+    }
+  } catch (error) {
+    // No DOMAIN_SEPARATOR / nonces - not a permit token
+  }
+
+  permitDomainCache.set(cacheKey, domain);
+  return domain;
+}
+
+/**
+ * Whether a token supports standard EIP-2612 permits
+ * @param {ethers.Provider|ethers.Signer} runner - Provider or connected signer
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<boolean>}
+ */
+async function supportsEip2612(runner, tokenAddress) {
+  return (await getPermitDomain(runner, tokenAddress)) !== null;
+}
+
+/**
+ * Sign an EIP-2612 permit for a spender
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender address
+ * @param {string|bigint} value - Allowance to grant
+ * @param {number} deadline - Unix timestamp the signature expires at (default: 30 minutes)
+ * @returns {Promise<{token: string, value: bigint, deadline: number, v: number, r: string, s: string}>}
+ */
+async function signEip2612Permit(signer, tokenAddress, spenderAddress, value, deadline = null) {
+  const domain = await getPermitDomain(signer, tokenAddress);
+  if (!domain) {
+    throw new Error(`${tokenAddress} does not support EIP-2612 permits`);
+  }
+
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, signer);
+  const permitDeadline = deadline ?? Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_SECONDS;
+
+  try {
+    const nonce = await token.nonces(owner);
+    const message = { owner, spender: spenderAddress, value: BigInt(value), nonce, deadline: permitDeadline };
+    const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+
+    return {
+      token: tokenAddress,
+      value: BigInt(value),
+      deadline: permitDeadline,
+      v: signature.v,
+      r: signature.r,
+      s: signature.s,
+    };
+  } catch (error) {
+    throw new Error(`EIP-2612 permit signature failed: ${error.message}`);
+  }
+}
+
+/**
+ * Work out which mechanism will give a spender `amount` of a token
+ * @param {ethers.Provider|ethers.Signer} runner - Provider or connected signer
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} ownerAddress - Token owner address
+ * @param {string} spenderAddress - Spender (router) address
+ * @param {string|bigint} amount - Amount the spender needs to pull
+ * @param {string} support - Spender capability from SPENDER_SUPPORT (default: erc20)
+ * @returns {Promise<{mechanism: string, currentAllowance: string, permit2TokenApproval: boolean}>}
+ *   permit2TokenApproval is true when a one-time token approve(Permit2) is still needed
+ */
+async function resolveApprovalMechanism(
+  runner,
+  tokenAddress,
+  ownerAddress,
+  spenderAddress,
+  amount,
+  support = SPENDER_SUPPORT.ERC20
+) {
+  if (isNativeToken(tokenAddress)) {
+    return { mechanism: APPROVAL_MECHANISMS.NONE, currentAllowance: "0", permit2TokenApproval: false };
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+
+  if (support === SPENDER_SUPPORT.PERMIT2) {
+    const [tokenAllowance, permit2Allowance] = await Promise.all([
+      token.allowance(ownerAddress, PERMIT2_ADDRESS),
+      getPermit2Allowance(runner, tokenAddress, ownerAddress, spenderAddress),
+    ]);
+    const now = Math.floor(Date.now() / 1000);
+    const permit2TokenApproval = BigInt(tokenAllowance) < BigInt(amount);
+    const covered = permit2Allowance.amount >= BigInt(amount) && permit2Allowance.expiration > now;
+
+    return {
+      mechanism: covered && !permit2TokenApproval ? APPROVAL_MECHANISMS.NONE : APPROVAL_MECHANISMS.PERMIT2,
+      currentAllowance: permit2Allowance.amount.toString(),
+      permit2TokenApproval,
+    };
+  }
+
+  const allowance = BigInt(await token.allowance(ownerAddress, spenderAddress));
+  let mechanism = APPROVAL_MECHANISMS.APPROVE;
+  if (allowance >= BigInt(amount)) {
+    mechanism = APPROVAL_MECHANISMS.NONE;
+  } else if (support === SPENDER_SUPPORT.SELF_PERMIT && (await supportsEip2612(runner, tokenAddress))) {
+    mechanism = APPROVAL_MECHANISMS.EIP2612;
+  }
+
+  return { mechanism, currentAllowance: allowance.toString(), permit2TokenApproval: false };
+}
+
+/**
+ * Approve a spender with a standard ERC20 approve if its allowance is short
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender address
+ * @param {string|bigint} amount - Amount the spender needs to pull
+ * @param {object} options - Optional parameters
+ * @param {string} options.mode - "exact" or "unlimited" (default: getApprovalMode())
+ * @returns {Promise<string|null>} Approval transaction hash, or null if already approved
+ */
+async function ensureApproval(signer, tokenAddress, spenderAddress, amount, options = {}) {
+  const { mode = defaultApprovalMode } = options;
+  if (!APPROVAL_MODES.includes(mode)) {
+    throw new Error(`Invalid approval mode: "${mode}". Valid modes: ${APPROVAL_MODES.join(", ")}`);
+  }
+
+  if (isNativeToken(tokenAddress)) {
+    return null;
+  }
+
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const allowance = await token.allowance(owner, spenderAddress);
+
+  if (BigInt(allowance) >= BigInt(amount)) {
+    return null;
+  }
+
+  try {
+    console.log(`Approving ${tokenAddress} for ${spenderAddress} (${mode})...`);
+    const value = mode === "unlimited" ? ethers.MaxUint256 : amount;
+    const approveTx = await simulateAndSend(token, "approve", [spenderAddress, value], {}, "Token approval");
+    await approveTx.wait();
+    console.log(`Approval confirmed: ${approveTx.hash}`);
+    return approveTx.hash;
+  } catch (error) {
+    throw new Error(`Token approval failed: ${error.message}`);
+  }
+}
+
+/**
+ * Give a spender `amount` of a token by the cheapest mechanism it supports
+ * Sends an approve transaction only for the erc20 fallback (and the one-time Permit2 token approval);
+ * permit mechanisms return a signature the caller bundles into the swap transaction
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender (router) address
+ * @param {string|bigint} amount - Amount the spender needs to pull
+ * @param {object} options - Optional parameters
+ * @param {string} options.support - Spender capability from SPENDER_SUPPORT (default: erc20)
+ * @param {string} options.mode - Fallback approval mode, "exact" or "unlimited" (default: getApprovalMode())
+ * @param {boolean} options.usePermits - Allow permit signatures (default: true, false for build-only signers)
+ * @returns {Promise<{mechanism: string, permit?: object, permit2?: object, approvalHash?: string}>}
+ *   permit: EIP-2612 {token, value, deadline, v, r, s}; permit2: {permitSingle, signature}
+ */
+async function prepareApproval(signer, tokenAddress, spenderAddress, amount, options = {}) {
+  const { support = SPENDER_SUPPORT.ERC20, mode = defaultApprovalMode, usePermits = !isTxBuilder(signer) } = options;
+  const owner = await signer.getAddress();
+
+  const resolved = await resolveApprovalMechanism(
+    signer,
+    tokenAddress,
+    owner,
+    spenderAddress,
+    amount,
+    usePermits || support === SPENDER_SUPPORT.PERMIT2 ? support : SPENDER_SUPPORT.ERC20
+  );
+
+  switch (resolved.mechanism) {
+    case APPROVAL_MECHANISMS.NONE:
+      return { mechanism: resolved.mechanism };
+
+    case APPROVAL_MECHANISMS.EIP2612: {
+      console.log(`Signing EIP-2612 permit for ${tokenAddress}...`);
+      const value = mode === "unlimited" ? ethers.MaxUint256 : amount;
+      const permit = await signEip2612Permit(signer, tokenAddress, spenderAddress, value);
+      return { mechanism: resolved.mechanism, permit };
+    }
+
+    case APPROVAL_MECHANISMS.PERMIT2: {
+      // Without signatures the spender still pulls through Permit2, so grant it with approve transactions
+      if (!usePermits) {
+        const { tokenApprovalHash, permit2ApprovalHash } = await ensurePermit2Allowance(
+          signer,
+          tokenAddress,
+          spenderAddress,
+          amount,
+          { mode }
+        );
+        return { mechanism: APPROVAL_MECHANISMS.APPROVE, approvalHash: permit2ApprovalHash || tokenApprovalHash };
+      }
+
+      const approvalHash = await ensurePermit2TokenApproval(signer, tokenAddress, amount, { mode });
+      console.log(`Signing Permit2 allowance for ${spenderAddress}...`);
+      const value = mode === "unlimited" ? MAX_UINT160 : amount;
+      const permit2 = await signPermitSingle(signer, tokenAddress, spenderAddress, value);
+      return { mechanism: resolved.mechanism, permit2, approvalHash };
+    }
+
+    default: {
+      const approvalHash = await ensureApproval(signer, tokenAddress, spenderAddress, amount, { mode });
+      return { mechanism: resolved.mechanism, approvalHash };
+    }
+  }
+}
+
+module.exports = {
+  SPENDER_SUPPORT,
+  APPROVAL_MECHANISMS,
+  APPROVAL_MODES,
+  setApprovalMode,
+  getApprovalMode,
+  getPermitDomain,
+  supportsEip2612,
+  signEip2612Permit,
+  resolveApprovalMechanism,
+  ensureApproval,
+  prepareApproval,
+};
@@ -0,0 +1,160 @@
+// Minimal cron expression support for schedulers
+// Five fields, evaluated in UTC: minute hour day-of-month month day-of-week (0-7, 0 and 7 are Sunday).
+// Fields take *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 0-30/10). Aliases: @hourly, @daily,
+// @weekly, @monthly. As in standard (Vixie) cron, when both day fields are restricted a day matching either one
+// fires; a day field starting with * (including steps like */2) doesn't count as restricted
+
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+// Give up looking for the next run after this long (e.g. "0 0 31 2 *" never fires)
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Expand one cron field to the set of values it matches
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let start = min;
+    let end = max;
+    if (range !== "*") {
+      [start, end] = range.includes("-") ? range.split("-").map(Number) : [Number(range), Number(range)];
+      if (stepText !== undefined && !range.includes("-")) {
+        end = max;
+      }
+    }
+
+    if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${text}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or alias
+ * @returns {object} Parsed fields (sets of matching values)
+ */
+function parseCron(expression) {
+  const text = CRON_ALIASES[expression?.trim()] || expression?.trim();
+  const parts = text ? text.split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw new Error(
+      `Invalid cron expression: "${expression}". Expected 5 fields or one of ${Object.keys(CRON_ALIASES)}`
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, idx) => parseField(part, CRON_FIELDS[idx]));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: !parts[2].startsWith("*"),
+    dayOfWeekRestricted: !parts[4].startsWith("*"),
+  };
+}
+
+/**
+ * Whether a parsed cron matches a date's day
+ */
+function dayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Next time a cron expression fires, strictly after a given time
+ * @param {string|object} cron - Expression or parseCron result
+ * @param {Date} after - Start of the search
+ * @returns {Date} Next run (whole minute, UTC)
+ */
+function nextCronTime(cron, after) {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_MS;
+  while (date.getTime() <= limit) {
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${parsed.expression}" never fires`);
+}
+
+/**
+ * Every time a cron expression fired in a window
+ * @param {string|object} cron - Expression or parseCron result
+ * @param {Date} after - Window start (exclusive)
+ * @param {Date} until - Window end (inclusive)
+ * @param {number} limit - Most recent runs to return at most (default: 1000)
+ * @returns {Date[]} Run times, oldest first
+ */
+function cronTimesBetween(cron, after, until, limit = 1000) {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const times = [];
+
+  let next = nextCronTime(parsed, after);
+  while (next.getTime() <= until.getTime()) {
+    times.push(next);
+    if (times.length > limit) {
+      times.shift();
+    }
+    next = nextCronTime(parsed, next);
+  }
+
+  return times;
+}
+
+module.exports = {
+  CRON_ALIASES,
+  parseCron,
+  nextCronTime,
+  cronTimesBetween,
+};
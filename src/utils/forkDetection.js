@@ -107,9 +107,36 @@ async function supportsImpersonation(chainKey) {
   return forkType === "hardhat" || forkType === "anvil";
 }
 
+/**
+ * Take a state snapshot on a fork (Hardhat/Anvil/Ganache evm_snapshot)
+ * @param {string} chainKey
+ * @returns {Promise<string>} Snapshot id
+ */
+async function snapshotFork(chainKey) {
+  const { isFork } = await detectFork(chainKey);
+
+  if (!isFork) {
+    throw new Error("Snapshots only work on forked networks");
+  }
+
+  return await getProvider(chainKey).send("evm_snapshot", []);
+}
+
+/**
+ * Revert a fork to a snapshot taken with snapshotFork
+ * @param {string} chainKey
+ * @param {string} snapshotId
+ * @returns {Promise<boolean>}
+ */
+async function revertFork(chainKey, snapshotId) {
+  return await getProvider(chainKey).send("evm_revert", [snapshotId]);
+}
+
 module.exports = {
   detectFork,
   identifyForkType,
   getForkBlockNumber,
   supportsImpersonation,
+  snapshotFork,
+  revertFork,
 };
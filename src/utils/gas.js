@@ -0,0 +1,208 @@
+// Gas cost utilities for net-of-gas quote comparison
+// Venues differ a lot in execution cost (V2 vs V3 multi-hop vs Curve vs Balancer), so quotes are
+// ranked by output minus gas, with gas priced in output-token units
+const { ethers } = require("ethers");
+const { CHAINS } = require("../config/chains");
+const { getProvider } = require("./web3");
+const { isNativeToken } = require("./native");
+const v2Swap = require("../swaps/v2Swap");
+const v3Swap = require("../swaps/v3Swap");
+
+// Typical gas for a single-hop swap transaction per venue (base tx cost, router and transfers included)
+const DEFAULT_GAS_UNITS = {
+  "uniswap:v2": 120000n,
+  "uniswap:v3": 135000n,
+  "uniswap:v4": 150000n,
+  "sushiswap:v2": 120000n,
+  "sushiswap:v3": 135000n,
+  "curve:pool": 180000n,
+  "balancer:v2": 150000n,
+  "balancer:v3": 170000n,
+};
+
+const FALLBACK_GAS_UNITS = 200000n;
+
+// Each extra hop / batch step adds roughly one more pool swap and token transfer
+const EXTRA_HOP_GAS = 70000n;
+
+// Curve underlying swaps also wrap/unwrap through the base or lending pool
+const CURVE_UNDERLYING_GAS = 100000n;
+
+// Quoter gas estimates only cover the pool swap itself, not the transaction around it
+const QUOTER_OVERHEAD_GAS = 60000n;
+
+// Gas price and native price lookups are shared across a batch of quotes
+const PRICE_CACHE_TTL_MS = 15000;
+const gasPriceCache = new Map();
+const nativePriceCache = new Map();
+
+/**
+ * Count extra hops in a quote's route beyond the first
+ * @param {object} quote - {protocol, version, details}
+ * @returns {number} Extra hops
+ */
+function countExtraHops(quote) {
+  const details = quote.details || {};
+
+  if (Array.isArray(details.path)) {
+    // V2 paths are token lists, Balancer V2 paths are swap steps
+    const hops = quote.protocol === "balancer" ? details.path.length : details.path.length - 1;
+    return Math.max(hops - 1, 0);
+  }
+
+  if (Array.isArray(details.steps)) {
+    return Math.max(details.steps.length - 1, 0);
+  }
+
+  return 0;
+}
+
+/**
+ * Estimate gas units for executing a quote
+ * Uses the quoter-reported estimate when the venue provides one, otherwise a per-venue default
+ * @param {object} quote - {protocol, version, details, gasEstimate?}
+ * @returns {bigint} Gas units
+ */
+function estimateQuoteGas(quote) {
+  if (quote.gasEstimate) {
+    return BigInt(quote.gasEstimate) + QUOTER_OVERHEAD_GAS;
+  }
+
+  const base = DEFAULT_GAS_UNITS[`${quote.protocol}:${quote.version}`] || FALLBACK_GAS_UNITS;
+  const underlying = quote.details?.indices?.underlying ? CURVE_UNDERLYING_GAS : 0n;
+
+  return base + BigInt(countExtraHops(quote)) * EXTRA_HOP_GAS + underlying;
+}
+
+/**
+ * Get the current gas price (cached briefly so quote batches share one lookup)
+ * @param {string} chainKey - Chain identifier
+ * @returns {Promise<bigint>} Gas price in wei
+ */
+async function getGasPrice(chainKey) {
+  const cached = gasPriceCache.get(chainKey);
+  if (cached && Date.now() - cached.timestamp < PRICE_CACHE_TTL_MS) {
+    return cached.gasPrice;
+  }
+
+  try {
+    const feeData = await getProvider(chainKey).getFeeData();
+    const gasPrice = BigInt(feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n);
+    gasPriceCache.set(chainKey, { gasPrice, timestamp: Date.now() });
+    return gasPrice;
+  } catch (error) {
+    throw new Error(`Failed to get gas price: ${error.message}`);
+  }
+}
+
+/**
+ * Price one native token (1e18 wei) in units of another token
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token to price the native token in
+ * @returns {Promise<bigint>} Token amount (smallest unit) worth one native token
+ */
+async function getNativePriceInToken(chainKey, tokenAddress) {
+  const wrappedNative = CHAINS[chainKey].wrappedNative;
+  const oneNative = ethers.parseEther("1");
+
+  if (!wrappedNative) {
+    throw new Error(`Wrapped native token not configured for ${CHAINS[chainKey].name}`);
+  }
+
+  if (isNativeToken(tokenAddress) || tokenAddress.toLowerCase() === wrappedNative.toLowerCase()) {
+    return oneNative;
+  }
+
+  const cacheKey = `${chainKey}:${tokenAddress.toLowerCase()}`;
+  const cached = nativePriceCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < PRICE_CACHE_TTL_MS) {
+    return cached.price;
+  }
+
+  let price;
+  try {
+    const best = await v3Swap.findBestFee(chainKey, wrappedNative, tokenAddress, oneNative.toString());
+    price = BigInt(best.amountOut);
+  } catch (error) {
+    const quote = await v2Swap.getQuote(chainKey, wrappedNative, tokenAddress, oneNative.toString());
+    price = BigInt(quote.amountOut);
+  }
+
+  nativePriceCache.set(cacheKey, { price, timestamp: Date.now() });
+  return price;
+}
+
+/**
+ * Attach gas estimates and net output to a set of quotes for the same output token
+ * Adds gasUnits (whole transaction), gasCost (output-token units) and netAmountOut to each quote;
+ * a quoter-reported gasEstimate is left as-is so repeated calls don't double-count overhead.
+ * If gas cannot be priced in the output token, gasCost is null and netAmountOut equals amountOut.
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenOut - Output token address
+ * @param {object[]} quotes - Quotes with {protocol, version, amountOut, details}
+ * @returns {Promise<object[]>} The same quotes, annotated
+ */
+async function applyGasCosts(chainKey, tokenOut, quotes) {
+  let gasPrice = null;
+  let nativePrice = null;
+
+  try {
+    gasPrice = await getGasPrice(chainKey);
+    nativePrice = await getNativePriceInToken(chainKey, tokenOut);
+  } catch (error) {
+    // Gas can't be priced in tokenOut; rank by gross output
+  }
+
+  for (const quote of quotes) {
+    const gasUnits = estimateQuoteGas(quote);
+    quote.gasUnits = gasUnits.toString();
+
+    if (gasPrice === null || nativePrice === null) {
+      quote.gasCost = null;
+      quote.netAmountOut = quote.amountOut;
+      continue;
+    }
+
+    const gasCost = (gasUnits * gasPrice * nativePrice) / ethers.parseEther("1");
+    quote.gasCost = gasCost.toString();
+    quote.netAmountOut = (BigInt(quote.amountOut) - gasCost).toString();
+  }
+
+  return quotes;
+}
+
+/**
+ * Pick the quote with the highest net output (falls back to gross output when not annotated)
+ * @param {object[]} quotes - Quotes, optionally annotated by applyGasCosts
+ * @returns {object|null} Best quote
+ */
+function selectBestNetQuote(quotes) {
+  let best = null;
+  for (const quote of quotes) {
+    const net = BigInt(quote.netAmountOut ?? quote.amountOut);
+    if (!best || net > BigInt(best.netAmountOut ?? best.amountOut)) {
+      best = quote;
+    }
+  }
+  return best;
+}
+
+/**
+ * Order quotes best first by net output (gross output when not annotated)
+ * @param {object[]} quotes - Quotes, optionally annotated by applyGasCosts
+ * @returns {object[]} New array, best quote first
+ */
+function sortByNetOutput(quotes) {
+  const net = quote => BigInt(quote.netAmountOut ?? quote.amountOut);
+  return [...quotes].sort((a, b) => (net(b) > net(a) ? 1 : net(b) < net(a) ? -1 : 0));
+}
+
+module.exports = {
+  DEFAULT_GAS_UNITS,
+  estimateQuoteGas,
+  getGasPrice,
+  getNativePriceInToken,
+  applyGasCosts,
+  selectBestNetQuote,
+  sortByNetOutput,
+};
@@ -0,0 +1,134 @@
+// Native gas token helpers
+// Swap entry points accept NATIVE_TOKEN (or the zero address) and route through each venue's ETH
+// variant, or wrap/unwrap through the chain's wrapped native token when the venue only trades WETH
+const { ethers } = require("ethers");
+const { CHAINS, NATIVE_TOKEN } = require("../config/chains");
+const WETH_ABI = require("../abis/IWETH9.json");
+const { simulateAndSend } = require("./txSimulation");
+
+/**
+ * Whether a token address refers to the native gas token (NATIVE_TOKEN sentinel or zero address)
+ * @param {string} token - Token address
+ * @returns {boolean}
+ */
+function isNativeToken(token) {
+  const lower = token.toLowerCase();
+  return lower === NATIVE_TOKEN.toLowerCase() || lower === ethers.ZeroAddress;
+}
+
+/**
+ * Get the wrapped native token (WETH, WPOL, WBNB) for a chain
+ * @param {string} chainKey - Chain identifier
+ * @returns {string} Wrapped native token address
+ */
+function getWrappedNative(chainKey) {
+  const wrappedNative = CHAINS[chainKey]?.wrappedNative;
+  if (!wrappedNative) {
+    throw new Error(`Wrapped native token not configured for ${chainKey}`);
+  }
+  return wrappedNative;
+}
+
+/**
+ * Map native token sentinels to the wrapped native token, leaving ERC20 addresses unchanged
+ * @param {string} chainKey - Chain identifier
+ * @param {string} token - Token address
+ * @returns {string} Token address venues can quote
+ */
+function toWrappedToken(chainKey, token) {
+  return isNativeToken(token) ? getWrappedNative(chainKey) : token;
+}
+
+/**
+ * Wrap native tokens (WETH.deposit)
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {string|bigint} amount - Amount to wrap (in wei)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function wrapNative(chainKey, signer, amount) {
+  const weth = new ethers.Contract(getWrappedNative(chainKey), WETH_ABI, signer);
+
+  try {
+    console.log(`Wrapping ${amount} native token...`);
+    const tx = await simulateAndSend(weth, "deposit", [], { value: amount }, "Wrap native token");
+    await tx.wait();
+    return tx.hash;
+  } catch (error) {
+    throw new Error(`Wrapping native token failed: ${error.message}`);
+  }
+}
+
+/**
+ * Unwrap wrapped native tokens (WETH.withdraw)
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {string|bigint} amount - Amount to unwrap (in wei)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function unwrapNative(chainKey, signer, amount) {
+  const weth = new ethers.Contract(getWrappedNative(chainKey), WETH_ABI, signer);
+
+  try {
+    console.log(`Unwrapping ${amount} wrapped native token...`);
+    const tx = await simulateAndSend(weth, "withdraw", [amount], {}, "Unwrap native token");
+    await tx.wait();
+    return tx.hash;
+  } catch (error) {
+    throw new Error(`Unwrapping native token failed: ${error.message}`);
+  }
+}
+
+/**
+ * Send a Uniswap-style V3 SwapRouter swap, paying or receiving native ETH through the router's WETH helpers
+ * Native input is sent as msg.value (exact output swaps refund the unspent ETH with refundETH);
+ * native output is paid to the router and unwrapped to the recipient with unwrapWETH9.
+ * An EIP-2612 permit for the input token is bundled in front of the swap with selfPermit
+ * @param {ethers.Contract} router - SwapRouter contract connected to a signer
+ * @param {string} method - exactInputSingle, exactInput, exactOutputSingle or exactOutput
+ * @param {object} params - Swap params, with the wrapped native token in place of native ETH
+ * @param {object} native - {nativeIn, nativeOut, value (ETH to send), amountOutMin (unwrap minimum), recipient, permit}
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+async function sendV3RouterSwap(router, method, params, native = {}) {
+  const {
+    nativeIn = false,
+    nativeOut = false,
+    value = 0n,
+    amountOutMin = 0n,
+    recipient = null,
+    permit = null,
+  } = native;
+
+  if (!permit && !nativeOut && !(nativeIn && method.startsWith("exactOutput"))) {
+    return await simulateAndSend(router, method, [params], { value: nativeIn ? value : 0n }, `V3 ${method}`);
+  }
+
+  const calls = [];
+  if (permit) {
+    const { token, value: permitValue, deadline, v, r, s } = permit;
+    calls.push(router.interface.encodeFunctionData("selfPermit", [token, permitValue, deadline, v, r, s]));
+  }
+  if (nativeOut) {
+    const routerAddress = await router.getAddress();
+    calls.push(router.interface.encodeFunctionData(method, [{ ...params, recipient: routerAddress }]));
+    calls.push(router.interface.encodeFunctionData("unwrapWETH9", [amountOutMin, recipient]));
+  } else {
+    calls.push(router.interface.encodeFunctionData(method, [params]));
+  }
+  if (nativeIn) {
+    calls.push(router.interface.encodeFunctionData("refundETH", []));
+  }
+
+  return await simulateAndSend(router, "multicall", [calls], { value: nativeIn ? value : 0n }, `V3 ${method}`);
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  isNativeToken,
+  getWrappedNative,
+  toWrappedToken,
+  wrapNative,
+  unwrapNative,
+  sendV3RouterSwap,
+};
@@ -0,0 +1,169 @@
+// Permit2 allowance helpers
+// Universal Router and Balancer V3 routers pull tokens through Permit2 instead of a direct ERC20 allowance.
+// The Permit2 allowance itself is granted either with an approve transaction or a signed PermitSingle
+const { ethers } = require("ethers");
+const ERC20_ABI = require("../abis/IERC20.json");
+const PERMIT2_ABI = require("../abis/IPermit2.json");
+const { simulateAndSend } = require("./txSimulation");
+
+// Permit2 is deployed at the same address on every supported chain
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+// Permit2 allowances are uint160 amounts with a uint48 expiration
+const MAX_UINT160 = (1n << 160n) - 1n;
+const DEFAULT_EXPIRATION_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+// Signed permits only need to survive until the swap that carries them is mined
+const DEFAULT_SIG_DEADLINE_SECONDS = 60 * 30; // 30 minutes
+
+// EIP-712 types for Permit2's AllowanceTransfer.permit
+const PERMIT_SINGLE_TYPES = {
+  PermitSingle: [
+    { name: "details", type: "PermitDetails" },
+    { name: "spender", type: "address" },
+    { name: "sigDeadline", type: "uint256" },
+  ],
+  PermitDetails: [
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint160" },
+    { name: "expiration", type: "uint48" },
+    { name: "nonce", type: "uint48" },
+  ],
+};
+
+/**
+ * Get the Permit2 allowance a spender holds for an owner's token
+ * @param {ethers.Provider|ethers.Signer} runner - Provider or signer used for the read
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} ownerAddress - Token owner address
+ * @param {string} spenderAddress - Spender (router) address
+ * @returns {Promise<{amount: bigint, expiration: number, nonce: number}>}
+ */
+async function getPermit2Allowance(runner, tokenAddress, ownerAddress, spenderAddress) {
+  const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, runner);
+  const [amount, expiration, nonce] = await permit2.allowance(ownerAddress, tokenAddress, spenderAddress);
+
+  return {
+    amount: BigInt(amount),
+    expiration: Number(expiration),
+    nonce: Number(nonce),
+  };
+}
+
+/**
+ * Approve Permit2 to move the token if it can't already move `amount`
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - Token contract address
+ * @param {string|bigint} amount - Amount Permit2 needs to move
+ * @param {object} options - Optional parameters
+ * @param {string} options.mode - "exact" approves `amount`, "unlimited" a one-time MaxUint256 (default: unlimited)
+ * @returns {Promise<string|null>} Approval transaction hash, or null if already approved
+ */
+async function ensurePermit2TokenApproval(signer, tokenAddress, amount, options = {}) {
+  const { mode = "unlimited" } = options;
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const tokenAllowance = await token.allowance(owner, PERMIT2_ADDRESS);
+
+  if (BigInt(tokenAllowance) >= BigInt(amount)) {
+    return null;
+  }
+
+  console.log(`Approving ${tokenAddress} for Permit2 (${mode})...`);
+  const value = mode === "exact" ? amount : ethers.MaxUint256;
+  const approveTx = await simulateAndSend(token, "approve", [PERMIT2_ADDRESS, value], {}, "Permit2 token approval");
+  await approveTx.wait();
+  console.log(`Approval confirmed: ${approveTx.hash}`);
+  return approveTx.hash;
+}
+
+/**
+ * Make sure a spender can pull `amount` of a token through Permit2
+ * Sends up to two transactions: ERC20 approve(Permit2) and Permit2 approve(spender)
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender (router) address
+ * @param {string|bigint} amount - Amount the spender needs to pull
+ * @param {object} options - Optional parameters
+ * @param {number} options.expirationSeconds - Permit2 allowance lifetime (default: 30 days)
+ * @param {string} options.mode - "exact" grants only `amount` at both steps, "unlimited" the maximum (default: unlimited)
+ * @returns {Promise<{tokenApprovalHash: string|null, permit2ApprovalHash: string|null}>}
+ */
+async function ensurePermit2Allowance(signer, tokenAddress, spenderAddress, amount, options = {}) {
+  const { expirationSeconds = DEFAULT_EXPIRATION_SECONDS, mode = "unlimited" } = options;
+  const owner = await signer.getAddress();
+  const result = { tokenApprovalHash: null, permit2ApprovalHash: null };
+
+  // Step 1: token -> Permit2 (one-time when unlimited)
+  result.tokenApprovalHash = await ensurePermit2TokenApproval(signer, tokenAddress, amount, { mode });
+
+  // Step 2: Permit2 -> spender (amount + expiration)
+  const now = Math.floor(Date.now() / 1000);
+  const permit2Allowance = await getPermit2Allowance(signer, tokenAddress, owner, spenderAddress);
+
+  if (permit2Allowance.amount < BigInt(amount) || permit2Allowance.expiration <= now) {
+    console.log(`Granting Permit2 allowance to ${spenderAddress} (${mode})...`);
+    const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, signer);
+    const value = mode === "exact" ? BigInt(amount) : MAX_UINT160;
+    const approveTx = await simulateAndSend(
+      permit2,
+      "approve",
+      [tokenAddress, spenderAddress, value, now + expirationSeconds],
+      {},
+      "Permit2 allowance"
+    );
+    await approveTx.wait();
+    console.log(`Permit2 approval confirmed: ${approveTx.hash}`);
+    result.permit2ApprovalHash = approveTx.hash;
+  }
+
+  return result;
+}
+
+/**
+ * Sign a Permit2 PermitSingle granting a spender an allowance without an on-chain Permit2 approve
+ * The spender (e.g. Universal Router PERMIT2_PERMIT) submits the signature as part of the swap
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender (router) address
+ * @param {string|bigint} amount - Allowance to grant (capped at uint160)
+ * @param {object} options - Optional parameters
+ * @param {number} options.expirationSeconds - Allowance lifetime (default: 30 days)
+ * @param {number} options.sigDeadlineSeconds - Signature validity (default: 30 minutes)
+ * @returns {Promise<{permitSingle: object, signature: string}>}
+ */
+async function signPermitSingle(signer, tokenAddress, spenderAddress, amount, options = {}) {
+  const { expirationSeconds = DEFAULT_EXPIRATION_SECONDS, sigDeadlineSeconds = DEFAULT_SIG_DEADLINE_SECONDS } = options;
+  const owner = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const { nonce } = await getPermit2Allowance(signer, tokenAddress, owner, spenderAddress);
+
+  const now = Math.floor(Date.now() / 1000);
+  const permitSingle = {
+    details: {
+      token: tokenAddress,
+      amount: BigInt(amount) > MAX_UINT160 ? MAX_UINT160 : BigInt(amount),
+      expiration: now + expirationSeconds,
+      nonce,
+    },
+    spender: spenderAddress,
+    sigDeadline: now + sigDeadlineSeconds,
+  };
+
+  try {
+    const domain = { name: "Permit2", chainId, verifyingContract: PERMIT2_ADDRESS };
+    const signature = await signer.signTypedData(domain, PERMIT_SINGLE_TYPES, permitSingle);
+    return { permitSingle, signature };
+  } catch (error) {
+    throw new Error(`Permit2 signature failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  MAX_UINT160,
+  getPermit2Allowance,
+  ensurePermit2TokenApproval,
+  ensurePermit2Allowance,
+  signPermitSingle,
+};
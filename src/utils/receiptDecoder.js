@@ -0,0 +1,282 @@
+// Swap receipt decoding
+// Swap functions used to return the pre-trade quote; this reads what actually happened from the receipt logs:
+// the wallet's token transfers (so fee-on-transfer and refunds are reflected), WETH wraps/unwraps for native
+// ETH legs, and each venue's own swap event as a fallback and for per-pool detail
+const { ethers } = require("ethers");
+const { getWrappedNative, isNativeToken } = require("./native");
+const { getTokenInfo } = require("./tokenHelpers");
+
+// Events emitted during a swap, across tokens, WETH and every supported venue
+const SWAP_EVENTS = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Deposit(address indexed dst, uint256 wad)",
+  "event Withdrawal(address indexed src, uint256 wad)",
+  // Uniswap / SushiSwap V2 pair
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  // Uniswap / SushiSwap V3 pool (deltas from the pool's side: positive = paid in)
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+  // Uniswap V4 PoolManager (deltas from the swapper's side: negative = paid in)
+  "event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)",
+  // Balancer V2 Vault
+  "event Swap(bytes32 indexed poolId, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+  // Balancer V3 Vault
+  "event Swap(address indexed pool, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, uint256 swapFeePercentage, uint256 swapFeeAmount)",
+  // Curve stable (int128 indices), crypto (uint256 indices) and twocrypto/tricrypto-ng pools
+  "event TokenExchange(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)",
+  "event TokenExchange(address indexed buyer, uint256 sold_id, uint256 tokens_sold, uint256 bought_id, uint256 tokens_bought)",
+  "event TokenExchange(address indexed buyer, uint256 sold_id, uint256 tokens_sold, uint256 bought_id, uint256 tokens_bought, uint256 fee, uint256 packed_price_scale)",
+  "event TokenExchangeUnderlying(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)",
+]);
+
+const abs = value => (value < 0n ? -value : value);
+
+/**
+ * Normalize a venue swap event to {venue, pool, amountIn, amountOut}
+ * @param {ethers.LogDescription} parsed - Parsed log
+ * @param {object} log - Raw log
+ * @returns {object|null} Normalized swap, or null for non-swap events
+ */
+function normalizeSwapEvent(parsed, log) {
+  const { args } = parsed;
+
+  if (parsed.name === "TokenExchange" || parsed.name === "TokenExchangeUnderlying") {
+    return {
+      venue: "curve",
+      pool: log.address,
+      soldId: Number(args.sold_id),
+      boughtId: Number(args.bought_id),
+      amountIn: args.tokens_sold,
+      amountOut: args.tokens_bought,
+    };
+  }
+
+  if (parsed.name !== "Swap") {
+    return null;
+  }
+
+  switch (parsed.fragment.inputs.length) {
+    case 6:
+      return {
+        venue: "v2",
+        pool: log.address,
+        zeroForOne: args.amount0In > 0n,
+        amountIn: args.amount0In > 0n ? args.amount0In : args.amount1In,
+        amountOut: args.amount0Out > 0n ? args.amount0Out : args.amount1Out,
+      };
+    case 7:
+      if (parsed.fragment.inputs[0].name === "pool") {
+        return {
+          venue: "balancer-v3",
+          pool: args.pool,
+          tokenIn: args.tokenIn,
+          tokenOut: args.tokenOut,
+          amountIn: args.amountIn,
+          amountOut: args.amountOut,
+        };
+      }
+      return {
+        venue: "v3",
+        pool: log.address,
+        zeroForOne: args.amount0 > 0n,
+        amountIn: args.amount0 > 0n ? args.amount0 : args.amount1,
+        amountOut: abs(args.amount0 > 0n ? args.amount1 : args.amount0),
+      };
+    case 8:
+      return {
+        venue: "v4",
+        pool: args.id,
+        zeroForOne: args.amount0 < 0n,
+        amountIn: abs(args.amount0 < 0n ? args.amount0 : args.amount1),
+        amountOut: args.amount0 < 0n ? args.amount1 : args.amount0,
+      };
+    case 5:
+      return {
+        venue: "balancer-v2",
+        pool: args.poolId,
+        tokenIn: args.tokenIn,
+        tokenOut: args.tokenOut,
+        amountIn: args.amountIn,
+        amountOut: args.amountOut,
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse the swap-relevant logs in a receipt
+ * @param {object} receipt - Transaction receipt
+ * @returns {{transfers: object[], deposits: object[], withdrawals: object[], swaps: object[]}}
+ */
+function parseSwapLogs(receipt) {
+  const decoded = { transfers: [], deposits: [], withdrawals: [], swaps: [] };
+
+  for (const log of receipt?.logs || []) {
+    let parsed;
+    try {
+      parsed = SWAP_EVENTS.parseLog({ topics: [...log.topics], data: log.data });
+    } catch (error) {
+      continue;
+    }
+    if (!parsed) continue;
+
+    const token = log.address.toLowerCase();
+    if (parsed.name === "Transfer") {
+      decoded.transfers.push({ token, from: parsed.args.from, to: parsed.args.to, value: parsed.args.value });
+    } else if (parsed.name === "Deposit") {
+      decoded.deposits.push({ token, account: parsed.args.dst, value: parsed.args.wad });
+    } else if (parsed.name === "Withdrawal") {
+      decoded.withdrawals.push({ token, account: parsed.args.src, value: parsed.args.wad });
+    } else {
+      const swap = normalizeSwapEvent(parsed, log);
+      if (swap) decoded.swaps.push(swap);
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Sum transfers of a token matching a sender or receiver
+ * @returns {bigint}
+ */
+function sumTransfers(transfers, token, { from = null, to = null }) {
+  return transfers
+    .filter(
+      transfer =>
+        transfer.token === token.toLowerCase() &&
+        (!from || transfer.from.toLowerCase() === from.toLowerCase()) &&
+        (!to || transfer.to.toLowerCase() === to.toLowerCase())
+    )
+    .reduce((sum, transfer) => sum + transfer.value, 0n);
+}
+
+/**
+ * Token decimals, with 18 for native ETH; null if the token can't be read
+ * @returns {Promise<number|null>}
+ */
+async function getDecimals(chainKey, token) {
+  if (isNativeToken(token)) {
+    return 18;
+  }
+  try {
+    return (await getTokenInfo(chainKey, token)).decimals;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Output per unit of input, decimal-adjusted
+ * @returns {string|null} Price as a decimal string, or null if it can't be computed
+ */
+function computeEffectivePrice(amountIn, amountOut, decimalsIn, decimalsOut) {
+  if (amountIn === 0n || decimalsIn === null || decimalsOut === null) {
+    return null;
+  }
+  const scaled = (amountOut * 10n ** BigInt(decimalsIn) * 10n ** 18n) / (amountIn * 10n ** BigInt(decimalsOut));
+  return ethers.formatUnits(scaled, 18);
+}
+
+/**
+ * Decode the realized result of a swap from its receipt
+ * Amounts come from the account's token transfers (native ETH legs from WETH deposits/withdrawals),
+ * falling back to the first/last venue swap event. Slippage is measured on the side that floated and is
+ * positive when the fill was worse than quoted: less output for exact input, more input for exact output.
+ * A build-only placeholder receipt (no block) is reported as unrealized with the quoted amounts.
+ * @param {string} chainKey - Chain identifier
+ * @param {object} receipt - Transaction receipt
+ * @param {object} trade - What was traded
+ * @param {string} trade.tokenIn - Input token (NATIVE_TOKEN / ADDRESS_ZERO for native ETH)
+ * @param {string} trade.tokenOut - Output token (NATIVE_TOKEN / ADDRESS_ZERO for native ETH)
+ * @param {string} trade.account - Address that paid the input
+ * @param {string} trade.recipient - Address that received the output (default: account)
+ * @param {string} trade.amountIn - Exact input, or the quoted input for exact output swaps
+ * @param {string} trade.amountOut - Quoted output, or the exact output for exact output swaps
+ * @param {boolean} trade.exactOutput - Whether amountOut was fixed (default: false)
+ * @returns {Promise<{hash: string|null, blockNumber: number|null, realized: boolean, amountIn: string, amountOut: string,
+ *   quotedAmountIn: string, quotedAmountOut: string, effectivePrice: string|null, slippageBps: number|null,
+ *   gasUsed: string|null, gasPrice: string|null, gasPaid: string|null, swaps: object[]}>}
+ */
+async function decodeSwapReceipt(chainKey, receipt, trade) {
+  const { tokenIn, tokenOut, account, recipient = null, exactOutput = false } = trade;
+  const quotedAmountIn = BigInt(trade.amountIn);
+  const quotedAmountOut = BigInt(trade.amountOut);
+  const receiver = recipient || account;
+
+  const base = {
+    hash: receipt?.hash ?? null,
+    blockNumber: receipt?.blockNumber ?? null,
+    quotedAmountIn: quotedAmountIn.toString(),
+    quotedAmountOut: quotedAmountOut.toString(),
+  };
+
+  if (!receipt?.blockNumber) {
+    return {
+      ...base,
+      realized: false,
+      amountIn: base.quotedAmountIn,
+      amountOut: base.quotedAmountOut,
+      effectivePrice: null,
+      slippageBps: null,
+      gasUsed: null,
+      gasPrice: null,
+      gasPaid: null,
+      swaps: [],
+    };
+  }
+
+  const { transfers, deposits, withdrawals, swaps } = parseSwapLogs(receipt);
+  const weth = getWrappedNative(chainKey).toLowerCase();
+  const sumWeth = entries =>
+    entries.filter(entry => entry.token === weth).reduce((sum, entry) => sum + entry.value, 0n);
+  const firstSwap = swaps[0];
+  const lastSwap = swaps[swaps.length - 1];
+
+  let amountIn = isNativeToken(tokenIn)
+    ? sumWeth(deposits) || sumTransfers(transfers, weth, { from: account })
+    : sumTransfers(transfers, tokenIn, { from: account });
+  if (amountIn === 0n && firstSwap) {
+    amountIn = firstSwap.amountIn;
+  }
+
+  let amountOut = isNativeToken(tokenOut)
+    ? sumWeth(withdrawals) || sumTransfers(transfers, weth, { to: receiver })
+    : sumTransfers(transfers, tokenOut, { to: receiver });
+  if (amountOut === 0n && lastSwap) {
+    amountOut = lastSwap.amountOut;
+  }
+
+  let slippageBps = null;
+  if (exactOutput && quotedAmountIn > 0n) {
+    slippageBps = Number(((amountIn - quotedAmountIn) * 10000n) / quotedAmountIn);
+  } else if (!exactOutput && quotedAmountOut > 0n) {
+    slippageBps = Number(((quotedAmountOut - amountOut) * 10000n) / quotedAmountOut);
+  }
+
+  const [decimalsIn, decimalsOut] = await Promise.all([
+    getDecimals(chainKey, tokenIn),
+    getDecimals(chainKey, tokenOut),
+  ]);
+  const gasUsed = receipt.gasUsed ?? null;
+  const gasPrice = receipt.gasPrice ?? receipt.effectiveGasPrice ?? null;
+
+  return {
+    ...base,
+    realized: true,
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    effectivePrice: computeEffectivePrice(amountIn, amountOut, decimalsIn, decimalsOut),
+    slippageBps,
+    gasUsed: gasUsed === null ? null : gasUsed.toString(),
+    gasPrice: gasPrice === null ? null : gasPrice.toString(),
+    gasPaid: gasUsed === null || gasPrice === null ? null : (BigInt(gasUsed) * BigInt(gasPrice)).toString(),
+    swaps: swaps.map(swap => ({ ...swap, amountIn: swap.amountIn.toString(), amountOut: swap.amountOut.toString() })),
+  };
+}
+
+module.exports = {
+  SWAP_EVENTS,
+  parseSwapLogs,
+  decodeSwapReceipt,
+};
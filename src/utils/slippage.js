@@ -0,0 +1,315 @@
+// Slippage engine shared by every swap module
+// Limits are always derived from a fresh quote in the trade's own units (min-out in output token wei, max-in in
+// input token wei), never from the amount on the other side of the trade. The quote can optionally be checked
+// against an independent reference price (Uniswap V3 TWAP or Chainlink) and the trade refused when it falls
+// outside the oracle band
+const { ethers } = require("ethers");
+const { CHAINS } = require("../config/chains");
+const { getProvider } = require("./web3");
+const { validateChainKey, validateAddress, validateAmount, validateSlippage } = require("./validation");
+const { toWrappedToken } = require("./native");
+const ERC20_ABI = require("../abis/IERC20.json");
+
+// Oracle defaults (sample.env: ORACLE_SOURCE, ORACLE_BAND_BPS, ORACLE_TWAP_SECONDS)
+const ORACLE_SOURCES = ["none", "twap", "chainlink", "auto"];
+const DEFAULT_ORACLE_SOURCE = ORACLE_SOURCES.includes(process.env.ORACLE_SOURCE) ? process.env.ORACLE_SOURCE : "none";
+const DEFAULT_ORACLE_BAND_BPS = Number(process.env.ORACLE_BAND_BPS || 300);
+const ORACLE_TWAP_SECONDS = Number(process.env.ORACLE_TWAP_SECONDS || 1800);
+
+// Uniswap V3 fee tiers searched for a TWAP pool
+const TWAP_FEE_TIERS = [100, 500, 3000, 10000];
+
+// Chainlink answers older than this are ignored (stablecoin feeds only update every 24h)
+const CHAINLINK_MAX_AGE_SECONDS = 25 * 60 * 60;
+
+// Reference prices are reused for a short while so quoting several venues doesn't re-read the oracle
+const REFERENCE_CACHE_TTL_MS = 30000;
+const referenceCache = new Map();
+
+const V3_FACTORY_ABI = ["function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)"];
+const V3_POOL_ABI = [
+  "function token0() view returns (address)",
+  "function liquidity() view returns (uint128)",
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+];
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ * Minimum output for an exact-input swap
+ * @param {string|bigint} amountOut - Freshly quoted output (output token wei)
+ * @param {number} slippageBps - Slippage tolerance in basis points
+ * @returns {bigint} Minimum acceptable output
+ */
+function getAmountOutMin(amountOut, slippageBps) {
+  validateSlippage(slippageBps);
+  return (BigInt(amountOut) * BigInt(10000 - slippageBps)) / 10000n;
+}
+
+/**
+ * Maximum input for an exact-output swap, rounded up so the limit never undercuts the quote
+ * @param {string|bigint} amountIn - Freshly quoted input (input token wei)
+ * @param {number} slippageBps - Slippage tolerance in basis points
+ * @returns {bigint} Maximum input to spend
+ */
+function getAmountInMax(amountIn, slippageBps) {
+  validateSlippage(slippageBps);
+  return (BigInt(amountIn) * BigInt(10000 + slippageBps) + 9999n) / 10000n;
+}
+
+/**
+ * Reference rate from the deepest Uniswap V3 pool's time-weighted average tick
+ * @returns {Promise<{source: string, rate: number, detail: string}|null>} Output wei per input wei
+ */
+async function getTwapRate(chainKey, tokenIn, tokenOut) {
+  const factoryAddress = CHAINS[chainKey]?.uniswap?.v3?.factory;
+  if (!factoryAddress) {
+    return null;
+  }
+
+  const provider = getProvider(chainKey);
+  const factory = new ethers.Contract(factoryAddress, V3_FACTORY_ABI, provider);
+
+  const pools = await Promise.all(
+    TWAP_FEE_TIERS.map(async fee => {
+      try {
+        const address = await factory.getPool(tokenIn, tokenOut, fee);
+        if (address === ethers.ZeroAddress) {
+          return null;
+        }
+        const pool = new ethers.Contract(address, V3_POOL_ABI, provider);
+        return { address, fee, pool, liquidity: BigInt(await pool.liquidity()) };
+      } catch {
+        return null;
+      }
+    })
+  );
+
+  // Deepest pool first; pools without enough observation history revert on observe() and are skipped
+  const candidates = pools
+    .filter(pool => pool && pool.liquidity > 0n)
+    .sort((a, b) => (b.liquidity > a.liquidity ? 1 : b.liquidity < a.liquidity ? -1 : 0));
+
+  for (const candidate of candidates) {
+    try {
+      const [tickCumulatives] = await candidate.pool.observe([ORACLE_TWAP_SECONDS, 0]);
+      const delta = BigInt(tickCumulatives[1]) - BigInt(tickCumulatives[0]);
+      const window = BigInt(ORACLE_TWAP_SECONDS);
+
+      // Round toward negative infinity, as the V3 OracleLibrary does
+      let tick = delta / window;
+      if (delta < 0n && delta % window !== 0n) {
+        tick -= 1n;
+      }
+
+      // 1.0001^tick is token1 wei per token0 wei
+      const price = Math.pow(1.0001, Number(tick));
+      const token0 = await candidate.pool.token0();
+
+      return {
+        source: "twap",
+        rate: token0.toLowerCase() === tokenIn.toLowerCase() ? price : 1 / price,
+        detail: `Uniswap V3 ${candidate.fee / 10000}% pool ${candidate.address}, ${ORACLE_TWAP_SECONDS}s TWAP`,
+      };
+    } catch {
+      continue;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a Chainlink USD feed configured for a token
+ * @returns {Promise<number|null>} USD price, or null if there is no fresh answer
+ */
+async function readChainlinkPrice(chainKey, token) {
+  const feeds = CHAINS[chainKey]?.chainlink?.feeds || {};
+  const entry = Object.entries(feeds).find(([address]) => address.toLowerCase() === token.toLowerCase());
+  if (!entry) {
+    return null;
+  }
+
+  const feed = new ethers.Contract(entry[1], AGGREGATOR_ABI, getProvider(chainKey));
+  const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+
+  const age = Math.floor(Date.now() / 1000) - Number(round.updatedAt);
+  if (round.answer <= 0n || age > CHAINLINK_MAX_AGE_SECONDS) {
+    return null;
+  }
+
+  return Number(ethers.formatUnits(round.answer, decimals));
+}
+
+/**
+ * Reference rate from the two tokens' Chainlink USD feeds
+ * @returns {Promise<{source: string, rate: number, detail: string}|null>} Output wei per input wei
+ */
+async function getChainlinkRate(chainKey, tokenIn, tokenOut) {
+  const [priceIn, priceOut] = await Promise.all([
+    readChainlinkPrice(chainKey, tokenIn),
+    readChainlinkPrice(chainKey, tokenOut),
+  ]);
+  if (priceIn === null || priceOut === null) {
+    return null;
+  }
+
+  const provider = getProvider(chainKey);
+  const [decimalsIn, decimalsOut] = await Promise.all([
+    new ethers.Contract(tokenIn, ERC20_ABI, provider).decimals(),
+    new ethers.Contract(tokenOut, ERC20_ABI, provider).decimals(),
+  ]);
+
+  return {
+    source: "chainlink",
+    rate: (priceIn / priceOut) * Math.pow(10, Number(decimalsOut) - Number(decimalsIn)),
+    detail: `Chainlink USD feeds ($${priceIn} / $${priceOut})`,
+  };
+}
+
+/**
+ * Get an independent reference rate for a pair
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address (native token is priced as the wrapped token)
+ * @param {string} tokenOut - Output token address
+ * @param {string} source - "twap", "chainlink" or "auto" (Chainlink, then TWAP)
+ * @returns {Promise<{source: string, rate: number, detail: string}|null>} Output wei per input wei, or null
+ *   when the source has no price for the pair
+ */
+async function getReferenceRate(chainKey, tokenIn, tokenOut, source = "auto") {
+  validateChainKey(chainKey);
+  validateAddress(tokenIn, "tokenIn");
+  validateAddress(tokenOut, "tokenOut");
+  if (!ORACLE_SOURCES.includes(source) || source === "none") {
+    throw new Error(`Invalid oracle source: ${source}. Use one of: twap, chainlink, auto`);
+  }
+
+  const wrappedIn = toWrappedToken(chainKey, tokenIn);
+  const wrappedOut = toWrappedToken(chainKey, tokenOut);
+  const key = `${chainKey}:${source}:${wrappedIn.toLowerCase()}:${wrappedOut.toLowerCase()}`;
+
+  const cached = referenceCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < REFERENCE_CACHE_TTL_MS) {
+    return cached.reference;
+  }
+
+  let reference = null;
+  try {
+    if (source === "chainlink" || source === "auto") {
+      reference = await getChainlinkRate(chainKey, wrappedIn, wrappedOut);
+    }
+    if (!reference && (source === "twap" || source === "auto")) {
+      reference = await getTwapRate(chainKey, wrappedIn, wrappedOut);
+    }
+  } catch (error) {
+    throw new Error(`Reference price failed: ${error.message}`);
+  }
+
+  referenceCache.set(key, { reference, fetchedAt: Date.now() });
+  return reference;
+}
+
+/**
+ * Check a quote against the reference price
+ * The quoted rate includes pool fees and price impact, so the band has to leave room for both
+ * @param {string} chainKey - Chain identifier
+ * @param {object} quote - {tokenIn, tokenOut, amountIn, amountOut} in token wei
+ * @param {object} options - Oracle options
+ * @param {string} options.oracle - "none", "twap", "chainlink" or "auto" (default: ORACLE_SOURCE)
+ * @param {number} options.bandBps - Largest accepted deviation in basis points (default: ORACLE_BAND_BPS)
+ * @returns {Promise<{source: string, detail: string, deviationBps: number}|null>} Null when unchecked
+ * @throws {Error} If the quote deviates from the reference by more than the band
+ */
+async function checkOracleBand(chainKey, quote, options = {}) {
+  const { oracle = DEFAULT_ORACLE_SOURCE, bandBps = DEFAULT_ORACLE_BAND_BPS } = options;
+
+  if (!oracle || oracle === "none") {
+    return null;
+  }
+  if (!Number.isFinite(bandBps) || bandBps <= 0) {
+    throw new Error(`Invalid oracle band: ${bandBps}. Must be a positive number of basis points`);
+  }
+
+  const reference = await getReferenceRate(chainKey, quote.tokenIn, quote.tokenOut, oracle);
+  if (!reference) {
+    console.log(`No ${oracle} reference price for ${quote.tokenIn} -> ${quote.tokenOut}; oracle check skipped`);
+    return null;
+  }
+
+  const quotedRate = Number(quote.amountOut) / Number(quote.amountIn);
+  const deviationBps = Math.round((Math.abs(quotedRate - reference.rate) / reference.rate) * 10000);
+
+  if (deviationBps > bandBps) {
+    throw new Error(
+      `Quote deviates ${deviationBps} bps from the ${reference.source} reference price ` +
+        `(band ${bandBps} bps, ${reference.detail})`
+    );
+  }
+
+  console.log(`Oracle check: quote within ${deviationBps} bps of ${reference.detail}`);
+  return { source: reference.source, detail: reference.detail, deviationBps };
+}
+
+/**
+ * Derive swap limits from a fresh quote, after checking it against the oracle band
+ * Exact input swaps get amountOutMin below the quoted output; exact output swaps get amountInMax above the
+ * quoted input. The other side of the trade is passed through unchanged. A caller's hard floor (options.minAmountOut)
+ * is never undercut: amountOutMin is the higher of the floor and the slippage bound, so a fresh quote below the
+ * floor gives a swap that reverts in simulation rather than one that fills under it.
+ * @param {string} chainKey - Chain identifier
+ * @param {object} quote - Fresh quote
+ * @param {string} quote.tokenIn - Input token address
+ * @param {string} quote.tokenOut - Output token address
+ * @param {string|bigint} quote.amountIn - Input amount (wei)
+ * @param {string|bigint} quote.amountOut - Output amount (wei)
+ * @param {boolean} quote.exactOutput - Whether amountOut is fixed and amountIn quoted (default: false)
+ * @param {number} slippageBps - Slippage tolerance in basis points
+ * @param {object} options - Oracle options (see checkOracleBand)
+ * @param {string|bigint} options.minAmountOut - Hard floor on an exact input swap's output (default: none)
+ * @returns {Promise<{amountOutMin: bigint, amountInMax: bigint, oracle: object|null}>}
+ */
+async function getSwapLimits(chainKey, quote, slippageBps, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(quote?.tokenIn, "tokenIn");
+  validateAddress(quote?.tokenOut, "tokenOut");
+  validateAmount(quote.amountIn, "amountIn");
+  validateAmount(quote.amountOut, "amountOut");
+  validateSlippage(slippageBps);
+
+  const { minAmountOut = null } = options;
+  if (minAmountOut !== null) {
+    validateAmount(minAmountOut, "minAmountOut");
+  }
+
+  const oracle = await checkOracleBand(chainKey, quote, options);
+
+  if (quote.exactOutput) {
+    return {
+      amountOutMin: BigInt(quote.amountOut),
+      amountInMax: getAmountInMax(quote.amountIn, slippageBps),
+      oracle,
+    };
+  }
+
+  const amountOutMin = getAmountOutMin(quote.amountOut, slippageBps);
+  const floor = minAmountOut === null ? 0n : BigInt(minAmountOut);
+
+  return {
+    amountOutMin: amountOutMin > floor ? amountOutMin : floor,
+    amountInMax: BigInt(quote.amountIn),
+    oracle,
+  };
+}
+
+module.exports = {
+  ORACLE_SOURCES,
+  DEFAULT_ORACLE_SOURCE,
+  DEFAULT_ORACLE_BAND_BPS,
+  getAmountOutMin,
+  getAmountInMax,
+  getReferenceRate,
+  checkOracleBand,
+  getSwapLimits,
+};
@@ -0,0 +1,44 @@
+// JSON state files for long-running order executors
+// Written to a temporary file and renamed into place, so a process killed mid-write leaves the previous state intact
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read a JSON state file
+ * @param {string} filePath - State file path
+ * @param {*} fallback - Returned when the file doesn't exist yet (default: null)
+ * @returns {*} Parsed state
+ */
+function readState(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read state file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON state file atomically
+ * @param {string} filePath - State file path (directories are created as needed)
+ * @param {*} state - JSON-serializable state; bigints are written as strings
+ */
+function writeState(filePath, state) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const json = JSON.stringify(state, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, json + "\n");
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  readState,
+  writeState,
+};
@@ -0,0 +1,234 @@
+// Transaction submission channels
+// Swaps go to the public mempool by default, where they are easy sandwich targets. A submission channel
+// decides how a signed transaction reaches a block builder: the wallet's RPC (public mempool) or a private
+// relay speaking the Flashbots JSON-RPC shape (eth_sendPrivateTransaction / eth_sendBundle)
+const { ethers } = require("ethers");
+const { getSigner, createSignerProxy } = require("./web3");
+const { validateChainKey, validateWallet } = require("./validation");
+const { isTxBuilder } = require("./txBuilder");
+const { isTxManager } = require("./txManager");
+
+// Relay defaults (sample.env: RELAY_URL, RELAY_METHOD, RELAY_AUTH_KEY, RELAY_MAX_BLOCKS)
+const RELAY_METHODS = ["eth_sendPrivateTransaction", "eth_sendBundle"];
+const DEFAULT_RELAY_METHOD = RELAY_METHODS.includes(process.env.RELAY_METHOD)
+  ? process.env.RELAY_METHOD
+  : "eth_sendPrivateTransaction";
+const RELAY_MAX_BLOCKS = Number(process.env.RELAY_MAX_BLOCKS || 25);
+
+// How often a privately submitted transaction is looked for on chain
+const INCLUSION_POLL_MS = 2000;
+
+/**
+ * Public mempool channel: the wallet sends through its own RPC
+ * @returns {{name: string, send: function}} Submission channel
+ */
+function createRpcChannel() {
+  return {
+    name: "rpc",
+    send: async (signer, tx) => await signer.sendTransaction(tx),
+  };
+}
+
+/**
+ * Post a JSON-RPC request to a relay
+ * The body is signed with the auth key in the X-Flashbots-Signature header; relays that don't
+ * use searcher reputation ignore it
+ * @param {string} url - Relay endpoint
+ * @param {ethers.Wallet} authSigner - Key identifying the sender to the relay
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {Promise<*>} JSON-RPC result
+ */
+async function relayRequest(url, authSigner, method, params) {
+  const body = JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+  const signature = await authSigner.signMessage(ethers.id(body));
+
+  const request = new ethers.FetchRequest(url);
+  request.method = "POST";
+  request.body = body;
+  request.setHeader("content-type", "application/json");
+  request.setHeader("X-Flashbots-Signature", `${authSigner.address}:${signature}`);
+
+  const response = await request.send();
+  response.assertOk();
+
+  const payload = response.bodyJson;
+  if (payload.error) {
+    throw new Error(`${method}: ${payload.error.message || JSON.stringify(payload.error)}`);
+  }
+  return payload.result;
+}
+
+/**
+ * Wait for a privately submitted transaction to be mined
+ * Private transactions never show up in the public mempool, so inclusion is polled by receipt until the
+ * relay's last eligible block has passed
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {string} hash - Transaction hash
+ * @param {number} maxBlockNumber - Last block the relay will include it in
+ * @param {number} confirms - Confirmations to wait for
+ * @returns {Promise<ethers.TransactionReceipt>}
+ * @throws {Error} If the transaction is not included by maxBlockNumber or reverts
+ */
+async function waitForInclusion(provider, hash, maxBlockNumber, confirms) {
+  for (;;) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) {
+      if (receipt.status === 0) {
+        throw new Error(`Transaction ${hash} reverted`);
+      }
+      if (confirms > 1) {
+        await provider.waitForTransaction(hash, confirms);
+      }
+      return receipt;
+    }
+
+    if ((await provider.getBlockNumber()) > maxBlockNumber) {
+      throw new Error(`Transaction ${hash} not included by block ${maxBlockNumber}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, INCLUSION_POLL_MS));
+  }
+}
+
+/**
+ * Private relay channel: the transaction is signed locally and handed to a relay, never the public mempool
+ * eth_sendPrivateTransaction gives the relay until maxBlockNumber to include it; eth_sendBundle submits a
+ * one-transaction bundle for each of the next maxBlocks blocks. The wallet must be able to sign raw
+ * transactions (a private key wallet, not an RPC-managed account).
+ * @param {object} options - Relay options
+ * @param {string} options.url - Relay endpoint (default: RELAY_URL)
+ * @param {string} options.method - eth_sendPrivateTransaction or eth_sendBundle (default: RELAY_METHOD)
+ * @param {ethers.Wallet} options.authSigner - Relay reputation key (default: RELAY_AUTH_KEY, else a throwaway key)
+ * @param {number} options.maxBlocks - Blocks the relay may take to include it (default: RELAY_MAX_BLOCKS)
+ * @returns {{name: string, url: string, method: string, send: function}} Submission channel
+ */
+function createRelayChannel(options = {}) {
+  const {
+    url = process.env.RELAY_URL,
+    method = DEFAULT_RELAY_METHOD,
+    authSigner = process.env.RELAY_AUTH_KEY
+      ? new ethers.Wallet(process.env.RELAY_AUTH_KEY)
+      : ethers.Wallet.createRandom(),
+    maxBlocks = RELAY_MAX_BLOCKS,
+  } = options;
+
+  if (!url) {
+    throw new Error("Relay URL not configured (set RELAY_URL or pass url)");
+  }
+  if (!RELAY_METHODS.includes(method)) {
+    throw new Error(`Invalid relay method: ${method}. Use one of: ${RELAY_METHODS.join(", ")}`);
+  }
+
+  /**
+   * Sign a transaction and submit it to the relay
+   * @param {ethers.Signer} signer - Signer able to sign raw transactions
+   * @param {object} tx - Transaction request
+   * @returns {Promise<object>} Response with hash, maxBlockNumber and wait(confirms)
+   */
+  async function send(signer, tx) {
+    const provider = signer.provider;
+
+    let rawTx;
+    try {
+      rawTx = await signer.signTransaction(await signer.populateTransaction(tx));
+    } catch (error) {
+      throw new Error(`Relay submission needs a wallet that can sign transactions: ${error.message}`);
+    }
+
+    const signed = ethers.Transaction.from(rawTx);
+    const blockNumber = await provider.getBlockNumber();
+    const maxBlockNumber = blockNumber + maxBlocks;
+
+    try {
+      if (method === "eth_sendBundle") {
+        const targets = Array.from({ length: maxBlocks }, (_, idx) => blockNumber + 1 + idx);
+        await Promise.all(
+          targets.map(target =>
+            relayRequest(url, authSigner, method, [{ txs: [rawTx], blockNumber: ethers.toQuantity(target) }])
+          )
+        );
+      } else {
+        await relayRequest(url, authSigner, method, [{ tx: rawTx, maxBlockNumber: ethers.toQuantity(maxBlockNumber) }]);
+      }
+    } catch (error) {
+      throw new Error(`Relay submission failed: ${error.message}`);
+    }
+
+    console.log(`Submitted ${signed.hash} to relay ${url} via ${method} (until block ${maxBlockNumber})`);
+
+    return {
+      hash: signed.hash,
+      from: signed.from,
+      to: signed.to,
+      nonce: signed.nonce,
+      data: signed.data,
+      value: signed.value,
+      gasLimit: signed.gasLimit,
+      channel: "relay",
+      maxBlockNumber,
+      wait: async (confirms = 1) => await waitForInclusion(provider, signed.hash, maxBlockNumber, confirms),
+    };
+  }
+
+  return { name: "relay", url, method, send };
+}
+
+/**
+ * Resolve a per-call submission option to a channel
+ * @param {string|object} channel - "rpc", "relay" (configured from env) or a channel object
+ * @returns {{name: string, send: function}} Submission channel
+ */
+function resolveChannel(channel) {
+  if (channel && typeof channel === "object") {
+    if (typeof channel.send !== "function") {
+      throw new Error("Submission channel must have a send(signer, tx) function");
+    }
+    return channel;
+  }
+  if (channel === "rpc") {
+    return createRpcChannel();
+  }
+  if (channel === "relay") {
+    return createRelayChannel();
+  }
+  throw new Error(`Unknown submission channel: ${channel}. Use "rpc", "relay" or a channel object`);
+}
+
+/**
+ * Wrap a wallet so every transaction it sends goes through a submission channel
+ * Pass the result anywhere a wallet is expected (per-protocol swap functions included); reads, simulation
+ * and permit signatures still use the wallet and its provider. A transaction manager (utils/txManager) keeps
+ * assigning nonces and fees and replacing stuck transactions; the channel signs with the wallet it wraps
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet for signing
+ * @param {string|object} channel - "rpc", "relay" or a channel object (see createRelayChannel)
+ * @returns {ethers.VoidSigner} Signer sending through the channel
+ */
+function withSubmissionChannel(chainKey, wallet, channel) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  // Build-only signers record transactions instead of sending them
+  if (isTxBuilder(wallet)) {
+    return wallet;
+  }
+
+  const resolved = resolveChannel(channel);
+  const signer = getSigner(chainKey, wallet);
+  const routed = createSignerProxy(signer.address, signer.provider, signer);
+
+  routed.submissionChannel = resolved.name;
+  routed.sendTransaction = isTxManager(signer)
+    ? async tx => await signer.sendTransaction(tx, resolved)
+    : async tx => await resolved.send(signer, tx);
+
+  return routed;
+}
+
+module.exports = {
+  RELAY_METHODS,
+  createRpcChannel,
+  createRelayChannel,
+  withSubmissionChannel,
+};
@@ -0,0 +1,326 @@
+// Token transfer behavior: fee-on-transfer and rebasing tokens
+// Some tokens deliver less than the amount transferred - a tax skimmed on transfer, or a wei or two lost to
+// share rounding in rebasing tokens like stETH. Swaps need to know, so they can route fee-on-transfer tokens
+// through the router's ...SupportingFeeOnTransferTokens methods and set minimum outputs on what actually
+// arrives. Behavior is measured with a simulated transfer on a fork and kept in a per-token metadata cache
+const { ethers } = require("ethers");
+const { CHAINS, COMMON_TOKENS } = require("../config/chains");
+const { getProvider } = require("./web3");
+const { isNativeToken } = require("./native");
+const { detectFork, snapshotFork, revertFork } = require("./forkDetection");
+const { impersonateAccount, stopImpersonating } = require("./impersonate");
+const { validateChainKey, validateAddress } = require("./validation");
+const ERC20_ABI = require("../abis/IERC20.json");
+
+const TOKEN_BEHAVIORS = {
+  STANDARD: "standard",
+  FEE_ON_TRANSFER: "fee-on-transfer",
+  REBASING: "rebasing",
+};
+
+// Share-based rebasing tokens lose at most this many wei per transfer to rounding; more is a transfer tax
+const MAX_ROUNDING_WEI = 2n;
+
+// Tokens whose behavior is known up front (live chains can't run the transfer simulation)
+const KNOWN_TOKEN_BEHAVIORS = {
+  ethereum: {
+    // Lido stETH (Curve steth pool): balances are shares x pooled ETH, transfers round down 1-2 wei
+    "0xae7ab96520de3a18e5e111b5eaab095312d7fe84": { behavior: TOKEN_BEHAVIORS.REBASING, roundingWei: 2 },
+  },
+};
+
+// Probe transfer size as a fraction of the holder's balance
+const PROBE_DIVISOR = 1000n;
+
+const V2_FACTORY_ABI = ["function getPair(address tokenA, address tokenB) view returns (address pair)"];
+
+// Token metadata by chain and address: {address, behavior, buyTaxBps, sellTaxBps, roundingWei, source, updatedAt}
+const tokenMetadataCache = new Map();
+
+/**
+ * Cache key for a token
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address
+ * @returns {string}
+ */
+function cacheKey(chainKey, tokenAddress) {
+  return `${chainKey}:${tokenAddress.toLowerCase()}`;
+}
+
+/**
+ * Record a token's transfer behavior in the metadata cache
+ * Use it to declare tokens the transfer simulation can't reach (live chains, tokens without a V2 pool)
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address
+ * @param {object} metadata - {behavior, buyTaxBps, sellTaxBps, roundingWei, source}
+ * @returns {object} Cached metadata
+ */
+function recordTokenBehavior(chainKey, tokenAddress, metadata) {
+  validateChainKey(chainKey);
+  validateAddress(tokenAddress, "tokenAddress");
+
+  const { behavior = TOKEN_BEHAVIORS.STANDARD, buyTaxBps = 0, sellTaxBps = 0, roundingWei = 0 } = metadata;
+  if (!Object.values(TOKEN_BEHAVIORS).includes(behavior)) {
+    throw new Error(`Invalid token behavior: ${behavior}. Use one of: ${Object.values(TOKEN_BEHAVIORS).join(", ")}`);
+  }
+
+  const entry = {
+    address: tokenAddress,
+    behavior,
+    buyTaxBps,
+    sellTaxBps,
+    roundingWei,
+    source: metadata.source || "manual",
+    updatedAt: Date.now(),
+  };
+  tokenMetadataCache.set(cacheKey(chainKey, tokenAddress), entry);
+  return entry;
+}
+
+/**
+ * Find an account holding a token for the probe transfer: its Uniswap V2 pool against the wrapped native
+ * token or USDC. Transfers out of and into a pool are exactly a buy and a sell, so pool-specific taxes show up
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address
+ * @returns {Promise<string>} Holder address
+ */
+async function findPoolHolder(chainKey, tokenAddress) {
+  const factoryAddress = CHAINS[chainKey].uniswap?.v2?.factory;
+  if (!factoryAddress) {
+    throw new Error(`Uniswap V2 not available on ${chainKey}; pass a holder`);
+  }
+
+  const factory = new ethers.Contract(factoryAddress, V2_FACTORY_ABI, getProvider(chainKey));
+  const quoteTokens = [CHAINS[chainKey].wrappedNative, COMMON_TOKENS.USDC?.[chainKey]].filter(Boolean);
+
+  for (const quoteToken of quoteTokens) {
+    if (quoteToken.toLowerCase() === tokenAddress.toLowerCase()) {
+      continue;
+    }
+    const pair = await factory.getPair(tokenAddress, quoteToken);
+    if (pair !== ethers.ZeroAddress) {
+      return pair;
+    }
+  }
+
+  throw new Error(`No Uniswap V2 pool holds ${tokenAddress}; pass a holder`);
+}
+
+/**
+ * Transfer tokens from an impersonated account and measure what moved
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Contract} token - Token contract
+ * @param {string} from - Sender (impersonated)
+ * @param {string} to - Receiver
+ * @param {bigint} amount - Amount to transfer
+ * @returns {Promise<{sent: bigint, debited: bigint, received: bigint}>}
+ */
+async function measureTransfer(chainKey, token, from, to, amount) {
+  const signer = await impersonateAccount(from, chainKey);
+
+  try {
+    const [fromBefore, toBefore] = await Promise.all([token.balanceOf(from), token.balanceOf(to)]);
+    const tx = await token.connect(signer).transfer(to, amount);
+    await tx.wait();
+    const [fromAfter, toAfter] = await Promise.all([token.balanceOf(from), token.balanceOf(to)]);
+
+    return { sent: amount, debited: fromBefore - fromAfter, received: toAfter - toBefore };
+  } finally {
+    await stopImpersonating(from, chainKey);
+  }
+}
+
+/**
+ * Shortfall of a transfer in basis points of the amount sent, rounded up
+ * @param {{sent: bigint, received: bigint}} transfer - Measured transfer
+ * @returns {number} Basis points
+ */
+function shortfallBps(transfer) {
+  const shortfall = transfer.sent - transfer.received;
+  if (shortfall <= 0n) {
+    return 0;
+  }
+  return Number((shortfall * 10000n + transfer.sent - 1n) / transfer.sent);
+}
+
+/**
+ * Detect a token's transfer behavior with a simulated transfer on a fork
+ * A pool holding the token sends a probe amount to a fresh account (buy) and the account sends what it got
+ * back (sell); the fork is reverted afterwards. Shortfalls of a couple of wei are share rounding (rebasing),
+ * larger ones a transfer tax. The result is recorded in the metadata cache.
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address
+ * @param {object} options - Optional parameters
+ * @param {string} options.holder - Account to send the probe from (default: the token's V2 pool)
+ * @param {string} options.probeAmount - Probe size in wei (default: 0.1% of the holder's balance)
+ * @returns {Promise<object>} Token metadata (see recordTokenBehavior)
+ */
+async function detectTokenBehavior(chainKey, tokenAddress, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(tokenAddress, "tokenAddress");
+
+  const { isFork } = await detectFork(chainKey);
+  if (!isFork) {
+    throw new Error("Transfer simulation only works on forked networks");
+  }
+
+  const holder = options.holder || (await findPoolHolder(chainKey, tokenAddress));
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(chainKey));
+  const account = ethers.Wallet.createRandom().address;
+
+  let buy;
+  let sell;
+  const snapshotId = await snapshotFork(chainKey);
+  try {
+    const holderBalance = await token.balanceOf(holder);
+    if (holderBalance === 0n) {
+      throw new Error(`Holder ${holder} has no balance`);
+    }
+    const probeAmount = options.probeAmount ? BigInt(options.probeAmount) : holderBalance / PROBE_DIVISOR || 1n;
+
+    buy = await measureTransfer(chainKey, token, holder, account, probeAmount);
+    sell = await measureTransfer(chainKey, token, account, holder, buy.received);
+  } catch (error) {
+    throw new Error(`Transfer simulation failed: ${error.message}`);
+  } finally {
+    await revertFork(chainKey, snapshotId);
+  }
+
+  const maxShortfall = [buy, sell].reduce((max, t) => (t.sent - t.received > max ? t.sent - t.received : max), 0n);
+
+  let behavior = TOKEN_BEHAVIORS.STANDARD;
+  if (maxShortfall > MAX_ROUNDING_WEI) {
+    behavior = TOKEN_BEHAVIORS.FEE_ON_TRANSFER;
+  } else if (maxShortfall > 0n || buy.debited !== buy.sent || sell.debited !== sell.sent) {
+    behavior = TOKEN_BEHAVIORS.REBASING;
+  }
+
+  const entry = recordTokenBehavior(chainKey, tokenAddress, {
+    behavior,
+    buyTaxBps: behavior === TOKEN_BEHAVIORS.FEE_ON_TRANSFER ? shortfallBps(buy) : 0,
+    sellTaxBps: behavior === TOKEN_BEHAVIORS.FEE_ON_TRANSFER ? shortfallBps(sell) : 0,
+    roundingWei: behavior === TOKEN_BEHAVIORS.REBASING ? Number(MAX_ROUNDING_WEI) : 0,
+    source: "fork-transfer",
+  });
+
+  console.log(
+    `Token ${tokenAddress}: ${behavior}` +
+      (behavior === TOKEN_BEHAVIORS.FEE_ON_TRANSFER
+        ? ` (buy tax ${entry.buyTaxBps} bps, sell tax ${entry.sellTaxBps} bps)`
+        : "")
+  );
+  return entry;
+}
+
+/**
+ * Get a token's transfer behavior: cached, known, detected on a fork, or assumed standard
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address (NATIVE_TOKEN is always standard)
+ * @returns {Promise<object>} Token metadata (see recordTokenBehavior)
+ */
+async function getTokenBehavior(chainKey, tokenAddress) {
+  if (isNativeToken(tokenAddress)) {
+    return { address: tokenAddress, behavior: TOKEN_BEHAVIORS.STANDARD, buyTaxBps: 0, sellTaxBps: 0, roundingWei: 0 };
+  }
+
+  const cached = tokenMetadataCache.get(cacheKey(chainKey, tokenAddress));
+  if (cached) {
+    return cached;
+  }
+
+  const known = KNOWN_TOKEN_BEHAVIORS[chainKey]?.[tokenAddress.toLowerCase()];
+  if (known) {
+    return recordTokenBehavior(chainKey, tokenAddress, { ...known, source: "known" });
+  }
+
+  const { isFork } = await detectFork(chainKey);
+  if (isFork) {
+    try {
+      return await detectTokenBehavior(chainKey, tokenAddress);
+    } catch (error) {
+      console.log(`Could not detect transfer behavior of ${tokenAddress}: ${error.message}`);
+    }
+  }
+
+  return recordTokenBehavior(chainKey, tokenAddress, { behavior: TOKEN_BEHAVIORS.STANDARD, source: "assumed" });
+}
+
+/**
+ * Transfer adjustments for a swap between two tokens
+ * The pool receives the input minus the input token's sell tax; the recipient keeps the output minus the
+ * output token's buy tax and rounding. Tokens are looked up one at a time so fork detections don't overlap.
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @returns {Promise<{feeOnTransfer: boolean, inTaxBps: number, outTaxBps: number, outRoundingWei: bigint, tokenIn: object, tokenOut: object}>}
+ */
+async function getTransferAdjustments(chainKey, tokenIn, tokenOut) {
+  const inMeta = await getTokenBehavior(chainKey, tokenIn);
+  const outMeta = await getTokenBehavior(chainKey, tokenOut);
+
+  return {
+    feeOnTransfer: [inMeta, outMeta].some(meta => meta.behavior === TOKEN_BEHAVIORS.FEE_ON_TRANSFER),
+    inTaxBps: inMeta.sellTaxBps,
+    outTaxBps: outMeta.buyTaxBps,
+    outRoundingWei: BigInt(outMeta.roundingWei),
+    tokenIn: inMeta,
+    tokenOut: outMeta,
+  };
+}
+
+/**
+ * Amount left after a transfer tax
+ * @param {string|bigint} amount - Amount sent
+ * @param {number} taxBps - Tax in basis points
+ * @returns {bigint} Amount received
+ */
+function applyTransferTax(amount, taxBps) {
+  return (BigInt(amount) * BigInt(10000 - taxBps)) / 10000n;
+}
+
+/**
+ * Output the recipient actually keeps for a quoted pool output
+ * @param {string|bigint} amountOut - Pool output
+ * @param {object} adjustments - From getTransferAdjustments
+ * @returns {bigint} Delivered output
+ */
+function getDeliveredAmount(amountOut, adjustments) {
+  const delivered = applyTransferTax(amountOut, adjustments.outTaxBps) - adjustments.outRoundingWei;
+  return delivered > 0n ? delivered : 0n;
+}
+
+/**
+ * Trim an input amount to the owner's balance when rebasing rounding left it a wei or two short
+ * Amounts carried over from an earlier transfer (a previous hop's output, a Transfer event) overstate what
+ * arrived by that rounding, and spending them would revert
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Input token address
+ * @param {string} owner - Account spending the token
+ * @param {string} amount - Requested input
+ * @param {object} metadata - The token's metadata (see getTokenBehavior)
+ * @returns {Promise<string>} Amount to spend
+ */
+async function clampToRebasingBalance(chainKey, tokenAddress, owner, amount, metadata) {
+  if (metadata.behavior !== TOKEN_BEHAVIORS.REBASING) {
+    return amount.toString();
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(chainKey));
+  const shortfall = BigInt(amount) - BigInt(await token.balanceOf(owner));
+  if (shortfall > 0n && shortfall <= BigInt(metadata.roundingWei)) {
+    console.log(`Spending ${shortfall} wei less ${tokenAddress} to match the rebased balance`);
+    return (BigInt(amount) - shortfall).toString();
+  }
+  return amount.toString();
+}
+
+module.exports = {
+  TOKEN_BEHAVIORS,
+  recordTokenBehavior,
+  detectTokenBehavior,
+  getTokenBehavior,
+  getTransferAdjustments,
+  applyTransferTax,
+  getDeliveredAmount,
+  clampToRebasingBalance,
+};
@@ -3,6 +3,8 @@
 const { ethers } = require("ethers");
 const { CHAINS } = require("../config/chains");
 const { getProvider } = require("./web3");
+const { SPENDER_SUPPORT, APPROVAL_MECHANISMS, resolveApprovalMechanism } = require("./approvals");
+const { isNativeToken } = require("./native");
 const ERC20_ABI = require("../abis/IERC20.json");
 
 /**
@@ -81,19 +83,36 @@ async function checkSufficientBalance(chainKey, tokenAddress, walletAddress, req
 }
 
 /**
- * Check if approval is needed for a swap
+ * Check if approval is needed for a swap, and which mechanism will provide it
+ * mechanism is "none" (allowance already covers the swap), "eip2612" (permit signed into the swap),
+ * "permit2" (Permit2 signature) or "approve" (separate approve transaction)
  * @param {string} chainKey - Chain identifier
  * @param {string} tokenAddress - Token to check
  * @param {string} ownerAddress - Token owner
  * @param {string} spenderAddress - Spender (router)
  * @param {string} requiredAmount - Required amount in wei
- * @returns {Promise<{needsApproval: boolean, currentAllowance: string, required: string}>}
+ * @param {string} support - Spender capability from SPENDER_SUPPORT (default: erc20)
+ * @returns {Promise<{needsApproval: boolean, mechanism: string, needsApprovalTx: boolean, currentAllowance: string, required: string}>}
  */
-async function checkNeedsApproval(chainKey, tokenAddress, ownerAddress, spenderAddress, requiredAmount) {
-  const allowanceInfo = await getTokenAllowance(chainKey, tokenAddress, ownerAddress, spenderAddress);
+async function checkNeedsApproval(
+  chainKey,
+  tokenAddress,
+  ownerAddress,
+  spenderAddress,
+  requiredAmount,
+  support = SPENDER_SUPPORT.ERC20
+) {
+  const provider = getProvider(chainKey);
+  const [allowanceInfo, resolved] = await Promise.all([
+    getTokenAllowance(chainKey, tokenAddress, ownerAddress, spenderAddress),
+    resolveApprovalMechanism(provider, tokenAddress, ownerAddress, spenderAddress, requiredAmount, support),
+  ]);
 
   return {
     needsApproval: BigInt(allowanceInfo.allowance) < BigInt(requiredAmount),
+    mechanism: resolved.mechanism,
+    // Permits are signed off-chain; only approve (or the one-time Permit2 token approval) costs a transaction
+    needsApprovalTx: resolved.mechanism === APPROVAL_MECHANISMS.APPROVE || resolved.permit2TokenApproval,
     currentAllowance: allowanceInfo.allowance,
     required: requiredAmount,
     isUnlimited: allowanceInfo.isUnlimited,
@@ -125,6 +144,19 @@ async function getTokenInfo(chainKey, tokenAddress) {
   }
 }
 
+/**
+ * Get token decimals, treating the native token sentinel as 18 decimals
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token contract address or NATIVE_TOKEN
+ * @returns {Promise<number>} Decimals
+ */
+async function getTokenDecimals(chainKey, tokenAddress) {
+  if (isNativeToken(tokenAddress)) {
+    return 18;
+  }
+  return (await getTokenInfo(chainKey, tokenAddress)).decimals;
+}
+
 /**
  * Get native token (ETH) balance
  * @param {string} chainKey - Chain identifier
@@ -213,6 +245,7 @@ module.exports = {
   checkSufficientBalance,
   checkNeedsApproval,
   getTokenInfo,
+  getTokenDecimals,
   getNativeBalance,
   preFlightCheck,
   formatTokenAmount,
@@ -0,0 +1,453 @@
+// Token safety scanner
+// Before routing into an arbitrary token address, check it for the usual traps: honeypots that can be bought
+// but not sold, heavy transfer taxes, upgradeable code, owner-controlled blacklist/pause/mint/fee switches and
+// supply held by a few wallets. The result is a risk report swaps can be configured to refuse on
+const { ethers } = require("ethers");
+const { CHAINS, COMMON_TOKENS } = require("../config/chains");
+const { getProvider } = require("./web3");
+const { isNativeToken } = require("./native");
+const { detectFork, snapshotFork, revertFork } = require("./forkDetection");
+const { impersonateAccount, stopImpersonating } = require("./impersonate");
+const { TOKEN_BEHAVIORS, recordTokenBehavior } = require("./tokenBehavior");
+const { validateChainKey, validateAddress } = require("./validation");
+const V2_ROUTER_ABI = require("../abis/IUniswapV2Router02.json");
+
+const RISK_LEVELS = ["low", "medium", "high"];
+
+// Swaps refuse tokens above this risk (sample.env: TOKEN_SAFETY_MAX_RISK); unset skips the scan
+const DEFAULT_MAX_TOKEN_RISK = RISK_LEVELS.includes(process.env.TOKEN_SAFETY_MAX_RISK)
+  ? process.env.TOKEN_SAFETY_MAX_RISK
+  : null;
+
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function owner() view returns (address)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+// Storage slots holding a proxy's implementation (or beacon) address
+const PROXY_SLOTS = {
+  "EIP-1967": "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc",
+  "EIP-1967 beacon": "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50",
+  "EIP-1822": "0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7",
+  "OpenZeppelin legacy": "0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3",
+};
+
+// EIP-1167 minimal proxy runtime code, followed by the implementation address
+const MINIMAL_PROXY_PREFIX = "0x363d3d373d3d3d363d73";
+
+// Owner-only functions that can stop or skim holders, found by their selectors in the bytecode
+const PRIVILEGED_FUNCTIONS = {
+  blacklist: [
+    "blacklist(address)",
+    "addToBlacklist(address)",
+    "setBlacklist(address,bool)",
+    "addBlackList(address)",
+    "blockAccount(address)",
+    "setBots(address[],bool)",
+  ],
+  pause: ["pause()", "setPaused(bool)", "pauseTrading()"],
+  mint: ["mint(address,uint256)", "mint(uint256)"],
+  fees: [
+    "setFee(uint256)",
+    "setFees(uint256,uint256)",
+    "setTaxFeePercent(uint256)",
+    "setBuyFee(uint256)",
+    "setSellFee(uint256)",
+  ],
+};
+
+// Transfer taxes above this are high risk; a sell that keeps less than 1 - HONEYPOT_TAX_BPS is a honeypot
+const HIGH_TAX_BPS = 1000;
+const HONEYPOT_TAX_BPS = 9000;
+
+// Native amount bought in the round-trip simulation
+const PROBE_NATIVE_AMOUNT = ethers.parseEther("0.1");
+
+// Share of supply held by one wallet (EOA) that is medium / high risk
+const MEDIUM_CONCENTRATION_BPS = 1000;
+const HIGH_CONCENTRATION_BPS = 3000;
+
+// Recent blocks of Transfer logs searched for large holders, how many recipients are looked up, and how
+// many of the largest are checked for code
+const HOLDER_LOG_BLOCKS = 2000;
+const HOLDER_CANDIDATES = 100;
+const TOP_HOLDERS = 5;
+
+// Burn addresses don't count towards circulating supply
+const BURN_ADDRESSES = [ethers.ZeroAddress, "0x000000000000000000000000000000000000dEaD"];
+
+// Reports per chain and token for the life of the process
+const reportCache = new Map();
+
+/**
+ * Shortfall of a received amount against an expected one, in basis points (rounded up)
+ * @param {bigint} expected - Expected amount
+ * @param {bigint} received - Received amount
+ * @returns {number} Basis points
+ */
+function shortfallBps(expected, received) {
+  if (expected <= 0n || received >= expected) {
+    return 0;
+  }
+  return Number(((expected - received) * 10000n + expected - 1n) / expected);
+}
+
+/**
+ * Read an address from a storage slot
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {string} address - Contract address
+ * @param {string} slot - Storage slot
+ * @returns {Promise<string|null>} Address, or null if the slot is empty
+ */
+async function readAddressSlot(provider, address, slot) {
+  const value = await provider.getStorage(address, slot);
+  const stored = ethers.getAddress(ethers.dataSlice(value, 12));
+  return stored === ethers.ZeroAddress ? null : stored;
+}
+
+/**
+ * Detect a proxy and resolve its implementation
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {string} address - Token address
+ * @param {string} code - Token runtime code
+ * @returns {Promise<{isProxy: boolean, standard: string|null, implementation: string|null}>}
+ */
+async function checkProxy(provider, address, code) {
+  if (code.toLowerCase().startsWith(MINIMAL_PROXY_PREFIX)) {
+    const implementation = ethers.getAddress(ethers.dataSlice(code, 10, 30));
+    return { isProxy: true, standard: "EIP-1167", implementation };
+  }
+
+  for (const [standard, slot] of Object.entries(PROXY_SLOTS)) {
+    const stored = await readAddressSlot(provider, address, slot);
+    if (!stored) {
+      continue;
+    }
+    if (standard === "EIP-1967 beacon") {
+      const beacon = new ethers.Contract(stored, ["function implementation() view returns (address)"], provider);
+      return { isProxy: true, standard, implementation: await beacon.implementation().catch(() => null) };
+    }
+    return { isProxy: true, standard, implementation: stored };
+  }
+
+  return { isProxy: false, standard: null, implementation: null };
+}
+
+/**
+ * Find owner-controlled functions by selector presence (PUSH4 <selector>) in runtime code
+ * Selector matching can't see access control, so a hit means the function exists, not who may call it
+ * @param {string} code - Runtime code (the implementation's, for proxies)
+ * @returns {object} Matched signatures per category (blacklist, pause, mint, fees)
+ */
+function findPrivilegedFunctions(code) {
+  const haystack = code.toLowerCase();
+  const found = {};
+
+  for (const [category, signatures] of Object.entries(PRIVILEGED_FUNCTIONS)) {
+    const matched = signatures.filter(signature => haystack.includes(`63${ethers.id(signature).slice(2, 10)}`));
+    if (matched.length > 0) {
+      found[category] = matched;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Buy the token with native currency and sell it straight back through Uniswap V2 on a fork
+ * Taxes are the shortfall against the router's quote on each leg; a sell that reverts or keeps almost
+ * nothing is a honeypot. The fork is reverted afterwards.
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address
+ * @param {bigint} probeAmount - Native amount to buy with
+ * @returns {Promise<object>} {skipped, reason} or {buyReverted, honeypot, buyTaxBps, sellTaxBps, reason}
+ */
+async function simulateRoundTrip(chainKey, tokenAddress, probeAmount) {
+  const { isFork } = await detectFork(chainKey);
+  if (!isFork) {
+    return { skipped: true, reason: "Round trip needs a forked network" };
+  }
+
+  const chain = CHAINS[chainKey];
+  if (!chain.uniswap?.v2?.router || !chain.wrappedNative) {
+    return { skipped: true, reason: `Uniswap V2 not available on ${chainKey}` };
+  }
+
+  const provider = getProvider(chainKey);
+  const routerAddress = chain.uniswap.v2.router;
+  const buyPath = [chain.wrappedNative, tokenAddress];
+  const sellPath = [tokenAddress, chain.wrappedNative];
+  const router = new ethers.Contract(routerAddress, V2_ROUTER_ABI, provider);
+
+  let quotedBuy;
+  try {
+    [, quotedBuy] = await router.getAmountsOut(probeAmount, buyPath);
+  } catch (error) {
+    return { skipped: true, reason: "No Uniswap V2 pool against the wrapped native token" };
+  }
+
+  const account = ethers.Wallet.createRandom().address;
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const snapshotId = await snapshotFork(chainKey);
+
+  try {
+    const signer = await impersonateAccount(account, chainKey);
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, signer);
+    const wrapped = new ethers.Contract(chain.wrappedNative, TOKEN_ABI, provider);
+
+    try {
+      const buyTx = await router
+        .connect(signer)
+        .swapExactETHForTokensSupportingFeeOnTransferTokens(0, buyPath, account, deadline, { value: probeAmount });
+      await buyTx.wait();
+    } catch (error) {
+      return { buyReverted: true, honeypot: false, reason: `Buy reverted: ${error.shortMessage || error.message}` };
+    }
+
+    const bought = BigInt(await token.balanceOf(account));
+    if (bought === 0n) {
+      return { buyReverted: true, honeypot: false, reason: "Buy delivered no tokens" };
+    }
+    const [, quotedSell] = await router.getAmountsOut(bought, sellPath);
+
+    try {
+      await (await token.approve(routerAddress, bought)).wait();
+      const sellTx = await router
+        .connect(signer)
+        .swapExactTokensForTokensSupportingFeeOnTransferTokens(bought, 0, sellPath, account, deadline);
+      await sellTx.wait();
+    } catch (error) {
+      return { buyReverted: false, honeypot: true, reason: `Sell reverted: ${error.shortMessage || error.message}` };
+    }
+
+    const sold = BigInt(await wrapped.balanceOf(account));
+    const buyTaxBps = shortfallBps(BigInt(quotedBuy), bought);
+    const sellTaxBps = shortfallBps(BigInt(quotedSell), sold);
+
+    return {
+      buyReverted: false,
+      honeypot: sellTaxBps >= HONEYPOT_TAX_BPS,
+      buyTaxBps,
+      sellTaxBps,
+      reason: sellTaxBps >= HONEYPOT_TAX_BPS ? `Sell keeps only ${10000 - sellTaxBps} bps of its value` : null,
+    };
+  } catch (error) {
+    return { skipped: true, reason: `Round trip failed: ${error.message}` };
+  } finally {
+    await stopImpersonating(account, chainKey);
+    await revertFork(chainKey, snapshotId);
+  }
+}
+
+/**
+ * Estimate supply concentration from holders seen in recent Transfer logs
+ * Without an indexer the holder list is partial: recent recipients plus the owner and the token itself.
+ * Only wallets without code are scored; contracts (pools, lockers, bridges) are listed but not judged.
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {ethers.Contract} token - Token contract
+ * @param {string|null} owner - Owner address, if any
+ * @returns {Promise<object>} {skipped, reason} or {topHolders: [{address, shareBps, isContract}], maxWalletShareBps}
+ */
+async function checkConcentration(provider, token, owner) {
+  try {
+    const latest = await provider.getBlockNumber();
+    const logs = await token.queryFilter(token.filters.Transfer(), Math.max(latest - HOLDER_LOG_BLOCKS, 0), latest);
+
+    // Biggest recent recipients first, so busy tokens don't mean thousands of balance lookups
+    const received = new Map();
+    for (const log of logs) {
+      received.set(log.args.to, (received.get(log.args.to) || 0n) + BigInt(log.args.value));
+    }
+    const recipients = [...received.entries()].sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
+
+    const candidates = new Set(recipients.slice(0, HOLDER_CANDIDATES).map(([address]) => address));
+    candidates.add(await token.getAddress());
+    if (owner) {
+      candidates.add(owner);
+    }
+    BURN_ADDRESSES.forEach(address => candidates.delete(address));
+
+    const [totalSupply, ...burned] = await Promise.all([
+      token.totalSupply(),
+      ...BURN_ADDRESSES.map(address => token.balanceOf(address)),
+    ]);
+    const circulating = BigInt(totalSupply) - burned.reduce((sum, balance) => sum + BigInt(balance), 0n);
+    if (circulating <= 0n) {
+      return { skipped: true, reason: "No circulating supply" };
+    }
+
+    const holders = [];
+    for (const address of candidates) {
+      holders.push({ address, balance: BigInt(await token.balanceOf(address)) });
+    }
+    holders.sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+
+    const topHolders = [];
+    for (const holder of holders.slice(0, TOP_HOLDERS)) {
+      const code = await provider.getCode(holder.address);
+      topHolders.push({
+        address: holder.address,
+        shareBps: Number((holder.balance * 10000n) / circulating),
+        isContract: code !== "0x",
+      });
+    }
+
+    const wallets = topHolders.filter(holder => !holder.isContract);
+    return { topHolders, maxWalletShareBps: wallets.length > 0 ? wallets[0].shareBps : 0 };
+  } catch (error) {
+    return { skipped: true, reason: `Holder scan failed: ${error.message}` };
+  }
+}
+
+/**
+ * Scan a token for honeypot, tax, upgradeability, privileged-function and concentration risks
+ * The buy/sell round trip only runs on a fork; other checks run anywhere. Measured taxes are recorded in the
+ * token metadata cache so V2 swaps route the token through the fee-on-transfer methods.
+ * @param {string} chainKey - Chain identifier
+ * @param {string} tokenAddress - Token address
+ * @param {object} options - Optional parameters
+ * @param {bigint} options.probeAmount - Native amount bought in the round trip (default: 0.1)
+ * @param {boolean} options.refresh - Ignore a cached report (default: false)
+ * @returns {Promise<{address: string, symbol: string|null, risk: string, issues: object[], checks: object}>}
+ */
+async function scanToken(chainKey, tokenAddress, options = {}) {
+  validateChainKey(chainKey);
+  validateAddress(tokenAddress, "tokenAddress");
+
+  const cacheKey = `${chainKey}:${tokenAddress.toLowerCase()}`;
+  if (!options.refresh && reportCache.has(cacheKey)) {
+    return reportCache.get(cacheKey);
+  }
+
+  const { probeAmount = PROBE_NATIVE_AMOUNT } = options;
+  const provider = getProvider(chainKey);
+  const issues = [];
+  const addIssue = (check, severity, message) => issues.push({ check, severity, message });
+
+  try {
+    const code = await provider.getCode(tokenAddress);
+    if (code === "0x") {
+      throw new Error(`No contract at ${tokenAddress}`);
+    }
+
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    const symbol = await token.symbol().catch(() => null);
+    const owner = await token.owner().catch(() => null);
+    const ownerRenounced = owner === ethers.ZeroAddress;
+
+    const proxy = await checkProxy(provider, tokenAddress, code);
+    if (proxy.isProxy) {
+      addIssue("proxy", "medium", `Upgradeable ${proxy.standard} proxy (implementation ${proxy.implementation})`);
+    }
+
+    // A proxy's functions live in its implementation
+    const logicCode = proxy.implementation ? await provider.getCode(proxy.implementation) : code;
+    const privileged = findPrivilegedFunctions(logicCode);
+    for (const [category, signatures] of Object.entries(privileged)) {
+      // Renounced ownership disarms owner-only functions, unless an upgrade can bring the owner back
+      const severity = ownerRenounced && !proxy.isProxy ? "low" : "medium";
+      addIssue("privileged", severity, `Has ${category} function(s): ${signatures.join(", ")}`);
+    }
+
+    const roundTrip = await simulateRoundTrip(chainKey, tokenAddress, BigInt(probeAmount));
+    if (roundTrip.honeypot) {
+      addIssue("roundTrip", "high", `Honeypot: ${roundTrip.reason}`);
+    } else if (roundTrip.buyReverted) {
+      addIssue("roundTrip", "high", roundTrip.reason);
+    } else if (roundTrip.skipped) {
+      addIssue("roundTrip", "low", `Buy/sell not simulated: ${roundTrip.reason}`);
+    } else {
+      const maxTaxBps = Math.max(roundTrip.buyTaxBps, roundTrip.sellTaxBps);
+      if (maxTaxBps > 0) {
+        addIssue(
+          "roundTrip",
+          maxTaxBps > HIGH_TAX_BPS ? "high" : "medium",
+          `Transfer tax: ${roundTrip.buyTaxBps} bps on buy, ${roundTrip.sellTaxBps} bps on sell`
+        );
+        recordTokenBehavior(chainKey, tokenAddress, {
+          behavior: TOKEN_BEHAVIORS.FEE_ON_TRANSFER,
+          buyTaxBps: roundTrip.buyTaxBps,
+          sellTaxBps: roundTrip.sellTaxBps,
+          source: "round-trip",
+        });
+      }
+    }
+
+    const concentration = await checkConcentration(provider, token, ownerRenounced ? null : owner);
+    if (!concentration.skipped && concentration.maxWalletShareBps >= MEDIUM_CONCENTRATION_BPS) {
+      addIssue(
+        "concentration",
+        concentration.maxWalletShareBps >= HIGH_CONCENTRATION_BPS ? "high" : "medium",
+        `One wallet holds ${(concentration.maxWalletShareBps / 100).toFixed(2)}% of circulating supply`
+      );
+    }
+
+    const risk = issues.reduce(
+      (max, issue) => (RISK_LEVELS.indexOf(issue.severity) > RISK_LEVELS.indexOf(max) ? issue.severity : max),
+      "low"
+    );
+
+    const report = {
+      address: tokenAddress,
+      symbol,
+      risk,
+      issues,
+      checks: { proxy, owner, privileged, roundTrip, concentration },
+    };
+    reportCache.set(cacheKey, report);
+    return report;
+  } catch (error) {
+    throw new Error(`Token scan failed: ${error.message}`);
+  }
+}
+
+/**
+ * Refuse tokens whose scanned risk is above a limit
+ * Native currency and the configured COMMON_TOKENS are trusted and not scanned
+ * @param {string} chainKey - Chain identifier
+ * @param {string[]} tokens - Token addresses
+ * @param {string} maxRisk - Highest acceptable risk: low, medium or high
+ * @returns {Promise<object[]>} Reports for the scanned tokens
+ * @throws {Error} If a token's risk is above maxRisk
+ */
+async function assertTokensSafe(chainKey, tokens, maxRisk) {
+  if (!RISK_LEVELS.includes(maxRisk)) {
+    throw new Error(`Invalid max token risk: ${maxRisk}. Use one of: ${RISK_LEVELS.join(", ")}`);
+  }
+
+  const trusted = new Set(
+    Object.values(COMMON_TOKENS)
+      .map(addresses => addresses[chainKey]?.toLowerCase())
+      .filter(Boolean)
+  );
+
+  const reports = [];
+  for (const tokenAddress of tokens) {
+    if (isNativeToken(tokenAddress) || trusted.has(tokenAddress.toLowerCase())) {
+      continue;
+    }
+
+    const report = await scanToken(chainKey, tokenAddress);
+    reports.push(report);
+
+    if (RISK_LEVELS.indexOf(report.risk) > RISK_LEVELS.indexOf(maxRisk)) {
+      const reasons = report.issues
+        .filter(issue => RISK_LEVELS.indexOf(issue.severity) > RISK_LEVELS.indexOf(maxRisk))
+        .map(issue => issue.message);
+      throw new Error(`Refusing to swap ${report.symbol || tokenAddress}: ${report.risk} risk (${reasons.join("; ")})`);
+    }
+  }
+
+  return reports;
+}
+
+module.exports = {
+  RISK_LEVELS,
+  DEFAULT_MAX_TOKEN_RISK,
+  scanToken,
+  assertTokensSafe,
+};
@@ -0,0 +1,154 @@
+// Build-only transaction capture
+// A build-only signer stands in for a wallet that cannot be handed to the swap code (Safe, custody, hardware).
+// Swap entry points run unchanged - quotes, allowance checks, simulation - but every transaction they would
+// send is recorded unsigned, in order, for the caller to submit through the signer of their choice
+const { CHAINS } = require("../config/chains");
+const { getProvider, createSignerProxy } = require("./web3");
+const { validateChainKey, validateAddress } = require("./validation");
+
+/**
+ * Format a decoded ABI value as plain JSON (bigints as strings, tuples as named objects)
+ * @param {ethers.ParamType} param - ABI parameter type
+ * @param {*} value - Decoded value
+ * @returns {*} JSON-safe value
+ */
+function formatArg(param, value) {
+  if (param.isTuple()) {
+    return Object.fromEntries(
+      param.components.map((component, idx) => [component.name || idx, formatArg(component, value[idx])])
+    );
+  }
+  if (param.isArray()) {
+    return Array.from(value, item => formatArg(param.arrayChildren, item));
+  }
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Decode calldata into a human-readable call
+ * multicall(bytes[]) batches (V3 SwapRouter selfPermit/unwrapWETH9 bundles) are decoded call by call
+ * @param {ethers.Interface} iface - Interface of the contract being called
+ * @param {string} data - Calldata
+ * @returns {{method: string, signature: string, args: object, text: string, calls?: object[]}|null} Null if not decodable
+ */
+function describeCall(iface, data) {
+  let parsed;
+  try {
+    parsed = iface.parseTransaction({ data });
+  } catch (error) {
+    return null;
+  }
+  if (!parsed) {
+    return null;
+  }
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, idx) => {
+    args[input.name || `arg${idx}`] = formatArg(input, parsed.args[idx]);
+  });
+
+  const text = `${parsed.name}(${Object.entries(args)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(", ")})`;
+
+  const call = { method: parsed.name, signature: parsed.signature, args, text };
+
+  if (parsed.name === "multicall") {
+    const batchIdx = parsed.fragment.inputs.findIndex(input => input.type === "bytes[]");
+    if (batchIdx !== -1) {
+      call.calls = parsed.args[batchIdx].map(inner => describeCall(iface, inner) || { method: null, data: inner });
+      call.text = `${parsed.name}(${call.calls.map(inner => inner.text || inner.data).join(", ")})`;
+    }
+  }
+
+  return call;
+}
+
+/**
+ * Create a build-only signer for an address
+ * Pass it anywhere a wallet is expected (per-protocol swap functions included). It can read, call and
+ * estimate gas like any signer; sendTransaction records the transaction instead of broadcasting it and
+ * returns a placeholder response (hash null) whose wait() resolves immediately. Permit signatures are
+ * not available, so approvals fall back to approve transactions.
+ * @param {string} chainKey - Chain identifier
+ * @param {string} fromAddress - Address that will sign and send the transactions (e.g. a Safe)
+ * @returns {ethers.VoidSigner} Signer with getTransactions() returning the recorded transactions
+ */
+function createTxBuilder(chainKey, fromAddress) {
+  validateChainKey(chainKey);
+  validateAddress(fromAddress, "fromAddress");
+
+  const builder = createSignerProxy(fromAddress, getProvider(chainKey));
+  const transactions = [];
+
+  builder.isTxBuilder = true;
+
+  builder.getTransactions = () => transactions.map(tx => ({ ...tx }));
+
+  /**
+   * Record an unsigned transaction
+   * @param {object} tx - Populated transaction ({to, data, value})
+   * @param {object} details - {label, gasEstimate, gasLimit, call (from describeCall), note}
+   * @returns {object} Placeholder transaction response
+   */
+  builder.recordTransaction = (tx, details = {}) => {
+    const { label = "Transaction", gasEstimate = null, gasLimit = null, call = null, note = null } = details;
+    const record = {
+      index: transactions.length,
+      label,
+      chainId: CHAINS[chainKey].chainId,
+      from: fromAddress,
+      to: tx.to,
+      data: tx.data || "0x",
+      value: BigInt(tx.value || 0).toString(),
+      gasEstimate: gasEstimate === null ? null : gasEstimate.toString(),
+      gasLimit: gasLimit === null ? null : gasLimit.toString(),
+      call,
+      note,
+    };
+    transactions.push(record);
+    console.log(`Built transaction ${record.index + 1}: ${call ? call.method : label} -> ${record.to}`);
+
+    return {
+      hash: null,
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value),
+      wait: async () => ({ hash: null, blockNumber: null, status: null, logs: [] }),
+    };
+  };
+
+  builder.sendTransaction = async tx => builder.recordTransaction(tx);
+
+  return builder;
+}
+
+/**
+ * Whether a signer is a build-only signer from createTxBuilder
+ * @param {object} signer - Signer or wallet
+ * @returns {boolean}
+ */
+function isTxBuilder(signer) {
+  return signer?.isTxBuilder === true;
+}
+
+/**
+ * Run a swap against a build-only signer and return its result with the transactions it would send
+ * @param {string} chainKey - Chain identifier
+ * @param {string|object} account - Sender address, or a wallet/signer whose address is used
+ * @param {function(ethers.VoidSigner): Promise<object>} build - Runs the swap with the builder as its wallet
+ * @returns {Promise<object>} The swap result plus `transactions`, in submission order
+ */
+async function buildTransactions(chainKey, account, build) {
+  const builder = createTxBuilder(chainKey, typeof account === "string" ? account : account?.address);
+  const result = await build(builder);
+
+  return { ...result, transactions: builder.getTransactions() };
+}
+
+module.exports = {
+  describeCall,
+  createTxBuilder,
+  isTxBuilder,
+  buildTransactions,
+};
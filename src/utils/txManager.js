@@ -0,0 +1,394 @@
+// Transaction manager: local nonces, EIP-1559 fee strategies and stuck-transaction replacement
+// Back-to-back sends (approve then swap, multi-leg routes) each asked the node for the pending nonce and
+// fee data, which races on load-balanced RPCs. A managed wallet hands out nonces locally, prices fees
+// from eth_feeHistory and rebroadcasts a transaction with bumped fees when it sits unmined too long
+const { ethers } = require("ethers");
+const { getSigner, createSignerProxy } = require("./web3");
+const { validateChainKey, validateWallet } = require("./validation");
+
+// Reward percentile and base fee headroom per strategy; legacy chains scale the node's gas price instead
+const FEE_STRATEGIES = {
+  slow: { percentile: 10, baseFeeMultiplierBps: 12500n, legacyMultiplierBps: 10000n },
+  normal: { percentile: 50, baseFeeMultiplierBps: 15000n, legacyMultiplierBps: 11000n },
+  urgent: { percentile: 90, baseFeeMultiplierBps: 20000n, legacyMultiplierBps: 12500n },
+};
+
+// Defaults (sample.env: FEE_STRATEGY, TX_REPLACE_TIMEOUT_SECONDS, TX_FEE_BUMP_PERCENT, TX_MAX_REPLACEMENTS)
+const DEFAULT_FEE_STRATEGY = FEE_STRATEGIES[process.env.FEE_STRATEGY] ? process.env.FEE_STRATEGY : "normal";
+const REPLACE_AFTER_MS = Number(process.env.TX_REPLACE_TIMEOUT_SECONDS || 180) * 1000;
+const FEE_BUMP_PERCENT = Number(process.env.TX_FEE_BUMP_PERCENT || 15);
+const MAX_REPLACEMENTS = Number(process.env.TX_MAX_REPLACEMENTS || 3);
+
+// Nodes reject a same-nonce replacement unless both fee fields rise by at least 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+
+// Blocks of fee history sampled per estimate
+const FEE_HISTORY_BLOCKS = 20;
+
+// A burst of sends (approve, swap) shares one fee estimate
+const FEE_CACHE_TTL_MS = 12000;
+
+const FEE_FIELDS = ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"];
+
+// Next nonce per chain and account, shared by every manager for that account
+const nonceTrackers = new Map();
+
+/**
+ * Median of a list of bigints
+ * @param {bigint[]} values - Values
+ * @returns {bigint} Median (0n for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) {
+    return 0n;
+  }
+  const sorted = [...values].sort((a, b) => (a > b ? 1 : a < b ? -1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Estimate fees for every strategy from recent blocks
+ * EIP-1559 chains get a priority fee from the strategy's eth_feeHistory reward percentile (median over
+ * the sampled blocks) and a max fee of next block's base fee times the strategy's headroom plus that tip.
+ * Chains without a base fee get a scaled legacy gas price.
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Provider} provider - Provider to query (the wallet's own, so forks are priced as forks)
+ * @returns {Promise<object>} {type: 2, baseFeePerGas, slow, normal, urgent} with {maxFeePerGas, maxPriorityFeePerGas}
+ *   per strategy, or {type: 0, slow, normal, urgent} with {gasPrice}
+ */
+async function getFeeEstimates(chainKey, provider) {
+  validateChainKey(chainKey);
+
+  const strategies = Object.keys(FEE_STRATEGIES);
+
+  try {
+    let history = null;
+    try {
+      history = await provider.send("eth_feeHistory", [
+        ethers.toQuantity(FEE_HISTORY_BLOCKS),
+        "latest",
+        strategies.map(strategy => FEE_STRATEGIES[strategy].percentile),
+      ]);
+    } catch (error) {
+      // Node without eth_feeHistory; priced as a legacy chain below
+    }
+
+    const baseFees = history?.baseFeePerGas || [];
+    const nextBaseFee = baseFees.length > 0 ? BigInt(baseFees[baseFees.length - 1]) : 0n;
+
+    if (nextBaseFee > 0n && Array.isArray(history.reward) && history.reward.length > 0) {
+      const estimates = { type: 2, baseFeePerGas: nextBaseFee };
+      strategies.forEach((strategy, idx) => {
+        const { baseFeeMultiplierBps } = FEE_STRATEGIES[strategy];
+        const maxPriorityFeePerGas = median(history.reward.map(rewards => BigInt(rewards[idx])));
+        const maxFeePerGas = (nextBaseFee * baseFeeMultiplierBps) / 10000n + maxPriorityFeePerGas;
+        estimates[strategy] = { maxFeePerGas, maxPriorityFeePerGas };
+      });
+      return estimates;
+    }
+
+    const feeData = await provider.getFeeData();
+    const gasPrice = BigInt(feeData.gasPrice ?? 0n);
+    const estimates = { type: 0 };
+    strategies.forEach(strategy => {
+      estimates[strategy] = { gasPrice: (gasPrice * FEE_STRATEGIES[strategy].legacyMultiplierBps) / 10000n };
+    });
+    return estimates;
+  } catch (error) {
+    throw new Error(`Failed to estimate fees: ${error.message}`);
+  }
+}
+
+/**
+ * Raise each fee field by a percentage, and at least to the current market fee
+ * @param {object} fees - Fees the transaction was sent with
+ * @param {number} bumpPercent - Minimum increase (raised to the node's 10% replacement minimum)
+ * @param {object} floor - Current strategy fees
+ * @returns {object} Bumped fees
+ */
+function bumpFees(fees, bumpPercent, floor) {
+  const percent = BigInt(Math.ceil(Math.max(bumpPercent, MIN_FEE_BUMP_PERCENT)));
+  const bumped = {};
+
+  for (const field of FEE_FIELDS) {
+    if (fees[field] === undefined) {
+      continue;
+    }
+    // Round up so integer division never lands under the required bump
+    const raised = (BigInt(fees[field]) * (100n + percent) + 99n) / 100n;
+    const market = floor[field] === undefined ? 0n : BigInt(floor[field]);
+    bumped[field] = raised > market ? raised : market;
+  }
+
+  if (bumped.maxFeePerGas !== undefined && bumped.maxFeePerGas < bumped.maxPriorityFeePerGas) {
+    bumped.maxFeePerGas = bumped.maxPriorityFeePerGas;
+  }
+
+  return bumped;
+}
+
+/**
+ * Hand out the next nonce for an account
+ * The tracker never falls behind the node's pending count, and the increment happens synchronously
+ * after the lookup so concurrent sends get distinct nonces
+ * @param {string} key - Tracker key (chain and account)
+ * @param {ethers.Provider} provider - Provider to sync from
+ * @param {string} address - Account address
+ * @returns {Promise<number>} Nonce to send with
+ */
+async function reserveNonce(key, provider, address) {
+  const pendingCount = await provider.getTransactionCount(address, "pending");
+  const tracker = nonceTrackers.get(key) || { next: null };
+  nonceTrackers.set(key, tracker);
+
+  tracker.next = tracker.next === null ? pendingCount : Math.max(tracker.next, pendingCount);
+  return tracker.next++;
+}
+
+/**
+ * Give back a nonce whose transaction was never broadcast
+ * If later nonces were already handed out the tracker resyncs from the node on the next send
+ * @param {string} key - Tracker key
+ * @param {number} nonce - Unused nonce
+ */
+function releaseNonce(key, nonce) {
+  const tracker = nonceTrackers.get(key);
+  if (!tracker) {
+    return;
+  }
+  tracker.next = tracker.next === nonce + 1 ? nonce : null;
+}
+
+/**
+ * Wrap a wallet in a transaction manager
+ * Pass the manager anywhere a wallet is expected (per-protocol swap functions included). Every send gets a
+ * locally tracked nonce and fees from the chosen strategy; waiting on a transaction that stays unmined past
+ * replaceAfterMs rebroadcasts it at the same nonce with bumped fees, up to maxReplacements times.
+ * Permit signatures are signed by the wrapped wallet. Wrapped in a submission channel (utils/submission), the
+ * manager still assigns nonces and fees; the channel only carries the transaction, replacements included.
+ * @param {string} chainKey - Chain identifier
+ * @param {ethers.Wallet} wallet - Wallet or provider-connected signer
+ * @param {object} options - Manager options
+ * @param {string} options.feeStrategy - slow, normal or urgent (default: FEE_STRATEGY or normal)
+ * @param {number} options.replaceAfterMs - Unmined time before a speed-up, 0 to disable (default: TX_REPLACE_TIMEOUT_SECONDS)
+ * @param {number} options.bumpPercent - Fee increase per replacement, at least 10 (default: TX_FEE_BUMP_PERCENT)
+ * @param {number} options.maxReplacements - Automatic speed-ups per transaction (default: TX_MAX_REPLACEMENTS)
+ * @returns {ethers.VoidSigner} Signer with speedUp(hash), cancel(hash), getFeeEstimates() and resetNonce()
+ */
+function createTxManager(chainKey, wallet, options = {}) {
+  validateChainKey(chainKey);
+  validateWallet(wallet);
+
+  const {
+    feeStrategy = DEFAULT_FEE_STRATEGY,
+    replaceAfterMs = REPLACE_AFTER_MS,
+    bumpPercent = FEE_BUMP_PERCENT,
+    maxReplacements = MAX_REPLACEMENTS,
+  } = options;
+
+  if (!FEE_STRATEGIES[feeStrategy]) {
+    throw new Error(`Invalid fee strategy: ${feeStrategy}. Use one of: ${Object.keys(FEE_STRATEGIES).join(", ")}`);
+  }
+
+  const signer = getSigner(chainKey, wallet);
+  const provider = signer.provider;
+  const manager = createSignerProxy(signer.address, provider, signer);
+  const nonceKey = `${chainKey}:${signer.address.toLowerCase()}`;
+
+  // Pending transactions by every hash broadcast for them (original and replacements)
+  const pending = new Map();
+  let feeCache = null;
+
+  manager.isTxManager = true;
+  manager.feeStrategy = feeStrategy;
+
+  /**
+   * Current fee estimates for all strategies (cached briefly)
+   * @param {boolean} fresh - Skip the cache (replacements price against the latest blocks)
+   * @returns {Promise<object>} See getFeeEstimates
+   */
+  manager.getFeeEstimates = async (fresh = false) => {
+    if (!fresh && feeCache && Date.now() - feeCache.timestamp < FEE_CACHE_TTL_MS) {
+      return feeCache.estimates;
+    }
+    const estimates = await getFeeEstimates(chainKey, provider);
+    feeCache = { estimates, timestamp: Date.now() };
+    return estimates;
+  };
+
+  // Forget the local nonce (e.g. after a transaction was dropped) and resync from the node
+  manager.resetNonce = () => nonceTrackers.delete(nonceKey);
+
+  /**
+   * Rebroadcast a pending transaction's nonce with bumped fees
+   * @param {object} entry - Pending transaction entry
+   * @param {object} request - Transaction to send at that nonce (the original, or a cancellation)
+   * @returns {Promise<ethers.TransactionResponse>} Replacement response
+   */
+  async function replace(entry, request) {
+    const estimates = await manager.getFeeEstimates(true);
+    const fees = bumpFees(entry.fees, bumpPercent, estimates[feeStrategy]);
+    const previousHash = entry.hash;
+
+    const response = await entry.send({ ...request, nonce: entry.nonce, ...fees });
+
+    entry.fees = fees;
+    entry.request = request;
+    entry.hash = response.hash;
+    entry.wait = response.wait.bind(response);
+    entry.replacements++;
+    pending.set(response.hash, entry);
+
+    console.log(`Replaced transaction ${previousHash} (nonce ${entry.nonce}) with ${response.hash}`);
+    return response;
+  }
+
+  /**
+   * Wait for whichever transaction ends up mined at an entry's nonce, speeding up on timeout
+   * @param {object} entry - Pending transaction entry
+   * @param {number} confirms - Confirmations to wait for
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async function waitForEntry(entry, confirms) {
+    for (;;) {
+      const canReplace = replaceAfterMs > 0 && entry.replacements < maxReplacements;
+
+      let receipt;
+      try {
+        receipt = await entry.wait(confirms, canReplace ? replaceAfterMs : undefined);
+      } catch (error) {
+        if (error.code === "TRANSACTION_REPLACED" && !error.cancelled) {
+          // An earlier broadcast of the same transaction was mined instead of the latest one
+          receipt = error.receipt;
+        } else if (error.code === "TIMEOUT" && canReplace) {
+          console.log(`Transaction ${entry.hash} not mined after ${replaceAfterMs / 1000}s, speeding up`);
+          await replace(entry, entry.request);
+          continue;
+        } else {
+          throw error;
+        }
+      }
+
+      if (entry.cancelled) {
+        throw new Error(`Transaction cancelled: nonce ${entry.nonce} used by ${receipt.hash}`);
+      }
+      return receipt;
+    }
+  }
+
+  /**
+   * Look up a pending transaction sent through this manager
+   * @param {string|object} tx - Hash or transaction response
+   * @returns {object} Pending transaction entry
+   */
+  function getEntry(tx) {
+    const hash = typeof tx === "string" ? tx : tx?.hash;
+    const entry = pending.get(hash);
+    if (!entry) {
+      throw new Error(`Transaction ${hash} was not sent through this manager`);
+    }
+    return entry;
+  }
+
+  /**
+   * Send a transaction at a managed nonce with strategy fees
+   * @param {object} tx - Transaction request
+   * @param {object} channel - Submission channel to send through (default: the wallet's RPC)
+   * @returns {Promise<ethers.TransactionResponse>} Response whose wait() speeds up on timeout
+   */
+  manager.sendTransaction = async (tx, channel = null) => {
+    const send = channel ? request => channel.send(signer, request) : request => signer.sendTransaction(request);
+    const nonce = tx.nonce ?? (await reserveNonce(nonceKey, provider, signer.address));
+
+    const request = { ...tx };
+    FEE_FIELDS.forEach(field => delete request[field]);
+    delete request.nonce;
+    delete request.type;
+
+    // Caller-set fees are kept; otherwise the strategy prices the transaction
+    const callerFees = Object.fromEntries(
+      FEE_FIELDS.filter(field => tx[field] != null).map(field => [field, tx[field]])
+    );
+    let fees = callerFees;
+
+    let response;
+    try {
+      if (Object.keys(fees).length === 0) {
+        fees = (await manager.getFeeEstimates())[feeStrategy];
+      }
+      response = await send({ ...request, nonce, ...fees });
+    } catch (error) {
+      if (tx.nonce == null) {
+        releaseNonce(nonceKey, nonce);
+      }
+      throw error;
+    }
+
+    console.log(`Sent transaction ${response.hash} (nonce ${nonce}, ${feeStrategy} fees)`);
+
+    const entry = {
+      nonce,
+      fees,
+      request,
+      send,
+      hash: response.hash,
+      wait: response.wait.bind(response),
+      replacements: 0,
+      cancelled: false,
+    };
+    pending.set(response.hash, entry);
+
+    response.wait = async (confirms = 1) => await waitForEntry(entry, confirms);
+    return response;
+  };
+
+  /**
+   * Rebroadcast a pending transaction now with bumped fees
+   * Waiting on the original response follows the replacement
+   * @param {string|object} tx - Hash or response of a transaction sent through this manager
+   * @returns {Promise<ethers.TransactionResponse>} Replacement response
+   */
+  manager.speedUp = async tx => {
+    const entry = getEntry(tx);
+    try {
+      return await replace(entry, entry.request);
+    } catch (error) {
+      throw new Error(`Speed-up failed: ${error.message}`);
+    }
+  };
+
+  /**
+   * Cancel a pending transaction by sending a zero-value transfer to self at its nonce with bumped fees
+   * Waiting on the original response then throws once the cancellation is mined
+   * @param {string|object} tx - Hash or response of a transaction sent through this manager
+   * @returns {Promise<ethers.TransactionResponse>} Cancellation response
+   */
+  manager.cancel = async tx => {
+    const entry = getEntry(tx);
+    try {
+      const response = await replace(entry, { to: signer.address, value: 0n, data: "0x", gasLimit: 21000n });
+      entry.cancelled = true;
+      return response;
+    } catch (error) {
+      throw new Error(`Cancel failed: ${error.message}`);
+    }
+  };
+
+  return manager;
+}
+
+/**
+ * Whether a signer is a transaction manager from createTxManager
+ * @param {object} signer - Signer or wallet
+ * @returns {boolean}
+ */
+function isTxManager(signer) {
+  return signer?.isTxManager === true;
+}
+
+module.exports = {
+  FEE_STRATEGIES,
+  getFeeEstimates,
+  createTxManager,
+  isTxManager,
+};
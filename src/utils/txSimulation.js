@@ -0,0 +1,353 @@
+// Pre-execution transaction simulation
+// Swap transactions are run through eth_call and estimateGas before they are signed and sent, so a swap
+// that would revert fails fast with a decoded reason instead of a mined revert or an opaque ethers error
+const { AsyncLocalStorage } = require("async_hooks");
+const { ethers } = require("ethers");
+const { isTxBuilder, describeCall } = require("./txBuilder");
+
+// Buffer applied to the simulated gas estimate when sending (sample.env: GAS_LIMIT_MULTIPLIER)
+const GAS_LIMIT_MULTIPLIER = Number(process.env.GAS_LIMIT_MULTIPLIER || 1.2);
+
+// Transactions sent inside trackSentTransactions, per async call chain
+const sentTransactions = new AsyncLocalStorage();
+
+// Selectors of Solidity's built-in Error(string) and Panic(uint256)
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+// Custom errors raised by the Universal Router, Permit2, Balancer V3 and OpenZeppelin v5 tokens during swaps
+const CUSTOM_ERRORS = new ethers.Interface([
+  "error V4TooLittleReceived(uint256 minAmountOutReceived, uint256 amountReceived)",
+  "error V4TooMuchRequested(uint256 maxAmountInRequested, uint256 amountRequested)",
+  "error V3TooLittleReceived()",
+  "error V3TooMuchRequested()",
+  "error V2TooLittleReceived()",
+  "error V2TooMuchRequested()",
+  "error TransactionDeadlinePassed()",
+  "error ExecutionFailed(uint256 commandIndex, bytes message)",
+  "error AllowanceExpired(uint256 deadline)",
+  "error InsufficientAllowance(uint256 amount)",
+  "error SignatureExpired(uint256 signatureDeadline)",
+  "error InvalidNonce()",
+  "error InvalidSigner()",
+  "error SwapLimit(uint256 amount, uint256 limit)",
+  "error SwapDeadline()",
+  "error AmountOutBelowMin(address tokenOut, uint256 amountOut, uint256 minAmountOut)",
+  "error AmountInAboveMax(address tokenIn, uint256 amountIn, uint256 maxAmountIn)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+]);
+
+// Revert kind per custom error name
+const CUSTOM_ERROR_KINDS = {
+  V4TooLittleReceived: "slippage",
+  V4TooMuchRequested: "slippage",
+  V3TooLittleReceived: "slippage",
+  V3TooMuchRequested: "slippage",
+  V2TooLittleReceived: "slippage",
+  V2TooMuchRequested: "slippage",
+  SwapLimit: "slippage",
+  AmountOutBelowMin: "slippage",
+  AmountInAboveMax: "slippage",
+  TransactionDeadlinePassed: "deadline",
+  SwapDeadline: "deadline",
+  SignatureExpired: "deadline",
+  AllowanceExpired: "allowance",
+  InsufficientAllowance: "allowance",
+  InvalidNonce: "allowance",
+  InvalidSigner: "allowance",
+  ERC20InsufficientAllowance: "allowance",
+  ERC20InsufficientBalance: "balance",
+};
+
+// Revert strings from V2/V3 routers, Curve pools and ERC20s, matched in order
+const REVERT_STRING_KINDS = [
+  {
+    pattern: /INSUFFICIENT_OUTPUT_AMOUNT|EXCESSIVE_INPUT_AMOUNT|Too little received|Too much requested/,
+    kind: "slippage",
+  },
+  { pattern: /fewer coins than expected|^Slippage$/i, kind: "slippage" },
+  { pattern: /EXPIRED|Transaction too old/, kind: "deadline" },
+  { pattern: /INSUFFICIENT_LIQUIDITY|INSUFFICIENT_INPUT_AMOUNT|INVALID_PATH/, kind: "liquidity" },
+  { pattern: /exceeds allowance|insufficient allowance/i, kind: "allowance" },
+  { pattern: /exceeds balance|insufficient balance/i, kind: "balance" },
+  { pattern: /^STF$|^TF$|TRANSFER_FROM_FAILED|TRANSFER_FAILED/, kind: "transfer" },
+];
+
+// Balancer V2 BAL#xxx codes most likely to surface from a swap
+const BALANCER_ERRORS = {
+  "000": { name: "ADD_OVERFLOW", kind: "math" },
+  "001": { name: "SUB_OVERFLOW", kind: "math" },
+  "004": { name: "ZERO_DIVISION", kind: "math" },
+  304: { name: "MAX_IN_RATIO", kind: "liquidity" },
+  305: { name: "MAX_OUT_RATIO", kind: "liquidity" },
+  402: { name: "PAUSED", kind: "paused" },
+  414: { name: "ERC20_TRANSFER_EXCEEDS_ALLOWANCE", kind: "allowance" },
+  416: { name: "ERC20_TRANSFER_EXCEEDS_BALANCE", kind: "balance" },
+  418: { name: "SAFE_ERC20_CALL_FAILED", kind: "transfer" },
+  500: { name: "INVALID_POOL_ID", kind: "invalid" },
+  507: { name: "SWAP_LIMIT", kind: "slippage" },
+  508: { name: "SWAP_DEADLINE", kind: "deadline" },
+  509: { name: "CANNOT_SWAP_SAME_TOKEN", kind: "invalid" },
+  511: { name: "MALCONSTRUCTED_MULTIHOP_SWAP", kind: "invalid" },
+  516: { name: "INSUFFICIENT_ETH", kind: "balance" },
+  521: { name: "TOKEN_NOT_REGISTERED", kind: "invalid" },
+};
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+};
+
+/**
+ * Find the revert data in an ethers error (it sits at different depths depending on the provider)
+ * @param {Error} error - Error from eth_call / estimateGas
+ * @returns {string|null} Hex revert data, or null if none was returned
+ */
+function extractRevertData(error) {
+  const candidates = [error?.data, error?.info?.error?.data, error?.error?.data, error?.info?.error?.data?.data];
+  for (const candidate of candidates) {
+    if (typeof candidate === "string" && candidate.startsWith("0x")) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify a revert string
+ * @param {string} reason - Revert string
+ * @returns {{kind: string, reason: string, code: string|null, errorName: string|null}}
+ */
+function classifyRevertString(reason) {
+  const balancerCode = reason.match(/BAL#(\d{3})/);
+  if (balancerCode) {
+    const known = BALANCER_ERRORS[balancerCode[1]];
+    return {
+      kind: known?.kind || "unknown",
+      reason: known ? `Balancer ${known.name} (BAL#${balancerCode[1]})` : reason,
+      code: `BAL#${balancerCode[1]}`,
+      errorName: known?.name || null,
+    };
+  }
+
+  const match = REVERT_STRING_KINDS.find(({ pattern }) => pattern.test(reason));
+  return { kind: match?.kind || "unknown", reason, code: null, errorName: null };
+}
+
+/**
+ * Decode revert data into a structured reason
+ * Handles Error(string) (V2 INSUFFICIENT_OUTPUT_AMOUNT, V3 Too little received, Curve, BAL# codes), Panic(uint256),
+ * and router custom errors; Universal Router ExecutionFailed is unwrapped to the failing command's error
+ * @param {string|null} data - Hex revert data
+ * @returns {{kind: string, reason: string, code: string|null, errorName: string|null, args: object|null, data: string|null}}
+ */
+function decodeRevert(data) {
+  const base = { code: null, errorName: null, args: null, data };
+
+  if (!data || data === "0x") {
+    return { ...base, kind: "unknown", reason: "execution reverted without a reason" };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = coder.decode(["string"], ethers.dataSlice(data, 4));
+      return { ...base, ...classifyRevertString(reason) };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(["uint256"], ethers.dataSlice(data, 4));
+      const reason = PANIC_REASONS[Number(code)] || "panic";
+      return {
+        ...base,
+        kind: "math",
+        reason: `Panic 0x${code.toString(16)}: ${reason}`,
+        code: `0x${code.toString(16)}`,
+      };
+    }
+
+    const parsed = CUSTOM_ERRORS.parseError(data);
+    if (parsed) {
+      if (parsed.name === "ExecutionFailed") {
+        const inner = decodeRevert(parsed.args.message);
+        return { ...inner, reason: `Command ${parsed.args.commandIndex} failed: ${inner.reason}`, data };
+      }
+
+      const args = parsed.fragment.inputs.reduce((acc, input, idx) => {
+        acc[input.name] = parsed.args[idx].toString();
+        return acc;
+      }, {});
+      const details = Object.entries(args)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(", ");
+
+      return {
+        ...base,
+        kind: CUSTOM_ERROR_KINDS[parsed.name] || "unknown",
+        reason: details ? `${parsed.name}(${details})` : parsed.name,
+        errorName: parsed.name,
+        args,
+      };
+    }
+  } catch (error) {
+    // Malformed revert data - report the selector below
+  }
+
+  return { ...base, kind: "unknown", reason: `unknown custom error ${selector}` };
+}
+
+/**
+ * Build a structured simulation error
+ * @param {string} label - What was being simulated (e.g. "Uniswap V2 swap")
+ * @param {Error} error - Error from eth_call / estimateGas
+ * @param {object} tx - The simulated transaction
+ * @returns {Error} Error with name "SimulationError" and a `simulation` object
+ */
+function createSimulationError(label, error, tx) {
+  const data = extractRevertData(error);
+  const decoded = data ? decodeRevert(data) : { ...decodeRevert(null), reason: error.reason || error.shortMessage };
+
+  const simulationError = new Error(`${label} would revert: ${decoded.reason}`);
+  simulationError.name = "SimulationError";
+  simulationError.simulation = {
+    label,
+    ...decoded,
+    to: tx.to,
+    value: tx.value ? tx.value.toString() : "0",
+  };
+  return simulationError;
+}
+
+/**
+ * Whether an error is a structured simulation error (the transaction was never sent)
+ * @param {Error} error - Any error
+ * @returns {boolean}
+ */
+function isSimulationError(error) {
+  return error?.name === "SimulationError" && Boolean(error.simulation);
+}
+
+/**
+ * Simulate a transaction with eth_call and estimateGas from the signer's address
+ * @param {ethers.Signer} signer - Connected signer that would send the transaction
+ * @param {object} tx - Transaction request ({to, data, value})
+ * @param {string} label - Description used in error messages
+ * @returns {Promise<{returnData: string, gasEstimate: bigint}>}
+ * @throws {Error} SimulationError if the transaction would revert
+ */
+async function simulateTransaction(signer, tx, label = "Transaction") {
+  try {
+    const returnData = await signer.call(tx);
+    const gasEstimate = await signer.estimateGas(tx);
+    return { returnData, gasEstimate };
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION" || extractRevertData(error)) {
+      throw createSimulationError(label, error, tx);
+    }
+    throw new Error(`${label} simulation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply GAS_LIMIT_MULTIPLIER to a gas estimate
+ * @param {bigint} gasEstimate - Simulated gas
+ * @returns {bigint} Gas limit to send with
+ */
+function toGasLimit(gasEstimate) {
+  return (gasEstimate * BigInt(Math.round(GAS_LIMIT_MULTIPLIER * 100))) / 100n;
+}
+
+/**
+ * Record a transaction on a build-only signer instead of sending it
+ * Nothing executes in build-only mode, so a transaction that relies on an earlier built one (a swap after
+ * its approval or wrap, a second hop) can revert in simulation; it is still recorded, without a gas estimate
+ * @param {ethers.VoidSigner} builder - Signer from createTxBuilder
+ * @param {ethers.Contract} contract - Contract being called
+ * @param {object} tx - Populated transaction
+ * @param {string} label - Description used in logs and error messages
+ * @returns {Promise<object>} Placeholder transaction response
+ * @throws {Error} SimulationError if the transaction reverts with no earlier built transactions to blame
+ */
+async function recordBuiltTransaction(builder, contract, tx, label) {
+  const call = describeCall(contract.interface, tx.data);
+  const pending = builder.getTransactions().length;
+
+  try {
+    const { gasEstimate } = await simulateTransaction(builder, tx, label);
+    console.log(`Simulation passed (${gasEstimate} gas)`);
+    return builder.recordTransaction(tx, { label, gasEstimate, gasLimit: toGasLimit(gasEstimate), call });
+  } catch (error) {
+    if (!isSimulationError(error) || pending === 0) {
+      throw error;
+    }
+
+    const note = `Not simulated: depends on ${pending} earlier transaction(s) (reverts without them: ${error.simulation.reason})`;
+    console.log(note);
+    return builder.recordTransaction(tx, { label, call, note });
+  }
+}
+
+/**
+ * Simulate a contract call and send it only if it would succeed
+ * The exact populated transaction is simulated, then sent with the simulated gas estimate plus a buffer.
+ * On a build-only signer (see txBuilder) the transaction is recorded unsigned with its decoded calldata instead.
+ * @param {ethers.Contract} contract - Contract connected to a signer
+ * @param {string} method - Contract method name
+ * @param {Array} args - Method arguments
+ * @param {object} overrides - Transaction overrides (e.g. {value})
+ * @param {string} label - Description used in logs and error messages (default: method name)
+ * @returns {Promise<ethers.TransactionResponse>}
+ * @throws {Error} SimulationError if the transaction would revert (nothing is sent)
+ */
+async function simulateAndSend(contract, method, args, overrides = {}, label = method) {
+  const signer = contract.runner;
+  const tx = await contract[method].populateTransaction(...args, overrides);
+
+  if (isTxBuilder(signer)) {
+    return await recordBuiltTransaction(signer, contract, tx, label);
+  }
+
+  const { gasEstimate } = await simulateTransaction(signer, tx, label);
+  console.log(`Simulation passed (${gasEstimate} gas)`);
+
+  const response = await signer.sendTransaction({ ...tx, gasLimit: toGasLimit(gasEstimate) });
+  sentTransactions.getStore()?.push({ label, hash: response.hash });
+  return response;
+}
+
+/**
+ * Run a function and record every transaction simulateAndSend sends while it runs
+ * A SimulationError means the reverting transaction was never sent, but the steps before it (an approval, a
+ * wrap) may already be mined; an error thrown by run carries them as error.sentTransactions
+ * @param {Function} run - Async function to run
+ * @returns {Promise<*>} Whatever run returns
+ */
+async function trackSentTransactions(run) {
+  const parent = sentTransactions.getStore();
+  const sent = [];
+  try {
+    return await sentTransactions.run(sent, run);
+  } catch (error) {
+    error.sentTransactions = sent;
+    throw error;
+  } finally {
+    parent?.push(...sent);
+  }
+}
+
+module.exports = {
+  GAS_LIMIT_MULTIPLIER,
+  extractRevertData,
+  decodeRevert,
+  createSimulationError,
+  isSimulationError,
+  simulateTransaction,
+  simulateAndSend,
+  trackSentTransactions,
+};
@@ -1,5 +1,5 @@
 // Input validation utilities for swap functions
-const { CHAINS } = require("../config/chains");
+const { CHAINS, DYNAMIC_FEE_FLAG } = require("../config/chains");
 
 /**
  * Validates chain key exists in configuration
@@ -95,8 +95,37 @@ function validateFeeTier(fee) {
 }
 
 /**
- * Validates wallet has private key
- * @param {object} wallet - ethers.Wallet instance
+ * Validates Uniswap V4 PoolKey struct
+ * Unlike V3, V4 pools can use any fee (or the dynamic fee flag) and custom tick spacing
+ * @param {object} poolKey - PoolKey with currency0, currency1, fee, tickSpacing, hooks
+ * @throws {Error} If pool key is invalid
+ */
+function validatePoolKey(poolKey) {
+  if (!poolKey || typeof poolKey !== "object") {
+    throw new Error("PoolKey must be an object");
+  }
+
+  validateAddress(poolKey.currency0, "poolKey.currency0");
+  validateAddress(poolKey.currency1, "poolKey.currency1");
+  validateAddress(poolKey.hooks, "poolKey.hooks");
+
+  if (poolKey.currency0.toLowerCase() >= poolKey.currency1.toLowerCase()) {
+    throw new Error("Invalid PoolKey: currency0 must be sorted below currency1");
+  }
+
+  if (!Number.isInteger(poolKey.fee) || (poolKey.fee > 1000000 && poolKey.fee !== DYNAMIC_FEE_FLAG)) {
+    throw new Error(`Invalid PoolKey fee: ${poolKey.fee}. Must be <= 1000000 or the dynamic fee flag`);
+  }
+
+  if (!Number.isInteger(poolKey.tickSpacing) || poolKey.tickSpacing < 1 || poolKey.tickSpacing > 32767) {
+    throw new Error(`Invalid PoolKey tickSpacing: ${poolKey.tickSpacing}. Must be between 1 and 32767`);
+  }
+}
+
+/**
+ * Validates wallet can sign transactions
+ * Accepts an ethers.Wallet or a provider-connected signer (e.g. an impersonated fork account)
+ * @param {object} wallet - ethers.Wallet or ethers.Signer instance
  * @throws {Error} If wallet is invalid
  */
 function validateWallet(wallet) {
@@ -104,8 +133,8 @@ function validateWallet(wallet) {
     throw new Error("Wallet must be an ethers.Wallet instance");
   }
 
-  if (!wallet.address || !wallet.privateKey) {
-    throw new Error("Invalid wallet: must have address and privateKey properties");
+  if (!wallet.address || (!wallet.privateKey && !wallet.provider)) {
+    throw new Error("Invalid wallet: must have address and either privateKey or a connected provider");
   }
 }
 
@@ -153,6 +182,7 @@ module.exports = {
   validateAmount,
   validateSlippage,
   validateFeeTier,
+  validatePoolKey,
   validateWallet,
   validateMultiHopPath,
 };
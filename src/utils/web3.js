@@ -18,6 +18,31 @@ function getContract(address, abi, chainKey) {
   return new ethers.Contract(address, abi, provider);
 }
 
+// Connect a wallet to the chain provider, leaving already-connected signers
+// (e.g. impersonated fork accounts, which cannot be reconnected) untouched
+function getSigner(chainKey, wallet) {
+  if (wallet.provider) {
+    return wallet;
+  }
+  return wallet.connect(getProvider(chainKey));
+}
+
+// Stand-in signer for wrappers (tx builder, tx manager, submission channels) that replace sendTransaction.
+// Swap modules reconnect wallets to the chain provider, so connect() returns the stand-in itself; signing
+// goes to the wrapped signer, or throws like any VoidSigner when there is none
+function createSignerProxy(address, provider, inner = null) {
+  const proxy = new ethers.VoidSigner(address, provider);
+  proxy.connect = () => proxy;
+
+  if (inner) {
+    proxy.signTransaction = tx => inner.signTransaction(tx);
+    proxy.signTypedData = (domain, types, value) => inner.signTypedData(domain, types, value);
+    proxy.signMessage = message => inner.signMessage(message);
+  }
+
+  return proxy;
+}
+
 async function getBlockNumber(chainKey) {
   const provider = getProvider(chainKey);
   return await provider.getBlockNumber();
@@ -31,6 +56,8 @@ async function getBlock(chainKey, blockNumber) {
 module.exports = {
   getProvider,
   getContract,
+  getSigner,
+  createSignerProxy,
   getBlockNumber,
   getBlock,
 };